@@ -0,0 +1,165 @@
+/**
+ * Biokinetic Model Explorer for Internal Dosimetry Learning Platform
+ * Solves a preset or user-edited compartment model and plots retention and daily excretion
+ * Last Updated: October 19, 2026
+ */
+
+// Days at which the explorer tabulates each measurement under the chart
+const EXPLORER_TABLE_DAYS = [1, 7, 30, 90, 365];
+
+// Models with more compartments than this are plotted by measurement instead of compartment by compartment
+const EXPLORER_MAX_COMPARTMENT_CURVES = 8;
+
+const EXPLORER_COLORS = ['#2563eb', '#16a34a', '#dc2626', '#7c3aed', '#ca8a04', '#0891b2', '#db2777', '#57534e'];
+
+let biokineticExplorerChart = null;
+
+/**
+ * Initialize the model explorer controls on the page
+ * Expects the explorer markup (ids prefixed with "bk-") to be present
+ */
+function initializeBiokineticExplorer() {
+    const presetSelect = document.getElementById('bk-preset');
+    if (!presetSelect) return;
+
+    Object.entries(BIOKINETIC_MODELS).forEach(([key, model]) => {
+        presetSelect.appendChild(new Option(model.name, key));
+    });
+    Object.entries(INTAKE_MODEL_PRESETS).forEach(([key, preset]) => {
+        presetSelect.appendChild(new Option(preset.label, key));
+    });
+    presetSelect.value = 'Cs-137';
+
+    presetSelect.addEventListener('change', () => {
+        loadBiokineticPreset();
+        updateBiokineticExplorer();
+    });
+    document.getElementById('bk-days').addEventListener('change', updateBiokineticExplorer);
+    document.getElementById('bk-solve').addEventListener('click', updateBiokineticExplorer);
+
+    loadBiokineticPreset();
+    updateBiokineticExplorer();
+}
+
+/**
+ * Copy the selected preset model into the JSON editor
+ * Respiratory and alimentary tract presets are built from their options by buildIntakeModel()
+ */
+function loadBiokineticPreset() {
+    const key = document.getElementById('bk-preset').value;
+    const model = BIOKINETIC_MODELS[key] || buildIntakeModel(INTAKE_MODEL_PRESETS[key].options);
+    document.getElementById('bk-model').value = JSON.stringify(model, null, 2);
+}
+
+/**
+ * Solve the model in the editor and redraw the chart and table
+ */
+function updateBiokineticExplorer() {
+    const resultElement = document.getElementById('bk-result');
+    const days = parseFloat(document.getElementById('bk-days').value);
+
+    let model;
+    try {
+        model = JSON.parse(document.getElementById('bk-model').value);
+    } catch (error) {
+        resultElement.innerHTML = `<p class="text-red-700 text-sm">The model is not valid JSON: ${escapeHtml(error.message)}</p>`;
+        drawBiokineticChart(null);
+        return;
+    }
+
+    const solution = solveBiokineticModel(model, days, days <= 60 ? 0.25 : 1);
+    if (solution.error) {
+        resultElement.innerHTML = `<p class="text-red-700 text-sm">${escapeHtml(solution.error)}</p>`;
+        drawBiokineticChart(null);
+        return;
+    }
+
+    const curves = buildExplorerCurves(model, solution);
+    const tableDays = EXPLORER_TABLE_DAYS.filter(day => day <= days);
+    const measurements = Object.entries(model.measurements || {});
+    const rows = measurements.map(([key, measurement]) => {
+        const points = new Map(evaluateMeasurement(model, solution, measurement));
+        const cells = tableDays.map(day => `<td class="px-2 py-1 text-right">${formatSignificant(points.get(day))}</td>`).join('');
+        const label = MEASUREMENT_TYPES[key] ? MEASUREMENT_TYPES[key].label : key;
+        return `<tr class="border-t border-stone-200"><td class="px-2 py-1">${escapeHtml(label)} (${escapeHtml(measurement.unit || '')})</td>${cells}</tr>`;
+    }).join('');
+
+    resultElement.innerHTML = `
+        <p class="text-xs text-stone-600 mb-2">Solved ${model.compartments.length} compartments × ${model.nuclides.length} nuclide(s) for a 1 Bq intake. Body curves show activity present; excretion curves show activity excreted in the preceding 24 hours.</p>
+        ${rows ? `
+        <div class="overflow-x-auto">
+            <table class="text-sm w-full">
+                <thead><tr class="text-stone-600"><th class="px-2 py-1 text-left">IRF for this model</th>${tableDays.map(day => `<th class="px-2 py-1 text-right">Day ${day}</th>`).join('')}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>` : ''}
+    `;
+    drawBiokineticChart(curves);
+}
+
+/**
+ * Build one plotted curve per body compartment and per excretion pathway,
+ * or one per measurement when the model has too many compartments to read
+ * @param {object} model - Model definition
+ * @param {object} solution - Output of solveBiokineticModel()
+ * @returns {Array} - [{ label, points, excretion }]
+ */
+function buildExplorerCurves(model, solution) {
+    const nuclides = model.nuclides.map(n => n.id);
+    const measurements = Object.entries(model.measurements || {});
+    if (model.compartments.length > EXPLORER_MAX_COMPARTMENT_CURVES && measurements.length > 0) {
+        return measurements.map(([key, measurement]) => ({
+            label: `${MEASUREMENT_TYPES[key] ? MEASUREMENT_TYPES[key].label : key} (${measurement.unit || ''})`,
+            points: evaluateMeasurement(model, solution, measurement),
+            excretion: measurement.excretion !== undefined
+        }));
+    }
+    return model.compartments.map(compartment => {
+        const measurement = compartment.excretion
+            ? { excretion: compartment.id, nuclides }
+            : { compartments: [compartment.id], nuclides };
+        return {
+            label: `${compartment.label || compartment.id}${compartment.excretion ? ' (per day)' : ''}`,
+            points: evaluateMeasurement(model, solution, measurement),
+            excretion: Boolean(compartment.excretion)
+        };
+    });
+}
+
+/**
+ * Plot retention and excretion curves on a log scale
+ * @param {Array|null} curves - Output of buildExplorerCurves()
+ */
+function drawBiokineticChart(curves) {
+    const canvas = document.getElementById('bk-chart');
+    if (!canvas || typeof Chart === 'undefined') return;
+    if (biokineticExplorerChart) {
+        biokineticExplorerChart.destroy();
+        biokineticExplorerChart = null;
+    }
+    if (!curves) return;
+
+    biokineticExplorerChart = new Chart(canvas, {
+        type: 'line',
+        data: {
+            datasets: curves.map((curve, index) => ({
+                label: curve.label,
+                // Zero cannot be drawn on a log axis
+                data: curve.points.filter(([, value]) => value > 0).map(([x, y]) => ({ x, y })),
+                borderColor: EXPLORER_COLORS[index % EXPLORER_COLORS.length],
+                borderDash: curve.excretion ? [6, 4] : [],
+                pointRadius: 0,
+                borderWidth: 2
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { mode: 'nearest', intersect: false },
+            scales: {
+                x: { type: 'linear', title: { display: true, text: 'Days after intake' } },
+                y: { type: 'logarithmic', min: 1e-6, title: { display: true, text: 'Fraction of intake' } }
+            }
+        }
+    });
+}
@@ -0,0 +1,86 @@
+/**
+ * Biokinetic Model Definitions for Internal Dosimetry Learning Platform
+ * Simplified ICRP systemic models in the compartment-model JSON format read by biokinetic-solver.js
+ * Last Updated: October 19, 2026
+ */
+
+// Half-lives and biological half-lives in days, rates per day.
+// Ingestion models share a fast alimentary tract: stomach → small intestine → blood with complete absorption (f₁ = 1).
+const BIOKINETIC_MODELS = {
+    'I-131': {
+        name: 'Iodine-131 ingestion (ICRP 56/78 iodine model)',
+        nuclides: [{ id: 'I-131', halfLife: 8.02 }],
+        compartments: [
+            { id: 'stomach', label: 'Stomach' },
+            { id: 'small-intestine', label: 'Small intestine' },
+            { id: 'blood', label: 'Blood (inorganic iodide)' },
+            { id: 'thyroid', label: 'Thyroid' },
+            { id: 'rest', label: 'Rest of body (organic iodine)' },
+            { id: 'urine', label: 'Urine', excretion: true },
+            { id: 'feces', label: 'Feces', excretion: true }
+        ],
+        transfers: [
+            { from: 'stomach', to: 'small-intestine', rate: 24 },
+            { from: 'small-intestine', to: 'blood', rate: 6 },
+            { from: 'blood', to: 'thyroid', halfLife: 0.25, fraction: 0.3 },
+            { from: 'blood', to: 'urine', halfLife: 0.25, fraction: 0.7 },
+            { from: 'thyroid', to: 'rest', halfLife: 80 },
+            { from: 'rest', to: 'blood', halfLife: 12, fraction: 0.8 },
+            { from: 'rest', to: 'feces', halfLife: 12, fraction: 0.2 }
+        ],
+        intake: { stomach: 1 },
+        measurements: {
+            'thyroid': { compartments: ['thyroid'], unit: 'Bq' },
+            'whole-body': { compartments: ['stomach', 'small-intestine', 'blood', 'thyroid', 'rest'], unit: 'Bq' },
+            'urine': { excretion: 'urine', unit: 'Bq/d' },
+            'feces': { excretion: 'feces', unit: 'Bq/d' }
+        }
+    },
+
+    'Cs-137': {
+        name: 'Cesium-137 ingestion (ICRP 67 cesium model)',
+        nuclides: [{ id: 'Cs-137', halfLife: 30.17 * 365.25 }],
+        compartments: [
+            { id: 'stomach', label: 'Stomach' },
+            { id: 'small-intestine', label: 'Small intestine' },
+            { id: 'blood', label: 'Blood' },
+            { id: 'tissue-fast', label: 'Tissues, 2-day component' },
+            { id: 'tissue-slow', label: 'Tissues, 110-day component' },
+            { id: 'urine', label: 'Urine', excretion: true },
+            { id: 'feces', label: 'Feces', excretion: true }
+        ],
+        transfers: [
+            { from: 'stomach', to: 'small-intestine', rate: 24 },
+            { from: 'small-intestine', to: 'blood', rate: 6 },
+            { from: 'blood', to: 'tissue-fast', halfLife: 0.01, fraction: 0.1 },
+            { from: 'blood', to: 'tissue-slow', halfLife: 0.01, fraction: 0.9 },
+            { from: 'tissue-fast', to: 'urine', halfLife: 2, fraction: 0.8 },
+            { from: 'tissue-fast', to: 'feces', halfLife: 2, fraction: 0.2 },
+            { from: 'tissue-slow', to: 'urine', halfLife: 110, fraction: 0.8 },
+            { from: 'tissue-slow', to: 'feces', halfLife: 110, fraction: 0.2 }
+        ],
+        intake: { stomach: 1 },
+        measurements: {
+            'whole-body': { compartments: ['stomach', 'small-intestine', 'blood', 'tissue-fast', 'tissue-slow'], unit: 'Bq' },
+            'urine': { excretion: 'urine', unit: 'Bq/d' },
+            'feces': { excretion: 'feces', unit: 'Bq/d' }
+        }
+    },
+
+    'H-3': {
+        name: 'Tritiated water (ICRP 56/78 HTO model)',
+        nuclides: [{ id: 'H-3', halfLife: 12.32 * 365.25 }],
+        compartments: [
+            { id: 'body-water', label: 'Body water (42 L)' },
+            { id: 'urine', label: 'Water loss (urine, sweat, breath)', excretion: true }
+        ],
+        transfers: [
+            { from: 'body-water', to: 'urine', halfLife: 10 }
+        ],
+        intake: { 'body-water': 1 },
+        measurements: {
+            // Urine tritium equals body-water tritium, so the sample is the body-water concentration
+            'urine': { compartments: ['body-water'], scale: 1 / 42, unit: 'Bq/L' }
+        }
+    }
+};
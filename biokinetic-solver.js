@@ -0,0 +1,332 @@
+/**
+ * Biokinetic Compartment Solver for Internal Dosimetry Learning Platform
+ * First-order compartment models with radioactive decay and ingrowth, solved with a matrix exponential
+ * Last Updated: October 19, 2026
+ */
+
+// Model JSON shape (all rates per day, half-lives in days):
+// {
+//   name: 'Cs-137 ingestion',
+//   nuclides: [{ id: 'Cs-137', halfLife: 11019 }, { id: 'Ba-137m', halfLife: 0.00177, parent: 'Cs-137', branching: 0.944 }],
+//   compartments: [{ id: 'blood', label: 'Blood' }, { id: 'urine', label: 'Urine', excretion: true }],
+//   transfers: [{ from: 'blood', to: 'urine', rate: 0.5 }, { from: 'blood', to: 'urine', halfLife: 2, fraction: 0.8 }],
+//   intake: { blood: 1 },
+//   measurements: { 'whole-body': { compartments: ['blood'], unit: 'Bq' }, 'urine': { excretion: 'urine', unit: 'Bq/d' } }
+// }
+// Intake values are the fractions of the intake placed in each compartment at t = 0.
+// Transfers apply to every nuclide in the chain unless they name one with `nuclide`.
+// Excretion compartments accumulate the activity excreted and do not decay, so a bioassay sample is
+// reported as the activity at the time it left the body (the convention for ICRP excretion functions).
+
+const BIOKINETIC_MAX_DAYS = 3650;
+
+/**
+ * Check a compartment model definition
+ * @param {object} model - Model definition (see the shape above)
+ * @returns {string|null} - Error message, or null if the model is usable
+ */
+function validateBiokineticModel(model) {
+    if (!model || typeof model !== 'object') return 'The model must be a JSON object.';
+    if (!Array.isArray(model.nuclides) || model.nuclides.length === 0) return 'The model needs at least one nuclide.';
+    if (!Array.isArray(model.compartments) || model.compartments.length === 0) return 'The model needs at least one compartment.';
+    if (!Array.isArray(model.transfers)) return 'The model needs a transfers array.';
+
+    const nuclideIds = new Set();
+    for (const [index, nuclide] of model.nuclides.entries()) {
+        if (!nuclide || typeof nuclide.id !== 'string' || !nuclide.id) return `Nuclide ${index + 1}: missing id.`;
+        if (nuclideIds.has(nuclide.id)) return `Nuclide ${index + 1}: duplicate id "${nuclide.id}".`;
+        if (!(nuclide.halfLife > 0) || !isFinite(nuclide.halfLife)) return `Nuclide ${nuclide.id}: half-life must be a positive number of days.`;
+        if (index === 0 && nuclide.parent) return `Nuclide ${nuclide.id}: the first nuclide is the one taken in and cannot have a parent.`;
+        if (index > 0) {
+            if (!nuclideIds.has(nuclide.parent)) return `Nuclide ${nuclide.id}: parent must be listed earlier in the chain.`;
+            if (!(nuclide.branching > 0 && nuclide.branching <= 1)) return `Nuclide ${nuclide.id}: branching fraction must be between 0 and 1.`;
+        }
+        nuclideIds.add(nuclide.id);
+    }
+
+    const compartmentIds = new Set();
+    for (const [index, compartment] of model.compartments.entries()) {
+        if (!compartment || typeof compartment.id !== 'string' || !compartment.id) return `Compartment ${index + 1}: missing id.`;
+        if (compartmentIds.has(compartment.id)) return `Compartment ${index + 1}: duplicate id "${compartment.id}".`;
+        compartmentIds.add(compartment.id);
+    }
+    const isExcretion = id => model.compartments.some(c => c.id === id && c.excretion);
+
+    for (const [index, transfer] of model.transfers.entries()) {
+        const where = `Transfer ${index + 1}`;
+        if (!transfer || !compartmentIds.has(transfer.from) || !compartmentIds.has(transfer.to)) return `${where}: from and to must name compartments.`;
+        if (transfer.from === transfer.to) return `${where}: from and to must differ.`;
+        if (isExcretion(transfer.from)) return `${where}: nothing can leave an excretion compartment.`;
+        if (transfer.nuclide !== undefined && !nuclideIds.has(transfer.nuclide)) return `${where}: unknown nuclide "${transfer.nuclide}".`;
+        if (transfer.rate !== undefined) {
+            if (!(transfer.rate >= 0) || !isFinite(transfer.rate)) return `${where}: rate must be zero or a positive number per day.`;
+        } else if (!(transfer.halfLife > 0) || !isFinite(transfer.halfLife)) {
+            return `${where}: give a rate (per day) or a halfLife (days).`;
+        } else if (transfer.fraction !== undefined && !(transfer.fraction > 0 && transfer.fraction <= 1)) {
+            return `${where}: fraction must be between 0 and 1.`;
+        }
+    }
+
+    const intake = model.intake || {};
+    const intakeEntries = Object.entries(intake);
+    if (intakeEntries.length === 0) return 'The model needs an intake compartment.';
+    for (const [id, fraction] of intakeEntries) {
+        if (!compartmentIds.has(id) || isExcretion(id)) return `Intake: "${id}" is not a body compartment.`;
+        if (!(fraction > 0)) return `Intake: fraction for "${id}" must be positive.`;
+    }
+    // Fractions may add up to less than 1 (e.g. the exhaled part of an inhaled aerosol) but never more
+    if (intakeEntries.reduce((sum, [, fraction]) => sum + fraction, 0) > 1 + 1e-9) {
+        return 'Intake: fractions cannot add up to more than 1.';
+    }
+
+    for (const [key, measurement] of Object.entries(model.measurements || {})) {
+        if (measurement.excretion !== undefined) {
+            if (!isExcretion(measurement.excretion)) return `Measurement ${key}: "${measurement.excretion}" is not an excretion compartment.`;
+        } else if (!Array.isArray(measurement.compartments) || !measurement.compartments.every(id => compartmentIds.has(id) && !isExcretion(id))) {
+            return `Measurement ${key}: list the body compartments it counts.`;
+        }
+        if (measurement.scale !== undefined && !(measurement.scale > 0)) return `Measurement ${key}: scale must be positive.`;
+    }
+    return null;
+}
+
+/**
+ * Convert a transfer to a rate constant
+ * @param {object} transfer - { rate } or { halfLife, fraction }
+ * @returns {number} - Rate constant per day
+ */
+function getTransferRate(transfer) {
+    if (transfer.rate !== undefined) return transfer.rate;
+    return (transfer.fraction === undefined ? 1 : transfer.fraction) * Math.LN2 / transfer.halfLife;
+}
+
+/**
+ * Build the rate matrix for the model
+ * The state vector holds the activity of every nuclide in every compartment (index = nuclide × compartments + compartment)
+ * @param {object} model - Validated model definition
+ * @returns {object} - { matrix, size, stateIndex(nuclideId, compartmentId) }
+ */
+function buildRateMatrix(model) {
+    const nuclideCount = model.nuclides.length;
+    const compartmentCount = model.compartments.length;
+    const size = nuclideCount * compartmentCount;
+    const nuclideIndex = Object.fromEntries(model.nuclides.map((n, i) => [n.id, i]));
+    const compartmentIndex = Object.fromEntries(model.compartments.map((c, i) => [c.id, i]));
+    const stateIndex = (nuclideId, compartmentId) => nuclideIndex[nuclideId] * compartmentCount + compartmentIndex[compartmentId];
+    const matrix = Array.from({ length: size }, () => new Array(size).fill(0));
+
+    model.nuclides.forEach(nuclide => {
+        const lambda = Math.LN2 / nuclide.halfLife;
+        const parent = nuclide.parent ? model.nuclides[nuclideIndex[nuclide.parent]] : null;
+
+        model.compartments.forEach(compartment => {
+            if (compartment.excretion) return;
+            const i = stateIndex(nuclide.id, compartment.id);
+            // Activity form of decay and ingrowth: dA_d/dt = λ_d (b A_p − A_d)
+            matrix[i][i] -= lambda;
+            if (parent) {
+                matrix[i][stateIndex(parent.id, compartment.id)] += lambda * nuclide.branching;
+            }
+        });
+
+        model.transfers.forEach(transfer => {
+            if (transfer.nuclide !== undefined && transfer.nuclide !== nuclide.id) return;
+            const rate = getTransferRate(transfer);
+            const from = stateIndex(nuclide.id, transfer.from);
+            matrix[from][from] -= rate;
+            matrix[stateIndex(nuclide.id, transfer.to)][from] += rate;
+        });
+    });
+
+    return { matrix, size, stateIndex };
+}
+
+/**
+ * Multiply two square matrices
+ * @param {Array} a - n × n matrix
+ * @param {Array} b - n × n matrix
+ * @returns {Array} - a × b
+ */
+function multiplyMatrices(a, b) {
+    const n = a.length;
+    const result = Array.from({ length: n }, () => new Array(n).fill(0));
+    for (let i = 0; i < n; i++) {
+        for (let k = 0; k < n; k++) {
+            const aik = a[i][k];
+            if (aik === 0) continue;
+            for (let j = 0; j < n; j++) {
+                result[i][j] += aik * b[k][j];
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Solve A X = B for X by Gaussian elimination with partial pivoting
+ * @param {Array} a - n × n matrix
+ * @param {Array} b - n × n right-hand sides
+ * @returns {Array} - X
+ */
+function solveLinearSystem(a, b) {
+    const n = a.length;
+    const left = a.map(row => row.slice());
+    const right = b.map(row => row.slice());
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(left[row][col]) > Math.abs(left[pivot][col])) pivot = row;
+        }
+        [left[col], left[pivot]] = [left[pivot], left[col]];
+        [right[col], right[pivot]] = [right[pivot], right[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = left[row][col] / left[col][col];
+            if (factor === 0) continue;
+            for (let j = col; j < n; j++) left[row][j] -= factor * left[col][j];
+            for (let j = 0; j < n; j++) right[row][j] -= factor * right[col][j];
+        }
+    }
+
+    for (let col = n - 1; col >= 0; col--) {
+        for (let j = 0; j < n; j++) {
+            let sum = right[col][j];
+            for (let k = col + 1; k < n; k++) sum -= left[col][k] * right[k][j];
+            right[col][j] = sum / left[col][col];
+        }
+    }
+    return right;
+}
+
+/**
+ * Matrix exponential by scaling and squaring with a degree-6 Padé approximant
+ * Handles stiff models (minutes-long blood transit next to decade-long retention) without step-size tuning
+ * @param {Array} a - n × n matrix
+ * @returns {Array} - exp(a)
+ */
+function matrixExponential(a) {
+    const n = a.length;
+    const identity = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+    const norm = Math.max(...a.map(row => row.reduce((sum, value) => sum + Math.abs(value), 0)));
+    const squarings = norm > 0.5 ? Math.ceil(Math.log2(norm / 0.5)) : 0;
+    const scaled = a.map(row => row.map(value => value / Math.pow(2, squarings)));
+
+    const degree = 6;
+    let coefficient = 1;
+    let power = identity;
+    let numerator = identity.map(row => row.slice());
+    let denominator = identity.map(row => row.slice());
+    for (let k = 1; k <= degree; k++) {
+        coefficient *= (degree - k + 1) / (k * (2 * degree - k + 1));
+        power = multiplyMatrices(scaled, power);
+        const sign = k % 2 === 0 ? 1 : -1;
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                numerator[i][j] += coefficient * power[i][j];
+                denominator[i][j] += sign * coefficient * power[i][j];
+            }
+        }
+    }
+
+    let result = solveLinearSystem(denominator, numerator);
+    for (let i = 0; i < squarings; i++) {
+        result = multiplyMatrices(result, result);
+    }
+    return result;
+}
+
+/**
+ * Solve a compartment model for a unit intake
+ * @param {object} model - Model definition (see the shape above)
+ * @param {number} days - Last time point in days after intake
+ * @param {number} step - Spacing of the output grid in days (must divide 1 day evenly, default 1)
+ * @returns {object} - { times, states, stateIndex } where states[k] is the state vector (Bq per Bq intake) at times[k], or { error }
+ */
+function solveBiokineticModel(model, days, step = 1) {
+    const modelError = validateBiokineticModel(model);
+    if (modelError) return { error: modelError };
+    if (!(days > 0) || days > BIOKINETIC_MAX_DAYS) {
+        return { error: `Choose a time span between 1 and ${BIOKINETIC_MAX_DAYS} days.` };
+    }
+    const stepsPerDay = Math.round(1 / step);
+    if (!(stepsPerDay >= 1) || Math.abs(stepsPerDay * step - 1) > 1e-9) {
+        return { error: 'The time step must divide one day evenly (1, 0.5, 0.25, …).' };
+    }
+
+    const { matrix, size, stateIndex } = buildRateMatrix(model);
+    const propagator = matrixExponential(matrix.map(row => row.map(value => value * step)));
+
+    let state = new Array(size).fill(0);
+    Object.entries(model.intake).forEach(([id, fraction]) => {
+        state[stateIndex(model.nuclides[0].id, id)] = fraction;
+    });
+
+    const times = [0];
+    const states = [state];
+    const stepCount = Math.ceil(days * stepsPerDay);
+    for (let k = 1; k <= stepCount; k++) {
+        const next = new Array(size).fill(0);
+        for (let i = 0; i < size; i++) {
+            let sum = 0;
+            for (let j = 0; j < size; j++) sum += propagator[i][j] * state[j];
+            next[i] = Math.max(sum, 0);
+        }
+        state = next;
+        times.push(k / stepsPerDay);
+        states.push(state);
+    }
+
+    return { times, states, stateIndex, stepsPerDay };
+}
+
+/**
+ * Evaluate a measurement on a solved model
+ * Body measurements are the activity present at each time; excretion measurements are the activity
+ * excreted in the 24 hours ending at each time (only defined from day 1 on)
+ * @param {object} model - Model definition
+ * @param {object} solution - Output of solveBiokineticModel()
+ * @param {object} measurement - { compartments, nuclides, scale } or { excretion, nuclides, scale }
+ * @returns {Array} - [[days, fraction of intake], ...]
+ */
+function evaluateMeasurement(model, solution, measurement) {
+    const nuclides = measurement.nuclides || [model.nuclides[0].id];
+    const compartments = measurement.excretion !== undefined ? [measurement.excretion] : measurement.compartments;
+    const indices = [];
+    nuclides.forEach(nuclideId => compartments.forEach(id => indices.push(solution.stateIndex(nuclideId, id))));
+    const scale = measurement.scale === undefined ? 1 : measurement.scale;
+    const totals = solution.states.map(state => indices.reduce((sum, i) => sum + state[i], 0));
+
+    if (measurement.excretion === undefined) {
+        return solution.times.map((t, k) => [t, totals[k] * scale]);
+    }
+    const points = [];
+    for (let k = solution.stepsPerDay; k < solution.times.length; k++) {
+        points.push([solution.times[k], (totals[k] - totals[k - solution.stepsPerDay]) * scale]);
+    }
+    return points;
+}
+
+/**
+ * Derive IRF tables for the named measurements of a model
+ * @param {object} model - Model definition with a measurements map
+ * @param {object} days - { measurementType: [days, ...] } whole days at which to tabulate each measurement
+ * @returns {object} - { measurementType: { unit, points } } or { error }
+ */
+function deriveIrfTables(model, days) {
+    const lastDay = Math.max(...Object.values(days).flat());
+    const solution = solveBiokineticModel(model, lastDay);
+    if (solution.error) return solution;
+
+    const tables = {};
+    Object.entries(days).forEach(([type, tableDays]) => {
+        const measurement = model.measurements[type];
+        const curve = evaluateMeasurement(model, solution, measurement);
+        const byDay = new Map(curve.map(([t, value]) => [t, value]));
+        tables[type] = {
+            unit: measurement.unit,
+            points: tableDays.map(day => [day, Number(byDay.get(day).toPrecision(3))])
+        };
+    });
+    return tables;
+}
@@ -0,0 +1,401 @@
+/**
+ * Worker Case File Editor for Internal Dosimetry Learning Platform
+ * Page controls for case-file.html: case list, workflow stepper and one panel per assessment stage
+ * Last Updated: October 19, 2026
+ */
+
+// Case being edited; every change is written back to IndexedDB
+let currentCaseFile = null;
+
+/**
+ * Initialize the case file page
+ * Expects the editor markup (ids prefixed with "case-") to be present
+ */
+function initializeCaseEditor() {
+    const list = document.getElementById('case-list');
+    if (!list) return;
+
+    loadImportedDoseCoefficients();
+    const nuclideSelect = document.getElementById('case-nuclide');
+    nuclideSelect.appendChild(new Option('Select…', ''));
+    Object.entries(IRF_DATA).forEach(([key, entry]) => {
+        nuclideSelect.appendChild(new Option(`${key} (${entry.name})`, key));
+    });
+    const methodSelect = document.getElementById('case-fit-method');
+    Object.entries(CASE_FIT_METHODS).forEach(([key, label]) => {
+        methodSelect.appendChild(new Option(label, key));
+    });
+
+    document.getElementById('case-new-form').addEventListener('submit', event => {
+        event.preventDefault();
+        const titleInput = document.getElementById('case-new-title');
+        const caseFile = createCaseFile(titleInput.value.trim());
+        titleInput.value = '';
+        saveCurrentCase(caseFile);
+    });
+    document.getElementById('case-import').addEventListener('change', handleCaseImport);
+    document.getElementById('case-export').addEventListener('click', downloadCurrentCase);
+    document.getElementById('case-delete').addEventListener('click', deleteCurrentCase);
+    document.getElementById('case-add-result').addEventListener('click', () => {
+        currentCaseFile.bioassay.push({ date: currentCaseFile.scenario.intakeDate, type: getAvailableMeasurementTypes(currentCaseFile.scenario.nuclide)[0], value: null, uncertainty: 20, mda: null });
+        renderCaseBioassayRows();
+        saveCurrentCase(currentCaseFile);
+    });
+    document.getElementById('case-estimate-intake').addEventListener('click', () => {
+        const estimate = estimateCaseIntake(currentCaseFile);
+        showCaseMessage('intake', estimate.error);
+        if (estimate.error) return;
+        currentCaseFile.intakeEstimate = estimate;
+        saveCurrentCase(currentCaseFile);
+    });
+    document.getElementById('case-calculate-dose').addEventListener('click', () => {
+        const select = document.getElementById('case-coefficient');
+        const dose = select.value ? calculateCaseDose(currentCaseFile, JSON.parse(select.value)) : { error: 'Choose a dose coefficient.' };
+        showCaseMessage('dose', dose.error);
+        if (dose.error) return;
+        currentCaseFile.dose = dose;
+        saveCurrentCase(currentCaseFile);
+    });
+
+    // Scenario and header fields are saved as soon as they change
+    ['case-title', 'case-worker-name', 'case-worker-id', 'case-nuclide', 'case-route', 'case-form', 'case-intake-date', 'case-description', 'case-fit-method'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            readCaseForm();
+            saveCurrentCase(currentCaseFile);
+        });
+    });
+
+    document.querySelectorAll('[data-case-complete]').forEach(button => {
+        button.addEventListener('click', () => {
+            readCaseForm();
+            const issues = advanceCaseStage(currentCaseFile);
+            showCaseMessage(button.dataset.caseComplete, issues.length > 0 ? issues.join(' ') : null);
+            if (issues.length === 0) saveCurrentCase(currentCaseFile);
+        });
+    });
+    document.querySelectorAll('[data-case-reopen]').forEach(button => {
+        button.addEventListener('click', () => {
+            const stage = CASE_WORKFLOW.find(item => item.key === button.dataset.caseReopen);
+            if (!confirm(`Reopen "${stage.label}"? Results from later stages will be cleared and need recalculating.`)) return;
+            reopenCaseStage(currentCaseFile, stage.key);
+            saveCurrentCase(currentCaseFile);
+        });
+    });
+
+    refreshCaseList();
+}
+
+/**
+ * Save a case, make it current and redraw the page
+ * @param {object} caseFile - Case file to save
+ */
+function saveCurrentCase(caseFile) {
+    caseStorage.save(caseFile)
+        .then(saved => {
+            currentCaseFile = saved;
+            renderCaseEditor();
+            return refreshCaseList();
+        })
+        .catch(showCaseStorageError);
+}
+
+/**
+ * Redraw the list of saved cases
+ * @returns {Promise} - Resolves when the list is drawn
+ */
+function refreshCaseList() {
+    return caseStorage.list().then(cases => {
+        const list = document.getElementById('case-list');
+        list.innerHTML = '';
+        if (cases.length === 0) {
+            list.innerHTML = '<li class="text-sm text-stone-500">No cases yet. Create one to start a practice assessment.</li>';
+            return;
+        }
+        cases.forEach(caseFile => {
+            const stage = CASE_WORKFLOW.find(item => item.key === caseFile.stage);
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            const active = currentCaseFile && currentCaseFile.id === caseFile.id;
+            button.className = `w-full text-left px-3 py-2 rounded border ${active ? 'border-orange-400 bg-orange-50' : 'border-stone-200 hover:bg-stone-50'}`;
+            button.innerHTML = `<span class="block font-medium text-stone-800"></span><span class="block text-xs text-stone-500"></span>`;
+            button.children[0].textContent = caseFile.title;
+            button.children[1].textContent = stage ? `Stage: ${stage.label}` : 'Complete';
+            button.addEventListener('click', () => {
+                currentCaseFile = caseFile;
+                renderCaseEditor();
+                refreshCaseList();
+            });
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+    }).catch(showCaseStorageError);
+}
+
+/**
+ * Show a storage failure (for example IndexedDB blocked in a private window)
+ * @param {Error} error - The failure
+ */
+function showCaseStorageError(error) {
+    document.getElementById('case-storage-error').textContent = `Case files could not be saved or loaded: ${error.message}`;
+}
+
+/**
+ * Show or clear the message under a stage panel
+ * @param {string} stageKey - Stage key
+ * @param {string|null} message - Error text, or null to clear
+ */
+function showCaseMessage(stageKey, message) {
+    const element = document.getElementById(`case-${stageKey}-issues`);
+    element.textContent = message || '';
+}
+
+/**
+ * Copy the editable fields of the current stage into the current case
+ */
+function readCaseForm() {
+    const value = id => document.getElementById(id).value;
+    currentCaseFile.title = value('case-title').trim() || 'Untitled case';
+    currentCaseFile.worker = { name: value('case-worker-name').trim(), employeeId: value('case-worker-id').trim() };
+
+    if (currentCaseFile.stage === 'foundations') {
+        const previousNuclide = currentCaseFile.scenario.nuclide;
+        currentCaseFile.scenario = {
+            nuclide: value('case-nuclide'),
+            route: value('case-route'),
+            chemicalForm: value('case-form').trim(),
+            intakeDate: value('case-intake-date'),
+            description: value('case-description')
+        };
+        // Measurement types depend on the radionuclide
+        if (previousNuclide !== currentCaseFile.scenario.nuclide) currentCaseFile.bioassay = [];
+    }
+    if (currentCaseFile.stage === 'intake') {
+        currentCaseFile.assumptions.fitMethod = value('case-fit-method');
+    }
+}
+
+/**
+ * Redraw the editor for the current case
+ */
+function renderCaseEditor() {
+    const editor = document.getElementById('case-editor');
+    const empty = document.getElementById('case-empty');
+    editor.classList.toggle('hidden', !currentCaseFile);
+    empty.classList.toggle('hidden', Boolean(currentCaseFile));
+    if (!currentCaseFile) return;
+
+    const caseFile = currentCaseFile;
+    document.getElementById('case-title').value = caseFile.title;
+    document.getElementById('case-worker-name').value = caseFile.worker.name;
+    document.getElementById('case-worker-id').value = caseFile.worker.employeeId;
+    document.getElementById('case-nuclide').value = caseFile.scenario.nuclide;
+    document.getElementById('case-route').value = caseFile.scenario.route;
+    document.getElementById('case-form').value = caseFile.scenario.chemicalForm;
+    document.getElementById('case-intake-date').value = caseFile.scenario.intakeDate;
+    document.getElementById('case-description').value = caseFile.scenario.description;
+    document.getElementById('case-fit-method').value = caseFile.assumptions.fitMethod;
+
+    renderCaseStepper();
+    renderCaseBioassayRows();
+    renderCaseIntakeResult();
+    renderCaseDosePanel();
+
+    // Only the current stage is editable; completed stages can be reopened
+    const currentIndex = CASE_WORKFLOW.findIndex(stage => stage.key === caseFile.stage);
+    CASE_WORKFLOW.forEach((stage, index) => {
+        const panel = document.querySelector(`[data-case-stage="${stage.key}"]`);
+        const done = currentIndex === -1 || index < currentIndex;
+        panel.querySelectorAll('input, select, textarea, button').forEach(control => {
+            if (control.dataset.caseReopen) {
+                control.classList.toggle('hidden', !done);
+            } else {
+                control.disabled = index !== currentIndex;
+            }
+        });
+        panel.classList.toggle('opacity-60', currentIndex !== -1 && index > currentIndex);
+    });
+}
+
+/**
+ * Draw the workflow stepper with each stage's status
+ */
+function renderCaseStepper() {
+    const currentIndex = CASE_WORKFLOW.findIndex(stage => stage.key === currentCaseFile.stage);
+    const stepper = document.getElementById('case-stepper');
+    stepper.innerHTML = CASE_WORKFLOW.map((stage, index) => {
+        const done = currentIndex === -1 || index < currentIndex;
+        const active = index === currentIndex;
+        const status = done ? '✓ Complete' : active ? 'In progress' : 'Not started';
+        return `
+            <a href="#case-stage-${stage.key}" class="block p-3 rounded border ${active ? `border-${stage.color}-400 bg-${stage.color}-50` : 'border-stone-200 bg-white'}">
+                <p class="text-xs text-stone-500">${index + 1}. ${stage.moduleLabel}</p>
+                <p class="font-semibold text-${stage.color}-800">${stage.label}</p>
+                <p class="text-xs ${done ? 'text-green-700' : 'text-stone-500'}">${status}</p>
+            </a>
+        `;
+    }).join('');
+    document.getElementById('case-complete-banner').classList.toggle('hidden', currentIndex !== -1);
+}
+
+/**
+ * Draw the editable bioassay result rows
+ */
+function renderCaseBioassayRows() {
+    const body = document.getElementById('case-bioassay-rows');
+    const types = getAvailableMeasurementTypes(currentCaseFile.scenario.nuclide);
+    body.innerHTML = '';
+
+    currentCaseFile.bioassay.forEach((result, index) => {
+        const row = document.createElement('tr');
+        row.className = 'border-t border-stone-200';
+        const table = getIrfTable(currentCaseFile.scenario.nuclide, result.type);
+        const cellClass = 'px-2 py-1';
+        const inputClass = 'w-full px-2 py-1 border border-stone-300 rounded text-sm';
+
+        const dateInput = Object.assign(document.createElement('input'), { type: 'date', value: result.date, className: inputClass });
+        const typeSelect = Object.assign(document.createElement('select'), { className: inputClass });
+        types.forEach(type => typeSelect.appendChild(new Option(MEASUREMENT_TYPES[type].label, type)));
+        typeSelect.value = result.type;
+        const numberInput = value => Object.assign(document.createElement('input'), { type: 'number', min: '0', step: 'any', value: value === null ? '' : value, className: inputClass });
+        const valueInput = numberInput(result.value);
+        const uncertaintyInput = numberInput(result.uncertainty);
+        const mdaInput = numberInput(result.mda);
+        const removeButton = Object.assign(document.createElement('button'), { type: 'button', textContent: '✕', className: 'text-red-600 hover:text-red-800 px-2' });
+        removeButton.setAttribute('aria-label', `Remove result ${index + 1}`);
+
+        const unit = table ? table.unit : '';
+        [dateInput, typeSelect, valueInput, document.createTextNode(unit), uncertaintyInput, mdaInput, removeButton].forEach(control => {
+            const cell = document.createElement('td');
+            cell.className = cellClass;
+            cell.appendChild(control);
+            row.appendChild(cell);
+        });
+
+        const readNumber = input => (input.value === '' ? null : parseFloat(input.value));
+        [dateInput, typeSelect, valueInput, uncertaintyInput, mdaInput].forEach(control => {
+            control.addEventListener('change', () => {
+                currentCaseFile.bioassay[index] = {
+                    date: dateInput.value,
+                    type: typeSelect.value,
+                    value: readNumber(valueInput),
+                    uncertainty: readNumber(uncertaintyInput),
+                    mda: readNumber(mdaInput)
+                };
+                saveCurrentCase(currentCaseFile);
+            });
+        });
+        removeButton.addEventListener('click', () => {
+            currentCaseFile.bioassay.splice(index, 1);
+            saveCurrentCase(currentCaseFile);
+        });
+        body.appendChild(row);
+    });
+
+    if (currentCaseFile.bioassay.length === 0) {
+        body.innerHTML = '<tr><td colspan="7" class="px-2 py-3 text-sm text-stone-500">No results recorded.</td></tr>';
+    }
+}
+
+/**
+ * Show the stored intake estimate
+ */
+function renderCaseIntakeResult() {
+    const element = document.getElementById('case-intake-result');
+    const estimate = currentCaseFile.intakeEstimate;
+    if (!estimate) {
+        element.innerHTML = '<p class="text-sm text-stone-500">No intake estimate yet.</p>';
+        return;
+    }
+    const excluded = estimate.rows.filter(row => !row.used).length;
+    element.innerHTML = `
+        <div class="bg-blue-50 p-3 rounded border border-blue-200">
+            <p class="text-xl font-bold text-blue-900">${formatSignificant(estimate.intake)} Bq</p>
+            <p class="text-xs text-blue-700">${CASE_FIT_METHODS[estimate.method]}; 1σ range ${formatSignificant(estimate.lower)} – ${formatSignificant(estimate.upper)} Bq${estimate.rows.length > 1 ? `; p = ${estimate.pValue.toFixed(2)}` : ''}</p>
+            <p class="text-xs text-blue-700">${estimate.rows.length - excluded} result(s) fitted${excluded > 0 ? `, ${excluded} below the MDA excluded` : ''}.</p>
+        </div>
+    `;
+}
+
+/**
+ * Fill the dose coefficient choices for the case radionuclide and show the stored dose
+ */
+function renderCaseDosePanel() {
+    const select = document.getElementById('case-coefficient');
+    const { nuclide, route } = currentCaseFile.scenario;
+    select.innerHTML = '';
+    select.appendChild(new Option('Select…', ''));
+    getActiveDoseCoefficients()
+        .filter(entry => entry.nuclide === nuclide && entry.route === route)
+        .forEach(entry => {
+            const criteria = Object.fromEntries(DOSE_COEFFICIENT_KEY_FIELDS.filter(field => entry[field] !== undefined).map(field => [field, entry[field]]));
+            const details = [
+                DOSE_COEFFICIENT_LIBRARY.sources[entry.source].label,
+                entry.age,
+                entry.type ? `Type ${entry.type}` : null,
+                entry.amad ? `${entry.amad} μm` : null,
+                entry.f1 ? `f₁ ${entry.f1}` : null
+            ].filter(Boolean).join(', ');
+            select.appendChild(new Option(`${details}: ${entry.value.toExponential(1)} Sv/Bq`, JSON.stringify(criteria)));
+        });
+    if (currentCaseFile.dose) select.value = JSON.stringify(currentCaseFile.dose.criteria);
+
+    const element = document.getElementById('case-dose-result');
+    const dose = currentCaseFile.dose;
+    element.innerHTML = dose ? `
+        <div class="bg-purple-50 p-3 rounded border border-purple-200">
+            <p class="text-xl font-bold text-purple-900">${formatSignificant(dose.doseMSv)} mSv</p>
+            <p class="text-xs text-purple-700">${formatSignificant(currentCaseFile.intakeEstimate.intake)} Bq × ${dose.coefficient.toExponential(2)} Sv/Bq (${escapeHtml(dose.publication)})</p>
+        </div>
+    ` : '<p class="text-sm text-stone-500">No dose calculated yet.</p>';
+}
+
+/**
+ * Download the current case as JSON
+ */
+function downloadCurrentCase() {
+    const blob = new Blob([JSON.stringify(exportCaseFile(currentCaseFile), null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${currentCaseFile.title.replace(/[^A-Za-z0-9-]+/g, '-').toLowerCase() || 'case'}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Delete the current case after confirmation
+ */
+function deleteCurrentCase() {
+    if (!confirm(`Delete "${currentCaseFile.title}"? Export it first if you want to keep a copy.`)) return;
+    caseStorage.remove(currentCaseFile.id)
+        .then(() => {
+            currentCaseFile = null;
+            renderCaseEditor();
+            return refreshCaseList();
+        })
+        .catch(showCaseStorageError);
+}
+
+/**
+ * Handle a case file chosen for import
+ * @param {Event} event - Change event from the file input
+ */
+function handleCaseImport(event) {
+    const file = event.target.files[0];
+    const status = document.getElementById('case-import-status');
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const caseFile = importCaseFile(JSON.parse(reader.result));
+            status.className = 'text-xs text-green-700 mt-1';
+            status.textContent = `Imported "${caseFile.title}".`;
+            saveCurrentCase(caseFile);
+        } catch (error) {
+            status.className = 'text-xs text-red-700 mt-1';
+            status.textContent = `Import failed: ${error.message}`;
+        }
+        event.target.value = '';
+    };
+    reader.readAsText(file);
+}
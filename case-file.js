@@ -0,0 +1,305 @@
+/**
+ * Worker Case Files for Internal Dosimetry Learning Platform
+ * Practice assessments stored in IndexedDB that follow the Foundations → Bioassay → Intake → Dose workflow
+ * Last Updated: October 19, 2026
+ */
+
+const CASE_DB_NAME = 'internal-dosimetry-cases';
+const CASE_DB_VERSION = 1;
+const CASE_STORE_NAME = 'cases';
+const CASE_SCHEMA_VERSION = 1;
+const CASE_EXPORT_FORMAT = 'internal-dosimetry-case';
+
+// Assessment stages in the order the modules teach them; a case advances when its current stage is complete
+const CASE_WORKFLOW = [
+    { key: 'foundations', label: 'Exposure Scenario', module: 'foundations.html', moduleLabel: 'Module 1: Foundations', color: 'amber', description: 'Identify the radionuclide, intake route, chemical form and when the intake happened.' },
+    { key: 'bioassay', label: 'Bioassay Results', module: 'bioassay.html', moduleLabel: 'Module 2: Bioassay', color: 'green', description: 'Record each measurement with its date, uncertainty and MDA.' },
+    { key: 'intake', label: 'Intake Estimate', module: 'intake-assessment.html', moduleLabel: 'Module 3: Intake Assessment', color: 'blue', description: 'Fit an intake to the results above the MDA using the IRFs for the scenario.' },
+    { key: 'dose', label: 'Committed Dose', module: 'dose-calculation.html', moduleLabel: 'Module 4: Dose Calculation', color: 'purple', description: 'Choose a dose coefficient and record the committed effective dose.' }
+];
+
+const CASE_FIT_METHODS = {
+    'wls': 'Weighted least squares',
+    'lognormal': 'Lognormal maximum likelihood'
+};
+
+// IndexedDB store for case files; every method returns a Promise
+let caseStorage = {
+    db: null,
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('This browser does not provide IndexedDB, so case files cannot be stored.'));
+        }
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(CASE_DB_NAME, CASE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(CASE_STORE_NAME, { keyPath: 'id' });
+                store.createIndex('updatedAt', 'updatedAt');
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
+    run(mode, operation) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(CASE_STORE_NAME, mode);
+            const request = operation(transaction.objectStore(CASE_STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        }));
+    },
+    list() {
+        return this.run('readonly', store => store.getAll())
+            .then(cases => cases.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)));
+    },
+    get(id) {
+        return this.run('readonly', store => store.get(id));
+    },
+    save(caseFile) {
+        caseFile.updatedAt = new Date().toISOString();
+        return this.run('readwrite', store => store.put(caseFile)).then(() => caseFile);
+    },
+    remove(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+};
+
+/**
+ * Create an empty case at the first workflow stage
+ * @param {string} title - Case title
+ * @returns {object} - New case file
+ */
+function createCaseFile(title) {
+    const now = new Date().toISOString();
+    return {
+        id: `case-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        schemaVersion: CASE_SCHEMA_VERSION,
+        title: title || 'Untitled case',
+        worker: { name: '', employeeId: '' },
+        createdAt: now,
+        updatedAt: now,
+        stage: CASE_WORKFLOW[0].key,
+        scenario: { nuclide: '', route: 'ingestion', chemicalForm: '', intakeDate: '', description: '' },
+        bioassay: [],
+        assumptions: { fitMethod: 'lognormal' },
+        intakeEstimate: null,
+        dose: null
+    };
+}
+
+/**
+ * Whole days between two YYYY-MM-DD dates, independent of time zone and daylight saving
+ * @param {string} start - Earlier date
+ * @param {string} end - Later date
+ * @returns {number} - Days from start to end (NaN if either date is missing)
+ */
+function daysBetweenCaseDates(start, end) {
+    const toUtc = value => {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+        return match ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : NaN;
+    };
+    return Math.round((toUtc(end) - toUtc(start)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * List what is still missing before a stage can be completed
+ * @param {object} caseFile - Case file
+ * @param {string} stageKey - Key from CASE_WORKFLOW
+ * @returns {Array} - Messages; empty when the stage is complete
+ */
+function getCaseStageIssues(caseFile, stageKey) {
+    const issues = [];
+    const scenario = caseFile.scenario;
+
+    if (stageKey === 'foundations') {
+        if (!IRF_DATA[scenario.nuclide]) issues.push('Choose a radionuclide.');
+        if (!scenario.intakeDate) issues.push('Enter the known or assumed intake date.');
+        if (!scenario.description.trim()) issues.push('Describe how the exposure happened.');
+    } else if (stageKey === 'bioassay') {
+        if (caseFile.bioassay.length === 0) issues.push('Record at least one bioassay result.');
+        caseFile.bioassay.forEach((result, index) => {
+            const days = daysBetweenCaseDates(scenario.intakeDate, result.date);
+            if (!(days > 0)) issues.push(`Result ${index + 1}: the sample date must be after the intake date.`);
+            if (!(result.value >= 0)) issues.push(`Result ${index + 1}: enter the measured value (zero or more).`);
+            if (!(result.uncertainty > 0)) issues.push(`Result ${index + 1}: enter the uncertainty.`);
+            if (!(result.mda > 0)) issues.push(`Result ${index + 1}: enter the MDA.`);
+        });
+        if (caseFile.bioassay.length > 0 && caseFile.bioassay.every(result => !(result.value >= result.mda))) {
+            issues.push('No result is at or above its MDA, so there is nothing to fit.');
+        }
+    } else if (stageKey === 'intake') {
+        if (!caseFile.intakeEstimate) issues.push('Calculate the intake estimate.');
+    } else if (stageKey === 'dose') {
+        if (!caseFile.dose) issues.push('Calculate the committed effective dose.');
+    }
+    return issues;
+}
+
+/**
+ * Move the case to the next stage if its current stage is complete
+ * @param {object} caseFile - Case file (modified in place)
+ * @returns {Array} - Issues blocking the move; empty on success
+ */
+function advanceCaseStage(caseFile) {
+    const index = CASE_WORKFLOW.findIndex(stage => stage.key === caseFile.stage);
+    if (index === -1) return [];
+    const issues = getCaseStageIssues(caseFile, caseFile.stage);
+    if (issues.length === 0) {
+        caseFile.stage = index + 1 < CASE_WORKFLOW.length ? CASE_WORKFLOW[index + 1].key : 'complete';
+    }
+    return issues;
+}
+
+/**
+ * Reopen an earlier stage; later results depend on it, so they are cleared
+ * @param {object} caseFile - Case file (modified in place)
+ * @param {string} stageKey - Stage to return to
+ */
+function reopenCaseStage(caseFile, stageKey) {
+    const index = CASE_WORKFLOW.findIndex(stage => stage.key === stageKey);
+    if (index === -1) return;
+    caseFile.stage = stageKey;
+    if (index <= 2) caseFile.intakeEstimate = null;
+    if (index <= 3) caseFile.dose = null;
+}
+
+/**
+ * Fit an intake to the case's bioassay results at or above the MDA
+ * @param {object} caseFile - Case file
+ * @returns {object} - { intake, method, lower, upper, pValue, rows, computedAt } or { error }
+ */
+function estimateCaseIntake(caseFile) {
+    const nuclide = caseFile.scenario.nuclide;
+    const method = caseFile.assumptions.fitMethod;
+    if (!CASE_FIT_METHODS[method]) return { error: 'Choose a fitting method.' };
+
+    const rows = caseFile.bioassay.map(result => ({
+        type: result.type,
+        days: daysBetweenCaseDates(caseFile.scenario.intakeDate, result.date),
+        value: result.value,
+        uncertainty: result.uncertainty,
+        belowMda: !(result.value >= result.mda)
+    }));
+    const usable = rows.filter(row => !row.belowMda);
+    const { points, errors } = prepareFitPoints(nuclide, usable);
+    if (errors.length > 0) return { error: errors.join('; ') };
+    if (points.length === 0) return { error: 'No result is at or above its MDA.' };
+
+    const fit = method === 'wls' ? fitIntakeLeastSquares(points) : fitIntakeLognormal(points);
+    const lower = method === 'wls' ? fit.intake - fit.standardError : fit.lower;
+    const upper = method === 'wls' ? fit.intake + fit.standardError : fit.upper;
+    return {
+        intake: fit.intake,
+        method,
+        lower,
+        upper,
+        pValue: fit.pValue,
+        rows: rows.map(row => ({ type: row.type, days: row.days, used: !row.belowMda })),
+        computedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Apply a dose coefficient to the case's intake estimate
+ * @param {object} caseFile - Case file with an intake estimate
+ * @param {object} criteria - Dose coefficient criteria (all of DOSE_COEFFICIENT_KEY_FIELDS)
+ * @returns {object} - { criteria, coefficient, publication, doseMSv, computedAt } or { error }
+ */
+function calculateCaseDose(caseFile, criteria) {
+    if (!caseFile.intakeEstimate) return { error: 'Estimate the intake first.' };
+    if (criteria.nuclide !== caseFile.scenario.nuclide) return { error: 'The coefficient must be for the case radionuclide.' };
+    const coefficient = getDoseCoefficient(criteria);
+    const dose = calculateCommittedDose(caseFile.intakeEstimate.intake, coefficient);
+    if (dose.error) return dose;
+    return {
+        criteria,
+        coefficient: coefficient.value,
+        publication: coefficient.publication || coefficient.provenance.label,
+        doseMSv: dose.doseMSv,
+        computedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Wrap a case for download
+ * @param {object} caseFile - Case file
+ * @returns {object} - Export document
+ */
+function exportCaseFile(caseFile) {
+    return {
+        format: CASE_EXPORT_FORMAT,
+        schemaVersion: CASE_SCHEMA_VERSION,
+        exportDate: new Date().toISOString(),
+        case: caseFile
+    };
+}
+
+/**
+ * Validate an exported case and rebuild it with only known fields
+ * @param {object} data - Parsed export document
+ * @returns {object} - Case file ready to save
+ * @throws {Error} - If the document is not a case export or a field has the wrong type
+ */
+function importCaseFile(data) {
+    if (!data || data.format !== CASE_EXPORT_FORMAT || !data.case) {
+        throw new Error('This file is not an exported case file.');
+    }
+    if (data.schemaVersion !== CASE_SCHEMA_VERSION) {
+        throw new Error(`Case file schema version ${data.schemaVersion} is not supported.`);
+    }
+
+    const source = data.case;
+    const text = (value, field) => {
+        if (value === undefined || value === null) return '';
+        if (typeof value !== 'string') throw new Error(`${field} must be text.`);
+        return value;
+    };
+    const isDate = value => value === '' || /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+    const stages = CASE_WORKFLOW.map(stage => stage.key).concat('complete');
+    if (!stages.includes(source.stage)) throw new Error('Unknown workflow stage.');
+    if (!source.scenario || typeof source.scenario !== 'object') throw new Error('The case has no scenario.');
+    if (!Array.isArray(source.bioassay)) throw new Error('Bioassay results must be a list.');
+
+    const caseFile = createCaseFile(text(source.title, 'Title'));
+    caseFile.worker = { name: text(source.worker && source.worker.name, 'Worker name'), employeeId: text(source.worker && source.worker.employeeId, 'Employee ID') };
+    caseFile.createdAt = text(source.createdAt, 'Created date') || caseFile.createdAt;
+    caseFile.stage = source.stage;
+    caseFile.scenario = {
+        nuclide: text(source.scenario.nuclide, 'Radionuclide'),
+        route: source.scenario.route === 'inhalation' ? 'inhalation' : 'ingestion',
+        chemicalForm: text(source.scenario.chemicalForm, 'Chemical form'),
+        intakeDate: text(source.scenario.intakeDate, 'Intake date'),
+        description: text(source.scenario.description, 'Description')
+    };
+    if (!isDate(caseFile.scenario.intakeDate)) throw new Error('Intake date must be YYYY-MM-DD.');
+
+    caseFile.bioassay = source.bioassay.map((result, index) => {
+        const where = `Result ${index + 1}`;
+        if (!result || !isDate(text(result.date, `${where} date`))) throw new Error(`${where}: date must be YYYY-MM-DD.`);
+        if (!MEASUREMENT_TYPES[result.type]) throw new Error(`${where}: unknown measurement type.`);
+        ['value', 'uncertainty', 'mda'].forEach(field => {
+            if (result[field] !== null && typeof result[field] !== 'number') throw new Error(`${where}: ${field} must be a number.`);
+        });
+        return { date: result.date, type: result.type, value: result.value, uncertainty: result.uncertainty, mda: result.mda };
+    });
+
+    caseFile.assumptions = { fitMethod: CASE_FIT_METHODS[source.assumptions && source.assumptions.fitMethod] ? source.assumptions.fitMethod : 'lognormal' };
+    // Results are recomputed rather than trusted, so a hand-edited file cannot carry an inconsistent dose
+    const stageIndex = stages.indexOf(caseFile.stage);
+    if (stageIndex > 2) {
+        const estimate = estimateCaseIntake(caseFile);
+        if (estimate.error) throw new Error(`The intake could not be recomputed: ${estimate.error}`);
+        caseFile.intakeEstimate = estimate;
+    }
+    if (stageIndex > 3) {
+        const dose = calculateCaseDose(caseFile, (source.dose && source.dose.criteria) || {});
+        if (dose.error) throw new Error(`The dose could not be recomputed: ${dose.error}`);
+        caseFile.dose = dose;
+    }
+    return caseFile;
+}
@@ -0,0 +1,424 @@
+/**
+ * Regulatory Compliance Checker for Internal Dosimetry Learning Platform
+ * Sums a worker's annual external and internal doses and tests them against the rules in regulatory-profiles.js
+ * Last Updated: October 19, 2026
+ */
+
+// Site profile loaded from JSON (administrative control levels layered on a built-in profile)
+let siteComplianceProfile = null;
+
+/**
+ * Validate a site profile and merge it onto the built-in profile it names
+ * Site rules with the same id as a built-in rule replace it; ALIs are merged per nuclide
+ * Expected shape: { name, version, basedOn: '10cfr20' | '10cfr835', rules: [{ id, label, citation, quantity, threshold, level, categories }], alis: {} }
+ * @param {object} data - Parsed JSON site profile
+ * @returns {object} - Merged profile
+ * @throws {Error} - If the profile is malformed
+ */
+function buildSiteProfile(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Site profile must be a JSON object.');
+    }
+    if (typeof data.name !== 'string' || data.name.trim() === '' || data.name.length > 80) {
+        throw new Error('Site profile needs a name of up to 80 characters.');
+    }
+    const base = REGULATORY_PROFILES[data.basedOn];
+    if (!base) {
+        throw new Error(`basedOn must be one of: ${Object.keys(REGULATORY_PROFILES).join(', ')}.`);
+    }
+    if (!Array.isArray(data.rules)) {
+        throw new Error('Site profile needs a rules array (it may be empty).');
+    }
+
+    const rules = data.rules.map((rule, index) => {
+        const where = `Rule ${index + 1}`;
+        if (typeof rule.id !== 'string' || rule.id === '' || typeof rule.label !== 'string' || rule.label === '') {
+            throw new Error(`${where} needs an id and a label.`);
+        }
+        if (!COMPLIANCE_QUANTITIES[rule.quantity]) {
+            throw new Error(`${where}: quantity must be one of ${Object.keys(COMPLIANCE_QUANTITIES).join(', ')}.`);
+        }
+        if (!COMPLIANCE_LEVELS[rule.level]) {
+            throw new Error(`${where}: level must be one of ${Object.keys(COMPLIANCE_LEVELS).join(', ')}.`);
+        }
+        if (typeof rule.threshold !== 'number' || !(rule.threshold > 0)) {
+            throw new Error(`${where}: threshold must be a positive number.`);
+        }
+        if (rule.categories !== undefined && (!Array.isArray(rule.categories) || rule.categories.some(category => !base.categories[category]))) {
+            throw new Error(`${where}: categories must list only ${Object.keys(base.categories).join(', ')}.`);
+        }
+        return {
+            id: rule.id,
+            label: rule.label,
+            citation: typeof rule.citation === 'string' && rule.citation !== '' ? rule.citation : `${data.name} (site procedure)`,
+            quantity: rule.quantity,
+            threshold: rule.threshold,
+            level: rule.level,
+            categories: rule.categories,
+            site: true
+        };
+    });
+
+    const alis = JSON.parse(JSON.stringify(base.alis));
+    Object.entries(data.alis || {}).forEach(([nuclide, values]) => {
+        Object.entries(values || {}).forEach(([basis, value]) => {
+            if (typeof value !== 'number' || !(value > 0)) {
+                throw new Error(`ALI for ${nuclide} (${basis}) must be a positive number in μCi.`);
+            }
+            alis[nuclide] = { ...(alis[nuclide] || {}), [basis]: value };
+        });
+    });
+
+    const siteIds = new Set(rules.map(rule => rule.id));
+    return {
+        name: data.name,
+        version: typeof data.version === 'string' ? data.version : '',
+        basedOn: data.basedOn,
+        categories: base.categories,
+        rules: base.rules.filter(rule => !siteIds.has(rule.id)).concat(rules),
+        alis
+    };
+}
+
+/**
+ * Get a profile by key ('site' returns the loaded site profile)
+ * @param {string} key - Profile key
+ * @returns {object|null} - Profile or null if not available
+ */
+function getComplianceProfile(key) {
+    if (key === 'site') return siteComplianceProfile;
+    return REGULATORY_PROFILES[key] || null;
+}
+
+/**
+ * Evaluate a worker's annual doses against a profile
+ * Limits and administrative levels trigger when exceeded; investigation and recording levels trigger when reached
+ * @param {object} doses - { external, lens, shallow, intakes: [{ nuclide, aliBasis, intakeBq, ced }] } with doses in mSv
+ * @param {object} profile - Profile from getComplianceProfile()
+ * @param {string} category - Worker category key
+ * @returns {object} - { quantities, findings, status, warnings } or { error }
+ */
+function evaluateCompliance(doses, profile, category) {
+    if (!profile) {
+        return { error: 'Select a regulatory profile.' };
+    }
+    const values = [doses.external, doses.lens, doses.shallow].concat(doses.intakes.map(intake => intake.ced));
+    if (values.some(value => !(value >= 0))) {
+        return { error: 'Doses must be zero or positive numbers.' };
+    }
+
+    const warnings = [];
+    let aliFraction = 0;
+    doses.intakes.forEach(intake => {
+        const ali = profile.alis[intake.nuclide] && profile.alis[intake.nuclide][intake.aliBasis];
+        if (!ali) {
+            if (Object.keys(profile.alis).length > 0) {
+                warnings.push(`No ALI is listed for ${intake.nuclide}${intake.aliBasis ? ` (${intake.aliBasis})` : ''}; it is not included in the sum of ALI fractions.`);
+            }
+            return;
+        }
+        if (!(intake.intakeBq >= 0)) {
+            warnings.push(`Enter the intake in Bq for ${intake.nuclide} to include it in the sum of ALI fractions.`);
+            return;
+        }
+        aliFraction += intake.intakeBq / (ali * MICROCURIE_IN_BQ);
+    });
+
+    const internal = doses.intakes.reduce((sum, intake) => sum + intake.ced, 0);
+    const quantities = {
+        total: doses.external + internal,
+        internal,
+        external: doses.external,
+        lens: doses.lens,
+        shallow: doses.shallow,
+        aliFraction
+    };
+
+    const findings = profile.rules
+        .filter(rule => !rule.categories || rule.categories.includes(category))
+        .map(rule => {
+            const value = quantities[rule.quantity];
+            const inclusive = rule.level === 'recording' || rule.level === 'investigation';
+            return { rule, value, triggered: inclusive ? value >= rule.threshold : value > rule.threshold };
+        });
+
+    const triggered = findings
+        .filter(finding => finding.triggered)
+        .sort((a, b) => COMPLIANCE_LEVELS[b.rule.level].rank - COMPLIANCE_LEVELS[a.rule.level].rank);
+    const status = triggered.length > 0
+        ? { level: triggered[0].rule.level, label: COMPLIANCE_LEVELS[triggered[0].rule.level].label, rule: triggered[0].rule }
+        : { level: 'compliant', label: 'Below all limits and action levels', rule: null };
+
+    return { quantities, findings, status, warnings };
+}
+
+/**
+ * Load a site profile saved in the learner profile
+ */
+function loadSiteComplianceProfile() {
+    const saved = readProgressData('compliance-site-profile');
+    if (!saved) return;
+    try {
+        siteComplianceProfile = buildSiteProfile(saved);
+    } catch (error) {
+        console.warn('Discarding saved site profile:', error.message);
+        removeProgressData('compliance-site-profile');
+    }
+}
+
+/**
+ * Initialize the compliance checker controls on the page
+ * Expects the checker markup (ids prefixed with "compliance-") to be present
+ */
+function initializeComplianceChecker() {
+    renderComplianceExamples();
+
+    const profileSelect = document.getElementById('compliance-profile');
+    if (!profileSelect) return;
+
+    loadSiteComplianceProfile();
+    populateComplianceProfiles();
+
+    profileSelect.addEventListener('change', () => {
+        populateComplianceCategories();
+        refreshComplianceIntakeOptions();
+        updateComplianceChecker();
+    });
+    document.getElementById('compliance-category').addEventListener('change', updateComplianceChecker);
+    ['compliance-external', 'compliance-lens', 'compliance-shallow'].forEach(id => {
+        document.getElementById(id).addEventListener('input', updateComplianceChecker);
+    });
+    document.getElementById('compliance-add-intake').addEventListener('click', () => {
+        addComplianceIntakeRow();
+        updateComplianceChecker();
+    });
+    document.getElementById('compliance-from-calculator').addEventListener('click', addIntakeFromDoseCalculator);
+    document.getElementById('compliance-profile-file').addEventListener('change', handleSiteProfileImport);
+
+    populateComplianceCategories();
+    addComplianceIntakeRow({ nuclide: 'Cs-137', aliBasis: 'inhalation class D', intakeBq: 5e5, ced: 3.4 });
+    updateComplianceChecker();
+}
+
+/**
+ * Fill the profile dropdown with the built-in profiles and any loaded site profile
+ */
+function populateComplianceProfiles() {
+    const profileSelect = document.getElementById('compliance-profile');
+    const previous = profileSelect.value;
+    profileSelect.innerHTML = '';
+
+    Object.entries(REGULATORY_PROFILES).forEach(([key, profile]) => {
+        profileSelect.appendChild(new Option(profile.name, key));
+    });
+    if (siteComplianceProfile) {
+        const base = REGULATORY_PROFILES[siteComplianceProfile.basedOn];
+        profileSelect.appendChild(new Option(`Site: ${siteComplianceProfile.name} (on ${base.name})`, 'site'));
+    }
+    profileSelect.value = Array.from(profileSelect.options).some(option => option.value === previous) ? previous : '10cfr20';
+}
+
+/**
+ * Fill the worker category dropdown for the selected profile
+ */
+function populateComplianceCategories() {
+    const profile = getComplianceProfile(document.getElementById('compliance-profile').value);
+    const categorySelect = document.getElementById('compliance-category');
+    const previous = categorySelect.value;
+    categorySelect.innerHTML = '';
+    Object.entries(profile.categories).forEach(([key, label]) => categorySelect.appendChild(new Option(label, key)));
+    if (profile.categories[previous]) {
+        categorySelect.value = previous;
+    }
+}
+
+/**
+ * Add a row to the intakes table
+ * @param {object} intake - Optional { nuclide, aliBasis, intakeBq, ced }
+ */
+function addComplianceIntakeRow(intake = {}) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+        <td class="p-1"><select class="compliance-nuclide w-full px-2 py-1 border border-stone-300 rounded text-sm"></select></td>
+        <td class="p-1"><select class="compliance-ali-basis w-full px-2 py-1 border border-stone-300 rounded text-sm"></select></td>
+        <td class="p-1"><input type="number" class="compliance-intake w-full px-2 py-1 border border-stone-300 rounded text-sm" min="0" step="any"></td>
+        <td class="p-1"><input type="number" class="compliance-ced w-full px-2 py-1 border border-stone-300 rounded text-sm" min="0" step="any"></td>
+        <td class="p-1 text-center"><button type="button" class="compliance-remove text-red-600 hover:text-red-800 text-sm" title="Remove intake">✕</button></td>
+    `;
+    document.getElementById('compliance-intakes').appendChild(tr);
+
+    tr.querySelector('.compliance-intake').value = intake.intakeBq ?? '';
+    tr.querySelector('.compliance-ced').value = intake.ced ?? '';
+    tr.querySelector('.compliance-nuclide').addEventListener('change', () => {
+        refreshComplianceIntakeOptions();
+        updateComplianceChecker();
+    });
+    tr.querySelector('.compliance-ali-basis').addEventListener('change', updateComplianceChecker);
+    tr.querySelectorAll('input').forEach(input => input.addEventListener('input', updateComplianceChecker));
+    tr.querySelector('.compliance-remove').addEventListener('click', () => {
+        tr.remove();
+        updateComplianceChecker();
+    });
+
+    refreshComplianceIntakeOptions(tr, intake);
+}
+
+/**
+ * Rebuild the nuclide and ALI basis dropdowns of intake rows from the selected profile's ALI table
+ * @param {HTMLElement} onlyRow - Optional row to refresh (all rows when omitted)
+ * @param {object} preset - Optional { nuclide, aliBasis } to select
+ */
+function refreshComplianceIntakeOptions(onlyRow, preset = {}) {
+    const profile = getComplianceProfile(document.getElementById('compliance-profile').value);
+    const rows = onlyRow ? [onlyRow] : Array.from(document.querySelectorAll('#compliance-intakes tr'));
+
+    rows.forEach(row => {
+        const nuclideSelect = row.querySelector('.compliance-nuclide');
+        const basisSelect = row.querySelector('.compliance-ali-basis');
+        const nuclide = preset.nuclide || nuclideSelect.value;
+        const basis = preset.aliBasis || basisSelect.value;
+
+        const nuclides = Object.keys(profile.alis);
+        if (nuclide && !nuclides.includes(nuclide)) nuclides.push(nuclide);
+        if (!nuclides.includes('Other')) nuclides.push('Other');
+        nuclideSelect.innerHTML = '';
+        nuclides.forEach(key => nuclideSelect.appendChild(new Option(key, key)));
+        nuclideSelect.value = nuclide || nuclides[0];
+
+        const bases = Object.keys(profile.alis[nuclideSelect.value] || {});
+        basisSelect.innerHTML = '';
+        if (bases.length === 0) {
+            basisSelect.appendChild(new Option('No ALI listed', ''));
+        }
+        bases.forEach(key => basisSelect.appendChild(new Option(key, key)));
+        if (bases.includes(basis)) {
+            basisSelect.value = basis;
+        }
+    });
+}
+
+/**
+ * Read the intakes table
+ * @returns {Array} - Array of { nuclide, aliBasis, intakeBq, ced }
+ */
+function readComplianceIntakes() {
+    return Array.from(document.querySelectorAll('#compliance-intakes tr')).map(row => ({
+        nuclide: row.querySelector('.compliance-nuclide').value,
+        aliBasis: row.querySelector('.compliance-ali-basis').value,
+        intakeBq: parseFloat(row.querySelector('.compliance-intake').value),
+        ced: parseFloat(row.querySelector('.compliance-ced').value) || 0
+    }));
+}
+
+/**
+ * Copy the current result of the committed dose calculator into a new intake row
+ */
+function addIntakeFromDoseCalculator() {
+    if (typeof getDoseCoefficient !== 'function') return;
+    const criteria = readDoseCalcCriteria();
+    const intakeBq = parseFloat(document.getElementById('dose-calc-intake').value);
+    const result = calculateCommittedDose(intakeBq, getDoseCoefficient(criteria));
+    if (result.error) {
+        alert(`The dose calculator has no result to copy: ${result.error}`);
+        return;
+    }
+    addComplianceIntakeRow({ nuclide: criteria.nuclide, intakeBq, ced: Number(result.doseMSv.toPrecision(3)) });
+    updateComplianceChecker();
+}
+
+/**
+ * Recalculate and display the compliance status
+ */
+function updateComplianceChecker() {
+    const profile = getComplianceProfile(document.getElementById('compliance-profile').value);
+    const category = document.getElementById('compliance-category').value;
+    const resultElement = document.getElementById('compliance-result');
+    const doses = {
+        external: parseFloat(document.getElementById('compliance-external').value) || 0,
+        lens: parseFloat(document.getElementById('compliance-lens').value) || 0,
+        shallow: parseFloat(document.getElementById('compliance-shallow').value) || 0,
+        intakes: readComplianceIntakes()
+    };
+
+    const result = evaluateCompliance(doses, profile, category);
+    if (result.error) {
+        resultElement.innerHTML = `<p class="text-red-700 text-sm">${result.error}</p>`;
+        return;
+    }
+
+    const color = result.status.rule ? COMPLIANCE_LEVELS[result.status.level].color : 'green';
+    const formatValue = (quantity, value) => quantity === 'aliFraction' ? value.toFixed(3) : `${formatSignificant(value)} mSv`;
+    const rows = result.findings.map(finding => `
+        <tr class="${finding.triggered ? 'bg-' + COMPLIANCE_LEVELS[finding.rule.level].color + '-50 font-semibold' : ''}">
+            <td class="p-2 border-t border-stone-200">${finding.triggered ? '⚠️' : '✓'}</td>
+            <td class="p-2 border-t border-stone-200">${escapeHtml(finding.rule.label)}<div class="text-xs text-stone-500 font-normal">${escapeHtml(finding.rule.citation)}</div></td>
+            <td class="p-2 border-t border-stone-200">${COMPLIANCE_LEVELS[finding.rule.level].name}</td>
+            <td class="p-2 border-t border-stone-200 whitespace-nowrap">${formatValue(finding.rule.quantity, finding.value)} / ${formatValue(finding.rule.quantity, finding.rule.threshold)}</td>
+        </tr>
+    `).join('');
+
+    resultElement.innerHTML = `
+        <div class="bg-${color}-50 border-l-4 border-${color}-500 p-3 rounded mb-3">
+            <p class="font-bold text-${color}-800">${result.status.label}</p>
+            <p class="text-sm text-${color}-700">${result.status.rule
+                ? `Triggered by: ${escapeHtml(result.status.rule.label)} (${escapeHtml(result.status.rule.citation)})`
+                : 'No rule in this profile was triggered.'}</p>
+        </div>
+        <p class="text-sm mb-1"><strong>Total effective dose:</strong> ${formatSignificant(result.quantities.total)} mSv
+            (external ${formatSignificant(result.quantities.external)} mSv + internal ${formatSignificant(result.quantities.internal)} mSv)</p>
+        ${Object.keys(profile.alis).length > 0 ? `<p class="text-sm mb-3"><strong>Sum of ALI fractions:</strong> ${result.quantities.aliFraction.toFixed(3)}</p>` : ''}
+        ${result.warnings.map(warning => `<p class="text-xs text-amber-700">${escapeHtml(warning)}</p>`).join('')}
+        <div class="overflow-x-auto mt-3">
+            <table class="w-full text-sm">
+                <thead><tr class="text-left text-stone-600"><th class="p-2"></th><th class="p-2">Rule</th><th class="p-2">Level</th><th class="p-2">Value / Threshold</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Read a site profile JSON file chosen by the user
+ * @param {Event} event - File input change event
+ */
+function handleSiteProfileImport(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const data = JSON.parse(reader.result);
+            siteComplianceProfile = buildSiteProfile(data);
+            writeProgressData('compliance-site-profile', data);
+            populateComplianceProfiles();
+            document.getElementById('compliance-profile').value = 'site';
+            populateComplianceCategories();
+            refreshComplianceIntakeOptions();
+            updateComplianceChecker();
+        } catch (error) {
+            alert(`Could not load site profile: ${error.message}`);
+        }
+        event.target.value = '';
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Fill worked-example callouts marked with data-compliance-ced from the engine instead of hard-coded text
+ */
+function renderComplianceExamples() {
+    document.querySelectorAll('[data-compliance-ced]').forEach(element => {
+        const ced = parseFloat(element.dataset.complianceCed);
+        const profile = REGULATORY_PROFILES[element.dataset.complianceProfile || '10cfr20'];
+        const result = evaluateCompliance({ external: 0, lens: 0, shallow: 0, intakes: [{ nuclide: '', aliBasis: '', intakeBq: NaN, ced }] }, profile, 'adult');
+        const limit = result.findings.find(finding => finding.rule.level === 'limit' && finding.rule.quantity === 'total');
+        const triggered = result.findings.filter(finding => finding.triggered && finding.rule.quantity !== 'aliFraction');
+
+        element.innerHTML = `<strong>Regulatory Context (${profile.name}):</strong> A committed effective dose of ${formatSignificant(ced)} mSv is `
+            + (limit.triggered ? `above the ${limit.rule.threshold} mSv annual limit (${limit.rule.citation})` : `below the ${limit.rule.threshold} mSv annual limit (${limit.rule.citation})`)
+            + (triggered.length > 0 && !limit.triggered
+                ? ` but reaches: ${triggered.map(finding => `${finding.rule.label} (${finding.rule.citation})`).join('; ')}.`
+                : '.');
+    });
+}
@@ -0,0 +1,199 @@
+/**
+ * Decision Level and MDA Calculator for Internal Dosimetry Learning Platform
+ * Currie (1968) critical level, detection limit and minimum detectable activity for counted bioassay samples
+ * Last Updated: October 19, 2026
+ */
+
+// One-sided 95% confidence (α = β = 0.05)
+const CURRIE_K = 1.645;
+
+// Blank treatment options
+const DETECTION_VARIANTS = {
+    'well-known': {
+        label: 'Currie, well-known blank',
+        description: 'Background mean known with negligible uncertainty (long or repeated background counts). L_C = k√B, L_D = k² + 2k√B.'
+    },
+    'paired': {
+        label: 'Paired blank',
+        description: 'Background taken from a single blank counted alongside the sample. Equal count times give L_C = k√(2B), L_D = k² + 2k√(2B); unequal times scale by (1 + t_s/t_b).'
+    }
+};
+
+/**
+ * Calculate Currie decision level, detection limit and MDA
+ * @param {object} inputs - { backgroundCounts, backgroundTime, sampleTime (minutes), efficiency, chemicalYield (fractions), volume (L, or null for per sample) }
+ * @param {string} variant - Key of DETECTION_VARIANTS
+ * @returns {object} - { expectedBackground, backgroundVariance, criticalCounts, detectionCounts, decisionLevel, mda, unit, conversion } or { error }
+ */
+function calculateDetectionLimits(inputs, variant) {
+    const { backgroundCounts, backgroundTime, sampleTime, efficiency, chemicalYield, volume } = inputs;
+
+    if (!DETECTION_VARIANTS[variant]) {
+        return { error: 'Select a blank treatment.' };
+    }
+    if (!(backgroundCounts >= 0)) {
+        return { error: 'Enter the background counts (zero or more).' };
+    }
+    if (!(backgroundTime > 0) || !(sampleTime > 0)) {
+        return { error: 'Count times must be greater than zero.' };
+    }
+    if (!(efficiency > 0 && efficiency <= 1) || !(chemicalYield > 0 && chemicalYield <= 1)) {
+        return { error: 'Efficiency and chemical yield must be fractions between 0 and 1.' };
+    }
+    if (volume !== null && !(volume > 0)) {
+        return { error: 'Enter a sample volume greater than zero, or report per sample.' };
+    }
+
+    // Background counts expected in the sample count time
+    const expectedBackground = backgroundCounts * sampleTime / backgroundTime;
+    const varianceFactor = variant === 'paired' ? 1 + sampleTime / backgroundTime : 1;
+    const criticalCounts = CURRIE_K * Math.sqrt(expectedBackground * varianceFactor);
+    const detectionCounts = CURRIE_K * CURRIE_K + 2 * criticalCounts;
+
+    // Counts → Bq: divide by efficiency, yield and count time in seconds (and volume for a concentration)
+    const conversion = 1 / (efficiency * chemicalYield * sampleTime * 60 * (volume || 1));
+
+    return {
+        expectedBackground,
+        backgroundVariance: expectedBackground * (varianceFactor - 1),
+        criticalCounts,
+        detectionCounts,
+        decisionLevel: criticalCounts * conversion,
+        mda: detectionCounts * conversion,
+        unit: volume ? 'Bq/L' : 'Bq/sample',
+        conversion
+    };
+}
+
+/**
+ * Classify a gross sample count against the decision level and MDA
+ * @param {number} grossCounts - Gross counts in the sample count time
+ * @param {object} limits - Output of calculateDetectionLimits()
+ * @returns {object} - { netCounts, netActivity, uncertainty, classification, label } or { error }
+ */
+function classifyGrossResult(grossCounts, limits) {
+    if (!(grossCounts >= 0)) {
+        return { error: 'Enter the gross sample counts (zero or more).' };
+    }
+
+    const netCounts = grossCounts - limits.expectedBackground;
+    // Poisson variance of the gross count plus that of the subtracted background (zero for a well-known blank)
+    const netSigma = Math.sqrt(grossCounts + limits.backgroundVariance);
+
+    let classification;
+    let label;
+    if (netCounts <= limits.criticalCounts) {
+        classification = 'below-dl';
+        label = 'Below decision level: not detected';
+    } else if (netCounts < limits.detectionCounts) {
+        classification = 'detected';
+        label = 'Detected: above the decision level but below the MDA';
+    } else {
+        classification = 'above-mda';
+        label = 'Detected: at or above the MDA';
+    }
+
+    return {
+        netCounts,
+        netActivity: netCounts * limits.conversion,
+        uncertainty: netSigma * limits.conversion,
+        classification,
+        label
+    };
+}
+
+/**
+ * Initialize the detection limit calculator controls on the page
+ * Expects the calculator markup (ids prefixed with "dl-") to be present
+ */
+function initializeDetectionLimitCalculator() {
+    const variantSelect = document.getElementById('dl-variant');
+    if (!variantSelect) return;
+
+    variantSelect.innerHTML = Object.entries(DETECTION_VARIANTS)
+        .map(([key, variant]) => `<option value="${key}">${variant.label}</option>`)
+        .join('');
+    variantSelect.value = 'paired';
+
+    variantSelect.addEventListener('change', updateDetectionLimitCalculator);
+    document.getElementById('dl-basis').addEventListener('change', updateDetectionLimitCalculator);
+    ['dl-background', 'dl-background-time', 'dl-sample-time', 'dl-efficiency', 'dl-yield', 'dl-volume', 'dl-gross'].forEach(id => {
+        document.getElementById(id).addEventListener('input', updateDetectionLimitCalculator);
+    });
+
+    updateDetectionLimitCalculator();
+}
+
+/**
+ * Read the calculator inputs from the page
+ * @returns {object} - Inputs for calculateDetectionLimits()
+ */
+function readDetectionLimitInputs() {
+    const perVolume = document.getElementById('dl-basis').value === 'volume';
+    return {
+        backgroundCounts: parseFloat(document.getElementById('dl-background').value),
+        backgroundTime: parseFloat(document.getElementById('dl-background-time').value),
+        sampleTime: parseFloat(document.getElementById('dl-sample-time').value),
+        efficiency: parseFloat(document.getElementById('dl-efficiency').value) / 100,
+        chemicalYield: parseFloat(document.getElementById('dl-yield').value) / 100,
+        volume: perVolume ? parseFloat(document.getElementById('dl-volume').value) : null
+    };
+}
+
+/**
+ * Recalculate and display the decision level, MDA and classification
+ */
+function updateDetectionLimitCalculator() {
+    const variant = document.getElementById('dl-variant').value;
+    const inputs = readDetectionLimitInputs();
+    const resultElement = document.getElementById('dl-result');
+
+    document.getElementById('dl-volume-wrapper').style.display = inputs.volume === null ? 'none' : '';
+    document.getElementById('dl-variant-note').textContent = DETECTION_VARIANTS[variant].description;
+
+    const limits = calculateDetectionLimits(inputs, variant);
+    if (limits.error) {
+        resultElement.innerHTML = `<p class="text-red-700 text-sm">${limits.error}</p>`;
+        return;
+    }
+
+    const grossInput = document.getElementById('dl-gross').value;
+    const gross = grossInput === '' ? null : classifyGrossResult(parseFloat(grossInput), limits);
+    const classColors = { 'below-dl': 'stone', 'detected': 'yellow', 'above-mda': 'green' };
+
+    let grossHtml = '<p class="text-sm text-stone-500 mt-3">Enter gross sample counts to classify a result.</p>';
+    if (gross && gross.error) {
+        grossHtml = `<p class="text-red-700 text-sm mt-3">${gross.error}</p>`;
+    } else if (gross) {
+        const color = classColors[gross.classification];
+        grossHtml = `
+            <div class="bg-${color}-50 border-l-4 border-${color}-500 p-3 rounded mt-3">
+                <p class="font-bold text-${color}-800">${gross.label}</p>
+                <p class="text-sm text-${color}-700">Net counts ${gross.netCounts.toFixed(1)} vs L_C ${limits.criticalCounts.toFixed(1)} and L_D ${limits.detectionCounts.toFixed(1)}</p>
+                <p class="text-sm text-${color}-700">Net activity ${formatSignificant(gross.netActivity)} ± ${formatSignificant(gross.uncertainty)} ${limits.unit} (1σ counting)</p>
+            </div>
+        `;
+    }
+
+    resultElement.innerHTML = `
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <div class="bg-yellow-50 p-3 rounded border border-yellow-200">
+                <h5 class="font-semibold text-yellow-800 text-sm">Critical Level L_C</h5>
+                <p class="text-xl font-bold text-yellow-900">${limits.criticalCounts.toFixed(1)} counts</p>
+                <p class="text-xs text-yellow-700">Decision level ${formatSignificant(limits.decisionLevel)} ${limits.unit}</p>
+            </div>
+            <div class="bg-orange-50 p-3 rounded border border-orange-200">
+                <h5 class="font-semibold text-orange-800 text-sm">Detection Limit L_D</h5>
+                <p class="text-xl font-bold text-orange-900">${limits.detectionCounts.toFixed(1)} counts</p>
+                <p class="text-xs text-orange-700">k² + 2 L_C with k = ${CURRIE_K}</p>
+            </div>
+            <div class="bg-green-50 p-3 rounded border border-green-200">
+                <h5 class="font-semibold text-green-800 text-sm">MDA</h5>
+                <p class="text-xl font-bold text-green-900">${formatSignificant(limits.mda)} ${limits.unit}</p>
+                <p class="text-xs text-green-700">L_D / (ε × Y × t_s${inputs.volume ? ' × V' : ''})</p>
+            </div>
+        </div>
+        <p class="text-xs text-stone-600 mt-2">Expected background in the sample count time: ${limits.expectedBackground.toFixed(1)} counts.</p>
+        ${grossHtml}
+    `;
+}
@@ -0,0 +1,179 @@
+/**
+ * Committed Effective Dose Calculator for Internal Dosimetry Learning Platform
+ * Applies CED = I × e(τ) using the coefficient library in dose-coefficients.js
+ * Last Updated: October 19, 2026
+ */
+
+// Selection steps, in the order the learner narrows down a coefficient
+const DOSE_CALC_FIELDS = [
+    { key: 'nuclide', label: 'Radionuclide' },
+    { key: 'source', label: 'Coefficient Set', format: value => DOSE_COEFFICIENT_LIBRARY.sources[value].label },
+    { key: 'route', label: 'Intake Route', format: value => value.charAt(0).toUpperCase() + value.slice(1) },
+    { key: 'age', label: 'Age at Intake', format: value => value.charAt(0).toUpperCase() + value.slice(1) },
+    { key: 'type', label: 'Absorption Type', format: value => value.length === 1 ? `Type ${value}` : value },
+    { key: 'amad', label: 'AMAD', format: value => `${value} μm` },
+    { key: 'f1', label: 'GI Absorption (f₁ / f_A)', format: value => String(value) }
+];
+
+/**
+ * Calculate committed effective dose
+ * @param {number} intake - Intake in Bq
+ * @param {object} coefficient - Entry from getDoseCoefficient()
+ * @returns {object} - { doseSv, doseMSv } or { error }
+ */
+function calculateCommittedDose(intake, coefficient) {
+    if (!coefficient) {
+        return { error: 'Select a complete set of options to choose a dose coefficient.' };
+    }
+    if (!(intake > 0)) {
+        return { error: 'Enter an intake greater than zero.' };
+    }
+    const doseSv = intake * coefficient.value;
+    return { doseSv, doseMSv: doseSv * 1000 };
+}
+
+/**
+ * Initialize the dose calculator controls on the page
+ * Expects the calculator markup (ids prefixed with "dose-calc-") to be present
+ */
+function initializeDoseCalculator() {
+    const container = document.getElementById('dose-calc-fields');
+    if (!container) return;
+
+    loadImportedDoseCoefficients();
+
+    container.innerHTML = DOSE_CALC_FIELDS.map(field => `
+        <div id="dose-calc-${field.key}-wrapper">
+            <label for="dose-calc-${field.key}" class="block text-sm font-medium text-stone-700 mb-1">${field.label}</label>
+            <select id="dose-calc-${field.key}" data-field="${field.key}" class="w-full px-3 py-2 border border-stone-300 rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500"></select>
+        </div>
+    `).join('');
+
+    DOSE_CALC_FIELDS.forEach((field, index) => {
+        document.getElementById(`dose-calc-${field.key}`).addEventListener('change', () => {
+            refreshDoseCalcOptions(index + 1);
+            updateDoseCalculator();
+        });
+    });
+    document.getElementById('dose-calc-intake').addEventListener('input', updateDoseCalculator);
+    document.getElementById('dose-calc-import').addEventListener('change', handleDoseCoefficientImport);
+
+    refreshDoseCalcOptions(0);
+    selectDoseCalcDefaults({ nuclide: 'Pu-239', source: 'icrp-68', route: 'inhalation', type: 'S', amad: 1 });
+    updateDoseCalculator();
+}
+
+/**
+ * Apply a preset selection, refreshing dependent dropdowns as it goes
+ * @param {object} defaults - Field values to select where available
+ */
+function selectDoseCalcDefaults(defaults) {
+    DOSE_CALC_FIELDS.forEach((field, index) => {
+        const select = document.getElementById(`dose-calc-${field.key}`);
+        if (defaults[field.key] !== undefined && Array.from(select.options).some(o => o.value === JSON.stringify(defaults[field.key]))) {
+            select.value = JSON.stringify(defaults[field.key]);
+            refreshDoseCalcOptions(index + 1);
+        }
+    });
+}
+
+/**
+ * Read the criteria selected in the first `count` dropdowns
+ * @param {number} count - Number of fields to read
+ * @returns {object} - Criteria for findDoseCoefficients()
+ */
+function readDoseCalcCriteria(count = DOSE_CALC_FIELDS.length) {
+    const criteria = {};
+    DOSE_CALC_FIELDS.slice(0, count).forEach(field => {
+        const select = document.getElementById(`dose-calc-${field.key}`);
+        if (select.value !== '') {
+            criteria[field.key] = JSON.parse(select.value);
+        }
+    });
+    return criteria;
+}
+
+/**
+ * Rebuild dropdowns from `startIndex` onward so only combinations present in the library can be chosen
+ * Fields that do not apply (e.g. AMAD for ingestion) are hidden
+ * @param {number} startIndex - First field to rebuild
+ */
+function refreshDoseCalcOptions(startIndex) {
+    for (let index = startIndex; index < DOSE_CALC_FIELDS.length; index++) {
+        const field = DOSE_CALC_FIELDS[index];
+        const select = document.getElementById(`dose-calc-${field.key}`);
+        const previous = select.value;
+        const matches = findDoseCoefficients(readDoseCalcCriteria(index));
+        const values = [...new Set(matches.map(entry => entry[field.key]).filter(value => value !== undefined).map(value => JSON.stringify(value)))];
+
+        const applicable = values.some(value => value !== 'null');
+        document.getElementById(`dose-calc-${field.key}-wrapper`).style.display = applicable ? '' : 'none';
+
+        select.innerHTML = '';
+        values.forEach(value => {
+            const parsed = JSON.parse(value);
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = parsed === null ? 'Not applicable' : (field.format ? field.format(parsed) : parsed);
+            select.appendChild(option);
+        });
+        if (values.includes(previous)) {
+            select.value = previous;
+        }
+    }
+}
+
+/**
+ * Recalculate and display the committed effective dose for the current selection
+ */
+function updateDoseCalculator() {
+    const intake = parseFloat(document.getElementById('dose-calc-intake').value);
+    const coefficient = getDoseCoefficient(readDoseCalcCriteria());
+    const resultElement = document.getElementById('dose-calc-result');
+    const provenanceElement = document.getElementById('dose-calc-provenance');
+
+    const result = calculateCommittedDose(intake, coefficient);
+    if (result.error) {
+        resultElement.innerHTML = `<p class="text-red-700 text-sm">${result.error}</p>`;
+        provenanceElement.innerHTML = '';
+        return;
+    }
+
+    resultElement.innerHTML = `
+        <p class="font-mono text-lg">CED = ${formatSignificant(intake)} Bq × ${formatSignificant(coefficient.value)} Sv/Bq</p>
+        <p class="font-bold text-2xl text-purple-700 mt-2">CED = ${formatSignificant(result.doseMSv)} mSv</p>
+        <p class="text-sm text-stone-600">(${formatSignificant(result.doseSv)} Sv)</p>
+    `;
+
+    const provenance = coefficient.provenance;
+    provenanceElement.innerHTML = `
+        <p><strong>Coefficient:</strong> e(${provenance.integration === '50 years' ? '50' : 'τ'}) = ${formatSignificant(coefficient.value)} Sv/Bq${coefficient.imported ? ' (imported)' : ''}</p>
+        <p><strong>Source:</strong> ${provenance.citation}${coefficient.publication ? ` (${coefficient.publication})` : ''}</p>
+        <p><strong>Population:</strong> ${provenance.population}; <strong>integration period:</strong> ${provenance.integration}</p>
+        <p><strong>Framework:</strong> ${provenance.era}</p>
+        <p><strong>Library:</strong> v${DOSE_COEFFICIENT_LIBRARY.version} (${DOSE_COEFFICIENT_LIBRARY.updated})</p>
+    `;
+}
+
+/**
+ * Read a JSON coefficient set chosen by the user and add it to the library
+ * @param {Event} event - File input change event
+ */
+function handleDoseCoefficientImport(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const count = importDoseCoefficients(JSON.parse(reader.result));
+            refreshDoseCalcOptions(0);
+            updateDoseCalculator();
+            alert(`Imported ${count} dose coefficients.`);
+        } catch (error) {
+            alert(`Could not import coefficients: ${error.message}`);
+        }
+        event.target.value = '';
+    };
+    reader.readAsText(file);
+}
@@ -0,0 +1,254 @@
+/**
+ * Dose Coefficient Library for Internal Dosimetry Learning Platform
+ * Committed effective dose per unit intake, e(τ) in Sv/Bq, with provenance for every value
+ * Last Updated: October 19, 2026
+ */
+
+// Library metadata and citation for every coefficient set
+const DOSE_COEFFICIENT_LIBRARY = {
+    version: '2.0.0',
+    updated: '2026-10-19',
+    sources: {
+        'icrp-68': {
+            label: 'ICRP 68 (Workers)',
+            citation: 'ICRP Publication 68 (1994): Dose Coefficients for Intakes of Radionuclides by Workers, Annex B',
+            population: 'Adult worker',
+            integration: '50 years',
+            era: 'ICRP 60 / HRTM (ICRP 66)'
+        },
+        'icrp-72': {
+            label: 'ICRP 72 (Members of the Public)',
+            citation: 'ICRP Publication 72 (1996): Age-dependent Doses to Members of the Public from Intake of Radionuclides, Part 5',
+            population: 'Member of the public, by age at intake',
+            integration: '50 years for adults, to age 70 for children',
+            era: 'ICRP 60 / HRTM (ICRP 66)'
+        },
+        // No OIR values are bundled; sites import a set checked against the publication tables
+        'oir': {
+            label: 'OIR (Occupational Intakes)',
+            citation: 'ICRP Publications 134, 137 and 141 (2016-2019): Occupational Intakes of Radionuclides, Parts 2-4',
+            population: 'Adult worker (reference male and female averaged)',
+            integration: '50 years',
+            era: 'ICRP 103 / revised HRTM (ICRP 130) and HATM'
+        }
+    }
+};
+
+// Coefficient entries; inhalation entries give absorption type and AMAD (μm), ingestion entries give f₁ (f_A in OIR)
+// Only values checked against the printed ICRP tables are bundled; OIR coefficients are imported per site
+const DOSE_COEFFICIENTS = [
+    // ICRP 68 - inhalation
+    { nuclide: 'H-3', source: 'icrp-68', route: 'inhalation', type: 'HTO vapour', amad: null, age: 'adult', value: 1.8e-11 },
+    { nuclide: 'Co-60', source: 'icrp-68', route: 'inhalation', type: 'M', amad: 1, age: 'adult', value: 9.6e-9 },
+    { nuclide: 'Co-60', source: 'icrp-68', route: 'inhalation', type: 'M', amad: 5, age: 'adult', value: 7.1e-9 },
+    { nuclide: 'Co-60', source: 'icrp-68', route: 'inhalation', type: 'S', amad: 1, age: 'adult', value: 2.9e-8 },
+    { nuclide: 'Co-60', source: 'icrp-68', route: 'inhalation', type: 'S', amad: 5, age: 'adult', value: 1.7e-8 },
+    { nuclide: 'Sr-90', source: 'icrp-68', route: 'inhalation', type: 'F', amad: 1, age: 'adult', value: 2.4e-8 },
+    { nuclide: 'Sr-90', source: 'icrp-68', route: 'inhalation', type: 'F', amad: 5, age: 'adult', value: 3.0e-8 },
+    { nuclide: 'Sr-90', source: 'icrp-68', route: 'inhalation', type: 'S', amad: 1, age: 'adult', value: 1.5e-7 },
+    { nuclide: 'Sr-90', source: 'icrp-68', route: 'inhalation', type: 'S', amad: 5, age: 'adult', value: 7.7e-8 },
+    { nuclide: 'I-131', source: 'icrp-68', route: 'inhalation', type: 'F', amad: 1, age: 'adult', value: 7.6e-9 },
+    { nuclide: 'I-131', source: 'icrp-68', route: 'inhalation', type: 'F', amad: 5, age: 'adult', value: 1.1e-8 },
+    { nuclide: 'Cs-137', source: 'icrp-68', route: 'inhalation', type: 'F', amad: 1, age: 'adult', value: 4.8e-9 },
+    { nuclide: 'Cs-137', source: 'icrp-68', route: 'inhalation', type: 'F', amad: 5, age: 'adult', value: 6.7e-9 },
+    { nuclide: 'U-238', source: 'icrp-68', route: 'inhalation', type: 'F', amad: 1, age: 'adult', value: 4.9e-7 },
+    { nuclide: 'U-238', source: 'icrp-68', route: 'inhalation', type: 'F', amad: 5, age: 'adult', value: 5.8e-7 },
+    { nuclide: 'U-238', source: 'icrp-68', route: 'inhalation', type: 'M', amad: 1, age: 'adult', value: 2.6e-6 },
+    { nuclide: 'U-238', source: 'icrp-68', route: 'inhalation', type: 'M', amad: 5, age: 'adult', value: 1.6e-6 },
+    { nuclide: 'U-238', source: 'icrp-68', route: 'inhalation', type: 'S', amad: 1, age: 'adult', value: 7.3e-6 },
+    { nuclide: 'U-238', source: 'icrp-68', route: 'inhalation', type: 'S', amad: 5, age: 'adult', value: 5.7e-6 },
+    { nuclide: 'Pu-239', source: 'icrp-68', route: 'inhalation', type: 'M', amad: 1, age: 'adult', value: 4.7e-5 },
+    { nuclide: 'Pu-239', source: 'icrp-68', route: 'inhalation', type: 'M', amad: 5, age: 'adult', value: 3.2e-5 },
+    { nuclide: 'Pu-239', source: 'icrp-68', route: 'inhalation', type: 'S', amad: 1, age: 'adult', value: 1.5e-5 },
+    { nuclide: 'Pu-239', source: 'icrp-68', route: 'inhalation', type: 'S', amad: 5, age: 'adult', value: 8.3e-6 },
+    { nuclide: 'Am-241', source: 'icrp-68', route: 'inhalation', type: 'M', amad: 1, age: 'adult', value: 3.9e-5 },
+    { nuclide: 'Am-241', source: 'icrp-68', route: 'inhalation', type: 'M', amad: 5, age: 'adult', value: 2.7e-5 },
+
+    // ICRP 68 - ingestion
+    { nuclide: 'H-3', source: 'icrp-68', route: 'ingestion', f1: 1, age: 'adult', value: 1.8e-11 },
+    { nuclide: 'Co-60', source: 'icrp-68', route: 'ingestion', f1: 0.1, age: 'adult', value: 3.4e-9 },
+    { nuclide: 'Co-60', source: 'icrp-68', route: 'ingestion', f1: 0.05, age: 'adult', value: 2.5e-9 },
+    { nuclide: 'Sr-90', source: 'icrp-68', route: 'ingestion', f1: 0.3, age: 'adult', value: 2.8e-8 },
+    { nuclide: 'Sr-90', source: 'icrp-68', route: 'ingestion', f1: 0.01, age: 'adult', value: 2.7e-9 },
+    { nuclide: 'I-131', source: 'icrp-68', route: 'ingestion', f1: 1, age: 'adult', value: 2.2e-8 },
+    { nuclide: 'Cs-137', source: 'icrp-68', route: 'ingestion', f1: 1, age: 'adult', value: 1.3e-8 },
+    { nuclide: 'U-238', source: 'icrp-68', route: 'ingestion', f1: 0.02, age: 'adult', value: 4.4e-8 },
+    { nuclide: 'U-238', source: 'icrp-68', route: 'ingestion', f1: 0.002, age: 'adult', value: 7.6e-9 },
+    { nuclide: 'Pu-239', source: 'icrp-68', route: 'ingestion', f1: 5e-4, age: 'adult', value: 2.5e-7 },
+    { nuclide: 'Pu-239', source: 'icrp-68', route: 'ingestion', f1: 1e-4, age: 'adult', value: 5.3e-8 },
+    { nuclide: 'Pu-239', source: 'icrp-68', route: 'ingestion', f1: 1e-5, age: 'adult', value: 9.0e-9 },
+    { nuclide: 'Am-241', source: 'icrp-68', route: 'ingestion', f1: 5e-4, age: 'adult', value: 2.0e-7 },
+
+    // ICRP 72 - ingestion by age at intake (f₁ is the age-specific ICRP 72 value)
+    { nuclide: 'I-131', source: 'icrp-72', route: 'ingestion', f1: 1, age: '3 months', value: 1.8e-7 },
+    { nuclide: 'I-131', source: 'icrp-72', route: 'ingestion', f1: 1, age: '1 year', value: 1.8e-7 },
+    { nuclide: 'I-131', source: 'icrp-72', route: 'ingestion', f1: 1, age: '5 years', value: 1.0e-7 },
+    { nuclide: 'I-131', source: 'icrp-72', route: 'ingestion', f1: 1, age: '10 years', value: 5.2e-8 },
+    { nuclide: 'I-131', source: 'icrp-72', route: 'ingestion', f1: 1, age: '15 years', value: 3.4e-8 },
+    { nuclide: 'I-131', source: 'icrp-72', route: 'ingestion', f1: 1, age: 'adult', value: 2.2e-8 },
+    { nuclide: 'Cs-137', source: 'icrp-72', route: 'ingestion', f1: 1, age: '3 months', value: 2.1e-8 },
+    { nuclide: 'Cs-137', source: 'icrp-72', route: 'ingestion', f1: 1, age: '1 year', value: 1.2e-8 },
+    { nuclide: 'Cs-137', source: 'icrp-72', route: 'ingestion', f1: 1, age: '5 years', value: 9.6e-9 },
+    { nuclide: 'Cs-137', source: 'icrp-72', route: 'ingestion', f1: 1, age: '10 years', value: 1.0e-8 },
+    { nuclide: 'Cs-137', source: 'icrp-72', route: 'ingestion', f1: 1, age: '15 years', value: 1.3e-8 },
+    { nuclide: 'Cs-137', source: 'icrp-72', route: 'ingestion', f1: 1, age: 'adult', value: 1.3e-8 },
+    { nuclide: 'Sr-90', source: 'icrp-72', route: 'ingestion', f1: 0.6, age: '3 months', value: 2.3e-7 },
+    { nuclide: 'Sr-90', source: 'icrp-72', route: 'ingestion', f1: 0.4, age: '1 year', value: 7.3e-8 },
+    { nuclide: 'Sr-90', source: 'icrp-72', route: 'ingestion', f1: 0.4, age: '5 years', value: 4.7e-8 },
+    { nuclide: 'Sr-90', source: 'icrp-72', route: 'ingestion', f1: 0.4, age: '10 years', value: 6.0e-8 },
+    { nuclide: 'Sr-90', source: 'icrp-72', route: 'ingestion', f1: 0.4, age: '15 years', value: 8.0e-8 },
+    { nuclide: 'Sr-90', source: 'icrp-72', route: 'ingestion', f1: 0.3, age: 'adult', value: 2.8e-8 }
+];
+
+// Fields that identify a coefficient; an imported entry with the same key replaces the bundled one
+const DOSE_COEFFICIENT_KEY_FIELDS = ['nuclide', 'source', 'route', 'age', 'type', 'amad', 'f1'];
+
+// Coefficients imported by the user, kept apart from the bundled set so a re-import can restore bundled values
+let importedDoseCoefficients = [];
+
+/**
+ * Build the identifying key for a coefficient entry
+ * @param {object} entry - Coefficient entry
+ * @returns {string} - Key combining nuclide, source, route, age, type, AMAD and f₁
+ */
+function getDoseCoefficientKey(entry) {
+    return DOSE_COEFFICIENT_KEY_FIELDS.map(field => JSON.stringify(entry[field] ?? null)).join('|');
+}
+
+/**
+ * Validate and normalize one imported coefficient
+ * @param {object} entry - Raw entry from the imported file
+ * @param {string} source - Source key the entry belongs to
+ * @param {number} index - Position in the file, for error messages
+ * @returns {object} - Normalized entry
+ * @throws {Error} - If a field is missing or has the wrong type
+ */
+function validateImportedCoefficient(entry, source, index) {
+    const where = `Entry ${index + 1}`;
+    const isLabel = value => typeof value === 'string' && /^[A-Za-z0-9 .()\-]{1,24}$/.test(value);
+
+    if (!entry || typeof entry !== 'object') {
+        throw new Error(`${where} is not an object.`);
+    }
+    if (typeof entry.nuclide !== 'string' || !/^[A-Z][a-z]?-\d{1,3}m?$/.test(entry.nuclide)) {
+        throw new Error(`${where}: nuclide must look like "Cs-137".`);
+    }
+    if (!['inhalation', 'ingestion'].includes(entry.route)) {
+        throw new Error(`${where}: route must be "inhalation" or "ingestion".`);
+    }
+    if (typeof entry.value !== 'number' || !Number.isFinite(entry.value) || entry.value <= 0) {
+        throw new Error(`${where}: value must be a positive number in Sv/Bq.`);
+    }
+    if (entry.age !== undefined && !isLabel(entry.age)) {
+        throw new Error(`${where}: age must be a short label such as "adult".`);
+    }
+
+    if (entry.publication !== undefined && !isLabel(entry.publication)) {
+        throw new Error(`${where}: publication must be a short label such as "ICRP 141".`);
+    }
+
+    const normalized = { nuclide: entry.nuclide, source, route: entry.route, age: entry.age || 'adult', value: entry.value };
+    if (entry.publication) normalized.publication = entry.publication;
+    if (entry.route === 'inhalation') {
+        if (!isLabel(entry.type)) {
+            throw new Error(`${where}: inhalation entries need an absorption type such as "M".`);
+        }
+        if (entry.amad !== undefined && entry.amad !== null && !(typeof entry.amad === 'number' && entry.amad > 0)) {
+            throw new Error(`${where}: amad must be a positive number in μm, or null for gases and vapours.`);
+        }
+        normalized.type = entry.type;
+        normalized.amad = entry.amad ?? null;
+    } else {
+        if (!(typeof entry.f1 === 'number' && entry.f1 > 0 && entry.f1 <= 1)) {
+            throw new Error(`${where}: ingestion entries need an f1 between 0 and 1.`);
+        }
+        normalized.f1 = entry.f1;
+    }
+    return normalized;
+}
+
+/**
+ * Load imported coefficient sets saved in the learner profile
+ * A saved set that no longer validates is discarded rather than half-applied
+ */
+function loadImportedDoseCoefficients() {
+    const saved = readProgressData('dose-coefficients-imported');
+    if (!saved) return;
+
+    try {
+        importedDoseCoefficients = saved.map((entry, index) => {
+            if (!DOSE_COEFFICIENT_LIBRARY.sources[entry.source]) {
+                throw new Error(`Entry ${index + 1} has an unknown source.`);
+            }
+            return { ...validateImportedCoefficient(entry, entry.source, index), imported: true };
+        });
+    } catch (error) {
+        console.warn('Discarding saved dose coefficients:', error.message);
+        importedDoseCoefficients = [];
+        removeProgressData('dose-coefficients-imported');
+    }
+}
+
+/**
+ * Import a coefficient set from JSON
+ * Expected shape: { source: 'oir', coefficients: [{ nuclide, publication, route, type, amad, f1, age, value }] }
+ * Entries replace any bundled coefficient with the same key and any earlier import for the same source
+ * @param {object} data - Parsed JSON coefficient set
+ * @returns {number} - Number of entries imported
+ * @throws {Error} - If the set references an unknown source, contains an invalid entry or repeats a key
+ */
+function importDoseCoefficients(data) {
+    if (!data || !DOSE_COEFFICIENT_LIBRARY.sources[data.source] || !Array.isArray(data.coefficients)) {
+        throw new Error('Coefficient set must name a known source and contain a coefficients array.');
+    }
+
+    const keys = new Set();
+    const entries = data.coefficients.map((entry, index) => {
+        const normalized = validateImportedCoefficient(entry, data.source, index);
+        const key = getDoseCoefficientKey(normalized);
+        if (keys.has(key)) {
+            throw new Error(`Entry ${index + 1} repeats an earlier entry for the same nuclide, route and parameters.`);
+        }
+        keys.add(key);
+        return { ...normalized, imported: true };
+    });
+
+    importedDoseCoefficients = importedDoseCoefficients
+        .filter(entry => entry.source !== data.source)
+        .concat(entries);
+    writeProgressData('dose-coefficients-imported', importedDoseCoefficients);
+    return entries.length;
+}
+
+/**
+ * Get the coefficients in effect: bundled entries not replaced by an import, plus all imported entries
+ * @returns {Array} - Active coefficient entries
+ */
+function getActiveDoseCoefficients() {
+    const importedKeys = new Set(importedDoseCoefficients.map(getDoseCoefficientKey));
+    return DOSE_COEFFICIENTS
+        .filter(entry => !importedKeys.has(getDoseCoefficientKey(entry)))
+        .concat(importedDoseCoefficients);
+}
+
+/**
+ * Find coefficient entries matching the given criteria
+ * @param {object} criteria - Any of { nuclide, source, route, type, amad, f1, age }
+ * @returns {Array} - Matching entries
+ */
+function findDoseCoefficients(criteria) {
+    return getActiveDoseCoefficients().filter(entry =>
+        Object.entries(criteria).every(([key, value]) => value === undefined || entry[key] === value)
+    );
+}
+
+/**
+ * Get a single dose coefficient with its provenance
+ * @param {object} criteria - { nuclide, source, route, type, amad, f1, age }
+ * @returns {object|null} - Entry merged with its source metadata, or null if not found
+ */
+function getDoseCoefficient(criteria) {
+    const matches = findDoseCoefficients(criteria);
+    if (matches.length !== 1) return null;
+    return { ...matches[0], provenance: DOSE_COEFFICIENT_LIBRARY.sources[matches[0].source] };
+}
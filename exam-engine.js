@@ -0,0 +1,398 @@
+/**
+ * Certification Practice Exam for Internal Dosimetry Learning Platform
+ * Draws a timed exam across the module question banks, holds answers back until submission,
+ * then scores by module and learning objective and lets the candidate review every question
+ * Last Updated: October 19, 2026
+ */
+
+const EXAM_STORAGE_KEY = 'exam-attempt';
+const EXAM_HISTORY_KEY = 'exam-history';
+const EXAM_HISTORY_LIMIT = 10;
+const EXAM_PASS_SCORE = 0.7;
+
+// Bar colours used for each module in the score breakdown
+const EXAM_MODULE_COLORS = {
+    'foundations': 'bg-amber-500',
+    'bioassay': 'bg-green-500',
+    'intake-assessment': 'bg-blue-500',
+    'dose-calculation': 'bg-purple-500'
+};
+
+// Current exam: { config: { count, minutes, banks }, questions: [{ bankId, id }], order, parameters, responses,
+// current, startedAt, endsAt, submittedAt } with times in ms since the epoch
+let examState = null;
+let examTimer = null;
+
+// Question index being reviewed after submission, or null while the results are shown
+let examReviewIndex = null;
+
+/**
+ * Draw exam questions round-robin across banks so every selected module is represented
+ * Question ids are the keys for answers, so a question whose id already appears in an earlier bank is skipped
+ * @param {Array} bankIds - Banks to draw from
+ * @param {number} count - Number of questions wanted
+ * @param {function} random - Uniform random number generator on [0, 1)
+ * @returns {Array} - [{ bankId, question }] in exam order
+ */
+function drawExamQuestions(bankIds, count, random = Math.random) {
+    const pools = bankIds.map(bankId => shuffleArray(getUsableQuizQuestions(QUIZ_BANKS[bankId]), random)
+        .map(question => ({ bankId, question })));
+    const seen = new Set();
+    const picked = [];
+    while (picked.length < count && pools.some(pool => pool.length)) {
+        pools.forEach(pool => {
+            if (picked.length >= count || !pool.length) return;
+            const entry = pool.shift();
+            if (seen.has(entry.question.id)) return;
+            seen.add(entry.question.id);
+            picked.push(entry);
+        });
+    }
+    return shuffleArray(picked, random);
+}
+
+/**
+ * Start a new exam
+ * @param {object} config - { count, minutes, banks }
+ * @param {Date} now - Start time
+ * @returns {object} - Exam state, or { error }
+ */
+function createExam(config, now = new Date()) {
+    if (!Array.isArray(config.banks) || config.banks.length === 0) return { error: 'Select at least one module.' };
+    if (!(config.minutes > 0)) return { error: 'Enter a time limit greater than zero.' };
+    if (!Number.isInteger(config.count) || config.count < 1) return { error: 'Choose how many questions to answer.' };
+
+    const picked = drawExamQuestions(config.banks, config.count);
+    const prepared = prepareQuizQuestions(picked.map(entry => entry.question));
+    return {
+        config,
+        questions: picked.map(entry => ({ bankId: entry.bankId, id: entry.question.id })),
+        order: prepared.order,
+        parameters: prepared.parameters,
+        responses: {},
+        current: 0,
+        startedAt: now.getTime(),
+        endsAt: now.getTime() + config.minutes * 60 * 1000,
+        submittedAt: null
+    };
+}
+
+function getExamQuestion(entry) {
+    return QUIZ_BANKS[entry.bankId].questions.find(question => question.id === entry.id);
+}
+
+/**
+ * Score a submitted exam overall, by module and by learning objective
+ * @param {object} exam - Exam state
+ * @returns {object} - { correct, total, score, passed, results: [{ bankId, question, correct }], modules, objectives }
+ */
+function scoreExam(exam) {
+    const results = exam.questions.map(entry => {
+        const question = getExamQuestion(entry);
+        return { bankId: entry.bankId, question, correct: gradeQuizResponse(question, exam.responses[entry.id], exam.parameters[entry.id]) };
+    });
+
+    // Break down in bank order so modules and their objectives read in course order
+    const modules = {};
+    const objectives = {};
+    const bankOrder = Object.keys(QUIZ_BANKS);
+    const sorted = results.slice().sort((a, b) => bankOrder.indexOf(a.bankId) - bankOrder.indexOf(b.bankId));
+    sorted.forEach(result => {
+        const bank = QUIZ_BANKS[result.bankId];
+        const module = modules[result.bankId] || (modules[result.bankId] = { label: bank.title, correct: 0, total: 0 });
+        module.total++;
+        if (result.correct) module.correct++;
+
+        const key = `${result.bankId}:${result.question.objective}`;
+        const label = (bank.objectives && bank.objectives[result.question.objective]) || 'Other';
+        const objective = objectives[key] || (objectives[key] = { bankId: result.bankId, label, correct: 0, total: 0 });
+        objective.total++;
+        if (result.correct) objective.correct++;
+    });
+
+    const correct = results.filter(result => result.correct).length;
+    const score = results.length ? correct / results.length : 0;
+    return { correct, total: results.length, score, passed: score >= EXAM_PASS_SCORE, results, modules, objectives };
+}
+
+function loadExam() {
+    const saved = readProgressData(EXAM_STORAGE_KEY);
+    const usable = saved && Array.isArray(saved.questions)
+        && saved.questions.every(entry => QUIZ_BANKS[entry.bankId] && getExamQuestion(entry));
+    return usable ? saved : null;
+}
+
+function saveExam() {
+    writeProgressData(EXAM_STORAGE_KEY, examState);
+}
+
+function loadExamHistory() {
+    const saved = readProgressData(EXAM_HISTORY_KEY);
+    return Array.isArray(saved) ? saved : [];
+}
+
+/**
+ * Initialize the exam page
+ * Expects #exam-setup, #exam-run and #exam-results; does nothing if they are absent
+ * An exam left in progress resumes, and one whose time ran out while the page was closed is submitted
+ */
+function initializeExam() {
+    const setup = document.getElementById('exam-setup');
+    if (!setup) return;
+
+    renderExamSetup();
+    document.getElementById('exam-config').addEventListener('submit', event => {
+        event.preventDefault();
+        startExam();
+    });
+    document.getElementById('exam-prev').addEventListener('click', () => moveExamQuestion(-1));
+    document.getElementById('exam-next').addEventListener('click', () => moveExamQuestion(1));
+    document.getElementById('exam-submit').addEventListener('click', () => {
+        if (examReviewIndex !== null) {
+            examReviewIndex = null;
+            showExamResults();
+        } else if (confirm('Submit your exam? You cannot change your answers afterwards.')) {
+            submitExam();
+        }
+    });
+    document.getElementById('exam-new').addEventListener('click', () => {
+        examState = null;
+        removeProgressData(EXAM_STORAGE_KEY);
+        showExamPanel('exam-setup');
+        renderExamSetup();
+    });
+
+    examState = loadExam();
+    if (!examState) {
+        showExamPanel('exam-setup');
+    } else if (examState.submittedAt) {
+        showExamResults();
+    } else if (Date.now() >= examState.endsAt) {
+        submitExam();
+    } else {
+        resumeExam();
+    }
+}
+
+function showExamPanel(id) {
+    ['exam-setup', 'exam-run', 'exam-results'].forEach(panel => {
+        document.getElementById(panel).classList.toggle('hidden', panel !== id);
+    });
+}
+
+/**
+ * Fill the module checkboxes and question counts, and list earlier results
+ */
+function renderExamSetup() {
+    const modules = document.getElementById('exam-modules');
+    modules.innerHTML = Object.values(QUIZ_BANKS).map(bank => `
+        <label class="flex items-center gap-2 text-sm text-stone-700">
+            <input type="checkbox" name="exam-bank" value="${escapeHtml(bank.id)}" checked class="rounded border-stone-300">
+            ${escapeHtml(bank.title)} <span class="text-stone-400">(${getUsableQuizQuestions(bank).length} questions)</span>
+        </label>
+    `).join('');
+
+    const available = Object.values(QUIZ_BANKS).reduce((sum, bank) => sum + getUsableQuizQuestions(bank).length, 0);
+    const countSelect = document.getElementById('exam-count');
+    countSelect.innerHTML = '';
+    [10, 20, 30].filter(count => count < available).forEach(count => countSelect.appendChild(new Option(`${count} questions`, count)));
+    countSelect.appendChild(new Option(`All available (${available})`, available));
+
+    const history = loadExamHistory();
+    document.getElementById('exam-history').innerHTML = history.length
+        ? history.slice().reverse().map(entry => `
+            <li class="flex justify-between">
+                <span>${escapeHtml(new Date(entry.submittedAt).toLocaleString())}</span>
+                <span class="${entry.passed ? 'text-green-700' : 'text-stone-600'} font-semibold">${entry.correct}/${entry.total} (${Math.round(entry.score * 100)}%)</span>
+            </li>
+        `).join('')
+        : '<li class="text-stone-500">No exams taken yet.</li>';
+}
+
+/**
+ * Read the setup form and begin the exam
+ */
+function startExam() {
+    const config = {
+        count: parseInt(document.getElementById('exam-count').value, 10),
+        minutes: parseFloat(document.getElementById('exam-minutes').value),
+        banks: Array.from(document.querySelectorAll('input[name="exam-bank"]:checked')).map(input => input.value)
+    };
+    const exam = createExam(config);
+    const errorElement = document.getElementById('exam-config-error');
+    if (exam.error) {
+        errorElement.textContent = exam.error;
+        return;
+    }
+    errorElement.textContent = '';
+    examState = exam;
+    saveExam();
+    resumeExam();
+}
+
+function resumeExam() {
+    examReviewIndex = null;
+    showExamPanel('exam-run');
+    clearInterval(examTimer);
+    examTimer = setInterval(updateExamTimer, 1000);
+    updateExamTimer();
+    renderExamQuestion();
+}
+
+/**
+ * Show the time left, submitting the exam when it runs out
+ */
+function updateExamTimer() {
+    const remaining = Math.max(0, examState.endsAt - Date.now());
+    const minutes = Math.floor(remaining / 60000);
+    const seconds = Math.floor((remaining % 60000) / 1000);
+    const timer = document.getElementById('exam-timer');
+    timer.textContent = `${minutes}:${String(seconds).padStart(2, '0')} left`;
+    timer.classList.toggle('text-red-600', remaining < 60000);
+    if (remaining === 0) submitExam();
+}
+
+/**
+ * Render the current question with the quiz engine, answers held back until submission
+ * After submission the same view shows the answer and explanation for review
+ */
+function renderExamQuestion() {
+    const reviewing = examReviewIndex !== null;
+    const index = reviewing ? examReviewIndex : examState.current;
+    const entry = examState.questions[index];
+    const question = getExamQuestion(entry);
+    const total = examState.questions.length;
+
+    quizConfig = {
+        storageKey: null,
+        heading: () => `Question ${index + 1} of ${total} · ${QUIZ_BANKS[entry.bankId].title}`,
+        deferFeedback: !reviewing,
+        readOnly: reviewing,
+        onSave: () => {
+            saveExam();
+            renderExamPalette();
+        }
+    };
+    // The engine reads and writes the exam's own answer maps; checked marks every question for feedback once submitted
+    quizState = {
+        bankId: entry.bankId,
+        questionIds: [entry.id],
+        order: examState.order,
+        parameters: examState.parameters,
+        responses: examState.responses,
+        checked: reviewing ? { [entry.id]: true } : {},
+        recorded: { [entry.id]: true },
+        current: 0,
+        finished: false
+    };
+    renderQuizQuestion(question);
+    if (!reviewing) saveExam();
+
+    document.getElementById('exam-progress').textContent = reviewing ? 'Reviewing your exam' : `Question ${index + 1} of ${total}`;
+    document.getElementById('exam-timer').classList.toggle('hidden', reviewing);
+    document.getElementById('exam-prev').disabled = index === 0;
+    document.getElementById('exam-next').disabled = index === total - 1;
+    document.getElementById('exam-submit').textContent = reviewing ? 'Back to Results' : 'Submit Exam';
+    renderExamPalette();
+}
+
+/**
+ * Numbered buttons for jumping between questions, marking answered (or, in review, correct) ones
+ */
+function renderExamPalette() {
+    const reviewing = examReviewIndex !== null;
+    const index = reviewing ? examReviewIndex : examState.current;
+    const results = reviewing ? scoreExam(examState).results : null;
+    const palette = document.getElementById('exam-palette');
+
+    palette.innerHTML = examState.questions.map((entry, position) => {
+        let style = 'border-stone-300 text-stone-600';
+        if (reviewing) style = results[position].correct ? 'border-green-500 bg-green-50 text-green-800' : 'border-red-500 bg-red-50 text-red-800';
+        else if (examState.responses[entry.id] !== undefined) style = 'border-orange-400 bg-orange-50 text-orange-800';
+        return `<button type="button" data-exam-question="${position}" class="w-9 h-9 border rounded text-sm ${style} ${position === index ? 'ring-2 ring-stone-700' : ''}" aria-label="Question ${position + 1}">${position + 1}</button>`;
+    }).join('');
+    palette.querySelectorAll('[data-exam-question]').forEach(button => {
+        button.addEventListener('click', () => goToExamQuestion(parseInt(button.dataset.examQuestion, 10)));
+    });
+
+    const answered = examState.questions.filter(entry => examState.responses[entry.id] !== undefined).length;
+    document.getElementById('exam-answered').textContent = reviewing ? '' : `${answered} of ${examState.questions.length} answered`;
+}
+
+function goToExamQuestion(index) {
+    if (examReviewIndex !== null) examReviewIndex = index;
+    else examState.current = index;
+    renderExamQuestion();
+}
+
+function moveExamQuestion(step) {
+    const index = (examReviewIndex !== null ? examReviewIndex : examState.current) + step;
+    if (index >= 0 && index < examState.questions.length) goToExamQuestion(index);
+}
+
+/**
+ * Close the exam, record it in the history and the review schedule, and show the results
+ */
+function submitExam() {
+    clearInterval(examTimer);
+    examTimer = null;
+    examState.submittedAt = Math.min(Date.now(), examState.endsAt);
+    saveExam();
+
+    const result = scoreExam(examState);
+    const history = loadExamHistory();
+    history.push({ submittedAt: examState.submittedAt, correct: result.correct, total: result.total, score: result.score, passed: result.passed });
+    writeProgressData(EXAM_HISTORY_KEY, history.slice(-EXAM_HISTORY_LIMIT));
+
+    // Missed exam questions join the spaced repetition schedule like missed module questions
+    if (typeof recordQuizReview === 'function') {
+        result.results.forEach(item => recordQuizReview(item.bankId, item.question.id, item.correct));
+    }
+    showExamResults();
+}
+
+/**
+ * Show the overall score, the module and objective breakdowns and the question list
+ */
+function showExamResults() {
+    showExamPanel('exam-results');
+    const result = scoreExam(examState);
+    const usedMinutes = Math.round((examState.submittedAt - examState.startedAt) / 60000);
+    const bar = (item, color) => {
+        const percent = Math.round(100 * item.correct / item.total);
+        return `
+            <div class="mb-3">
+                <div class="flex justify-between text-sm text-stone-700 mb-1">
+                    <span>${escapeHtml(item.label)}</span>
+                    <span class="font-semibold">${item.correct}/${item.total} (${percent}%)</span>
+                </div>
+                <div class="h-2 bg-stone-200 rounded"><div class="h-2 rounded ${color}" style="width: ${percent}%"></div></div>
+            </div>
+        `;
+    };
+
+    document.getElementById('exam-score').innerHTML = `
+        <div class="text-4xl font-bold ${result.passed ? 'text-green-700' : 'text-stone-800'}">${Math.round(result.score * 100)}%</div>
+        <p class="text-stone-600">${result.correct} of ${result.total} correct in ${usedMinutes} of ${examState.config.minutes} minutes.
+        ${result.passed ? 'Passed.' : `The pass mark is ${Math.round(EXAM_PASS_SCORE * 100)}%.`}</p>
+    `;
+    document.getElementById('exam-by-module').innerHTML = Object.entries(result.modules)
+        .map(([bankId, module]) => bar(module, EXAM_MODULE_COLORS[QUIZ_BANKS[bankId].module] || 'bg-stone-500')).join('');
+    document.getElementById('exam-by-objective').innerHTML = Object.values(result.objectives)
+        .map(objective => bar(objective, EXAM_MODULE_COLORS[QUIZ_BANKS[objective.bankId].module] || 'bg-stone-500')).join('');
+
+    const list = document.getElementById('exam-question-list');
+    list.innerHTML = result.results.map((item, index) => `
+        <li class="flex items-start gap-2 text-sm">
+            <span class="${item.correct ? 'text-green-600' : 'text-red-600'}">${item.correct ? '✓' : '✗'}</span>
+            <button type="button" data-exam-review="${index}" class="text-left text-stone-700 hover:underline">${index + 1}. ${renderQuizPrompt(item.question, examState.parameters[item.question.id])}</button>
+        </li>
+    `).join('');
+    list.querySelectorAll('[data-exam-review]').forEach(button => {
+        button.addEventListener('click', () => {
+            examReviewIndex = parseInt(button.dataset.examReview, 10);
+            showExamPanel('exam-run');
+            renderExamQuestion();
+        });
+    });
+}
@@ -0,0 +1,193 @@
+/**
+ * Feedback Dashboard for Internal Dosimetry Learning Platform
+ * Lists stored feedback, filters it by module, section, category and status, moves items through
+ * the triage states in FEEDBACK_STATUSES with reviewer notes, and exports the filtered set
+ * Last Updated: October 19, 2026
+ */
+
+const FEEDBACK_ADMIN_FILTERS = ['module', 'section', 'category', 'status'];
+
+/**
+ * Initialize the feedback dashboard
+ * Expects #feedback-admin-list and the #feedback-filter-* selects; does nothing if they are absent
+ */
+function initializeFeedbackAdmin() {
+    const list = document.getElementById('feedback-admin-list');
+    if (!list) return;
+
+    FEEDBACK_ADMIN_FILTERS.forEach(field => {
+        document.getElementById(`feedback-filter-${field}`).addEventListener('change', renderFeedbackAdmin);
+    });
+    document.getElementById('feedback-export-csv').addEventListener('click', () => downloadFeedbackExport('csv'));
+    document.getElementById('feedback-export-json').addEventListener('click', () => downloadFeedbackExport('json'));
+    document.getElementById('feedback-import').addEventListener('change', handleFeedbackImport);
+
+    // Status and notes save as soon as they change
+    list.addEventListener('change', event => {
+        const card = event.target.closest('[data-feedback-id]');
+        if (!card) return;
+        const id = feedbackStorage.feedback.find(item => String(item.id) === card.dataset.feedbackId)?.id;
+        const field = event.target.dataset.feedbackField;
+        const result = feedbackStorage.update(id, { [field]: event.target.value });
+        if (result.error) {
+            setFeedbackAdminStatus(result.error, true);
+            return;
+        }
+        setFeedbackAdminStatus(`Saved ${field === 'status' ? `status "${FEEDBACK_STATUSES[result.status].label}"` : 'notes'}.`);
+        renderFeedbackAdmin();
+    });
+
+    renderFeedbackAdmin();
+}
+
+/**
+ * Current filter selections; empty values mean "all"
+ * @returns {object} - { module, section, category, status }
+ */
+function getFeedbackAdminFilters() {
+    return Object.fromEntries(FEEDBACK_ADMIN_FILTERS.map(field => [field, document.getElementById(`feedback-filter-${field}`).value]));
+}
+
+function formatFeedbackFilterLabel(field, value) {
+    if (field === 'category') return FEEDBACK_CATEGORIES[value]?.label || value;
+    if (field === 'status') return FEEDBACK_STATUSES[value]?.label || value;
+    return value;
+}
+
+// Options come from the stored items so every module and section that has feedback can be selected
+function renderFeedbackFilterOptions(filters) {
+    FEEDBACK_ADMIN_FILTERS.forEach(field => {
+        const values = field === 'status'
+            ? Object.keys(FEEDBACK_STATUSES)
+            : [...new Set(feedbackStorage.feedback.map(item => item[field]).filter(Boolean))].sort();
+        if (filters[field] && !values.includes(filters[field])) values.push(filters[field]);
+        document.getElementById(`feedback-filter-${field}`).innerHTML = `<option value="">All</option>` + values.map(value => `
+            <option value="${escapeHtml(value)}"${value === filters[field] ? ' selected' : ''}>${escapeHtml(formatFeedbackFilterLabel(field, value))}</option>
+        `).join('');
+    });
+}
+
+/**
+ * Redraw the status counts and the list of items matching the filters
+ */
+function renderFeedbackAdmin() {
+    const filters = getFeedbackAdminFilters();
+    renderFeedbackFilterOptions(filters);
+
+    const counts = Object.entries(FEEDBACK_STATUSES).map(([status, info]) => {
+        const count = feedbackStorage.feedback.filter(item => item.status === status).length;
+        return `<span class="px-3 py-1 rounded-full text-xs font-medium bg-${info.color}-100 text-${info.color}-800">${escapeHtml(info.label)}: ${count}</span>`;
+    }).join('');
+    document.getElementById('feedback-admin-counts').innerHTML = counts;
+
+    const items = feedbackStorage.filter(filters)
+        .slice()
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    const list = document.getElementById('feedback-admin-list');
+    document.getElementById('feedback-admin-shown').textContent = `Showing ${items.length} of ${feedbackStorage.feedback.length} item${feedbackStorage.feedback.length === 1 ? '' : 's'}`;
+
+    if (items.length === 0) {
+        list.innerHTML = `<p class="text-stone-500 text-sm">${feedbackStorage.feedback.length ? 'No feedback matches these filters.' : 'No feedback has been stored in this browser. Import a feedback file or the feedback server queue file.'}</p>`;
+        return;
+    }
+    list.innerHTML = items.map(renderFeedbackAdminItem).join('');
+}
+
+/**
+ * One feedback item with its status select and notes
+ * @param {object} item - Feedback entry
+ * @returns {string} - Card markup
+ */
+function renderFeedbackAdminItem(item) {
+    const category = FEEDBACK_CATEGORIES[item.category];
+    const status = FEEDBACK_STATUSES[item.status] || FEEDBACK_STATUSES.pending;
+    const id = escapeHtml(String(item.id));
+    return `
+        <article data-feedback-id="${id}" class="bg-white rounded-lg shadow p-4 border-l-4 border-${status.color}-400">
+            <div class="flex flex-wrap justify-between gap-2 text-xs text-stone-500 mb-2">
+                <span>${category ? category.icon : '💬'} <strong class="text-stone-700">${escapeHtml(category ? category.label : item.category)}</strong> · ${escapeHtml(item.module)} › ${escapeHtml(item.section)}</span>
+                <span>${escapeHtml(new Date(item.timestamp).toLocaleString())}${item.userEmail ? ` · ${escapeHtml(item.userEmail)}` : ''}</span>
+            </div>
+            ${item.anchor ? `
+            <blockquote class="border-l-4 border-amber-400 bg-amber-50 px-3 py-2 text-sm text-stone-700 italic mb-2">“${escapeHtml(item.anchor.exact)}”</blockquote>
+            <a href="${escapeHtml(`${item.module}.html#feedback-${encodeURIComponent(item.id)}`)}" class="inline-block text-xs text-orange-600 hover:text-orange-700 mb-2">Show on page →</a>` : ''}
+            <p class="text-sm text-stone-800 whitespace-pre-wrap mb-3">${escapeHtml(item.message)}</p>
+            <div class="grid md:grid-cols-4 gap-3">
+                <div>
+                    <label for="feedback-status-${id}" class="block text-xs font-medium text-stone-700 mb-1">Status</label>
+                    <select id="feedback-status-${id}" data-feedback-field="status" class="w-full px-2 py-1 border border-stone-300 rounded-md text-sm">
+                        ${Object.entries(FEEDBACK_STATUSES).map(([value, info]) => `<option value="${value}"${value === item.status ? ' selected' : ''}>${escapeHtml(info.label)}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="md:col-span-3">
+                    <label for="feedback-notes-${id}" class="block text-xs font-medium text-stone-700 mb-1">Reviewer notes</label>
+                    <textarea id="feedback-notes-${id}" data-feedback-field="notes" rows="2" class="w-full px-2 py-1 border border-stone-300 rounded-md text-sm">${escapeHtml(item.notes || '')}</textarea>
+                </div>
+            </div>
+            ${item.reviewedAt ? `<p class="text-xs text-stone-400 mt-2">Last reviewed ${escapeHtml(new Date(item.reviewedAt).toLocaleString())}</p>` : ''}
+        </article>
+    `;
+}
+
+function setFeedbackAdminStatus(message, isError = false) {
+    const status = document.getElementById('feedback-admin-status');
+    status.className = `text-xs mt-2 ${isError ? 'text-red-700' : 'text-green-700'}`;
+    status.textContent = message;
+}
+
+/**
+ * Download the filtered feedback as CSV or JSON
+ * @param {string} format - 'csv' or 'json'
+ */
+function downloadFeedbackExport(format) {
+    const filters = getFeedbackAdminFilters();
+    const count = feedbackStorage.filter(filters).length;
+    if (count === 0) {
+        setFeedbackAdminStatus('There is no feedback to export with these filters.', true);
+        return;
+    }
+    const exported = feedbackStorage.export(filters, format);
+    const blob = format === 'csv'
+        ? new Blob([exported], { type: 'text/csv' })
+        : new Blob([JSON.stringify(exported, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `feedback-${new Date().toISOString().slice(0, 10)}.${format}`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    setFeedbackAdminStatus(`Exported ${count} item${count === 1 ? '' : 's'} as ${format.toUpperCase()}.`);
+}
+
+// Accepts files from the download transport, this dashboard's JSON export, or a copy of the server queue
+function mergeFeedbackFile(data) {
+    const items = Array.isArray(data) ? data : data && data.feedback;
+    if (!Array.isArray(items)) return { error: 'The file has no "feedback" list.' };
+    return { added: feedbackStorage.merge(items), total: items.length };
+}
+
+/**
+ * Handle a feedback file chosen for import
+ * @param {Event} event - Change event from the file input
+ */
+function handleFeedbackImport(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        let result;
+        try {
+            result = mergeFeedbackFile(JSON.parse(reader.result));
+        } catch (error) {
+            result = { error: 'The file is not valid JSON.' };
+        }
+        if (result.error) {
+            setFeedbackAdminStatus(`Import failed: ${result.error}`, true);
+        } else {
+            setFeedbackAdminStatus(`Imported ${result.added} new item${result.added === 1 ? '' : 's'} (${result.total - result.added} already here).`);
+            renderFeedbackAdmin();
+        }
+        event.target.value = '';
+    };
+    reader.readAsText(file);
+}
@@ -2,6 +2,8 @@
  * User Feedback System for Internal Dosimetry Learning Platform
  * Builds on existing modal system architecture (glossary-modal.js pattern)
  * Enables section-level feedback collection with localStorage persistence
+ * Feedback is delivered through the transport configured in feedback-transports.js
+ * Feedback on selected text is anchored to the quote with text-anchors.js and highlighted in place
  */
 
 // Feedback system state management
@@ -16,8 +18,8 @@ let feedbackStorage = {
     save() {
         localStorage.setItem('internal-dosimetry-feedback', JSON.stringify(this.feedback));
     },
-    add(feedbackData) {
-        const feedback = {
+    create(feedbackData) {
+        return {
             id: Date.now() + Math.random(),
             timestamp: new Date().toISOString(),
             module: feedbackData.module,
@@ -25,17 +27,59 @@ let feedbackStorage = {
             category: feedbackData.category,
             message: feedbackData.message,
             userEmail: feedbackData.userEmail || '',
+            anchor: feedbackData.anchor || null,
             status: 'pending'
         };
+    },
+    add(feedbackData) {
+        const feedback = this.create(feedbackData);
         this.feedback.push(feedback);
         this.save();
         return feedback;
     },
-    export() {
+    remove(ids) {
+        this.feedback = this.feedback.filter(item => !ids.includes(item.id));
+        this.save();
+    },
+    // Change an item's triage status and reviewer notes
+    update(id, changes) {
+        const item = this.feedback.find(entry => entry.id === id);
+        if (!item) return { error: 'This feedback item no longer exists.' };
+        if (changes.status !== undefined && !FEEDBACK_STATUSES[changes.status]) return { error: `Unknown status "${changes.status}".` };
+        Object.assign(item, changes, { reviewedAt: new Date().toISOString() });
+        this.save();
+        return item;
+    },
+    // Add items from an exported file or the feedback queue, skipping ones already stored
+    merge(items) {
+        const known = new Set(this.feedback.map(item => String(item.id)));
+        const added = items
+            .filter(item => item && typeof item.message === 'string')
+            .map(item => ({
+                ...item,
+                id: item.clientId ?? item.id,
+                timestamp: item.timestamp || item.receivedAt || new Date().toISOString(),
+                status: FEEDBACK_STATUSES[item.status] ? item.status : 'pending'
+            }))
+            .filter(item => !known.has(String(item.id)) && known.add(String(item.id)));
+        this.feedback.push(...added);
+        this.save();
+        return added.length;
+    },
+    // filters: { module, section, category, status }; empty values match everything
+    filter(filters = {}) {
+        return this.feedback.filter(item => ['module', 'section', 'category', 'status']
+            .every(field => !filters[field] || item[field] === filters[field]));
+    },
+    // format: 'json' returns the export document, 'csv' returns CSV text
+    export(filters = {}, format = 'json') {
+        const feedback = this.filter(filters);
+        if (format === 'csv') return formatFeedbackCsv(feedback);
         return {
             exportDate: new Date().toISOString(),
-            totalFeedback: this.feedback.length,
-            feedback: this.feedback
+            filters,
+            totalFeedback: feedback.length,
+            feedback
         };
     },
     clear() {
@@ -44,6 +88,25 @@ let feedbackStorage = {
     }
 };
 
+// Triage states a reviewer moves feedback through
+const FEEDBACK_STATUSES = {
+    'pending': { label: 'Pending', color: 'amber' },
+    'accepted': { label: 'Accepted', color: 'blue' },
+    'rejected': { label: 'Rejected', color: 'stone' },
+    'fixed': { label: 'Fixed', color: 'green' }
+};
+
+const FEEDBACK_CSV_COLUMNS = ['id', 'timestamp', 'module', 'section', 'category', 'status', 'quote', 'message', 'userEmail', 'notes', 'reviewedAt'];
+
+// Anchored feedback in these states is no longer highlighted on the page
+const FEEDBACK_CLOSED_STATUSES = ['rejected', 'fixed'];
+
+// Global flag to prevent multiple initializations
+let feedbackSystemInitialized = false;
+
+// Anchor of the text selection the open feedback form refers to, or null for whole-section feedback
+let feedbackSelectionAnchor = null;
+
 // Feedback categories configuration
 const FEEDBACK_CATEGORIES = {
     'content-correction': {
@@ -72,9 +135,6 @@ const FEEDBACK_CATEGORIES = {
     }
 };
 
-// Global flag to prevent multiple initializations
-let feedbackSystemInitialized = false;
-
 // Initialize feedback system
 function initializeFeedbackSystem() {
     // Prevent multiple initializations
@@ -85,11 +145,19 @@ function initializeFeedbackSystem() {
     
     feedbackStorage.load();
     
+    // Pages without module content (such as the feedback dashboard) only use the storage
+    if (!document.querySelector('section.progress-section')) {
+        feedbackSystemInitialized = true;
+        return;
+    }
+    
     // Clean up any existing feedback controls first
     removeExistingFeedbackControls();
     
     addFeedbackControlsToSections();
     createFeedbackModal();
+    setupSelectionFeedback();
+    highlightAnchoredFeedback();
     
     // Initialize floating indicator
     updateFloatingIndicator();
@@ -258,6 +326,11 @@ function createFeedbackModal() {
                             <p class="text-xs text-stone-500 mt-1">Optional: Leave your email if you'd like updates on your feedback</p>
                         </div>
                         
+                        <div id="feedback-anchor-info" class="mb-4 hidden">
+                            <div class="block text-sm font-medium text-stone-700 mb-2">Selected Text</div>
+                            <blockquote id="feedback-anchor-quote" class="border-l-4 border-amber-400 bg-amber-50 px-3 py-2 text-sm text-stone-700 italic"></blockquote>
+                        </div>
+                        
                         <div class="bg-stone-50 p-3 rounded border text-sm text-stone-600 mb-4">
                             <strong>Section:</strong> <span id="feedback-section-info">Unknown</span><br>
                             <strong>Module:</strong> <span id="feedback-module-info">Unknown</span>
@@ -271,7 +344,7 @@ function createFeedbackModal() {
                                 💾 Save for Later
                             </button>
                             <button type="button" id="feedback-send" class="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded transition-colors">
-                                📧 Send Now
+                                ${getFeedbackTransport().icon} Send Now
                             </button>
                         </div>
                     </form>
@@ -349,10 +422,14 @@ function setupFeedbackModalListeners() {
     });
 }
 
-// Open feedback modal with specific configuration
-function openFeedbackModal(sectionId, moduleName, defaultCategory = null) {
+// Open feedback modal with specific configuration; anchor is set when the feedback is about selected text
+function openFeedbackModal(sectionId, moduleName, defaultCategory = null, anchor = null) {
     const modal = document.getElementById('feedback-modal');
     
+    feedbackSelectionAnchor = anchor;
+    document.getElementById('feedback-anchor-info').classList.toggle('hidden', !anchor);
+    document.getElementById('feedback-anchor-quote').textContent = anchor ? `“${anchor.exact}”` : '';
+    
     // Update modal title
     document.getElementById('feedback-modal-title').textContent = '💬 Submit Feedback';
     
@@ -437,6 +514,7 @@ function handleSaveForLater() {
     
     // Update floating indicator
     updateFloatingIndicator();
+    highlightAnchoredFeedback();
     
     // Close modal
     closeFeedbackModal();
@@ -447,18 +525,32 @@ function handleSendNow() {
     const feedbackData = collectFeedbackData();
     if (!feedbackData) return;
     
-    // Create email content
-    const emailContent = formatFeedbackEmail(feedbackData);
-    
-    // Open email client
-    const mailto = `mailto:dj@theradguy.com?subject=${encodeURIComponent(emailContent.subject)}&body=${encodeURIComponent(emailContent.body)}`;
-    window.open(mailto);
-    
-    // Show success message
-    showEmailSentMessage();
-    
-    // Close modal
+    const feedback = feedbackStorage.create(feedbackData);
     closeFeedbackModal();
+    
+    deliverFeedback([feedback], `Internal Dosimetry Feedback: ${feedback.category} - ${feedback.module}`)
+        .then(result => showFeedbackNotification(result.message, 'success'))
+        .catch(error => {
+            // Keep what the user wrote so it can be sent from the indicator later
+            feedbackStorage.feedback.push(feedback);
+            feedbackStorage.save();
+            updateFloatingIndicator();
+            highlightAnchoredFeedback();
+            showFeedbackNotification(`${error.message} Your feedback was saved so you can send it later.`, 'error');
+        });
+}
+
+/**
+ * Send feedback through the configured transport, offering a file download when it is too long for an email link
+ * @param {Array} items - Feedback entries
+ * @param {string} subject - Short description of the batch
+ * @returns {Promise<object>} - { delivered, message, confirmed }
+ */
+function deliverFeedback(items, subject) {
+    return sendFeedbackItems(items, subject).catch(error => {
+        if (!error.tooLong || !confirm(`${error.message}\n\nDownload the feedback as a file instead?`)) throw error;
+        return FEEDBACK_TRANSPORTS.download.send(items, { subject }).then(result => ({ ...result, confirmed: false }));
+    });
 }
 
 // Collect feedback data from form
@@ -472,7 +564,8 @@ function collectFeedbackData() {
         section: modal.getAttribute('data-section'),
         module: modal.getAttribute('data-module'),
         message: formData.get('message'),
-        userEmail: formData.get('email')
+        userEmail: formData.get('email'),
+        anchor: feedbackSelectionAnchor
     };
     
     // Validate required fields
@@ -489,93 +582,60 @@ function collectFeedbackData() {
     return feedbackData;
 }
 
-// Format feedback for email
-function formatFeedbackEmail(feedbackData) {
-    const subject = `Internal Dosimetry Feedback: ${feedbackData.category} - ${feedbackData.module}`;
-    
-    const body = `Internal Dosimetry Learning Platform Feedback
-    
-Category: ${FEEDBACK_CATEGORIES[feedbackData.category]?.label || feedbackData.category}
-Module: ${feedbackData.module}
-Section: ${feedbackData.section}
-${feedbackData.userEmail ? `User Email: ${feedbackData.userEmail}` : ''}
-
-Message:
-${feedbackData.message}
-
----
-Sent from Internal Dosimetry Learning Platform
-Timestamp: ${new Date().toLocaleString()}`;
-    
-    return { subject, body };
-}
-
-// Show email sent message
-function showEmailSentMessage() {
+// Show a short notification; type is 'success', 'error' or 'info'
+function showFeedbackNotification(message, type = 'info') {
+    const colors = { success: 'bg-green-500', error: 'bg-red-600', info: 'bg-blue-500' };
     const notification = document.createElement('div');
-    notification.className = 'fixed top-4 right-4 bg-blue-500 text-white px-6 py-3 rounded-lg shadow-lg z-50 transform translate-x-full transition-transform';
-    notification.innerHTML = `
-        <div class="flex items-center gap-2">
-            <span>📧</span>
-            <div>
-                <div class="font-semibold">Email Client Opened!</div>
-                <div class="text-sm opacity-90">Your feedback is ready to send</div>
-            </div>
-        </div>
-    `;
+    notification.className = `fixed top-4 right-4 max-w-sm ${colors[type] || colors.info} text-white px-6 py-3 rounded-lg shadow-lg z-50 transform translate-x-full transition-transform`;
+    notification.textContent = message;
     
     document.body.appendChild(notification);
     
     // Animate in
     setTimeout(() => notification.classList.remove('translate-x-full'), 100);
     
-    // Auto-remove after 4 seconds
+    // Errors stay up longer so they can be read
     setTimeout(() => {
         notification.classList.add('translate-x-full');
         setTimeout(() => notification.remove(), 300);
-    }, 4000);
+    }, type === 'error' ? 8000 : 4000);
 }
 
-// Quiz-specific email feedback function
-function openQuizFeedbackEmail() {
-    // Determine which module we're on
-    const currentUrl = window.location.pathname;
-    let moduleName = '';
-    
-    if (currentUrl.includes('foundations')) {
-        moduleName = 'Module 1: Foundations';
-    } else if (currentUrl.includes('bioassay')) {
-        moduleName = 'Module 2: Bioassay';
-    } else if (currentUrl.includes('intake-assessment')) {
-        moduleName = 'Module 3: Intake Assessment';
-    } else if (currentUrl.includes('dose-calculation')) {
-        moduleName = 'Module 4: Dose Calculation';
-    } else {
-        moduleName = 'Unknown Module';
-    }
-    
-    // Create pre-filled email content for quiz feedback
-    const subject = `Internal Dosimetry Quiz Feedback: ${moduleName}`;
-    const body = `Internal Dosimetry Learning Platform - Quiz Feedback
-
-Module: ${moduleName}
-Quiz Section: Knowledge Check Quiz
-
-Please share your feedback about this quiz:
-(Was it helpful? Too easy/hard? Missing content? Confusing questions?)
-
-Your feedback:
-
+// Offer feedback on text selected inside a progress section, anchored to the quote (see text-anchors.js)
+function setupSelectionFeedback() {
+    addTextSelectionAction(`${FEEDBACK_CATEGORIES['content-correction'].icon} Feedback on selection`, (range, section) => {
+        const anchor = createTextAnchor(range, section);
+        if (anchor) openFeedbackModal(section.id, getModuleName(), 'content-correction', anchor);
+    });
+}
 
----
-Sent from Internal Dosimetry Learning Platform
-Timestamp: ${new Date().toLocaleString()}`;
-    
-    const mailto = `mailto:dj@theradguy.com?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
-    window.open(mailto);
+/**
+ * Highlight the quoted text of open anchored feedback for this module
+ * Scrolls to an item when the page address ends in #feedback-<id> (links from the feedback dashboard)
+ */
+function highlightAnchoredFeedback() {
+    removeTextHighlights(document.querySelectorAll('mark.feedback-highlight'));
+    const moduleName = getModuleName();
+    
+    feedbackStorage.feedback
+        .filter(item => item.anchor && item.module === moduleName && !FEEDBACK_CLOSED_STATUSES.includes(item.status))
+        .forEach(item => {
+            const section = document.getElementById(item.section);
+            const found = section && findTextAnchor(item.anchor, section);
+            if (!found) return;
+            const category = FEEDBACK_CATEGORIES[item.category];
+            highlightTextRange(found.range, 'feedback-highlight bg-amber-100 border-b-2 border-amber-400 text-current', {
+                'data-feedback-id': item.id,
+                title: `${category ? category.label : item.category}${found.exact ? '' : ' (the quoted text has since changed)'}: ${item.message}`
+            });
+        });
     
-    // Show success message
-    showEmailSentMessage();
+    const target = window.location.hash.match(/^#feedback-(.+)$/);
+    const mark = target && Array.from(document.querySelectorAll('mark.feedback-highlight')).find(element => element.dataset.feedbackId === decodeURIComponent(target[1]));
+    if (mark) {
+        mark.classList.add('ring-2', 'ring-amber-500');
+        mark.scrollIntoView({ block: 'center' });
+    }
 }
 
 // Update floating indicator for saved feedback
@@ -591,7 +651,7 @@ function updateFloatingIndicator() {
             <div class="flex items-center">
                 <div class="px-3 py-2 cursor-pointer hover:bg-amber-600 transition-colors rounded-l-lg" onclick="sendAllFeedback()">
                     <div class="flex items-center gap-2">
-                        <span>�</span>
+                        <span>${getFeedbackTransport().icon}</span>
                         <span class="text-sm">Send</span>
                         <span id="feedback-count">0</span>
                         <span class="text-sm">feedback</span>
@@ -660,7 +720,7 @@ function showFeedbackSuccess(feedback, type = 'submitted') {
     }, 4000);
 }
 
-// Simple function to send all feedback via email
+// Send all saved feedback through the configured transport
 function sendAllFeedback() {
     feedbackStorage.load();
     
@@ -669,45 +729,26 @@ function sendAllFeedback() {
         return;
     }
     
-    // Format all feedback for email
-    const subject = encodeURIComponent('Internal Dosimetry Learning Platform - User Feedback');
-    let body = 'Hello! Here is feedback from the Internal Dosimetry Learning Platform:\n\n';
-    
-    feedbackStorage.feedback.forEach((fb, index) => {
-        const category = FEEDBACK_CATEGORIES[fb.category]?.label || 'General Feedback';
-        body += `--- Feedback ${index + 1} ---\n`;
-        body += `Module: ${fb.module}\n`;
-        body += `Section: ${fb.section}\n`;
-        body += `Category: ${category}\n`;
-        body += `Date: ${new Date(fb.timestamp).toLocaleDateString()}\n`;
-        body += `Message: ${fb.message}\n`;
-        if (fb.userEmail) {
-            body += `User Email: ${fb.userEmail}\n`;
-        }
-        body += '\n';
-    });
-    
-    body += `Total feedback items: ${feedbackStorage.feedback.length}\n`;
-    body += `Export date: ${new Date().toLocaleDateString()}\n\n`;
-    body += 'Thank you for improving the learning experience!';
-    
-    const encodedBody = encodeURIComponent(body);
-    const mailtoLink = `mailto:dj@theradguy.com?subject=${subject}&body=${encodedBody}`;
-    
-    // Open email client
-    window.location.href = mailtoLink;
-    
-    // Show success message
-    showFeedbackNotification('📧 Opening your email client...', 'success');
-    
-    // Optionally clear feedback after sending
-    setTimeout(() => {
-        if (confirm('Feedback sent to your email client. Clear the saved feedback?')) {
-            feedbackStorage.clear();
-            updateFloatingIndicator();
-            showFeedbackNotification('✅ Feedback cleared!', 'success');
-        }
-    }, 2000);
+    const items = [...feedbackStorage.feedback];
+    deliverFeedback(items, 'Internal Dosimetry Learning Platform - User Feedback')
+        .then(result => {
+            showFeedbackNotification(result.message, 'success');
+            
+            // Delivered items are in the queue now; email and file hand-offs can't be confirmed, so ask
+            if (result.confirmed) {
+                feedbackStorage.remove(items.map(item => item.id));
+                updateFloatingIndicator();
+                return;
+            }
+            setTimeout(() => {
+                if (confirm('Feedback handed off. Clear the saved feedback?')) {
+                    feedbackStorage.remove(items.map(item => item.id));
+                    updateFloatingIndicator();
+                    showFeedbackNotification('✅ Feedback cleared!', 'success');
+                }
+            }, 2000);
+        })
+        .catch(error => showFeedbackNotification(error.message, 'error'));
 }
 
 // Global function to reset saved feedback
@@ -748,9 +789,27 @@ function resetSavedFeedback() {
     }
 }
 
+/**
+ * Feedback items as CSV, one row per item
+ * Cells starting with =, +, - or @ are prefixed with ' so spreadsheets don't run them as formulas
+ * @param {Array} items - Feedback entries
+ * @returns {string} - CSV text with a header row
+ */
+function formatFeedbackCsv(items) {
+    const cell = value => {
+        let text = value === undefined || value === null ? '' : String(value);
+        if (/^[=+\-@]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const value = (item, column) => column === 'quote' ? item.anchor?.exact : item[column];
+    return [FEEDBACK_CSV_COLUMNS, ...items.map(item => FEEDBACK_CSV_COLUMNS.map(column => value(item, column)))]
+        .map(row => row.map(cell).join(','))
+        .join('\r\n');
+}
+
 // Global function to open admin dashboard (called from HTML)
 function openFeedbackAdminDashboard() {
-    sendAllFeedback();
+    window.location.href = 'feedback-admin.html';
 }
 
 // Initialize when DOM is ready
@@ -0,0 +1,138 @@
+/**
+ * Feedback Transports for Internal Dosimetry Learning Platform
+ * Delivers feedback items through one configured transport: an email link, a downloaded file,
+ * or an HTTP POST to a feedback queue (see tools/feedback-server.js for a local reference server)
+ * Last Updated: October 19, 2026
+ */
+
+// Where feedback goes. Change `transport` to switch every page; the other entries configure each transport
+const FEEDBACK_TRANSPORT_CONFIG = {
+    transport: 'mailto',
+    mailto: {
+        address: 'dj@theradguy.com',
+        // Mail clients and browsers truncate or refuse longer mailto: links
+        maxUrlLength: 2000
+    },
+    download: {
+        filenamePrefix: 'dosimetry-feedback'
+    },
+    http: {
+        endpoint: 'http://localhost:8787/feedback',
+        timeoutMs: 10000
+    }
+};
+
+/**
+ * Transports keyed by name. Each one has:
+ * icon, label - shown on send buttons
+ * confirmsDelivery - true if a resolved send means the items reached their destination
+ * send(items, context) - Promise resolving to { delivered, message }, rejecting with an Error
+ *   items: feedback entries as stored by feedbackStorage; context: { subject }
+ */
+const FEEDBACK_TRANSPORTS = {
+    mailto: {
+        icon: '📧',
+        label: 'Email',
+        confirmsDelivery: false,
+        send(items, context) {
+            return Promise.resolve().then(() => {
+                const config = FEEDBACK_TRANSPORT_CONFIG.mailto;
+                const url = `mailto:${config.address}?subject=${encodeURIComponent(context.subject)}&body=${encodeURIComponent(formatFeedbackText(items))}`;
+                if (url.length > config.maxUrlLength) {
+                    // tooLong lets callers offer the download transport instead
+                    throw Object.assign(new Error(`${items.length} feedback item${items.length === 1 ? ' is' : 's are'} too long for an email link (${url.length} characters; the limit is ${config.maxUrlLength}).`), { tooLong: true });
+                }
+                window.location.href = url;
+                return { delivered: items.length, message: 'Your email client has opened with the feedback ready to send.' };
+            });
+        }
+    },
+    download: {
+        icon: '⬇️',
+        label: 'Download',
+        confirmsDelivery: false,
+        send(items) {
+            return Promise.resolve().then(() => {
+                const file = { exportDate: new Date().toISOString(), totalFeedback: items.length, feedback: items };
+                const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(blob);
+                link.download = `${FEEDBACK_TRANSPORT_CONFIG.download.filenamePrefix}-${file.exportDate.slice(0, 10)}.json`;
+                link.click();
+                URL.revokeObjectURL(link.href);
+                return { delivered: items.length, message: 'The feedback file has been downloaded. Send it to the content team.' };
+            });
+        }
+    },
+    http: {
+        icon: '📤',
+        label: 'Send',
+        confirmsDelivery: true,
+        send(items, context) {
+            const config = FEEDBACK_TRANSPORT_CONFIG.http;
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), config.timeoutMs);
+            return fetch(config.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ subject: context.subject, page: window.location.pathname, sentAt: new Date().toISOString(), feedback: items }),
+                signal: controller.signal
+            })
+                .catch(error => {
+                    throw new Error(error.name === 'AbortError'
+                        ? `The feedback server did not answer within ${config.timeoutMs / 1000} s.`
+                        : `The feedback server at ${config.endpoint} could not be reached.`);
+                })
+                .then(response => response.json().catch(() => ({})).then(body => {
+                    if (!response.ok) throw new Error(body.error || `The feedback server refused the feedback (HTTP ${response.status}).`);
+                    return { delivered: body.received || items.length, message: 'Your feedback has been added to the review queue.' };
+                }))
+                .finally(() => clearTimeout(timer));
+        }
+    }
+};
+
+/**
+ * The transport selected in FEEDBACK_TRANSPORT_CONFIG
+ * @returns {object} - Transport from FEEDBACK_TRANSPORTS
+ */
+function getFeedbackTransport() {
+    return FEEDBACK_TRANSPORTS[FEEDBACK_TRANSPORT_CONFIG.transport] || FEEDBACK_TRANSPORTS.mailto;
+}
+
+/**
+ * Send feedback items through the configured transport
+ * @param {Array} items - Feedback entries
+ * @param {string} subject - Short description of the batch
+ * @returns {Promise<object>} - { delivered, message, confirmed }
+ */
+function sendFeedbackItems(items, subject) {
+    const transport = getFeedbackTransport();
+    return transport.send(items, { subject }).then(result => ({ ...result, confirmed: transport.confirmsDelivery }));
+}
+
+/**
+ * Plain text version of feedback items, used for email bodies
+ * @param {Array} items - Feedback entries
+ * @returns {string} - Text listing every item
+ */
+function formatFeedbackText(items) {
+    const entries = items.map((item, index) => [
+        items.length > 1 ? `--- Feedback ${index + 1} ---` : null,
+        `Category: ${FEEDBACK_CATEGORIES[item.category]?.label || item.category}`,
+        `Module: ${item.module}`,
+        `Section: ${item.section}`,
+        item.anchor ? `Quote: "${item.anchor.exact}"` : null,
+        `Date: ${new Date(item.timestamp).toLocaleString()}`,
+        item.userEmail ? `User Email: ${item.userEmail}` : null,
+        '',
+        item.message
+    ].filter(line => line !== null).join('\n'));
+
+    return `Internal Dosimetry Learning Platform Feedback
+
+${entries.join('\n\n')}
+
+---
+Sent from Internal Dosimetry Learning Platform (${items.length} item${items.length === 1 ? '' : 's'})`;
+}
@@ -0,0 +1,34 @@
+/**
+ * Number Formatting Helpers for Internal Dosimetry Learning Platform
+ * Shared by the interactive calculators on each module page
+ * Last Updated: October 19, 2026
+ */
+
+/**
+ * Format a number to three significant figures, switching to scientific notation for very small or large values
+ * @param {number} value - The number to format
+ * @returns {string} - Formatted number
+ */
+function formatSignificant(value) {
+    if (value === 0) return '0';
+    const magnitude = Math.abs(value);
+    if (magnitude >= 0.001 && magnitude < 1e6) {
+        return Number(value.toPrecision(3)).toLocaleString(undefined, { maximumSignificantDigits: 3 });
+    }
+    const [mantissa, exponent] = value.toExponential(2).split('e');
+    return `${mantissa} × 10<sup>${parseInt(exponent, 10)}</sup>`;
+}
+
+/**
+ * Escape text for safe insertion into HTML (used for labels that come from imported JSON)
+ * @param {*} value - Value to escape
+ * @returns {string} - HTML-safe text
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
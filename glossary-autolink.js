@@ -0,0 +1,105 @@
+/**
+ * Glossary Auto-Linker for Internal Dosimetry Learning Platform
+ * Finds glossary terms in module text when the page loads and links the first occurrence of each
+ * term per section, so pages get glossary links without hand-written .glossary-term markup
+ * Last Updated: October 19, 2026
+ */
+
+const GLOSSARY_AUTOLINK_CONFIG = {
+    // Sections that are scanned; each one links a term at most once
+    sectionSelector: 'section.progress-section[id^="section-"]',
+    // Text inside these is never linked
+    skipSelector: 'h1, h2, h3, h4, h5, h6, a, button, label, select, textarea, code, pre, kbd, script, style, svg, .glossary-term, .feedback-controls, [data-glossary-skip]',
+    // Extra names per term key, added to each definition's own aliases
+    aliases: {}
+};
+
+/**
+ * Names a term is matched by: its title without any bracketed abbreviation, the abbreviation,
+ * the definition's aliases and any configured in GLOSSARY_AUTOLINK_CONFIG.aliases
+ * @param {string} termKey - Key of GLOSSARY_DEFINITIONS
+ * @returns {Array<string>} - Names
+ */
+function getGlossaryTermNames(termKey) {
+    const definition = GLOSSARY_DEFINITIONS[termKey];
+    const abbreviations = [...definition.term.matchAll(/\(([^)]+)\)/g)].map(match => match[1].trim());
+    return [
+        definition.term.replace(/\s*\([^)]*\)/g, '').trim(),
+        ...abbreviations,
+        ...(definition.aliases || []),
+        ...(GLOSSARY_AUTOLINK_CONFIG.aliases[termKey] || [])
+    ].filter(Boolean);
+}
+
+/**
+ * One pattern per term name, longest first so "committed effective dose" wins over "effective dose"
+ * Abbreviations (all capitals) match case-sensitively; other names ignore case. A plural "s" is allowed
+ * @returns {Array} - [{ key, name, regex }]
+ */
+function buildGlossaryPatterns() {
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    return Object.keys(GLOSSARY_DEFINITIONS)
+        .flatMap(key => getGlossaryTermNames(key).map(name => ({
+            key,
+            name,
+            regex: new RegExp(`(?<![\\w-])${escape(name)}s?(?![\\w-])`, /^[A-Z0-9]+$/.test(name) ? '' : 'i')
+        })))
+        .sort((a, b) => b.name.length - a.name.length);
+}
+
+// Text nodes of a section that may be linked, in document order
+function getGlossaryLinkableTextNodes(section) {
+    const walker = document.createTreeWalker(section, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => node.parentElement.closest(GLOSSARY_AUTOLINK_CONFIG.skipSelector)
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT
+    });
+    const nodes = [];
+    let node;
+    while ((node = walker.nextNode())) {
+        if (node.data.trim()) nodes.push(node);
+    }
+    return nodes;
+}
+
+/**
+ * Link the first unmarked occurrence of each glossary term in every content section
+ * Terms an author already wrapped in .glossary-term within a section are not linked again there
+ * @param {Element} root - Element to scan (default: the whole document)
+ * @returns {Array<Element>} - The new .glossary-term elements, for setupGlossaryEventListeners()
+ */
+function autoLinkGlossaryTerms(root = document) {
+    const patterns = buildGlossaryPatterns();
+    const created = [];
+
+    root.querySelectorAll(GLOSSARY_AUTOLINK_CONFIG.sectionSelector).forEach(section => {
+        const linked = new Set(Array.from(section.querySelectorAll('.glossary-term[data-term]'), term => term.dataset.term));
+
+        getGlossaryLinkableTextNodes(section).forEach(textNode => {
+            let node = textNode;
+            while (node) {
+                // The earliest match in the rest of this text node; at equal positions the longest name wins
+                let best = null;
+                patterns.forEach(pattern => {
+                    if (linked.has(pattern.key)) return;
+                    const match = pattern.regex.exec(node.data);
+                    if (match && (!best || match.index < best.index)) best = { key: pattern.key, index: match.index, text: match[0] };
+                });
+                if (!best) break;
+
+                const termNode = node.splitText(best.index);
+                node = termNode.splitText(best.text.length);
+                const span = document.createElement('span');
+                span.className = 'glossary-term';
+                span.setAttribute('data-term', best.key);
+                span.setAttribute('data-autolinked', '');
+                termNode.parentNode.insertBefore(span, termNode);
+                span.appendChild(termNode);
+                linked.add(best.key);
+                created.push(span);
+            }
+        });
+    });
+
+    return created;
+}
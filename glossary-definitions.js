@@ -1,33 +1,59 @@
 /**
  * Internal Dosimetry Glossary Definitions
  * Scientifically accurate definitions following ICRP publications and professional health physics standards
- * Last Updated: August 5, 2025
+ * Optional aliases are other names the glossary auto-linker matches in module text (glossary-autolink.js)
+ *
+ * Each entry has term, definition, category and relatedTerms, and may also have:
+ *   formulas      - [{ label, text, latex, mathml }]; text is the plain fallback and is required,
+ *                   mathml is shown where present, latex is offered for copying
+ *   units         - { symbol, name, si }, the SI unit the quantity is expressed in
+ *   typicalValues - [{ value, context }]
+ *   references    - citations from GLOSSARY_CITATIONS: { source, title, year, publication?, url? }
+ *   figures       - [{ src, alt, caption }], images relative to the site root
+ * Last Updated: October 19, 2026
  */
 
+// Works cited by the definitions, so each citation is written once
+const GLOSSARY_CITATIONS = {
+    icrp66: { source: 'ICRP Publication 66', title: 'Human Respiratory Tract Model for Radiological Protection', year: 1994 },
+    icrp67: { source: 'ICRP Publication 67', title: 'Age-dependent Doses to Members of the Public from Intake of Radionuclides: Part 2, Ingestion Dose Coefficients', year: 1993 },
+    icrp68: { source: 'ICRP Publication 68', title: 'Dose Coefficients for Intakes of Radionuclides by Workers', year: 1994 },
+    icrp71: { source: 'ICRP Publication 71', title: 'Age-dependent Doses to Members of the Public from Intake of Radionuclides: Part 4, Inhalation Dose Coefficients', year: 1995 },
+    icrp72: { source: 'ICRP Publication 72', title: 'Age-dependent Doses to Members of the Public from Intake of Radionuclides: Part 5, Compilation of Ingestion and Inhalation Dose Coefficients', year: 1996 },
+    icrp78: { source: 'ICRP Publication 78', title: 'Individual Monitoring for Internal Exposure of Workers', year: 1997 },
+    icrp103: { source: 'ICRP Publication 103', title: 'The 2007 Recommendations of the International Commission on Radiological Protection', year: 2007 },
+    icrp107: { source: 'ICRP Publication 107', title: 'Nuclear Decay Data for Dosimetric Calculations', year: 2008 },
+    ansiN1330: { source: 'ANSI/HPS N13.30', title: 'Performance Criteria for Radiobioassay', year: 1996 },
+    iso11929: { source: 'ISO 11929-1', title: 'Determination of the characteristic limits (decision threshold, detection limit and limits of the coverage interval) for measurements of ionizing radiation, Part 1: Elementary applications', year: 2019 },
+    currie1968: { source: 'Currie, L. A.', title: 'Limits for Qualitative Detection and Quantitative Determination: Application to Radiochemistry', year: 1968, publication: 'Analytical Chemistry 40(3), 586–593' }
+};
+
 const GLOSSARY_DEFINITIONS = {
     // Core Dosimetry Concepts
     'internal-dosimetry': {
         term: 'Internal Dosimetry',
         definition: 'The assessment of radiation dose to organs and tissues from radioactive material that has been taken into the body through inhalation, ingestion, or absorption through wounds or intact skin. Unlike external dosimetry, internal dose is inferred rather than directly measured.',
         category: 'fundamental',
-        relatedTerms: ['radiobioassay', 'biokinetic-models', 'committed-effective-dose'],
-        references: 'ICRP Publication 78 (1997)'
+        relatedTerms: ['radiobioassay', 'biokinetic-model', 'committed-effective-dose'],
+        references: [GLOSSARY_CITATIONS.icrp78]
     },
 
     'radionuclides': {
         term: 'Radionuclides',
         definition: 'Unstable atomic nuclei that spontaneously emit ionizing radiation (alpha particles, beta particles, gamma rays, or combinations thereof) in the process of transforming to more stable configurations. Each radionuclide has characteristic physical and biological properties that affect its behavior in the body.',
+        aliases: ['radionuclide'],
         category: 'fundamental',
-        relatedTerms: ['absorbed-dose', 'biokinetic-models'],
-        references: 'ICRP Publication 107 (2008)'
+        relatedTerms: ['absorbed-dose', 'biokinetic-model'],
+        references: [GLOSSARY_CITATIONS.icrp107]
     },
 
     'intake': {
         term: 'Intake',
         definition: 'The activity of a radionuclide that enters the body through inhalation, ingestion, or absorption through wounds or intact skin during a specified time period. Intake is typically expressed in becquerels (Bq) and represents the starting point for internal dose calculations.',
         category: 'fundamental',
-        relatedTerms: ['radiobioassay', 'biokinetic-models', 'committed-effective-dose'],
-        references: 'ICRP Publication 78 (1997)'
+        relatedTerms: ['radiobioassay', 'biokinetic-model', 'committed-effective-dose', 'dose-coefficients', 'irf'],
+        units: { symbol: 'Bq', name: 'becquerel', si: 's⁻¹' },
+        references: [GLOSSARY_CITATIONS.icrp78]
     },
 
     // Dose Quantities
@@ -35,65 +61,132 @@ const GLOSSARY_DEFINITIONS = {
         term: 'Absorbed Dose',
         definition: 'The fundamental dosimetric quantity representing the mean energy imparted by ionizing radiation per unit mass of matter. Measured in gray (Gy), where 1 Gy = 1 J/kg. Absorbed dose does not account for the biological effectiveness of different radiation types.',
         category: 'dose-quantities',
-        relatedTerms: ['equivalent-dose', 'effective-dose'],
-        references: 'ICRP Publication 103 (2007)'
+        relatedTerms: ['equivalent-dose', 'effective-dose', 'radionuclides'],
+        formulas: [{
+            label: 'Mean energy imparted per unit mass',
+            text: 'D = dε̄ / dm',
+            latex: 'D = \\frac{d\\bar{\\varepsilon}}{dm}',
+            mathml: '<math display="block"><mi>D</mi><mo>=</mo><mfrac><mrow><mi>d</mi><mover><mi>ε</mi><mo>¯</mo></mover></mrow><mrow><mi>d</mi><mi>m</mi></mrow></mfrac></math>'
+        }],
+        units: { symbol: 'Gy', name: 'gray', si: 'J kg⁻¹' },
+        references: [GLOSSARY_CITATIONS.icrp103]
     },
 
     'equivalent-dose': {
         term: 'Equivalent Dose',
-        definition: 'The absorbed dose in an organ or tissue weighted by the radiation weighting factor (wR) to account for the relative biological effectiveness of different radiation types. Measured in sievert (Sv). HT = wR × DT, where DT is the absorbed dose and wR accounts for radiation quality.',
+        definition: 'The absorbed dose in an organ or tissue weighted by the radiation weighting factor (wR) to account for the relative biological effectiveness of different radiation types. Measured in sievert (Sv).',
         category: 'dose-quantities',
         relatedTerms: ['absorbed-dose', 'effective-dose', 'committed-effective-dose'],
-        references: 'ICRP Publication 103 (2007)'
+        formulas: [{
+            label: 'Sum over radiation types R',
+            text: 'H_T = Σ_R w_R × D_T,R',
+            latex: 'H_T = \\sum_R w_R \\, D_{T,R}',
+            mathml: '<math display="block"><msub><mi>H</mi><mi>T</mi></msub><mo>=</mo><munder><mo>∑</mo><mi>R</mi></munder><msub><mi>w</mi><mi>R</mi></msub><msub><mi>D</mi><mrow><mi>T</mi><mo>,</mo><mi>R</mi></mrow></msub></math>'
+        }],
+        units: { symbol: 'Sv', name: 'sievert', si: 'J kg⁻¹' },
+        typicalValues: [
+            { value: 'w_R = 1', context: 'Photons, electrons and muons' },
+            { value: 'w_R = 2', context: 'Protons and charged pions' },
+            { value: 'w_R = 20', context: 'Alpha particles, fission fragments and heavy ions' }
+        ],
+        references: [GLOSSARY_CITATIONS.icrp103]
     },
 
     'effective-dose': {
         term: 'Effective Dose',
-        definition: 'The sum of weighted equivalent doses in all organs and tissues of the body, where the weighting factor (wT) represents the relative sensitivity of each tissue to radiation-induced stochastic effects. E = ΣwT × HT. Used for radiation protection purposes to compare different exposure scenarios.',
+        definition: 'The sum of weighted equivalent doses in all organs and tissues of the body, where the weighting factor (wT) represents the relative sensitivity of each tissue to radiation-induced stochastic effects. Used for radiation protection purposes to compare different exposure scenarios.',
         category: 'dose-quantities',
-        relatedTerms: ['equivalent-dose', 'committed-effective-dose'],
-        references: 'ICRP Publication 103 (2007)'
+        relatedTerms: ['equivalent-dose', 'committed-effective-dose', 'absorbed-dose'],
+        formulas: [{
+            label: 'Sum over tissues T',
+            text: 'E = Σ_T w_T × H_T',
+            latex: 'E = \\sum_T w_T \\, H_T',
+            mathml: '<math display="block"><mi>E</mi><mo>=</mo><munder><mo>∑</mo><mi>T</mi></munder><msub><mi>w</mi><mi>T</mi></msub><msub><mi>H</mi><mi>T</mi></msub></math>'
+        }],
+        units: { symbol: 'Sv', name: 'sievert', si: 'J kg⁻¹' },
+        typicalValues: [
+            { value: 'Σ w_T = 1', context: 'The tissue weighting factors sum to one' },
+            { value: '20 mSv per year', context: 'Occupational limit, averaged over defined 5-year periods, with no more than 50 mSv in any single year' },
+            { value: '1 mSv per year', context: 'Public limit for planned exposure situations' }
+        ],
+        references: [GLOSSARY_CITATIONS.icrp103]
     },
 
     'committed-effective-dose': {
         term: 'Committed Effective Dose',
         definition: 'The effective dose calculated from an intake of radioactive material, integrated over a specified time period (50 years for adults, 70 years for children). Represents the total dose that will be delivered over the commitment period, accounting for biological and physical decay processes.',
+        aliases: ['CED'],
         category: 'dose-quantities',
-        relatedTerms: ['effective-dose', 'dose-coefficients', 'biokinetic-models'],
-        references: 'ICRP Publication 78 (1997)'
+        relatedTerms: ['effective-dose', 'dose-coefficients', 'biokinetic-model', 'internal-dosimetry', 'intake', 'equivalent-dose'],
+        formulas: [
+            {
+                label: 'Committed equivalent dose to tissue T',
+                text: 'H_T(τ) = ∫ Ḣ_T(t) dt, from t₀ to t₀ + τ',
+                latex: 'H_T(\\tau) = \\int_{t_0}^{t_0+\\tau} \\dot{H}_T(t) \\, dt',
+                mathml: '<math display="block"><msub><mi>H</mi><mi>T</mi></msub><mo>(</mo><mi>τ</mi><mo>)</mo><mo>=</mo><msubsup><mo>∫</mo><msub><mi>t</mi><mn>0</mn></msub><mrow><msub><mi>t</mi><mn>0</mn></msub><mo>+</mo><mi>τ</mi></mrow></msubsup><msub><mover><mi>H</mi><mo>˙</mo></mover><mi>T</mi></msub><mo>(</mo><mi>t</mi><mo>)</mo><mspace width="0.167em"/><mi>d</mi><mi>t</mi></math>'
+            },
+            {
+                label: 'Committed effective dose',
+                text: 'E(τ) = Σ_T w_T × H_T(τ)',
+                latex: 'E(\\tau) = \\sum_T w_T \\, H_T(\\tau)',
+                mathml: '<math display="block"><mi>E</mi><mo>(</mo><mi>τ</mi><mo>)</mo><mo>=</mo><munder><mo>∑</mo><mi>T</mi></munder><msub><mi>w</mi><mi>T</mi></msub><msub><mi>H</mi><mi>T</mi></msub><mo>(</mo><mi>τ</mi><mo>)</mo></math>'
+            }
+        ],
+        units: { symbol: 'Sv', name: 'sievert', si: 'J kg⁻¹' },
+        typicalValues: [
+            { value: 'τ = 50 years', context: 'Adults, written E(50)' },
+            { value: 'τ to age 70', context: 'Infants and children' }
+        ],
+        references: [GLOSSARY_CITATIONS.icrp78]
     },
 
     'dose-coefficients': {
         term: 'Dose Coefficients',
         definition: 'Conversion factors that relate intake (Bq) to committed effective dose (Sv) for specific radionuclides, chemical forms, and exposure pathways. Published by ICRP and used to calculate internal doses without performing detailed biokinetic calculations for each case. Units: Sv/Bq.',
+        aliases: ['dose coefficient'],
         category: 'calculation',
-        relatedTerms: ['committed-effective-dose', 'biokinetic-models', 'intake'],
-        references: 'ICRP Publications 68, 71, 72 (1994-1996)'
+        relatedTerms: ['committed-effective-dose', 'biokinetic-model', 'intake'],
+        formulas: [{
+            label: 'Committed effective dose from an intake',
+            text: 'E(50) = I × e(50)',
+            latex: 'E(50) = I \\cdot e(50)',
+            mathml: '<math display="block"><mi>E</mi><mo>(</mo><mn>50</mn><mo>)</mo><mo>=</mo><mi>I</mi><mo>·</mo><mi>e</mi><mo>(</mo><mn>50</mn><mo>)</mo></math>'
+        }],
+        units: { symbol: 'Sv/Bq', name: 'sievert per becquerel', si: 'J kg⁻¹ Bq⁻¹' },
+        typicalValues: [
+            { value: '1.3 × 10⁻⁸ Sv/Bq', context: 'Cs-137 ingestion, adult worker (ICRP 68)' },
+            { value: '6.7 × 10⁻⁹ Sv/Bq', context: 'Cs-137 inhalation, Type F, 5 µm AMAD, adult worker (ICRP 68)' },
+            { value: '1.8 × 10⁻¹¹ Sv/Bq', context: 'H-3 as tritiated water, adult worker (ICRP 68)' }
+        ],
+        references: [GLOSSARY_CITATIONS.icrp68, GLOSSARY_CITATIONS.icrp71, GLOSSARY_CITATIONS.icrp72]
     },
 
     // Bioassay and Measurement
     'radiobioassay': {
         term: 'Radiobioassay',
         definition: 'The measurement of radioactive material in the body or in biological samples (urine, feces, breath, etc.) to assess internal contamination. Bioassay data provides the foundation for intake assessment and internal dose calculations in occupational and medical scenarios.',
+        aliases: ['bioassay'],
         category: 'measurement',
-        relatedTerms: ['in-vitro', 'in-vivo', 'intake', 'biokinetic-models'],
-        references: 'ICRP Publication 78 (1997)'
+        relatedTerms: ['in-vitro', 'in-vivo', 'intake', 'biokinetic-model', 'internal-dosimetry'],
+        references: [GLOSSARY_CITATIONS.icrp78]
     },
 
     'in-vitro': {
         term: 'In Vitro Bioassay',
         definition: 'Bioassay measurements performed on biological samples collected from the body (urine, feces, blood, breath condensate, etc.) and analyzed in a laboratory setting. "In vitro" means "in glass," referring to analysis outside the living body. Examples include urine tritium analysis and fecal plutonium measurements.',
+        aliases: ['in vitro'],
         category: 'measurement',
         relatedTerms: ['in-vivo', 'radiobioassay', 'mda', 'decision-level'],
-        references: 'ICRP Publication 78 (1997)'
+        references: [GLOSSARY_CITATIONS.icrp78]
     },
 
     'in-vivo': {
         term: 'In Vivo Bioassay',
         definition: 'Direct measurement of radioactive material in the living body using external detectors such as whole body counters, chest counters, or thyroid counters. "In vivo" means "in the living," referring to measurements made while the radioactive material remains in the body.',
+        aliases: ['in vivo'],
         category: 'measurement',
         relatedTerms: ['in-vitro', 'radiobioassay', 'mda', 'decision-level'],
-        references: 'ICRP Publication 78 (1997)'
+        references: [GLOSSARY_CITATIONS.icrp78]
     },
 
     'decision-level': {
@@ -101,7 +194,26 @@ const GLOSSARY_DEFINITIONS = {
         definition: 'The minimum measurement value above which it can be concluded with reasonable confidence that radioactive material is present in a sample. Statistically defined as the measurement value that provides 95% confidence that activity is present when it exceeds this level. Used to distinguish between "detected" and "not detected" results.',
         category: 'measurement',
         relatedTerms: ['mda', 'in-vitro', 'in-vivo'],
-        references: 'ANSI N13.30 (1996), ISO 11929'
+        formulas: [
+            {
+                label: 'Critical level in net counts, well-known blank',
+                text: 'L_C = k √B',
+                latex: 'L_C = k\\sqrt{B}',
+                mathml: '<math display="block"><msub><mi>L</mi><mi>C</mi></msub><mo>=</mo><mi>k</mi><msqrt><mi>B</mi></msqrt></math>'
+            },
+            {
+                label: 'As activity',
+                text: 'DL = L_C / (ε × Y × t × V)',
+                latex: '\\mathrm{DL} = \\frac{L_C}{\\varepsilon \\, Y \\, t \\, V}',
+                mathml: '<math display="block"><mi>DL</mi><mo>=</mo><mfrac><msub><mi>L</mi><mi>C</mi></msub><mrow><mi>ε</mi><mi>Y</mi><mi>t</mi><mi>V</mi></mrow></mfrac></math>'
+            }
+        ],
+        units: { symbol: 'Bq', name: 'becquerel (per sample, or per litre or per day of excretion)', si: 's⁻¹' },
+        typicalValues: [
+            { value: 'k = 1.645', context: 'α = 0.05, one-sided 95% confidence' },
+            { value: 'L_C = 2.33 √B', context: 'Paired blank counted for the same time as the sample' }
+        ],
+        references: [GLOSSARY_CITATIONS.ansiN1330, GLOSSARY_CITATIONS.iso11929, GLOSSARY_CITATIONS.currie1968]
     },
 
     'mda': {
@@ -109,42 +221,76 @@ const GLOSSARY_DEFINITIONS = {
         definition: 'The minimum activity in a sample that can be detected with 95% probability when the activity is actually present, with only 5% probability of falsely detecting activity when none is present. MDA defines the measurement system capability and is used to establish bioassay program sensitivity requirements.',
         category: 'measurement',
         relatedTerms: ['decision-level', 'in-vitro', 'in-vivo'],
-        references: 'ANSI N13.30 (1996), ISO 11929'
+        formulas: [
+            {
+                label: 'Detection limit in net counts, well-known blank',
+                text: 'L_D = k² + 2k √B',
+                latex: 'L_D = k^2 + 2k\\sqrt{B}',
+                mathml: '<math display="block"><msub><mi>L</mi><mi>D</mi></msub><mo>=</mo><msup><mi>k</mi><mn>2</mn></msup><mo>+</mo><mn>2</mn><mi>k</mi><msqrt><mi>B</mi></msqrt></math>'
+            },
+            {
+                label: 'As activity',
+                text: 'MDA = L_D / (ε × Y × t × V)',
+                latex: '\\mathrm{MDA} = \\frac{L_D}{\\varepsilon \\, Y \\, t \\, V}',
+                mathml: '<math display="block"><mi>MDA</mi><mo>=</mo><mfrac><msub><mi>L</mi><mi>D</mi></msub><mrow><mi>ε</mi><mi>Y</mi><mi>t</mi><mi>V</mi></mrow></mfrac></math>'
+            }
+        ],
+        units: { symbol: 'Bq', name: 'becquerel (per sample, or per litre or per day of excretion)', si: 's⁻¹' },
+        typicalValues: [
+            { value: 'k = 1.645', context: 'α = β = 0.05' },
+            { value: 'L_D = 2.71 + 4.65 √B', context: 'Paired blank counted for the same time as the sample' }
+        ],
+        references: [GLOSSARY_CITATIONS.ansiN1330, GLOSSARY_CITATIONS.iso11929, GLOSSARY_CITATIONS.currie1968]
     },
 
     // Biokinetic Models
-    'biokinetic-models': {
-        term: 'Biokinetic Models',
-        definition: 'Mathematical descriptions of the uptake, distribution, retention, and excretion of radioactive materials in the human body. These compartmental models track the movement of radionuclides between different organs and tissues over time, accounting for both biological processes and radioactive decay.',
-        category: 'modeling',
-        relatedTerms: ['biokinetic-model', 'irf', 'dose-coefficients'],
-        references: 'ICRP Publications 66, 67, 68 (1994)'
-    },
-
     'biokinetic-model': {
         term: 'Biokinetic Model',
-        definition: 'A mathematical representation of the biological behavior of a specific radionuclide in the human body, describing its uptake, distribution among organs and tissues, retention, and excretion. Models are typically represented as systems of differential equations or transfer compartments.',
+        definition: 'A mathematical description of the uptake, distribution, retention, and excretion of a radionuclide in the human body. Biokinetic models are usually compartmental: they track the movement of material between organs and tissues over time as a system of differential equations, accounting for both biological processes and radioactive decay.',
         category: 'modeling',
-        relatedTerms: ['biokinetic-models', 'irf', 'intake'],
-        references: 'ICRP Publications 66, 67, 68 (1994)'
+        relatedTerms: ['irf', 'intake', 'internal-dosimetry', 'radionuclides', 'committed-effective-dose', 'dose-coefficients', 'radiobioassay'],
+        references: [GLOSSARY_CITATIONS.icrp66, GLOSSARY_CITATIONS.icrp67, GLOSSARY_CITATIONS.icrp68]
     },
 
     'irf': {
         term: 'Intake Retention Function (IRF)',
         definition: 'A mathematical function derived from biokinetic models that describes the fraction of an initial intake that remains in a specific organ, tissue, or the whole body as a function of time after intake. IRFs are used to relate bioassay measurements to the original intake amount.',
         category: 'modeling',
-        relatedTerms: ['biokinetic-model', 'biokinetic-models', 'intake'],
-        references: 'ICRP Publication 78 (1997)'
+        relatedTerms: ['biokinetic-model', 'intake'],
+        formulas: [{
+            label: 'Intake from a bioassay measurement M at time t',
+            text: 'I = M(t) / m(t)',
+            latex: 'I = \\frac{M(t)}{m(t)}',
+            mathml: '<math display="block"><mi>I</mi><mo>=</mo><mfrac><mrow><mi>M</mi><mo>(</mo><mi>t</mi><mo>)</mo></mrow><mrow><mi>m</mi><mo>(</mo><mi>t</mi><mo>)</mo></mrow></mfrac></math>'
+        }],
+        units: { symbol: 'Bq/Bq', name: 'fraction of the intake', si: '1' },
+        references: [GLOSSARY_CITATIONS.icrp78]
     }
 };
 
+// Keys of merged or renamed terms and the term that replaced them, so saved links and review items keep working
+const GLOSSARY_TERM_REDIRECTS = {
+    'biokinetic-models': 'biokinetic-model'
+};
+
+/**
+ * The current key for a glossary term, following GLOSSARY_TERM_REDIRECTS
+ * @param {string} termKey - The key for the glossary term
+ * @returns {string|null} - Key of GLOSSARY_DEFINITIONS, or null if there is no such term
+ */
+function resolveGlossaryKey(termKey) {
+    const key = GLOSSARY_DEFINITIONS[termKey] ? termKey : GLOSSARY_TERM_REDIRECTS[termKey];
+    return key && GLOSSARY_DEFINITIONS[key] ? key : null;
+}
+
 /**
  * Get definition for a glossary term
  * @param {string} termKey - The key for the glossary term
  * @returns {object|null} - The definition object or null if not found
  */
 function getGlossaryDefinition(termKey) {
-    return GLOSSARY_DEFINITIONS[termKey] || null;
+    const key = resolveGlossaryKey(termKey);
+    return key ? GLOSSARY_DEFINITIONS[key] : null;
 }
 
 /**
@@ -160,15 +306,19 @@ function getTermsByCategory(category) {
 
 /**
  * Search glossary terms by keyword
+ * Matches the term, its definition and aliases, unit names and symbols, and the plain text of its formulas
  * @param {string} keyword - The keyword to search for
  * @returns {Array} - Array of matching term objects
  */
 function searchGlossaryTerms(keyword) {
     const lowerKeyword = keyword.toLowerCase();
     return Object.entries(GLOSSARY_DEFINITIONS)
-        .filter(([key, term]) => 
-            term.term.toLowerCase().includes(lowerKeyword) ||
-            term.definition.toLowerCase().includes(lowerKeyword)
-        )
+        .filter(([key, term]) => [
+            term.term,
+            term.definition,
+            ...(term.aliases || []),
+            ...(term.units ? [term.units.symbol, term.units.name] : []),
+            ...(term.formulas || []).map(formula => formula.text)
+        ].some(text => text.toLowerCase().includes(lowerKeyword)))
         .map(([key, term]) => ({ key, ...term }));
 }
@@ -1,7 +1,10 @@
 /**
  * Glossary Modal System for Internal Dosimetry Learning Platform
- * Provides popup definitions for technical terms with cross-references
- * Last Updated: August 5, 2025
+ * Provides popup definitions for technical terms with cross-references, and renders the formulas, units,
+ * typical values, references and module backlinks that glossary.html shows as well.
+ * Terms are keyboard-reachable and preview on hover or focus; the modal is an ARIA dialog that keeps
+ * focus while open, returns it on close, and has back/forward history with a breadcrumb trail
+ * Last Updated: October 19, 2026
  */
 
 // CSS for glossary modal system
@@ -21,6 +24,43 @@ const GLOSSARY_MODAL_CSS = `
         text-decoration-style: solid;
     }
     
+    .glossary-term:focus-visible {
+        outline: 2px solid #2563eb;
+        outline-offset: 2px;
+        border-radius: 2px;
+    }
+    
+    .glossary-preview {
+        position: absolute;
+        z-index: 9998;
+        max-width: 320px;
+        background: white;
+        border: 1px solid #bfdbfe;
+        border-radius: 8px;
+        box-shadow: 0 10px 25px -5px rgba(0, 0, 0, 0.2);
+        padding: 10px 12px;
+        font-size: 0.875rem;
+        line-height: 1.45;
+        color: #374151;
+        pointer-events: none;
+    }
+    
+    .glossary-preview[hidden] {
+        display: none;
+    }
+    
+    .glossary-preview-title {
+        font-weight: 600;
+        color: #1e40af;
+        margin-bottom: 4px;
+    }
+    
+    .glossary-preview-hint {
+        margin-top: 6px;
+        font-size: 0.75rem;
+        color: #6b7280;
+    }
+    
     .glossary-modal {
         display: none;
         position: fixed;
@@ -90,6 +130,79 @@ const GLOSSARY_MODAL_CSS = `
         background-color: rgba(255, 255, 255, 0.2);
     }
     
+    .glossary-modal-close:focus-visible,
+    .glossary-history button:focus-visible {
+        outline: 2px solid white;
+        outline-offset: 2px;
+    }
+    
+    .glossary-history {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        margin-bottom: 8px;
+        padding-right: 40px;
+        font-size: 0.8125rem;
+    }
+    
+    .glossary-history[hidden] {
+        display: none;
+    }
+    
+    .glossary-history-button {
+        background: rgba(255, 255, 255, 0.15);
+        border: none;
+        color: white;
+        width: 26px;
+        height: 26px;
+        border-radius: 50%;
+        cursor: pointer;
+        flex-shrink: 0;
+    }
+    
+    .glossary-history-button:hover:not(:disabled) {
+        background: rgba(255, 255, 255, 0.3);
+    }
+    
+    .glossary-history-button:disabled {
+        opacity: 0.4;
+        cursor: default;
+    }
+    
+    .glossary-breadcrumbs {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        list-style: none;
+        margin: 0 0 0 4px;
+        padding: 0;
+    }
+    
+    .glossary-breadcrumbs li + li::before {
+        content: '›';
+        margin: 0 6px;
+        opacity: 0.7;
+    }
+    
+    .glossary-breadcrumbs button {
+        background: none;
+        border: none;
+        padding: 0;
+        color: white;
+        opacity: 0.85;
+        text-decoration: underline;
+        cursor: pointer;
+        font: inherit;
+    }
+    
+    .glossary-breadcrumbs button:hover {
+        opacity: 1;
+    }
+    
+    .glossary-breadcrumbs [aria-current] {
+        font-weight: 600;
+    }
+    
     .glossary-modal-body {
         padding: 24px;
     }
@@ -101,6 +214,16 @@ const GLOSSARY_MODAL_CSS = `
         margin-bottom: 8px;
     }
     
+    .glossary-modal-header .glossary-term-title {
+        color: white;
+        margin-bottom: 0;
+        padding-right: 40px;
+    }
+    
+    .glossary-term-title:focus {
+        outline: none;
+    }
+    
     .glossary-category-badge {
         display: inline-block;
         background: #eff6ff;
@@ -140,6 +263,7 @@ const GLOSSARY_MODAL_CSS = `
     
     .glossary-related-term {
         background: #f3f4f6;
+        border: none;
         color: #1e40af;
         padding: 4px 12px;
         border-radius: 20px;
@@ -168,6 +292,145 @@ const GLOSSARY_MODAL_CSS = `
         margin-bottom: 4px;
     }
     
+    .glossary-detail-block {
+        margin-bottom: 20px;
+    }
+    
+    .glossary-detail-title {
+        font-weight: 600;
+        color: #374151;
+        margin-bottom: 8px;
+    }
+    
+    .glossary-formula {
+        margin: 0 0 12px;
+        padding: 12px 16px;
+        background: #f8fafc;
+        border: 1px solid #e2e8f0;
+        border-radius: 8px;
+    }
+    
+    .glossary-formula figcaption {
+        font-size: 0.8125rem;
+        color: #6b7280;
+        margin-bottom: 6px;
+    }
+    
+    .glossary-formula-math {
+        font-size: 1.25rem;
+        color: #111827;
+        overflow-x: auto;
+    }
+    
+    .glossary-formula-math code {
+        font-size: 1rem;
+    }
+    
+    .glossary-latex {
+        margin-top: 6px;
+        font-size: 0.8125rem;
+        color: #6b7280;
+    }
+    
+    .glossary-latex summary {
+        cursor: pointer;
+    }
+    
+    .glossary-latex code {
+        display: block;
+        margin-top: 4px;
+        padding: 4px 8px;
+        background: white;
+        border-radius: 4px;
+        user-select: all;
+        overflow-x: auto;
+    }
+    
+    .glossary-detail-list {
+        list-style: none;
+        padding: 0;
+        margin: 0;
+        font-size: 0.9375rem;
+        color: #374151;
+    }
+    
+    .glossary-detail-list li {
+        padding: 4px 0;
+    }
+    
+    .glossary-figure {
+        margin: 0 0 12px;
+    }
+    
+    .glossary-figure img {
+        max-width: 100%;
+        border-radius: 8px;
+        border: 1px solid #e5e7eb;
+    }
+    
+    .glossary-figure figcaption {
+        font-size: 0.8125rem;
+        color: #6b7280;
+        margin-top: 4px;
+    }
+    
+    .glossary-usage {
+        margin-top: 20px;
+        padding-top: 20px;
+        border-top: 1px solid #e5e7eb;
+    }
+    
+    .glossary-usage a {
+        color: #1d4ed8;
+    }
+    
+    .glossary-usage a:hover {
+        text-decoration: underline;
+    }
+    
+    .glossary-usage-here {
+        font-size: 0.75rem;
+        color: #6b7280;
+    }
+    
+    .glossary-references ul {
+        list-style: disc;
+        padding-left: 20px;
+        margin: 0;
+    }
+    
+    .glossary-references li {
+        margin-bottom: 4px;
+    }
+    
+    .glossary-review-button {
+        margin-top: 16px;
+        background: #fff7ed;
+        color: #c2410c;
+        border: 1px solid #fed7aa;
+        padding: 6px 14px;
+        border-radius: 20px;
+        font-size: 0.875rem;
+        cursor: pointer;
+        transition: all 0.2s ease;
+    }
+    
+    .glossary-review-button:hover {
+        background: #ffedd5;
+    }
+    
+    .glossary-page-link {
+        display: inline-block;
+        margin-top: 16px;
+        margin-left: 8px;
+        font-size: 0.875rem;
+        color: #1d4ed8;
+    }
+    
+    .glossary-page-link:hover {
+        text-decoration: underline;
+    }
+    
     @media (max-width: 640px) {
         .glossary-modal-content {
             margin: 10px;
@@ -188,100 +451,305 @@ const GLOSSARY_MODAL_CSS = `
 // HTML template for the glossary modal
 const GLOSSARY_MODAL_HTML = `
 <div id="glossary-modal" class="glossary-modal">
-    <div class="glossary-modal-content">
+    <div class="glossary-modal-content" role="dialog" aria-modal="true" aria-labelledby="glossary-modal-title" aria-describedby="glossary-definition">
         <div class="glossary-modal-header">
-            <h2 id="glossary-modal-title" class="glossary-term-title"></h2>
-            <button class="glossary-modal-close" onclick="closeGlossaryModal()">&times;</button>
+            <nav id="glossary-history" class="glossary-history" aria-label="Glossary terms visited" hidden>
+                <button type="button" id="glossary-history-back" class="glossary-history-button" aria-label="Back to the previous term" title="Back (Alt+Left)">&larr;</button>
+                <button type="button" id="glossary-history-forward" class="glossary-history-button" aria-label="Forward to the next term" title="Forward (Alt+Right)">&rarr;</button>
+                <ol id="glossary-breadcrumbs" class="glossary-breadcrumbs"></ol>
+            </nav>
+            <h2 id="glossary-modal-title" class="glossary-term-title" tabindex="-1"></h2>
+            <button type="button" id="glossary-modal-close" class="glossary-modal-close" aria-label="Close glossary">&times;</button>
         </div>
         <div class="glossary-modal-body">
             <div id="glossary-category-badge" class="glossary-category-badge"></div>
             <div id="glossary-definition" class="glossary-definition"></div>
+            <div id="glossary-details"></div>
             <div id="glossary-related-section" class="glossary-related-terms" style="display: none;">
                 <div class="glossary-related-title">Related Terms:</div>
                 <div id="glossary-related-list" class="glossary-related-list"></div>
             </div>
-            <div id="glossary-references-section" class="glossary-references" style="display: none;">
-                <div class="glossary-references-title">References:</div>
-                <div id="glossary-references-text"></div>
-            </div>
+            <div id="glossary-usage"></div>
+            <div id="glossary-references"></div>
+            <button type="button" id="glossary-review-toggle" class="glossary-review-button" style="display: none;"></button>
+            <a id="glossary-page-link" class="glossary-page-link" href="glossary.html">Open in glossary →</a>
         </div>
     </div>
-</div>`;
+</div>
+<div id="glossary-preview" class="glossary-preview" role="tooltip" hidden></div>`;
+
+// Terms visited since the modal opened, oldest first; index is the one shown
+const glossaryModalState = {
+    history: [],
+    index: -1,
+    opener: null
+};
+
+// Most terms kept in the modal history
+const GLOSSARY_HISTORY_LIMIT = 20;
+
+// Hover time (ms) before a term's preview appears; focus shows it at once
+const GLOSSARY_PREVIEW_DELAY_MS = 300;
+
+let glossaryPreviewTimer = null;
 
 /**
  * Initialize the glossary system
  * Should be called when the page loads
  */
 function initializeGlossarySystem() {
-    // Add CSS to the document
-    const style = document.createElement('style');
-    style.innerHTML = GLOSSARY_MODAL_CSS.replace('<style>', '').replace('</style>', '');
-    document.head.appendChild(style);
-    
+    addGlossaryStyles();
+
     // Add modal HTML to the document
     document.body.insertAdjacentHTML('beforeend', GLOSSARY_MODAL_HTML);
-    
+
     // Add event listeners to all glossary terms
     setupGlossaryEventListeners();
-    
+
+    // Link terms authors didn't mark up when the auto-linker is loaded
+    if (typeof autoLinkGlossaryTerms === 'function') {
+        setupGlossaryEventListeners(autoLinkGlossaryTerms());
+    }
+
+    const modal = document.getElementById('glossary-modal');
+
     // Close modal when clicking outside
-    document.getElementById('glossary-modal').addEventListener('click', function(e) {
+    modal.addEventListener('click', function(e) {
         if (e.target === this) {
             closeGlossaryModal();
         }
     });
-    
-    // Close modal with Escape key
-    document.addEventListener('keydown', function(e) {
-        if (e.key === 'Escape') {
+
+    document.getElementById('glossary-modal-close').addEventListener('click', closeGlossaryModal);
+    document.getElementById('glossary-history-back').addEventListener('click', () => goToGlossaryHistory(glossaryModalState.index - 1));
+    document.getElementById('glossary-history-forward').addEventListener('click', () => goToGlossaryHistory(glossaryModalState.index + 1));
+    document.getElementById('glossary-breadcrumbs').addEventListener('click', function(e) {
+        const crumb = e.target.closest('[data-history-index]');
+        if (crumb) {
+            goToGlossaryHistory(Number(crumb.dataset.historyIndex));
+        }
+    });
+
+    // Following a link to a section of this page should show the section, not the modal
+    document.getElementById('glossary-usage').addEventListener('click', function(e) {
+        if (e.target.closest('a')) {
             closeGlossaryModal();
         }
     });
+
+    // Keys reach the dialog only while it is open; otherwise Escape just dismisses a hover preview
+    document.addEventListener('keydown', function(e) {
+        if (isGlossaryModalOpen()) {
+            handleGlossaryModalKeydown(e);
+        } else if (e.key === 'Escape' && !document.getElementById('glossary-preview').hidden) {
+            hideGlossaryPreview();
+        }
+    });
 }
 
 /**
- * Set up event listeners for all glossary terms on the page
+ * Add the glossary CSS to the page once; glossary.html uses it for term details without the modal
  */
-function setupGlossaryEventListeners() {
-    document.querySelectorAll('.glossary-term').forEach(term => {
-        term.addEventListener('click', function(e) {
-            e.preventDefault();
-            const termKey = this.getAttribute('data-term');
+function addGlossaryStyles() {
+    if (document.getElementById('glossary-styles')) return;
+    const style = document.createElement('style');
+    style.id = 'glossary-styles';
+    style.innerHTML = GLOSSARY_MODAL_CSS.replace('<style>', '').replace('</style>', '');
+    document.head.appendChild(style);
+}
+
+/**
+ * Set up event listeners for glossary terms
+ * Terms become keyboard-reachable buttons that open the modal with Enter or Space,
+ * and show a preview on hover or focus
+ * @param {NodeList|Array<Element>} terms - Terms to set up (default: every .glossary-term on the page);
+ *   terms that already have a listener are skipped
+ */
+function setupGlossaryEventListeners(terms = document.querySelectorAll('.glossary-term')) {
+    terms.forEach(term => {
+        if (term.hasAttribute('data-glossary-ready')) return;
+        term.setAttribute('data-glossary-ready', '');
+        if (!term.hasAttribute('tabindex')) term.setAttribute('tabindex', '0');
+        term.setAttribute('role', 'button');
+        term.setAttribute('aria-haspopup', 'dialog');
+
+        const open = () => {
+            const termKey = term.getAttribute('data-term');
             if (termKey) {
+                hideGlossaryPreview();
                 showGlossaryModal(termKey);
             }
+        };
+        term.addEventListener('click', function(e) {
+            e.preventDefault();
+            open();
+        });
+        term.addEventListener('keydown', function(e) {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                open();
+            }
         });
+        term.addEventListener('mouseenter', () => {
+            clearTimeout(glossaryPreviewTimer);
+            glossaryPreviewTimer = setTimeout(() => showGlossaryPreview(term), GLOSSARY_PREVIEW_DELAY_MS);
+        });
+        term.addEventListener('mouseleave', hideGlossaryPreview);
+        term.addEventListener('focus', () => showGlossaryPreview(term));
+        term.addEventListener('blur', hideGlossaryPreview);
+    });
+}
+
+// The first sentence of a definition, for the preview
+function getGlossarySummary(definition) {
+    const sentence = definition.definition.match(/^.+?[.!?](?=\s|$)/);
+    const summary = sentence ? sentence[0] : definition.definition;
+    return summary.length > 220 ? `${summary.slice(0, 220)}…` : summary;
+}
+
+/**
+ * Show the short preview of a term next to it
+ * @param {Element} term - The .glossary-term element
+ */
+function showGlossaryPreview(term) {
+    clearTimeout(glossaryPreviewTimer);
+    const definition = getGlossaryDefinition(term.getAttribute('data-term'));
+    if (!definition || isGlossaryModalOpen()) return;
+
+    hideGlossaryPreview();
+    const preview = document.getElementById('glossary-preview');
+    preview.innerHTML = `
+        <div class="glossary-preview-title">${escapeHtml(definition.term)}</div>
+        <div>${escapeHtml(getGlossarySummary(definition))}</div>
+        <div class="glossary-preview-hint">Click or press Enter for the full entry</div>
+    `;
+    preview.hidden = false;
+
+    // Below the term, or above it when there is no room; kept inside the window horizontally
+    const rect = term.getBoundingClientRect();
+    const maxLeft = document.documentElement.clientWidth - preview.offsetWidth - 8;
+    const top = rect.bottom + preview.offsetHeight + 6 > window.innerHeight && rect.top > preview.offsetHeight + 6
+        ? rect.top - preview.offsetHeight - 6
+        : rect.bottom + 6;
+    preview.style.left = `${window.scrollX + Math.max(8, Math.min(rect.left, maxLeft))}px`;
+    preview.style.top = `${window.scrollY + top}px`;
+    term.setAttribute('aria-describedby', 'glossary-preview');
+}
+
+/**
+ * Hide the term preview
+ */
+function hideGlossaryPreview() {
+    clearTimeout(glossaryPreviewTimer);
+    const preview = document.getElementById('glossary-preview');
+    if (preview) preview.hidden = true;
+    document.querySelectorAll('.glossary-term[aria-describedby="glossary-preview"]').forEach(term => {
+        term.removeAttribute('aria-describedby');
     });
 }
 
+function isGlossaryModalOpen() {
+    const modal = document.getElementById('glossary-modal');
+    return Boolean(modal) && modal.style.display === 'block';
+}
+
 /**
  * Show the glossary modal with definition for the specified term
+ * Opening the modal starts a new history; terms opened from inside it are added after the current one
  * @param {string} termKey - The key for the glossary term
  */
 function showGlossaryModal(termKey) {
+    const opening = !isGlossaryModalOpen();
+    if (opening) {
+        glossaryModalState.opener = document.activeElement;
+        glossaryModalState.history = [];
+        glossaryModalState.index = -1;
+    }
+
+    // A new term drops any terms ahead of the current one, as in a browser
+    if (glossaryModalState.history[glossaryModalState.index] !== termKey) {
+        const history = glossaryModalState.history.slice(0, glossaryModalState.index + 1);
+        history.push(termKey);
+        glossaryModalState.history = history.slice(-GLOSSARY_HISTORY_LIMIT);
+        glossaryModalState.index = glossaryModalState.history.length - 1;
+    }
+    renderGlossaryModalTerm(termKey);
+
+    if (opening) {
+        hideGlossaryPreview();
+        document.getElementById('glossary-modal').style.display = 'block';
+        document.body.style.overflow = 'hidden'; // Prevent background scrolling
+    }
+    document.getElementById('glossary-modal-title').focus();
+}
+
+/**
+ * Show a term from the modal history
+ * @param {number} index - Position in glossaryModalState.history
+ */
+function goToGlossaryHistory(index) {
+    if (index < 0 || index >= glossaryModalState.history.length || index === glossaryModalState.index) return;
+    glossaryModalState.index = index;
+    renderGlossaryModalTerm(glossaryModalState.history[index]);
+    document.getElementById('glossary-modal-title').focus();
+}
+
+// Back and forward buttons and the breadcrumb trail; hidden until a second term is visited
+function renderGlossaryHistory() {
+    const { history, index } = glossaryModalState;
+    document.getElementById('glossary-history').hidden = history.length < 2;
+    document.getElementById('glossary-history-back').disabled = index <= 0;
+    document.getElementById('glossary-history-forward').disabled = index >= history.length - 1;
+    document.getElementById('glossary-breadcrumbs').innerHTML = history.map((termKey, position) => {
+        const definition = getGlossaryDefinition(termKey);
+        const label = escapeHtml(definition ? definition.term : termKey);
+        return position === index
+            ? `<li><span aria-current="true">${label}</span></li>`
+            : `<li><button type="button" data-history-index="${position}">${label}</button></li>`;
+    }).join('');
+}
+
+/**
+ * Fill the modal with a term, or with a notice when the term isn't defined
+ * @param {string} termKey - The key for the glossary term
+ */
+function renderGlossaryModalTerm(termKey) {
     const definition = getGlossaryDefinition(termKey);
-    
+    const reviewToggle = document.getElementById('glossary-review-toggle');
+    const categoryBadge = document.getElementById('glossary-category-badge');
+    const relatedSection = document.getElementById('glossary-related-section');
+    renderGlossaryHistory();
+
     if (!definition) {
         console.error('Glossary definition not found for term:', termKey);
-        alert('Definition not available for this term. Please check back later.');
+        document.getElementById('glossary-modal-title').textContent = 'Definition not available';
+        categoryBadge.style.display = 'none';
+        document.getElementById('glossary-definition').textContent = `"${termKey}" isn't in the glossary yet. Search the full glossary for the term or a related one.`;
+        ['glossary-details', 'glossary-usage', 'glossary-references'].forEach(id => {
+            document.getElementById(id).innerHTML = '';
+        });
+        relatedSection.style.display = 'none';
+        reviewToggle.style.display = 'none';
+        document.getElementById('glossary-page-link').href = 'glossary.html';
         return;
     }
-    
+
     // Populate modal content
     document.getElementById('glossary-modal-title').textContent = definition.term;
-    document.getElementById('glossary-category-badge').textContent = definition.category.replace('-', ' ');
+    categoryBadge.textContent = definition.category.replace('-', ' ');
+    categoryBadge.style.display = '';
     document.getElementById('glossary-definition').textContent = definition.definition;
-    
+
     // Handle related terms
-    const relatedSection = document.getElementById('glossary-related-section');
     const relatedList = document.getElementById('glossary-related-list');
-    
+
     if (definition.relatedTerms && definition.relatedTerms.length > 0) {
         relatedList.innerHTML = '';
         definition.relatedTerms.forEach(relatedTermKey => {
             const relatedDef = getGlossaryDefinition(relatedTermKey);
             if (relatedDef) {
-                const relatedElement = document.createElement('span');
+                const relatedElement = document.createElement('button');
+                relatedElement.type = 'button';
                 relatedElement.className = 'glossary-related-term';
                 relatedElement.textContent = relatedDef.term;
                 relatedElement.onclick = () => showGlossaryModal(relatedTermKey);
@@ -292,29 +760,182 @@ function showGlossaryModal(termKey) {
     } else {
         relatedSection.style.display = 'none';
     }
-    
-    // Handle references
-    const referencesSection = document.getElementById('glossary-references-section');
-    const referencesText = document.getElementById('glossary-references-text');
-    
-    if (definition.references) {
-        referencesText.textContent = definition.references;
-        referencesSection.style.display = 'block';
+
+    // Formulas, units and typical values, the module sections using the term, and its references
+    document.getElementById('glossary-details').innerHTML = renderGlossaryEntryDetails(definition);
+    document.getElementById('glossary-usage').innerHTML = renderGlossaryUsage(resolveGlossaryKey(termKey));
+    document.getElementById('glossary-references').innerHTML = renderGlossaryReferences(definition);
+
+    // Offer to add the term to the review deck when the review scheduler is loaded
+    if (typeof addGlossaryTermToReview === 'function') {
+        const updateReviewToggle = () => {
+            reviewToggle.textContent = isScheduledForReview(glossaryReviewId(termKey)) ? '✓ In your review deck (remove)' : '+ Add to my review deck';
+        };
+        reviewToggle.onclick = () => {
+            if (isScheduledForReview(glossaryReviewId(termKey))) removeFromReview(glossaryReviewId(termKey));
+            else addGlossaryTermToReview(termKey);
+            updateReviewToggle();
+        };
+        updateReviewToggle();
+        reviewToggle.style.display = 'inline-block';
     } else {
-        referencesSection.style.display = 'none';
+        reviewToggle.style.display = 'none';
     }
-    
-    // Show modal
-    document.getElementById('glossary-modal').style.display = 'block';
-    document.body.style.overflow = 'hidden'; // Prevent background scrolling
+
+    document.getElementById('glossary-page-link').href = `glossary.html#term=${encodeURIComponent(termKey)}`;
 }
 
 /**
- * Close the glossary modal
+ * Keyboard handling while the dialog is open: Escape closes it, Alt+Left and Alt+Right move through
+ * the history, and Tab cycles through the dialog's controls without leaving it
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleGlossaryModalKeydown(e) {
+    if (e.key === 'Escape') {
+        closeGlossaryModal();
+    } else if (e.altKey && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+        e.preventDefault();
+        goToGlossaryHistory(glossaryModalState.index + (e.key === 'ArrowLeft' ? -1 : 1));
+    } else if (e.key === 'Tab') {
+        const focusable = getGlossaryModalFocusable();
+        if (focusable.length === 0) return;
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const inList = focusable.includes(document.activeElement);
+        if (e.shiftKey && (document.activeElement === first || !inList)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || !inList)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+// Controls in the dialog that Tab can reach, in document order
+function getGlossaryModalFocusable() {
+    const content = document.querySelector('#glossary-modal .glossary-modal-content');
+    const isShown = element => {
+        for (let node = element; node && node !== content; node = node.parentElement) {
+            if (node.hidden || node.style.display === 'none') return false;
+        }
+        return true;
+    };
+    return Array.from(content.querySelectorAll('a[href], button:not([disabled]), summary, input, select, textarea, [tabindex]:not([tabindex="-1"])'))
+        .filter(isShown);
+}
+
+/**
+ * Close the glossary modal and return focus to what opened it
  */
 function closeGlossaryModal() {
     document.getElementById('glossary-modal').style.display = 'none';
     document.body.style.overflow = ''; // Restore background scrolling
+
+    const opener = glossaryModalState.opener;
+    glossaryModalState.opener = null;
+    if (opener && opener !== document.body && document.contains(opener) && typeof opener.focus === 'function') {
+        opener.focus({ preventScroll: true });
+        hideGlossaryPreview();
+    }
+}
+
+/**
+ * Formulas, units, typical values and figures of a glossary entry
+ * MathML is written by the glossary authors and inserted as is; all other text is escaped
+ * @param {object} definition - Entry of GLOSSARY_DEFINITIONS
+ * @returns {string} - Markup, or '' if the entry has none of these
+ */
+function renderGlossaryEntryDetails(definition) {
+    const blocks = [];
+    const block = (title, content) => `
+        <div class="glossary-detail-block">
+            <div class="glossary-detail-title">${title}</div>
+            ${content}
+        </div>`;
+
+    if (definition.formulas && definition.formulas.length) {
+        blocks.push(block(definition.formulas.length === 1 ? 'Formula' : 'Formulas', definition.formulas.map(formula => `
+            <figure class="glossary-formula">
+                ${formula.label ? `<figcaption>${escapeHtml(formula.label)}</figcaption>` : ''}
+                <div class="glossary-formula-math">${formula.mathml || `<code>${escapeHtml(formula.text)}</code>`}</div>
+                ${formula.latex ? `<details class="glossary-latex"><summary>LaTeX</summary><code>${escapeHtml(formula.latex)}</code></details>` : ''}
+            </figure>
+        `).join('')));
+    }
+    if (definition.units) {
+        const { symbol, name, si } = definition.units;
+        blocks.push(block('Unit', `
+            <ul class="glossary-detail-list">
+                <li><strong>${escapeHtml(symbol)}</strong> · ${escapeHtml(name)}${si ? ` · in SI units: ${escapeHtml(si)}` : ''}</li>
+            </ul>
+        `));
+    }
+    if (definition.typicalValues && definition.typicalValues.length) {
+        blocks.push(block('Typical Values', `
+            <ul class="glossary-detail-list">
+                ${definition.typicalValues.map(item => `<li><strong>${escapeHtml(item.value)}</strong> · ${escapeHtml(item.context)}</li>`).join('')}
+            </ul>
+        `));
+    }
+    if (definition.figures && definition.figures.length) {
+        blocks.push(block(definition.figures.length === 1 ? 'Figure' : 'Figures', definition.figures.map(figure => `
+            <figure class="glossary-figure">
+                <img src="${escapeHtml(figure.src)}" alt="${escapeHtml(figure.alt)}" loading="lazy">
+                ${figure.caption ? `<figcaption>${escapeHtml(figure.caption)}</figcaption>` : ''}
+            </figure>
+        `).join('')));
+    }
+    return blocks.join('');
+}
+
+/**
+ * The module sections where a term appears, from glossary-usage.js when the page loads it
+ * @param {string} termKey - Key of GLOSSARY_DEFINITIONS
+ * @returns {string} - Markup, or '' if the term isn't used in any module
+ */
+function renderGlossaryUsage(termKey) {
+    const places = (typeof GLOSSARY_USAGE !== 'undefined' && GLOSSARY_USAGE[termKey]) || [];
+    if (places.length === 0) return '';
+    const currentPage = window.location.pathname.split('/').pop();
+    return `
+        <div class="glossary-usage">
+            <div class="glossary-related-title">Where This Term Appears:</div>
+            <ul class="glossary-detail-list">
+                ${places.map(place => `
+                    <li>
+                        <a href="${escapeHtml(`${place.page}#${place.section}`)}">${escapeHtml(place.moduleTitle)} › ${escapeHtml(place.title)}</a>
+                        ${place.page === currentPage ? '<span class="glossary-usage-here">(this page)</span>' : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        </div>`;
+}
+
+/**
+ * One citation as text; plain-string references from older definitions are returned unchanged
+ * @param {object|string} reference - Citation from GLOSSARY_CITATIONS
+ * @returns {string} - e.g. "ICRP Publication 103 (2007). The 2007 Recommendations of …"
+ */
+function formatGlossaryCitation(reference) {
+    if (typeof reference === 'string') return reference;
+    return `${reference.source} (${reference.year}). ${reference.title}.${reference.publication ? ` ${reference.publication}.` : ''}`;
+}
+
+// The references of a glossary entry as a list, linked when a citation has a url
+function renderGlossaryReferences(definition) {
+    const references = [].concat(definition.references || []);
+    if (references.length === 0) return '';
+    return `
+        <div class="glossary-references">
+            <div class="glossary-references-title">References:</div>
+            <ul>
+                ${references.map(reference => {
+                    const text = escapeHtml(formatGlossaryCitation(reference));
+                    return `<li>${reference.url ? `<a href="${escapeHtml(reference.url)}" target="_blank" rel="noopener">${text}</a>` : text}</li>`;
+                }).join('')}
+            </ul>
+        </div>`;
 }
 
 /**
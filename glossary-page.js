@@ -0,0 +1,201 @@
+/**
+ * Glossary Browser for Internal Dosimetry Learning Platform
+ * glossary.html: live search, category facets, an A–Z index and a map of related terms.
+ * Term details (formulas, units, module backlinks, references) are rendered by glossary-modal.js.
+ * Terms open from deep links such as glossary.html#term=mda
+ * Last Updated: October 19, 2026
+ */
+
+// Current filters; a term opened from the list or a link is kept in the address (#term=key)
+const glossaryPageState = {
+    query: '',
+    category: '',
+    letter: ''
+};
+
+/**
+ * Initialize the glossary browser
+ * Expects #glossary-search, #glossary-categories, #glossary-index, #glossary-results and #glossary-detail;
+ * does nothing if they are absent
+ */
+function initializeGlossaryPage() {
+    const search = document.getElementById('glossary-search');
+    if (!search) return;
+
+    // Term details use the same styles as the glossary modal
+    addGlossaryStyles();
+
+    search.addEventListener('input', () => {
+        glossaryPageState.query = search.value.trim();
+        renderGlossaryResults();
+    });
+
+    document.getElementById('glossary-categories').addEventListener('click', event => {
+        const button = event.target.closest('[data-category]');
+        if (!button) return;
+        glossaryPageState.category = button.dataset.category === glossaryPageState.category ? '' : button.dataset.category;
+        renderGlossaryFilters();
+        renderGlossaryResults();
+    });
+
+    document.getElementById('glossary-index').addEventListener('click', event => {
+        const button = event.target.closest('[data-letter]');
+        if (!button || button.disabled) return;
+        glossaryPageState.letter = button.dataset.letter === glossaryPageState.letter ? '' : button.dataset.letter;
+        renderGlossaryFilters();
+        renderGlossaryResults();
+    });
+
+    window.addEventListener('hashchange', renderGlossarySelection);
+
+    renderGlossaryFilters();
+    renderGlossaryResults();
+    renderGlossarySelection();
+}
+
+// "dose-quantities" -> "Dose quantities"
+function formatGlossaryCategory(category) {
+    const words = category.replace(/-/g, ' ');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function getGlossaryCategories() {
+    return [...new Set(Object.values(GLOSSARY_DEFINITIONS).map(definition => definition.category))].sort();
+}
+
+// The letter a term is indexed under
+function getGlossaryLetter(definition) {
+    return definition.term.charAt(0).toUpperCase();
+}
+
+/**
+ * The term key in the page address (#term=key), if it names a known term
+ * @returns {string|null} - Key of GLOSSARY_DEFINITIONS
+ */
+function getGlossaryTermFromHash() {
+    const match = window.location.hash.match(/^#term=(.+)$/);
+    return match ? resolveGlossaryKey(decodeURIComponent(match[1])) : null;
+}
+
+/**
+ * Terms matching the current search, category and letter, sorted by name
+ * @returns {Array} - Term objects with their keys, as returned by searchGlossaryTerms()
+ */
+function getFilteredGlossaryTerms() {
+    const { query, category, letter } = glossaryPageState;
+    let terms = searchGlossaryTerms(query);
+    if (category) {
+        const inCategory = new Set(getTermsByCategory(category).map(term => term.key));
+        terms = terms.filter(term => inCategory.has(term.key));
+    }
+    if (letter) terms = terms.filter(term => getGlossaryLetter(term) === letter);
+    return terms.sort((a, b) => a.term.localeCompare(b.term));
+}
+
+// Category facets with their term counts, and the A–Z index
+function renderGlossaryFilters() {
+    document.getElementById('glossary-categories').innerHTML = getGlossaryCategories().map(category => {
+        const active = category === glossaryPageState.category;
+        return `
+            <button type="button" data-category="${escapeHtml(category)}" aria-pressed="${active}"
+                class="w-full flex justify-between px-3 py-1 rounded text-sm ${active ? 'bg-blue-600 text-white' : 'text-stone-700 hover:bg-blue-50'}">
+                <span>${escapeHtml(formatGlossaryCategory(category))}</span>
+                <span class="${active ? 'text-blue-100' : 'text-stone-400'}">${getTermsByCategory(category).length}</span>
+            </button>
+        `;
+    }).join('');
+
+    const letters = new Set(Object.values(GLOSSARY_DEFINITIONS).map(getGlossaryLetter));
+    document.getElementById('glossary-index').innerHTML = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('').map(letter => {
+        const active = letter === glossaryPageState.letter;
+        const available = letters.has(letter);
+        return `
+            <button type="button" data-letter="${letter}" ${available ? '' : 'disabled'} aria-pressed="${active}"
+                class="w-7 h-7 rounded text-xs font-semibold ${active ? 'bg-blue-600 text-white' : available ? 'text-blue-700 hover:bg-blue-50' : 'text-stone-300 cursor-default'}">${letter}</button>
+        `;
+    }).join('');
+}
+
+// The list of terms matching the filters
+function renderGlossaryResults() {
+    const terms = getFilteredGlossaryTerms();
+    const selected = getGlossaryTermFromHash();
+    const total = Object.keys(GLOSSARY_DEFINITIONS).length;
+    document.getElementById('glossary-count').textContent = `${terms.length} of ${total} terms`;
+
+    const results = document.getElementById('glossary-results');
+    if (terms.length === 0) {
+        results.innerHTML = '<p class="text-stone-500 text-sm p-4">No terms match. Try a shorter search or clear the filters.</p>';
+        return;
+    }
+    results.innerHTML = terms.map(term => `
+        <a href="#term=${encodeURIComponent(term.key)}" class="block px-4 py-3 border-b border-stone-100 hover:bg-blue-50 ${term.key === selected ? 'bg-blue-50 border-l-4 border-l-blue-600' : ''}">
+            <span class="block font-semibold text-stone-900">${escapeHtml(term.term)}</span>
+            <span class="block text-xs text-stone-500">${escapeHtml(formatGlossaryCategory(term.category))}</span>
+            <span class="block text-sm text-stone-600 mt-1">${escapeHtml(term.definition.length > 140 ? `${term.definition.slice(0, 140)}…` : term.definition)}</span>
+        </a>
+    `).join('');
+}
+
+/**
+ * Terms whose relatedTerms point at a term
+ * @param {string} termKey - Key of GLOSSARY_DEFINITIONS
+ * @returns {Array<string>} - Keys of the referring terms
+ */
+function getGlossaryBacklinks(termKey) {
+    return Object.entries(GLOSSARY_DEFINITIONS)
+        .filter(([key, definition]) => key !== termKey && (definition.relatedTerms || []).includes(termKey))
+        .map(([key]) => key);
+}
+
+// A linked term as a node of the related-terms map
+function renderGlossaryNode(termKey) {
+    const definition = getGlossaryDefinition(termKey);
+    return `
+        <a href="#term=${encodeURIComponent(termKey)}" class="block px-3 py-2 rounded-lg border border-blue-200 bg-white text-sm text-blue-800 hover:bg-blue-50 hover:border-blue-400">
+            ${escapeHtml(definition.term)}
+        </a>
+    `;
+}
+
+// Show the term in the address, or the welcome text when there is none
+function renderGlossarySelection() {
+    const termKey = getGlossaryTermFromHash();
+    const detail = document.getElementById('glossary-detail');
+    renderGlossaryResults();
+
+    if (!termKey) {
+        detail.innerHTML = `
+            <p class="text-stone-600">Choose a term from the list, or search for a word used in any definition. Each term has its own address, so you can bookmark it or share it, for example <a href="#term=mda" class="text-blue-700 hover:underline">glossary.html#term=mda</a>.</p>
+        `;
+        return;
+    }
+
+    const definition = getGlossaryDefinition(termKey);
+    const related = (definition.relatedTerms || []).filter(key => getGlossaryDefinition(key));
+    const backlinks = getGlossaryBacklinks(termKey);
+    document.title = `${definition.term} - Glossary - Internal Dosimetry`;
+
+    detail.innerHTML = `
+        <p class="text-xs font-medium uppercase tracking-wide text-blue-700 mb-1">${escapeHtml(formatGlossaryCategory(definition.category))}</p>
+        <h2 class="text-2xl font-bold text-stone-900 mb-4">${escapeHtml(definition.term)}</h2>
+        <p class="text-stone-700 leading-relaxed mb-4">${escapeHtml(definition.definition)}</p>
+        ${renderGlossaryEntryDetails(definition)}
+        ${renderGlossaryUsage(termKey)}
+        ${renderGlossaryReferences(definition)}
+
+        <h3 class="text-sm font-semibold text-stone-800 mt-6 mb-1">Related Terms Map</h3>
+        <p class="text-xs text-stone-500 mb-3">Terms that point to ${escapeHtml(definition.term)} are on the left; the terms it points to are on the right. Choose any term to move the map to it.</p>
+        <div class="grid grid-cols-1 sm:grid-cols-7 gap-3 items-center bg-stone-50 rounded-lg p-4">
+            <div class="sm:col-span-2 space-y-2">
+                ${backlinks.length ? backlinks.map(renderGlossaryNode).join('') : '<p class="text-xs text-stone-400 text-center">No terms point here</p>'}
+            </div>
+            <div class="hidden sm:block text-center text-stone-400 text-xl">→</div>
+            <div class="sm:col-span-1 px-3 py-3 rounded-lg bg-blue-600 text-white text-sm font-semibold text-center">${escapeHtml(definition.term)}</div>
+            <div class="hidden sm:block text-center text-stone-400 text-xl">→</div>
+            <div class="sm:col-span-2 space-y-2">
+                ${related.length ? related.map(renderGlossaryNode).join('') : '<p class="text-xs text-stone-400 text-center">No related terms</p>'}
+            </div>
+        </div>
+    `;
+}
@@ -0,0 +1,107 @@
+/**
+ * Glossary Usage Index for Internal Dosimetry Learning Platform
+ * The module sections where each glossary term is linked or mentioned, shown as backlinks in the glossary.
+ * Generated by tools/build-glossary-usage.js; do not edit by hand. Rebuild after changing module text or terms
+ */
+
+const GLOSSARY_USAGE = {
+    'absorbed-dose': [
+        { module: 'foundations', moduleTitle: 'Foundations', page: 'foundations.html', section: 'section-4', title: '4. Essential Terminology' },
+        { module: 'dose-calculation', moduleTitle: 'Dose Calculation', page: 'dose-calculation.html', section: 'section-1', title: '1. Dose Coefficients and ICRP Framework' }
+    ],
+    'biokinetic-model': [
+        { module: 'foundations', moduleTitle: 'Foundations', page: 'foundations.html', section: 'section-2', title: '2. The Three-Step Process' },
+        { module: 'intake-assessment', moduleTitle: 'Intake Assessment', page: 'intake-assessment.html', section: 'section-1', title: '1. Biokinetic Models & IRF Concepts' },
+        { module: 'intake-assessment', moduleTitle: 'Intake Assessment', page: 'intake-assessment.html', section: 'section-4', title: '4. Software Tools: An Introduction to IMBA' },
+        { module: 'dose-calculation', moduleTitle: 'Dose Calculation', page: 'dose-calculation.html', section: 'section-1', title: '1. Dose Coefficients and ICRP Framework' },
+        { module: 'dose-calculation', moduleTitle: 'Dose Calculation', page: 'dose-calculation.html', section: 'section-4', title: '4. Uncertainty Analysis and Advanced Applications' }
+    ],
+    'committed-effective-dose': [
+        { module: 'foundations', moduleTitle: 'Foundations', page: 'foundations.html', section: 'section-2', title: '2. The Three-Step Process' },
+        { module: 'foundations', moduleTitle: 'Foundations', page: 'foundations.html', section: 'section-4', title: '4. Essential Terminology' },
+        { module: 'intake-assessment', moduleTitle: 'Intake Assessment', page: 'intake-assessment.html', section: 'section-4', title: '4. Software Tools: An Introduction to IMBA' },
+        { module: 'dose-calculation', moduleTitle: 'Dose Calculation', page: 'dose-calculation.html', section: 'section-1', title: '1. Dose Coefficients and ICRP Framework' },
+        { module: 'dose-calculation', moduleTitle: 'Dose Calculation', page: 'dose-calculation.html', section: 'section-2', title: '2. Committed Effective Dose Calculation' },
+        { module: 'dose-calculation', moduleTitle: 'Dose Calculation', page: 'dose-calculation.html', section: 'section-3', title: '3. Regulatory Compliance and Dose Limits' },
+        { module: 'dose-calculation', moduleTitle: 'Dose Calculation', page: 'dose-calculation.html', section: 'section-4', title: '4. Uncertainty Analysis and Advanced Applications' }
+    ],
+    'decision-level': [
+        { module: 'bioassay', moduleTitle: 'Bioassay', page: 'bioassay.html', section: 'section-3', title: '3. Statistical Concepts & Detection Limits' }
+    ],
+    'dose-coefficients': [
+        { module: 'foundations', moduleTitle: 'Foundations', page: 'foundations.html', section: 'section-2', title: '2. The Three-Step Process' },
+        { module: 'foundations', moduleTitle: 'Foundations', page: 'foundations.html', section: 'section-3', title: '3. The Overall Framework' },
+        { module: 'dose-calculation', moduleTitle: 'Dose Calculation', page: 'dose-calculation.html', section: 'section-1', title: '1. Dose Coefficients and ICRP Framework' },
+        { module: 'dose-calculation', moduleTitle: 'Dose Calculation', page: 'dose-calculation.html', section: 'section-2', title: '2. Committed Effective Dose Calculation' },
+        { module: 'dose-calculation', moduleTitle: 'Dose Calculation', page: 'dose-calculation.html', section: 'section-3', title: '3. Regulatory Compliance and Dose Limits' },
+        { module: 'dose-calculation', moduleTitle: 'Dose Calculation', page: 'dose-calculation.html', section: 'section-4', title: '4. Uncertainty Analysis and Advanced Applications' }
+    ],
+    'effective-dose': [
+        { module: 'foundations', moduleTitle: 'Foundations', page: 'foundations.html', section: 'section-4', title: '4. Essential Terminology' },
+        { module: 'dose-calculation', moduleTitle: 'Dose Calculation', page: 'dose-calculation.html', section: 'section-1', title: '1. Dose Coefficients and ICRP Framework' }
+    ],
+    'equivalent-dose': [
+        { module: 'foundations', moduleTitle: 'Foundations', page: 'foundations.html', section: 'section-4', title: '4. Essential Terminology' }
+    ],
+    'in-vitro': [
+        { module: 'bioassay', moduleTitle: 'Bioassay', page: 'bioassay.html', section: 'section-2', title: '2. In Vitro vs In Vivo Approaches' },
+        { module: 'intake-assessment', moduleTitle: 'Intake Assessment', page: 'intake-assessment.html', section: 'section-1', title: '1. Biokinetic Models & IRF Concepts' }
+    ],
+    'in-vivo': [
+        { module: 'bioassay', moduleTitle: 'Bioassay', page: 'bioassay.html', section: 'section-2', title: '2. In Vitro vs In Vivo Approaches' },
+        { module: 'intake-assessment', moduleTitle: 'Intake Assessment', page: 'intake-assessment.html', section: 'section-1', title: '1. Biokinetic Models & IRF Concepts' }
+    ],
+    'intake': [
+        { module: 'foundations', moduleTitle: 'Foundations', page: 'foundations.html', section: 'section-2', title: '2. The Three-Step Process' },
+        { module: 'foundations', moduleTitle: 'Foundations', page: 'foundations.html', section: 'section-3', title: '3. The Overall Framework' },
+        { module: 'bioassay', moduleTitle: 'Bioassay', page: 'bioassay.html', section: 'section-1', title: '1. What is Bioassay?' },
+        { module: 'intake-assessment', moduleTitle: 'Intake Assessment', page: 'intake-assessment.html', section: 'section-1', title: '1. Biokinetic Models & IRF Concepts' },
+        { module: 'intake-assessment', moduleTitle: 'Intake Assessment', page: 'intake-assessment.html', section: 'section-2', title: '2. Working Backwards: From Measurement to Intake' },
+        { module: 'intake-assessment', moduleTitle: 'Intake Assessment', page: 'intake-assessment.html', section: 'section-3', title: '3. The Challenge of Unknown Intake Timing' },
+        { module: 'intake-assessment', moduleTitle: 'Intake Assessment', page: 'intake-assessment.html', section: 'section-4', title: '4. Software Tools: An Introduction to IMBA' },
+        { module: 'dose-calculation', moduleTitle: 'Dose Calculation', page: 'dose-calculation.html', section: 'section-1', title: '1. Dose Coefficients and ICRP Framework' },
+        { module: 'dose-calculation', moduleTitle: 'Dose Calculation', page: 'dose-calculation.html', section: 'section-2', title: '2. Committed Effective Dose Calculation' },
+        { module: 'dose-calculation', moduleTitle: 'Dose Calculation', page: 'dose-calculation.html', section: 'section-3', title: '3. Regulatory Compliance and Dose Limits' },
+        { module: 'dose-calculation', moduleTitle: 'Dose Calculation', page: 'dose-calculation.html', section: 'section-4', title: '4. Uncertainty Analysis and Advanced Applications' }
+    ],
+    'internal-dosimetry': [
+        { module: 'foundations', moduleTitle: 'Foundations', page: 'foundations.html', section: 'section-1', title: '1. What is Internal Dosimetry?' },
+        { module: 'foundations', moduleTitle: 'Foundations', page: 'foundations.html', section: 'section-2', title: '2. The Three-Step Process' },
+        { module: 'foundations', moduleTitle: 'Foundations', page: 'foundations.html', section: 'section-3', title: '3. The Overall Framework' },
+        { module: 'bioassay', moduleTitle: 'Bioassay', page: 'bioassay.html', section: 'section-1', title: '1. What is Bioassay?' },
+        { module: 'intake-assessment', moduleTitle: 'Intake Assessment', page: 'intake-assessment.html', section: 'section-3', title: '3. The Challenge of Unknown Intake Timing' }
+    ],
+    'irf': [
+        { module: 'intake-assessment', moduleTitle: 'Intake Assessment', page: 'intake-assessment.html', section: 'section-1', title: '1. Biokinetic Models & IRF Concepts' },
+        { module: 'intake-assessment', moduleTitle: 'Intake Assessment', page: 'intake-assessment.html', section: 'section-2', title: '2. Working Backwards: From Measurement to Intake' },
+        { module: 'intake-assessment', moduleTitle: 'Intake Assessment', page: 'intake-assessment.html', section: 'section-3', title: '3. The Challenge of Unknown Intake Timing' },
+        { module: 'intake-assessment', moduleTitle: 'Intake Assessment', page: 'intake-assessment.html', section: 'section-4', title: '4. Software Tools: An Introduction to IMBA' },
+        { module: 'dose-calculation', moduleTitle: 'Dose Calculation', page: 'dose-calculation.html', section: 'section-4', title: '4. Uncertainty Analysis and Advanced Applications' }
+    ],
+    'mda': [
+        { module: 'bioassay', moduleTitle: 'Bioassay', page: 'bioassay.html', section: 'section-3', title: '3. Statistical Concepts & Detection Limits' },
+        { module: 'dose-calculation', moduleTitle: 'Dose Calculation', page: 'dose-calculation.html', section: 'section-4', title: '4. Uncertainty Analysis and Advanced Applications' }
+    ],
+    'radiobioassay': [
+        { module: 'foundations', moduleTitle: 'Foundations', page: 'foundations.html', section: 'section-1', title: '1. What is Internal Dosimetry?' },
+        { module: 'foundations', moduleTitle: 'Foundations', page: 'foundations.html', section: 'section-2', title: '2. The Three-Step Process' },
+        { module: 'bioassay', moduleTitle: 'Bioassay', page: 'bioassay.html', section: 'section-1', title: '1. What is Bioassay?' },
+        { module: 'bioassay', moduleTitle: 'Bioassay', page: 'bioassay.html', section: 'section-3', title: '3. Statistical Concepts & Detection Limits' },
+        { module: 'bioassay', moduleTitle: 'Bioassay', page: 'bioassay.html', section: 'section-4', title: '4. Quality Assurance & Accreditation' },
+        { module: 'intake-assessment', moduleTitle: 'Intake Assessment', page: 'intake-assessment.html', section: 'section-2', title: '2. Working Backwards: From Measurement to Intake' },
+        { module: 'intake-assessment', moduleTitle: 'Intake Assessment', page: 'intake-assessment.html', section: 'section-4', title: '4. Software Tools: An Introduction to IMBA' },
+        { module: 'dose-calculation', moduleTitle: 'Dose Calculation', page: 'dose-calculation.html', section: 'section-3', title: '3. Regulatory Compliance and Dose Limits' },
+        { module: 'dose-calculation', moduleTitle: 'Dose Calculation', page: 'dose-calculation.html', section: 'section-4', title: '4. Uncertainty Analysis and Advanced Applications' }
+    ],
+    'radionuclides': [
+        { module: 'foundations', moduleTitle: 'Foundations', page: 'foundations.html', section: 'section-1', title: '1. What is Internal Dosimetry?' },
+        { module: 'intake-assessment', moduleTitle: 'Intake Assessment', page: 'intake-assessment.html', section: 'section-1', title: '1. Biokinetic Models & IRF Concepts' },
+        { module: 'intake-assessment', moduleTitle: 'Intake Assessment', page: 'intake-assessment.html', section: 'section-2', title: '2. Working Backwards: From Measurement to Intake' },
+        { module: 'intake-assessment', moduleTitle: 'Intake Assessment', page: 'intake-assessment.html', section: 'section-3', title: '3. The Challenge of Unknown Intake Timing' },
+        { module: 'intake-assessment', moduleTitle: 'Intake Assessment', page: 'intake-assessment.html', section: 'section-4', title: '4. Software Tools: An Introduction to IMBA' },
+        { module: 'dose-calculation', moduleTitle: 'Dose Calculation', page: 'dose-calculation.html', section: 'section-1', title: '1. Dose Coefficients and ICRP Framework' },
+        { module: 'dose-calculation', moduleTitle: 'Dose Calculation', page: 'dose-calculation.html', section: 'section-2', title: '2. Committed Effective Dose Calculation' },
+        { module: 'dose-calculation', moduleTitle: 'Dose Calculation', page: 'dose-calculation.html', section: 'section-3', title: '3. Regulatory Compliance and Dose Limits' },
+        { module: 'dose-calculation', moduleTitle: 'Dose Calculation', page: 'dose-calculation.html', section: 'section-4', title: '4. Uncertainty Analysis and Advanced Applications' }
+    ]
+};
@@ -0,0 +1,115 @@
+/**
+ * Interactive Intake Calculator for Internal Dosimetry Learning Platform
+ * Applies Intake = Measurement / IRF(t) using the tabulated values in irf-data.js
+ * Last Updated: October 19, 2026
+ */
+
+/**
+ * Estimate intake from a single bioassay measurement
+ * @param {string} nuclide - Radionuclide key (e.g. 'I-131')
+ * @param {string} measurementType - Measurement type key (e.g. 'thyroid')
+ * @param {number} measurement - Measured activity in the table's unit
+ * @param {number} days - Time between intake and measurement in days
+ * @returns {object} - { intake, irf, unit } on success or { error } describing the problem
+ */
+function calculateIntake(nuclide, measurementType, measurement, days) {
+    const table = getIrfTable(nuclide, measurementType);
+    if (!table) {
+        return { error: 'No IRF data is available for this radionuclide and measurement type.' };
+    }
+    if (!(measurement > 0)) {
+        return { error: 'Enter a measured activity greater than zero.' };
+    }
+
+    const irf = getIrfValue(nuclide, measurementType, days);
+    if (!irf) {
+        const first = table.points[0][0];
+        const last = table.points[table.points.length - 1][0];
+        return { error: `Time since intake must be between ${first} and ${last} days for this table.` };
+    }
+
+    return {
+        intake: measurement / irf.value,
+        irf,
+        unit: table.unit
+    };
+}
+
+/**
+ * Initialize the intake calculator controls on the page
+ * Expects the calculator markup (ids prefixed with "intake-calc-") to be present
+ */
+function initializeIntakeCalculator() {
+    const nuclideSelect = document.getElementById('intake-calc-nuclide');
+    if (!nuclideSelect) return;
+
+    nuclideSelect.innerHTML = Object.entries(IRF_DATA)
+        .map(([key, entry]) => `<option value="${key}">${key} (${entry.name})</option>`)
+        .join('');
+
+    nuclideSelect.addEventListener('change', () => {
+        populateMeasurementTypes();
+        updateIntakeCalculator();
+    });
+    document.getElementById('intake-calc-type').addEventListener('change', updateIntakeCalculator);
+    document.getElementById('intake-calc-measurement').addEventListener('input', updateIntakeCalculator);
+    document.getElementById('intake-calc-days').addEventListener('input', updateIntakeCalculator);
+
+    document.getElementById('intake-calc-dataset').textContent =
+        `IRF dataset v${IRF_DATASET_INFO.version}: ${IRF_DATASET_INFO.description}. ${IRF_DATASET_INFO.caution}`;
+
+    populateMeasurementTypes();
+    updateIntakeCalculator();
+}
+
+/**
+ * Fill the measurement type dropdown with the types tabulated for the selected radionuclide
+ */
+function populateMeasurementTypes() {
+    const nuclide = document.getElementById('intake-calc-nuclide').value;
+    const typeSelect = document.getElementById('intake-calc-type');
+    const previous = typeSelect.value;
+    const types = getAvailableMeasurementTypes(nuclide);
+
+    typeSelect.innerHTML = types
+        .map(type => `<option value="${type}">${MEASUREMENT_TYPES[type].label}</option>`)
+        .join('');
+
+    if (types.includes(previous)) {
+        typeSelect.value = previous;
+    }
+}
+
+/**
+ * Recalculate and display the intake estimate from the current inputs
+ */
+function updateIntakeCalculator() {
+    const nuclide = document.getElementById('intake-calc-nuclide').value;
+    const measurementType = document.getElementById('intake-calc-type').value;
+    const measurement = parseFloat(document.getElementById('intake-calc-measurement').value);
+    const days = parseFloat(document.getElementById('intake-calc-days').value);
+    const entry = IRF_DATA[nuclide];
+    const table = getIrfTable(nuclide, measurementType);
+    const resultElement = document.getElementById('intake-calc-result');
+
+    document.getElementById('intake-calc-unit').textContent = table ? table.unit : '';
+    document.getElementById('intake-calc-model').textContent = entry ? `${entry.route}. ${entry.model}.` : '';
+
+    const result = calculateIntake(nuclide, measurementType, measurement, days);
+    if (result.error) {
+        resultElement.innerHTML = `<p class="text-red-700 text-sm">${result.error}</p>`;
+        return;
+    }
+
+    const irfNote = result.irf.interpolated
+        ? `Interpolated between day ${result.irf.lower[0]} (${formatSignificant(result.irf.lower[1])}) and day ${result.irf.upper[0]} (${formatSignificant(result.irf.upper[1])})`
+        : `Tabulated value at day ${result.irf.lower[0]}`;
+    const irfUnit = result.unit === 'Bq' ? '' : ` (${result.unit} per Bq intake)`;
+
+    resultElement.innerHTML = `
+        <p class="text-sm text-stone-600 mb-1"><strong>IRF(${days} d)</strong> = ${formatSignificant(result.irf.value)}${irfUnit}</p>
+        <p class="text-xs text-stone-500 mb-3">${irfNote}</p>
+        <p class="font-mono text-lg">Intake = ${formatSignificant(measurement)} ${result.unit} / ${formatSignificant(result.irf.value)}</p>
+        <p class="font-bold text-2xl text-blue-600 mt-2">Intake ≈ ${formatSignificant(result.intake)} Bq</p>
+    `;
+}
@@ -0,0 +1,408 @@
+/**
+ * Multi-Measurement Intake Fitting for Internal Dosimetry Learning Platform
+ * Fits a single acute intake to a series of bioassay results (M = I × IRF(t))
+ * using weighted least squares and lognormal maximum likelihood
+ * Last Updated: October 19, 2026
+ */
+
+// Illustrative data series for the fitting exercise (not real worker data)
+const FIT_EXAMPLE_SERIES = {
+    'cs137-wbc': {
+        label: 'Cs-137 whole body counts (consistent series)',
+        nuclide: 'Cs-137',
+        rows: [
+            { type: 'whole-body', days: 7, value: 4410, uncertainty: 10 },
+            { type: 'whole-body', days: 30, value: 3650, uncertainty: 10 },
+            { type: 'whole-body', days: 90, value: 2610, uncertainty: 10 },
+            { type: 'whole-body', days: 180, value: 1390, uncertainty: 10 }
+        ]
+    },
+    'cs137-urine-outlier': {
+        label: 'Cs-137 urine samples (one contaminated sample)',
+        nuclide: 'Cs-137',
+        rows: [
+            { type: 'urine', days: 3, value: 92, uncertainty: 15 },
+            { type: 'urine', days: 10, value: 25, uncertainty: 15 },
+            { type: 'urine', days: 30, value: 19.5, uncertainty: 15 },
+            { type: 'urine', days: 60, value: 41, uncertainty: 15 },
+            { type: 'urine', days: 90, value: 12.1, uncertainty: 15 }
+        ]
+    },
+    'i131-mixed': {
+        label: 'I-131 thyroid counts and urine (mixed measurement types)',
+        nuclide: 'I-131',
+        rows: [
+            { type: 'thyroid', days: 1, value: 940, uncertainty: 5 },
+            { type: 'urine', days: 1, value: 2500, uncertainty: 20 },
+            { type: 'thyroid', days: 5, value: 730, uncertainty: 5 },
+            { type: 'thyroid', days: 10, value: 480, uncertainty: 5 }
+        ]
+    }
+};
+
+let intakeFitChart = null;
+
+/**
+ * Convert user rows into fitting points by looking up IRF values
+ * @param {string} nuclide - Radionuclide key
+ * @param {Array} rows - Array of { type, days, value, uncertainty } with uncertainty in percent (1σ)
+ * @returns {object} - { points, errors } where errors lists rows that could not be used
+ */
+function prepareFitPoints(nuclide, rows) {
+    const points = [];
+    const errors = [];
+
+    rows.forEach((row, index) => {
+        const irf = getIrfValue(nuclide, row.type, row.days);
+        const cv = row.uncertainty / 100;
+        if (!irf) {
+            errors.push(`Row ${index + 1}: no IRF for ${row.type} at day ${row.days}`);
+        } else if (!(row.value > 0)) {
+            errors.push(`Row ${index + 1}: result must be greater than zero`);
+        } else if (!(cv > 0)) {
+            errors.push(`Row ${index + 1}: uncertainty must be greater than zero`);
+        } else {
+            points.push({
+                ...row,
+                irf: irf.value,
+                sigma: row.value * cv,
+                sigmaLn: Math.sqrt(Math.log(1 + cv * cv))
+            });
+        }
+    });
+
+    return { points, errors };
+}
+
+/**
+ * Weighted least squares fit of a single intake
+ * Minimizes Σ ((Mᵢ − I × IRFᵢ) / σᵢ)²
+ * @param {Array} points - Fitting points from prepareFitPoints()
+ * @returns {object} - { intake, standardError, chiSquare, dof, pValue, residuals }
+ */
+function fitIntakeLeastSquares(points) {
+    let numerator = 0;
+    let denominator = 0;
+    points.forEach(p => {
+        numerator += p.value * p.irf / (p.sigma * p.sigma);
+        denominator += p.irf * p.irf / (p.sigma * p.sigma);
+    });
+
+    const intake = numerator / denominator;
+    const residuals = points.map(p => (p.value - intake * p.irf) / p.sigma);
+
+    return summarizeFit(intake, residuals, {
+        standardError: Math.sqrt(1 / denominator)
+    });
+}
+
+/**
+ * Lognormal maximum likelihood fit of a single intake
+ * Measurements are treated as lognormally distributed about I × IRFᵢ,
+ * which reduces to least squares on ln(Mᵢ / IRFᵢ)
+ * @param {Array} points - Fitting points from prepareFitPoints()
+ * @returns {object} - { intake, geometricSD, lower, upper, chiSquare, dof, pValue, residuals }
+ */
+function fitIntakeLognormal(points) {
+    let numerator = 0;
+    let denominator = 0;
+    points.forEach(p => {
+        const weight = 1 / (p.sigmaLn * p.sigmaLn);
+        numerator += Math.log(p.value / p.irf) * weight;
+        denominator += weight;
+    });
+
+    const logIntake = numerator / denominator;
+    const sigmaLogIntake = Math.sqrt(1 / denominator);
+    const intake = Math.exp(logIntake);
+    const residuals = points.map(p => Math.log(p.value / (intake * p.irf)) / p.sigmaLn);
+
+    return summarizeFit(intake, residuals, {
+        geometricSD: Math.exp(sigmaLogIntake),
+        lower: Math.exp(logIntake - sigmaLogIntake),
+        upper: Math.exp(logIntake + sigmaLogIntake)
+    });
+}
+
+/**
+ * Attach goodness-of-fit statistics to a fitted intake
+ * @param {number} intake - Fitted intake (Bq)
+ * @param {Array} residuals - Standardized residuals
+ * @param {object} extra - Method-specific uncertainty fields
+ * @returns {object} - Fit summary
+ */
+function summarizeFit(intake, residuals, extra) {
+    const chiSquare = residuals.reduce((sum, r) => sum + r * r, 0);
+    const dof = residuals.length - 1;
+    return {
+        intake,
+        ...extra,
+        chiSquare,
+        dof,
+        pValue: dof > 0 ? chiSquarePValue(chiSquare, dof) : null,
+        residuals
+    };
+}
+
+/**
+ * Probability of a chi-square value at least this large if the model is correct
+ * @param {number} chiSquare - Observed chi-square
+ * @param {number} dof - Degrees of freedom
+ * @returns {number} - Upper-tail p-value
+ */
+function chiSquarePValue(chiSquare, dof) {
+    return 1 - regularizedGammaP(dof / 2, chiSquare / 2);
+}
+
+/**
+ * Regularized lower incomplete gamma function P(a, x)
+ * Series expansion for x < a + 1, continued fraction otherwise (Numerical Recipes)
+ * @param {number} a - Shape parameter
+ * @param {number} x - Upper integration limit
+ * @returns {number} - P(a, x)
+ */
+function regularizedGammaP(a, x) {
+    if (x <= 0) return 0;
+    const logPrefactor = a * Math.log(x) - x - logGamma(a);
+
+    if (x < a + 1) {
+        let term = 1 / a;
+        let sum = term;
+        for (let n = 1; n < 200; n++) {
+            term *= x / (a + n);
+            sum += term;
+            if (Math.abs(term) < Math.abs(sum) * 1e-12) break;
+        }
+        return sum * Math.exp(logPrefactor);
+    }
+
+    let b = x + 1 - a;
+    let c = 1e300;
+    let d = 1 / b;
+    let h = d;
+    for (let n = 1; n < 200; n++) {
+        const an = -n * (n - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < 1e-300) d = 1e-300;
+        c = b + an / c;
+        if (Math.abs(c) < 1e-300) c = 1e-300;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-12) break;
+    }
+    return 1 - Math.exp(logPrefactor) * h;
+}
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ * @param {number} z - Argument (> 0)
+ * @returns {number} - ln Γ(z)
+ */
+function logGamma(z) {
+    const g = 7;
+    const coefficients = [
+        0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+        -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+        9.9843695780195716e-6, 1.5056327351493116e-7
+    ];
+    if (z < 0.5) {
+        return Math.log(Math.PI / Math.sin(Math.PI * z)) - logGamma(1 - z);
+    }
+    z -= 1;
+    let x = coefficients[0];
+    for (let i = 1; i < g + 2; i++) {
+        x += coefficients[i] / (z + i);
+    }
+    const t = z + g + 0.5;
+    return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(x);
+}
+
+/**
+ * Initialize the fitting exercise controls on the page
+ * Expects the fitting markup (ids prefixed with "fit-") to be present
+ */
+function initializeIntakeFitting() {
+    const nuclideSelect = document.getElementById('fit-nuclide');
+    if (!nuclideSelect) return;
+
+    nuclideSelect.innerHTML = Object.entries(IRF_DATA)
+        .map(([key, entry]) => `<option value="${key}">${key} (${entry.name})</option>`)
+        .join('');
+
+    const exampleSelect = document.getElementById('fit-example');
+    nuclideSelect.addEventListener('change', () => {
+        exampleSelect.value = '';
+        document.getElementById('fit-result').innerHTML = '';
+        drawFitResiduals([], null, null);
+        renderFitRows([]);
+        addFitRow();
+    });
+
+    exampleSelect.innerHTML = '<option value="">Load an example series...</option>' +
+        Object.entries(FIT_EXAMPLE_SERIES)
+            .map(([key, series]) => `<option value="${key}">${series.label}</option>`)
+            .join('');
+    exampleSelect.addEventListener('change', function() {
+        const series = FIT_EXAMPLE_SERIES[this.value];
+        if (series) {
+            nuclideSelect.value = series.nuclide;
+            renderFitRows(series.rows);
+            runIntakeFit();
+        }
+    });
+
+    document.getElementById('fit-add-row').addEventListener('click', () => addFitRow());
+    document.getElementById('fit-run').addEventListener('click', runIntakeFit);
+
+    exampleSelect.value = 'cs137-wbc';
+    exampleSelect.dispatchEvent(new Event('change'));
+}
+
+/**
+ * Render the editable bioassay results table
+ * @param {Array} rows - Array of { type, days, value, uncertainty }
+ */
+function renderFitRows(rows) {
+    const body = document.getElementById('fit-rows');
+    body.innerHTML = '';
+    rows.forEach(row => addFitRow(row));
+}
+
+/**
+ * Append one row to the bioassay results table
+ * @param {object} row - Optional initial values { type, days, value, uncertainty }
+ */
+function addFitRow(row = {}) {
+    const nuclide = document.getElementById('fit-nuclide').value;
+    const types = getAvailableMeasurementTypes(nuclide);
+    const body = document.getElementById('fit-rows');
+    const tr = document.createElement('tr');
+    tr.className = 'border-t border-stone-200';
+    tr.innerHTML = `
+        <td class="p-1">
+            <select class="fit-type w-full px-2 py-1 border border-stone-300 rounded text-sm">
+                ${types.map(type => `<option value="${type}">${MEASUREMENT_TYPES[type].label}</option>`).join('')}
+            </select>
+        </td>
+        <td class="p-1"><input type="number" step="any" min="0" class="fit-days w-20 px-2 py-1 border border-stone-300 rounded text-sm" value="${row.days ?? ''}"></td>
+        <td class="p-1"><input type="number" step="any" min="0" class="fit-value w-24 px-2 py-1 border border-stone-300 rounded text-sm" value="${row.value ?? ''}"> <span class="fit-unit text-xs text-stone-500"></span></td>
+        <td class="p-1"><input type="number" step="any" min="0" class="fit-uncertainty w-16 px-2 py-1 border border-stone-300 rounded text-sm" value="${row.uncertainty ?? 10}"></td>
+        <td class="p-1 text-right"><button type="button" class="fit-remove text-xs text-red-500 hover:text-red-700">Remove</button></td>
+    `;
+
+    const typeSelect = tr.querySelector('.fit-type');
+    if (row.type && types.includes(row.type)) {
+        typeSelect.value = row.type;
+    }
+    const updateUnit = () => {
+        const table = getIrfTable(nuclide, typeSelect.value);
+        tr.querySelector('.fit-unit').textContent = table ? table.unit : '';
+    };
+    typeSelect.addEventListener('change', updateUnit);
+    tr.querySelector('.fit-remove').addEventListener('click', () => tr.remove());
+    updateUnit();
+
+    body.appendChild(tr);
+}
+
+/**
+ * Read the results table
+ * @returns {Array} - Array of { type, days, value, uncertainty }
+ */
+function readFitRows() {
+    return Array.from(document.querySelectorAll('#fit-rows tr')).map(tr => ({
+        type: tr.querySelector('.fit-type').value,
+        days: parseFloat(tr.querySelector('.fit-days').value),
+        value: parseFloat(tr.querySelector('.fit-value').value),
+        uncertainty: parseFloat(tr.querySelector('.fit-uncertainty').value)
+    }));
+}
+
+/**
+ * Fit the current table with both methods and display the comparison
+ */
+function runIntakeFit() {
+    const nuclide = document.getElementById('fit-nuclide').value;
+    const { points, errors } = prepareFitPoints(nuclide, readFitRows());
+    const resultElement = document.getElementById('fit-result');
+    const messages = errors.map(error => `<p class="text-red-700 text-xs">${error}</p>`).join('');
+
+    if (points.length < 2) {
+        resultElement.innerHTML = messages + '<p class="text-red-700 text-sm">Enter at least two usable measurements to fit an intake.</p>';
+        drawFitResiduals([], null, null);
+        return;
+    }
+
+    const wls = fitIntakeLeastSquares(points);
+    const mle = fitIntakeLognormal(points);
+    const fitQuality = fit => {
+        if (fit.pValue === null) return '';
+        const flag = fit.pValue < 0.05
+            ? '<span class="text-red-600 font-semibold">poor fit (p &lt; 0.05)</span>'
+            : '<span class="text-green-700">acceptable</span>';
+        return `χ² = ${fit.chiSquare.toFixed(2)} on ${fit.dof} d.o.f., p = ${fit.pValue.toFixed(3)} — ${flag}`;
+    };
+
+    resultElement.innerHTML = messages + `
+        <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div class="bg-white p-3 rounded border border-purple-300">
+                <h5 class="font-semibold text-purple-800 mb-1">Weighted Least Squares</h5>
+                <p class="text-2xl font-bold text-blue-600">${formatSignificant(wls.intake)} Bq</p>
+                <p class="text-sm text-stone-600">± ${formatSignificant(wls.standardError)} Bq (1σ)</p>
+                <p class="text-xs text-stone-500 mt-1">${fitQuality(wls)}</p>
+            </div>
+            <div class="bg-white p-3 rounded border border-purple-300">
+                <h5 class="font-semibold text-purple-800 mb-1">Lognormal Maximum Likelihood</h5>
+                <p class="text-2xl font-bold text-blue-600">${formatSignificant(mle.intake)} Bq</p>
+                <p class="text-sm text-stone-600">68% range ${formatSignificant(mle.lower)} – ${formatSignificant(mle.upper)} Bq (GSD ${mle.geometricSD.toFixed(2)})</p>
+                <p class="text-xs text-stone-500 mt-1">${fitQuality(mle)}</p>
+            </div>
+        </div>
+    `;
+
+    drawFitResiduals(points, wls, mle);
+}
+
+/**
+ * Plot standardized residuals for both fits against time since intake
+ * @param {Array} points - Fitting points
+ * @param {object|null} wls - Least squares fit
+ * @param {object|null} mle - Lognormal fit
+ */
+function drawFitResiduals(points, wls, mle) {
+    const canvas = document.getElementById('fit-residual-chart');
+    if (!canvas || typeof Chart === 'undefined') return;
+    if (intakeFitChart) {
+        intakeFitChart.destroy();
+        intakeFitChart = null;
+    }
+    if (!wls || !mle) return;
+
+    const maxDay = Math.max(...points.map(p => p.days));
+    const band = value => [{ x: 0, y: value }, { x: maxDay, y: value }];
+
+    intakeFitChart = new Chart(canvas, {
+        type: 'scatter',
+        data: {
+            datasets: [
+                { label: 'Least squares', data: points.map((p, i) => ({ x: p.days, y: wls.residuals[i] })), backgroundColor: '#2563eb', pointRadius: 5 },
+                { label: 'Lognormal ML', data: points.map((p, i) => ({ x: p.days, y: mle.residuals[i] })), backgroundColor: '#7c3aed', pointStyle: 'triangle', pointRadius: 6 },
+                { label: '±2σ', data: band(2), type: 'line', borderColor: '#f87171', borderDash: [6, 4], pointRadius: 0, fill: false },
+                { label: '', data: band(-2), type: 'line', borderColor: '#f87171', borderDash: [6, 4], pointRadius: 0, fill: false }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { labels: { filter: item => item.text !== '' } }
+            },
+            scales: {
+                x: { title: { display: true, text: 'Days since intake' } },
+                y: { title: { display: true, text: 'Standardized residual' } }
+            }
+        }
+    });
+}
@@ -0,0 +1,321 @@
+/**
+ * Respiratory Tract and Alimentary Tract Model Presets for Internal Dosimetry Learning Platform
+ * Builds HRTM (ICRP 66/130) and HATM (ICRP 100) intake models in the biokinetic-solver.js format
+ * Last Updated: October 19, 2026
+ */
+
+// Geometric standard deviation assumed for the aerosol (ICRP 66 default for AMAD above about 0.5 μm)
+const AEROSOL_GSD = 2.5;
+
+// Default absorption parameters (ICRP 130): fraction dissolved rapidly (fr) at sr per day, the rest at ss per day
+const ABSORPTION_TYPES = {
+    F: { label: 'Type F (fast)', fr: 1, sr: 30, ss: 0 },
+    M: { label: 'Type M (moderate)', fr: 0.2, sr: 3, ss: 0.005 },
+    S: { label: 'Type S (slow)', fr: 0.01, sr: 3, ss: 0.0001 }
+};
+
+// Respiratory tract regions; particles deposited in ET2, BB and bb partly go to a sequestered (slow) compartment
+const HRTM_REGIONS = [
+    { id: 'ET1', label: 'ET₁ anterior nose', absorbs: false },
+    { id: 'ET2', label: 'ET₂′ posterior nose, pharynx, larynx' },
+    { id: 'ETseq', label: 'ET sequestered' },
+    { id: 'BB', label: 'BB′ bronchi' },
+    { id: 'BBseq', label: 'BB sequestered' },
+    { id: 'bb', label: 'bb′ bronchioles' },
+    { id: 'bbseq', label: 'bb sequestered' },
+    { id: 'ALV', label: 'Alveolar' },
+    { id: 'INT', label: 'Interstitial' },
+    { id: 'LNET', label: 'Lymph nodes (ET)' },
+    { id: 'LNTH', label: 'Lymph nodes (thoracic)' }
+];
+
+// Regions counted by a chest (lung) count
+const HRTM_THORACIC_REGIONS = ['BB', 'BBseq', 'bb', 'bbseq', 'ALV', 'INT', 'LNTH'];
+
+// Particle transport (ICRP 130), per day; the same for every dissolution state
+const HRTM_PARTICLE_TRANSPORT = [
+    { from: 'ET1', to: 'environment', rate: 0.6 },
+    { from: 'ET1', to: 'ET2', rate: 1.5 },
+    { from: 'ET2', to: 'oesophagus', rate: 100 },
+    { from: 'ETseq', to: 'LNET', rate: 0.001 },
+    { from: 'BB', to: 'ET2', rate: 10 },
+    { from: 'BBseq', to: 'LNTH', rate: 0.01 },
+    { from: 'bb', to: 'BB', rate: 0.2 },
+    { from: 'bbseq', to: 'LNTH', rate: 0.01 },
+    { from: 'ALV', to: 'bb', rate: 0.002 },
+    { from: 'ALV', to: 'INT', rate: 0.0001 },
+    { from: 'INT', to: 'LNTH', rate: 0.00003 }
+];
+
+// Share of each region's deposit that goes to the sequestered compartment (ICRP 130)
+const HRTM_SEQUESTERED_FRACTION = { ET2: 0.002, BB: 0.007, bb: 0.007 };
+
+// Alimentary tract (ICRP 100 adult, total diet): mean transit times in days
+const HATM_TRANSIT = {
+    mouth: 15 / 86400,
+    oesophagusFast: 7 / 86400,
+    oesophagusSlow: 40 / 86400,
+    stomach: 75 / 1440,
+    smallIntestine: 4 / 24,
+    rightColon: 12 / 24,
+    leftColon: 12 / 24,
+    rectosigmoid: 12 / 24
+};
+
+// Share of swallowed material passing quickly through the oesophagus
+const HATM_OESOPHAGUS_FAST_FRACTION = 0.9;
+
+// Nuclides that can be modelled without a systemic model: lung and alimentary tract only, absorbed activity stays in blood
+// fA is the ICRP 68 f₁ for the chemical forms used in the module examples (Co-60 Type M, Pu-239 oxide)
+const UPTAKE_ONLY_NUCLIDES = {
+    'Co-60': { halfLife: 5.27 * 365.25, fA: 0.1 },
+    'Pu-239': { halfLife: 24110 * 365.25, fA: 1e-5 }
+};
+
+// Ready-made intake models for the biokinetic model explorer
+const INTAKE_MODEL_PRESETS = {
+    'Cs-137-inhalation-F': { label: 'Cesium-137 inhalation, Type F, 5 μm AMAD (HRTM + HATM + ICRP 67 systemic)', options: { route: 'inhalation', nuclide: 'Cs-137', amad: 5, absorption: 'F', fA: 1 } },
+    'I-131-inhalation-F': { label: 'Iodine-131 inhalation, Type F, 5 μm AMAD (HRTM + HATM + ICRP 56/78 systemic)', options: { route: 'inhalation', nuclide: 'I-131', amad: 5, absorption: 'F', fA: 1 } },
+    'Pu-239-inhalation-S': { label: 'Plutonium-239 inhalation, Type S, 1 μm AMAD (HRTM + HATM, uptake to blood only)', options: { route: 'inhalation', nuclide: 'Pu-239', amad: 1, absorption: 'S', fA: 1e-5 } },
+    'Cs-137-ingestion': { label: 'Cesium-137 ingestion (HATM + ICRP 67 systemic)', options: { route: 'ingestion', nuclide: 'Cs-137', fA: 1 } }
+};
+
+/**
+ * List the nuclides buildIntakeModel() can handle
+ * @returns {Array} - [{ nuclide, label, fA }] with a systemic model first, then uptake-only nuclides
+ */
+function getIntakeModelNuclides() {
+    const systemic = Object.entries(BIOKINETIC_MODELS)
+        .filter(([, model]) => model.compartments.some(c => c.id === 'blood'))
+        .map(([nuclide]) => ({ nuclide, label: `${nuclide} (lung, gut and systemic model)`, fA: 1 }));
+    const uptakeOnly = Object.entries(UPTAKE_ONLY_NUCLIDES)
+        .map(([nuclide, entry]) => ({ nuclide, label: `${nuclide} (lung and gut only)`, fA: entry.fA }));
+    return [...systemic, ...uptakeOnly];
+}
+
+/**
+ * Regional deposition for a monodisperse particle (simplified ICRP 66 fit, reference worker, nose breathing)
+ * @param {number} diameter - Aerodynamic diameter in μm
+ * @returns {object} - { extrathoracic, tracheobronchial, alveolar } fractions of inhaled particles
+ */
+function calculateParticleDeposition(diameter) {
+    const lnD = Math.log(diameter);
+    const inhalable = 1 - 0.5 * (1 - 1 / (1 + 0.00076 * Math.pow(diameter, 2.8)));
+    const extrathoracic = inhalable * (1 / (1 + Math.exp(6.84 + 1.183 * lnD)) + 1 / (1 + Math.exp(0.924 - 1.885 * lnD)));
+    const tracheobronchial = (0.00352 / diameter) * (Math.exp(-0.234 * Math.pow(lnD + 3.40, 2)) + 63.9 * Math.exp(-0.819 * Math.pow(lnD - 1.61, 2)));
+    const alveolar = (0.0155 / diameter) * (Math.exp(-0.416 * Math.pow(lnD + 2.84, 2)) + 19.11 * Math.exp(-0.482 * Math.pow(lnD - 1.362, 2)));
+    return { extrathoracic, tracheobronchial, alveolar };
+}
+
+/**
+ * Regional deposition for a lognormal aerosol, as fractions of the inhaled activity
+ * The ET and TB totals are split between the HRTM regions with the ICRP 66 reference worker ratios
+ * @param {number} amad - Activity median aerodynamic diameter in μm
+ * @param {number} gsd - Geometric standard deviation (default AEROSOL_GSD)
+ * @returns {object} - { ET1, ET2, BB, bb, AI, total } or { error }
+ */
+function calculateRegionalDeposition(amad, gsd = AEROSOL_GSD) {
+    if (!(amad >= 0.1 && amad <= 20)) {
+        return { error: 'AMAD must be between 0.1 and 20 μm.' };
+    }
+
+    // Average the monodisperse fit over the activity-weighted size distribution
+    const sigma = Math.log(gsd);
+    const totals = { extrathoracic: 0, tracheobronchial: 0, alveolar: 0 };
+    let weight = 0;
+    for (let z = -4; z <= 4; z += 0.02) {
+        const density = Math.exp(-z * z / 2);
+        const deposition = calculateParticleDeposition(amad * Math.exp(z * sigma));
+        Object.keys(totals).forEach(key => { totals[key] += density * deposition[key]; });
+        weight += density;
+    }
+    Object.keys(totals).forEach(key => { totals[key] /= weight; });
+
+    // ET₁ takes about 46% of ET deposition; BB's share of TB rises from 34% at 1 μm to 62% at 5 μm
+    const bbShare = 0.34 + 0.28 * Math.min(Math.max(Math.log(amad) / Math.log(5), 0), 1);
+    const deposition = {
+        ET1: totals.extrathoracic * 0.46,
+        ET2: totals.extrathoracic * 0.54,
+        BB: totals.tracheobronchial * bbShare,
+        bb: totals.tracheobronchial * (1 - bbShare),
+        AI: totals.alveolar
+    };
+    deposition.total = deposition.ET1 + deposition.ET2 + deposition.BB + deposition.bb + deposition.AI;
+    return deposition;
+}
+
+/**
+ * Resolve an absorption type key or custom parameters
+ * @param {string|object} absorption - Key of ABSORPTION_TYPES or { fr, sr, ss }
+ * @returns {object} - { fr, sr, ss } or { error }
+ */
+function resolveAbsorptionParameters(absorption) {
+    const parameters = typeof absorption === 'string' ? ABSORPTION_TYPES[absorption] : absorption;
+    if (!parameters) return { error: 'Select an absorption type.' };
+    const { fr, sr, ss } = parameters;
+    if (!(fr >= 0 && fr <= 1)) return { error: 'The rapid fraction fr must be between 0 and 1.' };
+    if (!(sr > 0) || !(ss >= 0)) return { error: 'Dissolution rates must be positive (ss may be zero).' };
+    return { fr, sr, ss };
+}
+
+/**
+ * Alimentary tract compartments and transfers, ending in feces
+ * @param {number} fA - Fraction absorbed from the small intestine to blood
+ * @returns {object} - { compartments, transfers }
+ */
+function buildAlimentaryTract(fA) {
+    const rate = days => 1 / days;
+    return {
+        compartments: [
+            { id: 'mouth', label: 'Oral cavity' },
+            { id: 'oesophagus-fast', label: 'Oesophagus (fast)' },
+            { id: 'oesophagus-slow', label: 'Oesophagus (slow)' },
+            { id: 'stomach', label: 'Stomach' },
+            { id: 'small-intestine', label: 'Small intestine' },
+            { id: 'right-colon', label: 'Right colon' },
+            { id: 'left-colon', label: 'Left colon' },
+            { id: 'rectosigmoid', label: 'Rectosigmoid colon' }
+        ],
+        transfers: [
+            { from: 'mouth', to: 'oesophagus-fast', rate: HATM_OESOPHAGUS_FAST_FRACTION * rate(HATM_TRANSIT.mouth) },
+            { from: 'mouth', to: 'oesophagus-slow', rate: (1 - HATM_OESOPHAGUS_FAST_FRACTION) * rate(HATM_TRANSIT.mouth) },
+            { from: 'oesophagus-fast', to: 'stomach', rate: rate(HATM_TRANSIT.oesophagusFast) },
+            { from: 'oesophagus-slow', to: 'stomach', rate: rate(HATM_TRANSIT.oesophagusSlow) },
+            { from: 'stomach', to: 'small-intestine', rate: rate(HATM_TRANSIT.stomach) },
+            // Absorption and onward transit split the small-intestine outflow, as in the ingestion models of biokinetic-models.js
+            { from: 'small-intestine', to: 'blood', rate: fA * rate(HATM_TRANSIT.smallIntestine) },
+            { from: 'small-intestine', to: 'right-colon', rate: (1 - fA) * rate(HATM_TRANSIT.smallIntestine) },
+            { from: 'right-colon', to: 'left-colon', rate: rate(HATM_TRANSIT.rightColon) },
+            { from: 'left-colon', to: 'rectosigmoid', rate: rate(HATM_TRANSIT.leftColon) },
+            { from: 'rectosigmoid', to: 'feces', rate: rate(HATM_TRANSIT.rectosigmoid) }
+        ]
+    };
+}
+
+/**
+ * Respiratory tract compartments, transfers and initial deposits
+ * Each region has a rapidly and a slowly dissolving compartment sharing the same particle transport
+ * @param {object} deposition - Output of calculateRegionalDeposition()
+ * @param {object} absorption - { fr, sr, ss }
+ * @returns {object} - { compartments, transfers, intake }
+ */
+function buildRespiratoryTract(deposition, absorption) {
+    const states = [
+        { key: 'rapid', label: 'rapid', share: absorption.fr, rate: absorption.sr },
+        { key: 'slow', label: 'slow', share: 1 - absorption.fr, rate: absorption.ss }
+    ];
+    const regionIds = new Set(HRTM_REGIONS.map(region => region.id));
+    const regionDeposits = {
+        ET1: deposition.ET1,
+        ET2: deposition.ET2 * (1 - HRTM_SEQUESTERED_FRACTION.ET2),
+        ETseq: deposition.ET2 * HRTM_SEQUESTERED_FRACTION.ET2,
+        BB: deposition.BB * (1 - HRTM_SEQUESTERED_FRACTION.BB),
+        BBseq: deposition.BB * HRTM_SEQUESTERED_FRACTION.BB,
+        bb: deposition.bb * (1 - HRTM_SEQUESTERED_FRACTION.bb),
+        bbseq: deposition.bb * HRTM_SEQUESTERED_FRACTION.bb,
+        ALV: deposition.AI
+    };
+
+    const compartments = [];
+    const transfers = [];
+    const intake = {};
+    states.forEach(state => {
+        HRTM_REGIONS.forEach(region => {
+            const id = `${region.id}-${state.key}`;
+            compartments.push({ id, label: `${region.label} (${state.label})` });
+            const deposit = (regionDeposits[region.id] || 0) * state.share;
+            if (deposit > 0) intake[id] = deposit;
+            if (region.absorbs !== false && state.rate > 0) {
+                transfers.push({ from: id, to: 'blood', rate: state.rate });
+            }
+        });
+        HRTM_PARTICLE_TRANSPORT.forEach(transport => {
+            const from = `${transport.from}-${state.key}`;
+            if (regionIds.has(transport.to)) {
+                transfers.push({ from, to: `${transport.to}-${state.key}`, rate: transport.rate });
+            } else if (transport.to === 'oesophagus') {
+                transfers.push({ from, to: 'oesophagus-fast', rate: HATM_OESOPHAGUS_FAST_FRACTION * transport.rate });
+                transfers.push({ from, to: 'oesophagus-slow', rate: (1 - HATM_OESOPHAGUS_FAST_FRACTION) * transport.rate });
+            } else {
+                transfers.push({ from, to: transport.to, rate: transport.rate });
+            }
+        });
+    });
+    return { compartments, transfers, intake };
+}
+
+/**
+ * Build a complete intake model: HRTM or HATM entry, plus a systemic model when one exists for the nuclide
+ * The systemic part is taken from BIOKINETIC_MODELS with its own alimentary tract removed; it must have a "blood" compartment
+ * @param {object} options - { route: 'inhalation'|'ingestion', nuclide, amad (μm), absorption (type key or { fr, sr, ss }), fA }
+ * @returns {object} - Model definition for solveBiokineticModel(), or { error }
+ */
+function buildIntakeModel(options) {
+    const { route, nuclide, amad, fA } = options;
+    if (route !== 'inhalation' && route !== 'ingestion') return { error: 'Route must be inhalation or ingestion.' };
+    if (!(fA > 0 && fA <= 1)) return { error: 'The absorbed fraction f_A must be greater than 0 and at most 1.' };
+
+    const systemic = BIOKINETIC_MODELS[nuclide];
+    const hasSystemic = systemic && systemic.compartments.some(c => c.id === 'blood');
+    if (!hasSystemic && !UPTAKE_ONLY_NUCLIDES[nuclide]) return { error: `No model is available for ${nuclide}.` };
+
+    const gut = buildAlimentaryTract(fA);
+    const gutIds = new Set(['stomach', 'small-intestine']);
+    const compartments = [...gut.compartments];
+    const transfers = [...gut.transfers];
+    let intake = { mouth: 1 };
+
+    if (hasSystemic) {
+        systemic.compartments.forEach(c => { if (!gutIds.has(c.id)) compartments.push(c); });
+        systemic.transfers.forEach(t => { if (!gutIds.has(t.from)) transfers.push(t); });
+    } else {
+        compartments.push({ id: 'blood', label: 'Absorbed to blood (no systemic model)' });
+    }
+    if (!compartments.some(c => c.id === 'feces')) {
+        compartments.push({ id: 'feces', label: 'Feces', excretion: true });
+    }
+
+    let deposition = null;
+    let absorption = null;
+    if (route === 'inhalation') {
+        deposition = calculateRegionalDeposition(amad);
+        if (deposition.error) return deposition;
+        absorption = resolveAbsorptionParameters(options.absorption);
+        if (absorption.error) return absorption;
+
+        const lungs = buildRespiratoryTract(deposition, absorption);
+        compartments.push(...lungs.compartments, { id: 'environment', label: 'Nose blowing (removed)', excretion: true });
+        transfers.push(...lungs.transfers);
+        intake = lungs.intake;
+    }
+
+    const bodyIds = compartments.filter(c => !c.excretion).map(c => c.id);
+    const measurements = {
+        'whole-body': { compartments: bodyIds, unit: 'Bq' },
+        'feces': { excretion: 'feces', unit: 'Bq/d' }
+    };
+    if (route === 'inhalation') {
+        measurements['lungs'] = {
+            compartments: bodyIds.filter(id => HRTM_THORACIC_REGIONS.includes(id.replace(/-(rapid|slow)$/, ''))),
+            unit: 'Bq'
+        };
+    }
+    if (hasSystemic) {
+        Object.entries(systemic.measurements).forEach(([key, measurement]) => {
+            if (key !== 'whole-body' && key !== 'feces') measurements[key] = measurement;
+        });
+    }
+
+    const routeLabel = route === 'inhalation'
+        ? `inhalation, ${amad} μm AMAD, fr ${absorption.fr} / sr ${absorption.sr} / ss ${absorption.ss} per day`
+        : 'ingestion';
+    return {
+        name: `${nuclide} ${routeLabel}, f_A ${fA}`,
+        nuclides: hasSystemic ? systemic.nuclides : [{ id: nuclide, halfLife: UPTAKE_ONLY_NUCLIDES[nuclide].halfLife }],
+        compartments,
+        transfers,
+        intake,
+        measurements,
+        deposition
+    };
+}
@@ -0,0 +1,289 @@
+/**
+ * Unknown Intake Timing Explorer for Internal Dosimetry Learning Platform
+ * Compares midpoint, most-conservative and Bayesian (uniform prior) intake estimates
+ * for a measurement taken at the end of a monitoring interval
+ * Last Updated: October 19, 2026
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const TIMING_GRID_POINTS = 200;
+
+let intakeTimingChart = null;
+
+/**
+ * Parse a date input value (YYYY-MM-DD) as local noon
+ * Noon keeps whole-day arithmetic on the same calendar day across daylight saving changes
+ * @param {string} value - Date input value
+ * @returns {Date} - Local date (Invalid Date if the value is empty)
+ */
+function parseLocalDate(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day, 12);
+}
+
+/**
+ * Format a date as a date input value (YYYY-MM-DD) in local time
+ * @param {Date} date - Date to format
+ * @returns {string} - Date input value
+ */
+function toLocalDateInput(date) {
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Evaluate the intake for every assumed intake time in the monitoring interval
+ * @param {string} nuclide - Radionuclide key
+ * @param {string} measurementType - Measurement type key
+ * @param {number} measurement - Measured activity
+ * @param {number} intervalDays - Days between the previous (negative) sample and this measurement
+ * @returns {Array} - Array of { days, irf, intake } where days is time from intake to measurement
+ */
+function scanIntakeTiming(nuclide, measurementType, measurement, intervalDays) {
+    const table = getIrfTable(nuclide, measurementType);
+    if (!table) return [];
+
+    const minDays = table.points[0][0];
+    const maxDays = Math.min(intervalDays, table.points[table.points.length - 1][0]);
+    if (maxDays < minDays) return [];
+
+    const scan = [];
+    for (let i = 0; i < TIMING_GRID_POINTS; i++) {
+        const days = minDays + (maxDays - minDays) * i / (TIMING_GRID_POINTS - 1);
+        const irf = getIrfValue(nuclide, measurementType, days);
+        if (irf) {
+            scan.push({ days, irf: irf.value, intake: measurement / irf.value });
+        }
+    }
+    return scan;
+}
+
+/**
+ * Compute intake estimates under each timing assumption
+ * @param {string} nuclide - Radionuclide key
+ * @param {string} measurementType - Measurement type key
+ * @param {number} measurement - Measured activity
+ * @param {number} intervalDays - Monitoring interval length in days
+ * @param {number} uncertainty - Relative measurement uncertainty in percent (1σ), used by the Bayesian estimate
+ * @returns {object} - { scan, midpoint, conservative, bayesian } or { error }
+ */
+function compareTimingAssumptions(nuclide, measurementType, measurement, intervalDays, uncertainty) {
+    const table = getIrfTable(nuclide, measurementType);
+    if (!table) {
+        return { error: 'No IRF data is available for this radionuclide and measurement type.' };
+    }
+    if (!(measurement > 0)) {
+        return { error: 'Enter a measured activity greater than zero.' };
+    }
+    if (!(uncertainty > 0)) {
+        return { error: 'Enter a measurement uncertainty greater than zero.' };
+    }
+
+    const minDays = table.points[0][0];
+    const maxDays = table.points[table.points.length - 1][0];
+    if (!(intervalDays >= minDays * 2) || intervalDays > maxDays) {
+        return { error: `The monitoring interval must be between ${minDays * 2} and ${maxDays} days for this table.` };
+    }
+
+    const scan = scanIntakeTiming(nuclide, measurementType, measurement, intervalDays);
+    const midpointDays = intervalDays / 2;
+    const midpointIrf = getIrfValue(nuclide, measurementType, midpointDays).value;
+    const conservative = scan.reduce((max, point) => point.intake > max.intake ? point : max, scan[0]);
+
+    return {
+        scan,
+        midpoint: { days: midpointDays, irf: midpointIrf, intake: measurement / midpointIrf },
+        conservative,
+        bayesian: bayesianIntakeEstimate(scan, uncertainty / 100)
+    };
+}
+
+/**
+ * Bayesian intake estimate with a uniform prior on intake time over the interval
+ * The measurement is lognormal about I × IRF(t); with a flat prior on ln(I) the posterior
+ * for ln(I) is an equal-weight mixture of normals centred on ln(M / IRF(t)) for each t
+ * @param {Array} scan - Output of scanIntakeTiming()
+ * @param {number} cv - Relative measurement uncertainty (fraction, 1σ)
+ * @returns {object} - { mean, median, lower, upper } with a 95% credible interval
+ */
+function bayesianIntakeEstimate(scan, cv) {
+    const sigma = Math.sqrt(Math.log(1 + cv * cv));
+    const centres = scan.map(point => Math.log(point.intake));
+    const posteriorCdf = logIntake =>
+        centres.reduce((sum, centre) => sum + normalCdf((logIntake - centre) / sigma), 0) / centres.length;
+
+    const low = Math.min(...centres) - 5 * sigma;
+    const high = Math.max(...centres) + 5 * sigma;
+    const quantile = probability => {
+        let a = low;
+        let b = high;
+        for (let i = 0; i < 60; i++) {
+            const mid = (a + b) / 2;
+            if (posteriorCdf(mid) < probability) a = mid; else b = mid;
+        }
+        return Math.exp((a + b) / 2);
+    };
+
+    const mean = centres.reduce((sum, centre) => sum + Math.exp(centre + sigma * sigma / 2), 0) / centres.length;
+
+    return {
+        mean,
+        median: quantile(0.5),
+        lower: quantile(0.025),
+        upper: quantile(0.975)
+    };
+}
+
+/**
+ * Standard normal cumulative distribution function
+ * Uses the Abramowitz & Stegun 7.1.26 approximation to erf (|error| < 1.5 × 10⁻⁷)
+ * @param {number} z - Standard score
+ * @returns {number} - P(Z ≤ z)
+ */
+function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Initialize the timing explorer controls on the page
+ * Expects the explorer markup (ids prefixed with "timing-") to be present
+ */
+function initializeTimingExplorer() {
+    const nuclideSelect = document.getElementById('timing-nuclide');
+    if (!nuclideSelect) return;
+
+    nuclideSelect.innerHTML = Object.entries(IRF_DATA)
+        .map(([key, entry]) => `<option value="${key}">${key} (${entry.name})</option>`)
+        .join('');
+    nuclideSelect.value = 'Cs-137';
+
+    const today = new Date();
+    const start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 30);
+    document.getElementById('timing-end').value = toLocalDateInput(today);
+    document.getElementById('timing-start').value = toLocalDateInput(start);
+
+    nuclideSelect.addEventListener('change', () => {
+        populateTimingMeasurementTypes();
+        updateTimingExplorer();
+    });
+    ['timing-type', 'timing-start', 'timing-end'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateTimingExplorer);
+    });
+    ['timing-measurement', 'timing-uncertainty'].forEach(id => {
+        document.getElementById(id).addEventListener('input', updateTimingExplorer);
+    });
+
+    populateTimingMeasurementTypes();
+    updateTimingExplorer();
+}
+
+/**
+ * Fill the measurement type dropdown for the selected radionuclide
+ */
+function populateTimingMeasurementTypes() {
+    const nuclide = document.getElementById('timing-nuclide').value;
+    const typeSelect = document.getElementById('timing-type');
+    const previous = typeSelect.value;
+    const types = getAvailableMeasurementTypes(nuclide);
+
+    typeSelect.innerHTML = types
+        .map(type => `<option value="${type}">${MEASUREMENT_TYPES[type].label}</option>`)
+        .join('');
+    if (types.includes(previous)) {
+        typeSelect.value = previous;
+    }
+}
+
+/**
+ * Recalculate the timing comparison and redraw the chart
+ */
+function updateTimingExplorer() {
+    const nuclide = document.getElementById('timing-nuclide').value;
+    const measurementType = document.getElementById('timing-type').value;
+    const measurement = parseFloat(document.getElementById('timing-measurement').value);
+    const uncertainty = parseFloat(document.getElementById('timing-uncertainty').value);
+    const start = parseLocalDate(document.getElementById('timing-start').value);
+    const end = parseLocalDate(document.getElementById('timing-end').value);
+    const intervalDays = Math.round((end - start) / MS_PER_DAY);
+    const table = getIrfTable(nuclide, measurementType);
+    const resultElement = document.getElementById('timing-result');
+
+    document.getElementById('timing-unit').textContent = table ? table.unit : '';
+
+    const result = compareTimingAssumptions(nuclide, measurementType, measurement, intervalDays, uncertainty);
+    if (result.error) {
+        resultElement.innerHTML = `<p class="text-red-700 text-sm">${result.error}</p>`;
+        drawTimingChart(null, end);
+        return;
+    }
+
+    const dateFor = days => new Date(end.getTime() - days * MS_PER_DAY).toLocaleDateString();
+    const spread = (result.conservative.intake / result.scan[0].intake - 1) * 100;
+
+    resultElement.innerHTML = `
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <div class="bg-yellow-50 p-3 rounded border border-yellow-200">
+                <h5 class="font-semibold text-yellow-800 text-sm">Midpoint</h5>
+                <p class="text-xl font-bold text-yellow-900">${formatSignificant(result.midpoint.intake)} Bq</p>
+                <p class="text-xs text-yellow-700">Intake on ${dateFor(result.midpoint.days)} (t = ${result.midpoint.days.toFixed(1)} d, IRF = ${formatSignificant(result.midpoint.irf)})</p>
+            </div>
+            <div class="bg-orange-50 p-3 rounded border border-orange-200">
+                <h5 class="font-semibold text-orange-800 text-sm">Most Conservative</h5>
+                <p class="text-xl font-bold text-orange-900">${formatSignificant(result.conservative.intake)} Bq</p>
+                <p class="text-xs text-orange-700">Intake on ${dateFor(result.conservative.days)} (t = ${result.conservative.days.toFixed(1)} d, IRF = ${formatSignificant(result.conservative.irf)})</p>
+            </div>
+            <div class="bg-purple-50 p-3 rounded border border-purple-200">
+                <h5 class="font-semibold text-purple-800 text-sm">Bayesian (uniform prior)</h5>
+                <p class="text-xl font-bold text-purple-900">${formatSignificant(result.bayesian.median)} Bq</p>
+                <p class="text-xs text-purple-700">Posterior median (mean ${formatSignificant(result.bayesian.mean)} Bq); 95% credible interval ${formatSignificant(result.bayesian.lower)} – ${formatSignificant(result.bayesian.upper)} Bq</p>
+            </div>
+        </div>
+        <p class="text-xs text-stone-600 mt-3">Across the interval the estimate varies by ${spread.toFixed(0)}% between the most recent and the worst-case intake date. Intakes within the last ${result.scan[0].days} day(s) before the measurement are outside the tabulated IRF range.</p>
+    `;
+
+    drawTimingChart(result, end);
+}
+
+/**
+ * Plot intake against assumed intake date
+ * @param {object|null} result - Output of compareTimingAssumptions()
+ * @param {Date} end - Measurement date
+ */
+function drawTimingChart(result, end) {
+    const canvas = document.getElementById('timing-chart');
+    if (!canvas || typeof Chart === 'undefined') return;
+    if (intakeTimingChart) {
+        intakeTimingChart.destroy();
+        intakeTimingChart = null;
+    }
+    if (!result) return;
+
+    const ordered = result.scan.slice().reverse();
+    const labels = ordered.map(point => new Date(end.getTime() - point.days * MS_PER_DAY).toLocaleDateString());
+    const constant = value => ordered.map(() => value);
+
+    intakeTimingChart = new Chart(canvas, {
+        type: 'line',
+        data: {
+            labels,
+            datasets: [
+                { label: 'Intake if intake occurred on this date', data: ordered.map(point => point.intake), borderColor: '#2563eb', pointRadius: 0, borderWidth: 2 },
+                { label: 'Midpoint', data: constant(result.midpoint.intake), borderColor: '#ca8a04', borderDash: [6, 4], pointRadius: 0, borderWidth: 1.5 },
+                { label: 'Most conservative', data: constant(result.conservative.intake), borderColor: '#ea580c', borderDash: [6, 4], pointRadius: 0, borderWidth: 1.5 },
+                { label: 'Bayesian median', data: constant(result.bayesian.median), borderColor: '#7c3aed', borderDash: [2, 3], pointRadius: 0, borderWidth: 1.5 }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { mode: 'index', intersect: false },
+            scales: {
+                x: { title: { display: true, text: 'Assumed intake date' }, ticks: { maxTicksLimit: 8 } },
+                y: { title: { display: true, text: 'Estimated intake (Bq)' } }
+            }
+        }
+    });
+}
@@ -0,0 +1,296 @@
+/**
+ * Learner Notes for Internal Dosimetry Learning Platform
+ * Highlights selected text in module sections with a private note, lists every note across modules
+ * in one panel and exports them as Markdown. Notes are kept in the learner profile (progress-store.js)
+ * and anchored to their text with text-anchors.js
+ * Last Updated: October 19, 2026
+ */
+
+const LEARNER_NOTES_KEY = 'notes';
+
+// Which notes the panel lists: 'module' (this page) or 'all'
+let notesPanelScope = 'module';
+
+/**
+ * Initialize notes on a module page
+ * Does nothing on pages without progress sections
+ */
+function initializeLearnerNotes() {
+    if (!document.querySelector(TEXT_ANCHOR_SECTION_SELECTOR)) return;
+
+    addTextSelectionAction('🖍 Highlight & note', (range, section) => {
+        const note = addLearnerNote(range, section);
+        window.getSelection().removeAllRanges();
+        if (note) openNotesPanel(note.id);
+    });
+    createNotesPanel();
+    highlightLearnerNotes();
+    updateNotesToggle();
+
+    const target = window.location.hash.match(/^#note-(.+)$/);
+    if (target) showLearnerNote(decodeURIComponent(target[1]));
+}
+
+/**
+ * All saved notes, oldest first
+ * @returns {Array} - [{ id, module, section, sectionTitle, anchor, text, createdAt, updatedAt }]
+ */
+function getLearnerNotes() {
+    return readProgressData(LEARNER_NOTES_KEY) || [];
+}
+
+function saveLearnerNotes(notes) {
+    writeProgressData(LEARNER_NOTES_KEY, notes);
+}
+
+/**
+ * Highlight a range and save an empty note for it
+ * @param {Range} range - Selected text
+ * @param {Element} section - Progress section containing the range
+ * @returns {object|null} - The new note, or null if the range holds no text
+ */
+function addLearnerNote(range, section) {
+    const anchor = createTextAnchor(range, section);
+    if (!anchor) return null;
+    const heading = section.querySelector('h2');
+    const now = new Date().toISOString();
+    const note = {
+        id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        module: getModuleName(),
+        section: section.id,
+        sectionTitle: heading ? heading.textContent.trim() : section.id,
+        anchor,
+        text: '',
+        createdAt: now,
+        updatedAt: now
+    };
+    saveLearnerNotes([...getLearnerNotes(), note]);
+    highlightLearnerNotes();
+    return note;
+}
+
+function updateLearnerNote(id, text) {
+    saveLearnerNotes(getLearnerNotes().map(note => note.id === id ? { ...note, text, updatedAt: new Date().toISOString() } : note));
+}
+
+function deleteLearnerNote(id) {
+    saveLearnerNotes(getLearnerNotes().filter(note => note.id !== id));
+    highlightLearnerNotes();
+}
+
+/**
+ * Highlight the text of this module's notes; clicking a highlight opens its note
+ * @returns {Set<string>} - Ids of notes whose text could not be found on the page
+ */
+function highlightLearnerNotes() {
+    removeTextHighlights(document.querySelectorAll('mark.note-highlight'));
+    const missing = new Set();
+    getLearnerNotes()
+        .filter(note => note.module === getModuleName())
+        .forEach(note => {
+            const section = document.getElementById(note.section);
+            const found = section && findTextAnchor(note.anchor, section);
+            if (!found) {
+                missing.add(note.id);
+                return;
+            }
+            highlightTextRange(found.range, 'note-highlight bg-yellow-200 text-current cursor-pointer', {
+                'data-note-id': note.id,
+                title: note.text || 'Note'
+            });
+        });
+    return missing;
+}
+
+// Scroll to a note's highlight on this page
+function showLearnerNote(id) {
+    const mark = Array.from(document.querySelectorAll('mark.note-highlight')).find(element => element.dataset.noteId === id);
+    if (!mark) return;
+    mark.scrollIntoView({ block: 'center' });
+    mark.classList.add('ring-2', 'ring-yellow-500');
+    setTimeout(() => mark.classList.remove('ring-2', 'ring-yellow-500'), 2000);
+}
+
+// Create the notes button and side panel
+function createNotesPanel() {
+    const toggle = document.createElement('button');
+    toggle.id = 'notes-toggle';
+    toggle.type = 'button';
+    toggle.className = 'fixed bottom-4 left-4 bg-stone-800 hover:bg-stone-900 text-white px-3 py-2 rounded-lg shadow-lg z-40 text-sm';
+    toggle.textContent = '📝 My Notes';
+    toggle.addEventListener('click', () => openNotesPanel());
+    document.body.appendChild(toggle);
+
+    const panel = document.createElement('aside');
+    panel.id = 'notes-panel';
+    panel.className = 'fixed top-0 right-0 h-full w-full max-w-md bg-white shadow-2xl z-50 flex flex-col hidden';
+    panel.setAttribute('data-anchor-ignore', '');
+    panel.innerHTML = `
+        <div class="border-b border-stone-200 px-4 py-3 flex justify-between items-center">
+            <h3 class="text-lg font-semibold text-stone-800">📝 My Notes</h3>
+            <button type="button" id="notes-panel-close" class="text-stone-400 hover:text-stone-600 text-2xl">&times;</button>
+        </div>
+        <div class="px-4 py-3 border-b border-stone-200 flex flex-wrap items-center gap-2">
+            <label for="notes-scope" class="text-xs font-medium text-stone-700">Show</label>
+            <select id="notes-scope" class="px-2 py-1 border border-stone-300 rounded-md text-sm">
+                <option value="module">This module</option>
+                <option value="all">All modules</option>
+            </select>
+            <button type="button" id="notes-export" class="ml-auto border border-stone-300 px-3 py-1 rounded hover:bg-stone-100 text-sm">⬇️ Export Markdown</button>
+        </div>
+        <div id="notes-list" class="flex-1 overflow-y-auto p-4 space-y-4"></div>
+        <p class="px-4 py-2 text-xs text-stone-500 border-t border-stone-200">Select text in any section and choose "Highlight &amp; note". Notes stay in this browser and are included in your exported learning record.</p>
+    `;
+    document.body.appendChild(panel);
+
+    document.getElementById('notes-panel-close').addEventListener('click', closeNotesPanel);
+    document.getElementById('notes-export').addEventListener('click', downloadNotesMarkdown);
+    document.getElementById('notes-scope').addEventListener('change', event => {
+        notesPanelScope = event.target.value;
+        renderNotesPanel();
+    });
+
+    const list = document.getElementById('notes-list');
+    list.addEventListener('change', event => {
+        const card = event.target.closest('[data-note-id]');
+        if (card && event.target.tagName === 'TEXTAREA') {
+            updateLearnerNote(card.dataset.noteId, event.target.value);
+            highlightLearnerNotes();
+        }
+    });
+    list.addEventListener('click', event => {
+        const card = event.target.closest('[data-note-id]');
+        const action = event.target.dataset.noteAction;
+        if (!card || !action) return;
+        if (action === 'delete' && confirm('Delete this note and its highlight?')) {
+            deleteLearnerNote(card.dataset.noteId);
+            renderNotesPanel();
+        }
+        if (action === 'show') showLearnerNote(card.dataset.noteId);
+    });
+
+    document.addEventListener('click', event => {
+        const mark = event.target.closest('mark.note-highlight');
+        if (mark) openNotesPanel(mark.dataset.noteId);
+    });
+    document.addEventListener('keydown', event => {
+        if (event.key === 'Escape' && !panel.classList.contains('hidden')) closeNotesPanel();
+    });
+}
+
+/**
+ * Open the notes panel
+ * @param {string} noteId - Optional note to focus for editing
+ */
+function openNotesPanel(noteId = null) {
+    renderNotesPanel();
+    document.getElementById('notes-panel').classList.remove('hidden');
+    const card = noteId && Array.from(document.querySelectorAll('#notes-list [data-note-id]')).find(element => element.dataset.noteId === noteId);
+    if (card) card.querySelector('textarea').focus();
+}
+
+function updateNotesToggle() {
+    const count = getLearnerNotes().length;
+    document.getElementById('notes-toggle').textContent = count ? `📝 My Notes (${count})` : '📝 My Notes';
+}
+
+function closeNotesPanel() {
+    document.getElementById('notes-panel').classList.add('hidden');
+}
+
+function getNoteModuleTitle(moduleId) {
+    return PROGRESS_MODULES[moduleId] ? PROGRESS_MODULES[moduleId].title : moduleId;
+}
+
+/**
+ * Notes grouped by module (in course order) and section
+ * @param {Array} notes - Notes from getLearnerNotes()
+ * @returns {Array} - [{ module, sections: [{ section, sectionTitle, notes }] }]
+ */
+function groupLearnerNotes(notes) {
+    const moduleOrder = Object.keys(PROGRESS_MODULES);
+    const rank = moduleId => moduleOrder.includes(moduleId) ? moduleOrder.indexOf(moduleId) : moduleOrder.length;
+    const modules = [...new Set(notes.map(note => note.module))].sort((a, b) => rank(a) - rank(b));
+    return modules.map(module => {
+        const moduleNotes = notes.filter(note => note.module === module);
+        const sections = [...new Set(moduleNotes.map(note => note.section))]
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+        return {
+            module,
+            sections: sections.map(section => {
+                const sectionNotes = moduleNotes.filter(note => note.section === section);
+                return { section, sectionTitle: sectionNotes[0].sectionTitle, notes: sectionNotes };
+            })
+        };
+    });
+}
+
+// List the notes for the selected scope
+function renderNotesPanel() {
+    const moduleName = getModuleName();
+    const notes = getLearnerNotes().filter(note => notesPanelScope === 'all' || note.module === moduleName);
+    const missing = highlightLearnerNotes();
+    updateNotesToggle();
+    const list = document.getElementById('notes-list');
+
+    if (notes.length === 0) {
+        list.innerHTML = `<p class="text-stone-500 text-sm">${notesPanelScope === 'all' ? 'You have no notes yet.' : 'You have no notes in this module yet.'}</p>`;
+        return;
+    }
+
+    list.innerHTML = groupLearnerNotes(notes).map(group => `
+        <div>
+            ${notesPanelScope === 'all' ? `<h4 class="text-sm font-bold text-stone-800 mb-2">${escapeHtml(getNoteModuleTitle(group.module))}</h4>` : ''}
+            ${group.sections.map(section => `
+            <p class="text-xs font-semibold text-stone-500 uppercase tracking-wide mb-2">${escapeHtml(section.sectionTitle)}</p>
+            ${section.notes.map(note => `
+            <div data-note-id="${escapeHtml(note.id)}" class="border border-stone-200 rounded-lg p-3 mb-3">
+                <blockquote class="border-l-4 border-yellow-400 bg-yellow-50 px-2 py-1 text-sm text-stone-700 italic mb-2">“${escapeHtml(note.anchor.exact)}”</blockquote>
+                ${missing.has(note.id) ? '<p class="text-xs text-red-700 mb-2">This text is no longer on the page.</p>' : ''}
+                <textarea rows="3" aria-label="Note" class="w-full px-2 py-1 border border-stone-300 rounded-md text-sm" placeholder="Write your note...">${escapeHtml(note.text)}</textarea>
+                <div class="flex justify-between items-center mt-1 text-xs">
+                    ${note.module === moduleName
+                        ? `<button type="button" data-note-action="show" class="text-orange-600 hover:text-orange-700">Show in text</button>`
+                        : `<a href="${escapeHtml(`${note.module}.html#note-${encodeURIComponent(note.id)}`)}" class="text-orange-600 hover:text-orange-700">Open in module →</a>`}
+                    <button type="button" data-note-action="delete" class="text-stone-400 hover:text-red-600">Delete</button>
+                </div>
+            </div>`).join('')}`).join('')}
+        </div>
+    `).join('');
+}
+
+/**
+ * Notes as a Markdown document, grouped by module and section
+ * @param {Array} notes - Notes from getLearnerNotes()
+ * @returns {string} - Markdown text
+ */
+function formatNotesMarkdown(notes) {
+    const quote = text => text.split('\n').map(line => `> ${line}`).join('\n');
+    const lines = ['# Internal Dosimetry Notes', '', `Exported ${new Date().toLocaleString()}`, ''];
+    groupLearnerNotes(notes).forEach(group => {
+        lines.push(`## ${getNoteModuleTitle(group.module)}`, '');
+        group.sections.forEach(section => {
+            lines.push(`### ${section.sectionTitle}`, '');
+            section.notes.forEach(note => {
+                lines.push(quote(note.anchor.exact), '');
+                if (note.text.trim()) lines.push(note.text.trim(), '');
+            });
+        });
+    });
+    return lines.join('\n');
+}
+
+// Download every note as Markdown
+function downloadNotesMarkdown() {
+    const notes = getLearnerNotes();
+    if (notes.length === 0) {
+        alert('You have no notes to export.');
+        return;
+    }
+    const blob = new Blob([formatNotesMarkdown(notes)], { type: 'text/markdown' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `dosimetry-notes-${new Date().toISOString().slice(0, 10)}.md`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
@@ -0,0 +1,327 @@
+/**
+ * Learner Record Export and Certificates for Internal Dosimetry Learning Platform
+ * Exports the learner profile as a JSON file signed with a key pair generated in this browser
+ * (WebCrypto ECDSA P-256), checks the signature on import, and issues Unit 1 completion
+ * certificates whose verification hash an instructor can check against an exported record
+ * Last Updated: October 19, 2026
+ */
+
+const RECORD_EXPORT_FORMAT = 'dosimetry-learner-record';
+const RECORD_SCHEMA_VERSION = 1;
+
+// The signing key pair stays in this browser; it is never part of the exported record
+const RECORD_KEY_STORAGE_KEY = 'dosimetry-record-signing-key';
+
+// Issued certificates are kept in the learner profile so they travel with an exported record
+const RECORD_CERTIFICATES_KEY = 'certificates';
+
+// Fingerprints of the keys that signed records imported into this profile, so certificates issued on an earlier machine still verify
+const RECORD_PREVIOUS_KEYS_KEY = 'record-previous-keys';
+
+const RECORD_KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const RECORD_SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+const CERTIFICATE_UNIT = {
+    id: 'unit-1',
+    title: 'Unit 1: Internal Dosimetry Fundamentals',
+    modules: ['foundations', 'bioassay', 'intake-assessment', 'dose-calculation']
+};
+
+/**
+ * Serialize a value as JSON with object keys sorted, so the same data always gives the same bytes to sign or hash
+ * @param {*} value - JSON-compatible value
+ * @returns {string} - Canonical JSON text
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(item => canonicalJson(item === undefined ? null : item)).join(',')}]`;
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function bytesToBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+}
+
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), character => character.charCodeAt(0));
+}
+
+/**
+ * SHA-256 digest of a text as lowercase hex
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} - 64 hex digits
+ */
+function sha256Hex(text) {
+    return getSubtleCrypto().digest('SHA-256', new TextEncoder().encode(text))
+        .then(digest => Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join(''));
+}
+
+/**
+ * WebCrypto is only provided to pages opened from a file, localhost or https address
+ * @returns {SubtleCrypto} - The browser's WebCrypto interface
+ * @throws {Error} - If WebCrypto is unavailable
+ */
+function getSubtleCrypto() {
+    if (!window.crypto || !window.crypto.subtle) {
+        throw new Error('This browser does not provide WebCrypto here. Open the page from a file, localhost or https address.');
+    }
+    return window.crypto.subtle;
+}
+
+// Only the public key's defining fields, so the fingerprint does not depend on export options
+function publicKeyFields(jwk) {
+    return { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y };
+}
+
+/**
+ * Fingerprint of a public key, shown on certificates so records and certificates can be matched
+ * @param {object} jwk - Public key as a JSON Web Key
+ * @returns {Promise<string>} - SHA-256 hex of the key
+ */
+function publicKeyFingerprint(jwk) {
+    return sha256Hex(canonicalJson(publicKeyFields(jwk)));
+}
+
+/**
+ * Get this browser's signing key pair, generating and saving it the first time
+ * @returns {Promise<object>} - { privateKey (CryptoKey), publicKey (JWK) }
+ */
+function getRecordSigningKey() {
+    return Promise.resolve().then(() => {
+        const subtle = getSubtleCrypto();
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(RECORD_KEY_STORAGE_KEY));
+        } catch (error) {
+            saved = null;
+        }
+
+        const stored = saved && saved.privateKey && saved.publicKey
+            ? Promise.resolve(saved)
+            : subtle.generateKey(RECORD_KEY_ALGORITHM, true, ['sign', 'verify'])
+                .then(pair => Promise.all([subtle.exportKey('jwk', pair.privateKey), subtle.exportKey('jwk', pair.publicKey)]))
+                .then(([privateKey, publicKey]) => {
+                    const keys = { privateKey, publicKey: publicKeyFields(publicKey), createdAt: new Date().toISOString() };
+                    localStorage.setItem(RECORD_KEY_STORAGE_KEY, JSON.stringify(keys));
+                    return keys;
+                });
+
+        return stored.then(keys => subtle.importKey('jwk', keys.privateKey, RECORD_KEY_ALGORITHM, false, ['sign'])
+            .then(privateKey => ({ privateKey, publicKey: keys.publicKey })));
+    });
+}
+
+// The signed part of an exported record: everything except the signature itself
+function recordSignedText(record) {
+    return canonicalJson({
+        format: record.format,
+        schemaVersion: record.schemaVersion,
+        exportDate: record.exportDate,
+        profile: record.profile,
+        publicKey: record.publicKey
+    });
+}
+
+/**
+ * Build a signed export of the learner profile
+ * @returns {Promise<object>} - Export document { format, schemaVersion, exportDate, profile, publicKey, signature }
+ */
+function exportLearnerRecord() {
+    return getRecordSigningKey().then(key => {
+        const record = {
+            format: RECORD_EXPORT_FORMAT,
+            schemaVersion: RECORD_SCHEMA_VERSION,
+            exportDate: new Date().toISOString(),
+            profile: loadLearnerProfile(),
+            publicKey: key.publicKey
+        };
+        return getSubtleCrypto().sign(RECORD_SIGNATURE_ALGORITHM, key.privateKey, new TextEncoder().encode(recordSignedText(record)))
+            .then(signature => ({ ...record, signature: bytesToBase64(signature) }));
+    });
+}
+
+/**
+ * Check that an exported record is intact
+ * The signature shows the record has not been edited since it was exported; because the key is
+ * generated by the learner's own browser, it does not prove who the learner is
+ * @param {object} data - Parsed export document
+ * @returns {Promise<object>} - { fingerprint } of the signing key
+ * @throws {Error} - (as a rejection) if the document is not a record or the signature does not match
+ */
+function verifyLearnerRecord(data) {
+    return Promise.resolve().then(() => {
+        if (!data || data.format !== RECORD_EXPORT_FORMAT || !data.profile || !data.publicKey || !data.signature) {
+            throw new Error('This file is not an exported learning record.');
+        }
+        if (data.schemaVersion !== RECORD_SCHEMA_VERSION) {
+            throw new Error(`Learning record schema version ${data.schemaVersion} is not supported.`);
+        }
+
+        const subtle = getSubtleCrypto();
+        let signature;
+        try {
+            signature = base64ToBytes(data.signature);
+        } catch (error) {
+            throw new Error('The record signature is not valid base64.');
+        }
+        return subtle.importKey('jwk', publicKeyFields(data.publicKey), RECORD_KEY_ALGORITHM, false, ['verify'])
+            .catch(() => { throw new Error('The record public key could not be read.'); })
+            .then(publicKey => subtle.verify(RECORD_SIGNATURE_ALGORITHM, publicKey, signature, new TextEncoder().encode(recordSignedText(data))))
+            .then(valid => {
+                if (!valid) throw new Error('The signature does not match: this record was changed after it was exported.');
+                return publicKeyFingerprint(data.publicKey);
+            })
+            .then(fingerprint => ({ fingerprint }));
+    });
+}
+
+/**
+ * Replace the learner profile with one from a signed export
+ * @param {object} data - Parsed export document
+ * @returns {Promise<object>} - The imported profile, migrated to the current schema
+ * @throws {Error} - (as a rejection) if the record is not intact or was written by a newer version of the site
+ */
+function importLearnerRecord(data) {
+    return verifyLearnerRecord(data).then(({ fingerprint }) => {
+        const profile = data.profile;
+        if (!Number.isInteger(profile.version) || !profile.modules || typeof profile.modules !== 'object' || !profile.data || typeof profile.data !== 'object') {
+            throw new Error('The record does not contain a learner profile.');
+        }
+        if (profile.version > PROGRESS_SCHEMA_VERSION) {
+            throw new Error(`The record was exported by a newer version of this site (profile version ${profile.version}).`);
+        }
+        Object.keys(PROGRESS_MODULES).forEach(moduleId => {
+            profile.modules[moduleId] = { ...createModuleRecord(), ...profile.modules[moduleId] };
+        });
+        const migrated = migrateLearnerProfile(profile).profile;
+        const previousKeys = Array.isArray(migrated.data[RECORD_PREVIOUS_KEYS_KEY]) ? migrated.data[RECORD_PREVIOUS_KEYS_KEY] : [];
+        if (!previousKeys.includes(fingerprint)) migrated.data[RECORD_PREVIOUS_KEYS_KEY] = [...previousKeys, fingerprint];
+        saveLearnerProfile(migrated);
+        return migrated;
+    });
+}
+
+/**
+ * Best knowledge check score in a module's quiz history
+ * @param {object} record - Module progress record
+ * @returns {number|null} - Best score (0-1), or null before the first attempt
+ */
+function getBestQuizScore(record) {
+    return record.quizHistory.length ? Math.max(...record.quizHistory.map(entry => entry.score)) : null;
+}
+
+/**
+ * The statements a certificate makes about the learner, taken from the profile
+ * @param {object} profile - Learner profile
+ * @param {string} learner - Name to print on the certificate
+ * @param {string} keyFingerprint - Fingerprint of this browser's signing key
+ * @param {Date} now - Issue time
+ * @returns {object} - { unit, unitTitle, learner, issuedAt, keyFingerprint, modules: [{ id, title, completedAt, bestScore, quizAttempts }] } or { error }
+ */
+function buildCertificateClaims(profile, learner, keyFingerprint, now = new Date()) {
+    const name = String(learner || '').trim();
+    if (!name) return { error: 'Enter the name to print on the certificate.' };
+
+    const incomplete = CERTIFICATE_UNIT.modules.filter(moduleId => !profile.modules[moduleId].completedAt);
+    if (incomplete.length) {
+        return { error: `Complete every section of ${incomplete.map(moduleId => PROGRESS_MODULES[moduleId].title).join(', ')} first.` };
+    }
+
+    return {
+        unit: CERTIFICATE_UNIT.id,
+        unitTitle: CERTIFICATE_UNIT.title,
+        learner: name,
+        issuedAt: now.toISOString(),
+        keyFingerprint,
+        modules: CERTIFICATE_UNIT.modules.map(moduleId => {
+            const record = profile.modules[moduleId];
+            return {
+                id: moduleId,
+                title: PROGRESS_MODULES[moduleId].title,
+                completedAt: record.completedAt,
+                bestScore: getBestQuizScore(record),
+                quizAttempts: record.quizHistory.length
+            };
+        })
+    };
+}
+
+/**
+ * Verification hash printed on a certificate
+ * @param {object} claims - Output of buildCertificateClaims()
+ * @returns {Promise<string>} - SHA-256 hex of the claims
+ */
+function hashCertificate(claims) {
+    return sha256Hex(canonicalJson(claims));
+}
+
+/**
+ * Issue a Unit 1 certificate and keep it in the learner profile
+ * @param {string} learner - Name to print on the certificate
+ * @returns {Promise<object>} - Certificate: the claims plus their hash
+ * @throws {Error} - (as a rejection) if the unit is not complete or no name was given
+ */
+function issueCertificate(learner) {
+    return getRecordSigningKey()
+        .then(key => publicKeyFingerprint(key.publicKey))
+        .then(fingerprint => {
+            const claims = buildCertificateClaims(loadLearnerProfile(), learner, fingerprint);
+            if (claims.error) throw new Error(claims.error);
+            return hashCertificate(claims).then(hash => {
+                const certificate = { ...claims, hash };
+                writeProgressData(RECORD_CERTIFICATES_KEY, [...(readProgressData(RECORD_CERTIFICATES_KEY) || []), certificate]);
+                return certificate;
+            });
+        });
+}
+
+/**
+ * Normalize a typed verification hash: hex digits only, lower case
+ * @param {string} text - Hash as printed, possibly grouped with spaces
+ * @returns {string} - Normalized hash
+ */
+function normalizeCertificateHash(text) {
+    return String(text || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+/**
+ * Check a certificate against an exported learning record
+ * @param {object} data - Parsed export document
+ * @param {string} hash - Verification hash printed on the certificate
+ * @returns {Promise<object>} - { valid, certificate, checks: [{ label, ok }] }
+ * @throws {Error} - (as a rejection) if the record is not intact or holds no certificate with this hash
+ */
+function verifyCertificate(data, hash) {
+    const wanted = normalizeCertificateHash(hash);
+    return verifyLearnerRecord(data).then(({ fingerprint }) => {
+        const profileData = data.profile.data || {};
+        const certificates = Array.isArray(profileData[RECORD_CERTIFICATES_KEY]) ? profileData[RECORD_CERTIFICATES_KEY] : [];
+        const knownKeys = [fingerprint, ...(Array.isArray(profileData[RECORD_PREVIOUS_KEYS_KEY]) ? profileData[RECORD_PREVIOUS_KEYS_KEY] : [])];
+        const certificate = certificates.find(item => item.hash === wanted);
+        if (!certificate) throw new Error('The record is intact, but it holds no certificate with this verification hash.');
+
+        const { hash: printed, ...claims } = certificate;
+        return hashCertificate(claims).then(recomputed => {
+            const checks = [
+                { label: 'The record signature is valid: it has not been changed since it was exported', ok: true },
+                { label: 'The certificate details produce the printed verification hash', ok: recomputed === printed }
+            ];
+            claims.modules.forEach(claim => {
+                const record = data.profile.modules[claim.id];
+                const matches = Boolean(record) && record.completedAt === claim.completedAt
+                    && Array.isArray(record.quizHistory) && getBestQuizScore(record) === claim.bestScore;
+                checks.push({ label: `${claim.title}: completion date and best knowledge check score match the learner's progress`, ok: matches });
+            });
+            checks.push({
+                label: 'The certificate was issued in the browser that signed the record, or one the record was imported from',
+                ok: knownKeys.includes(claims.keyFingerprint)
+            });
+            return { valid: checks.every(check => check.ok), certificate, checks };
+        });
+    });
+}
@@ -0,0 +1,213 @@
+/**
+ * Respiratory Tract Deposition and Lung Retention Explorer for Internal Dosimetry Learning Platform
+ * Computes regional deposition from AMAD and compares lung retention for absorption Types F, M and S
+ * Last Updated: October 19, 2026
+ */
+
+// Retention is tabulated and plotted over the first year after intake
+const LUNG_RETENTION_DAYS = 365;
+
+const LUNG_TYPE_COLORS = { F: '#16a34a', M: '#ca8a04', S: '#dc2626', custom: '#7c3aed' };
+
+let lungRetentionChart = null;
+
+/**
+ * Solve an inhalation model and return the lung and whole-body retention curves
+ * @param {object} options - Options for buildIntakeModel() (route is set to inhalation)
+ * @returns {object} - { model, lungs, wholeBody } as [[days, fraction of intake], ...] or { error }
+ */
+function calculateLungRetention(options) {
+    const model = buildIntakeModel({ ...options, route: 'inhalation' });
+    if (model.error) return model;
+    const solution = solveBiokineticModel(model, LUNG_RETENTION_DAYS);
+    if (solution.error) return solution;
+    return {
+        model,
+        lungs: evaluateMeasurement(model, solution, model.measurements.lungs),
+        wholeBody: evaluateMeasurement(model, solution, model.measurements['whole-body'])
+    };
+}
+
+/**
+ * Initialize the lung retention controls on the page
+ * Expects the explorer markup (ids prefixed with "lung-") to be present
+ */
+function initializeLungRetention() {
+    renderLungRetentionExamples();
+
+    const nuclideSelect = document.getElementById('lung-nuclide');
+    if (!nuclideSelect) return;
+
+    getIntakeModelNuclides().forEach(entry => {
+        nuclideSelect.appendChild(new Option(entry.label, entry.nuclide));
+    });
+    const typeSelect = document.getElementById('lung-type');
+    Object.entries(ABSORPTION_TYPES).forEach(([key, type]) => {
+        typeSelect.appendChild(new Option(type.label, key));
+    });
+    typeSelect.appendChild(new Option('Custom (edit fr, sr, ss)', 'custom'));
+
+    nuclideSelect.value = 'Pu-239';
+    typeSelect.value = 'S';
+
+    nuclideSelect.addEventListener('change', () => {
+        selectLungDefaultAbsorbedFraction();
+        updateLungRetention();
+    });
+    typeSelect.addEventListener('change', () => {
+        fillLungAbsorptionParameters();
+        updateLungRetention();
+    });
+    ['lung-fr', 'lung-sr', 'lung-ss'].forEach(id => {
+        document.getElementById(id).addEventListener('input', () => {
+            typeSelect.value = 'custom';
+            updateLungRetention();
+        });
+    });
+    ['lung-amad', 'lung-fa'].forEach(id => {
+        document.getElementById(id).addEventListener('input', updateLungRetention);
+    });
+
+    selectLungDefaultAbsorbedFraction();
+    fillLungAbsorptionParameters();
+    updateLungRetention();
+}
+
+/**
+ * Set f_A to the default for the selected nuclide
+ */
+function selectLungDefaultAbsorbedFraction() {
+    const nuclide = document.getElementById('lung-nuclide').value;
+    const entry = getIntakeModelNuclides().find(item => item.nuclide === nuclide);
+    document.getElementById('lung-fa').value = entry.fA;
+}
+
+/**
+ * Copy the selected absorption type's parameters into the fr, sr and ss fields
+ */
+function fillLungAbsorptionParameters() {
+    const type = ABSORPTION_TYPES[document.getElementById('lung-type').value];
+    if (!type) return;
+    document.getElementById('lung-fr').value = type.fr;
+    document.getElementById('lung-sr').value = type.sr;
+    document.getElementById('lung-ss').value = type.ss;
+}
+
+/**
+ * Recalculate deposition and retention and redraw the chart
+ */
+function updateLungRetention() {
+    const resultElement = document.getElementById('lung-result');
+    const depositionElement = document.getElementById('lung-deposition');
+    const selectedType = document.getElementById('lung-type').value;
+    const options = {
+        nuclide: document.getElementById('lung-nuclide').value,
+        amad: parseFloat(document.getElementById('lung-amad').value),
+        fA: parseFloat(document.getElementById('lung-fa').value),
+        absorption: {
+            fr: parseFloat(document.getElementById('lung-fr').value),
+            sr: parseFloat(document.getElementById('lung-sr').value),
+            ss: parseFloat(document.getElementById('lung-ss').value)
+        }
+    };
+
+    const selected = calculateLungRetention(options);
+    if (selected.error) {
+        depositionElement.innerHTML = '';
+        resultElement.innerHTML = `<p class="text-red-700 text-sm">${selected.error}</p>`;
+        drawLungRetentionChart(null);
+        return;
+    }
+
+    const deposition = selected.model.deposition;
+    const regions = [
+        ['ET₁', deposition.ET1], ['ET₂', deposition.ET2], ['BB', deposition.BB],
+        ['bb', deposition.bb], ['AI', deposition.AI], ['Total', deposition.total]
+    ];
+    depositionElement.innerHTML = regions.map(([label, value]) => `
+        <div class="bg-stone-50 p-2 rounded border border-stone-200 text-center">
+            <p class="text-xs text-stone-600">${label}</p>
+            <p class="font-bold text-stone-900">${(value * 100).toFixed(1)}%</p>
+        </div>
+    `).join('');
+
+    // Compare the standard types at the same AMAD and f_A; a custom parameter set is added as its own curve
+    const curves = Object.keys(ABSORPTION_TYPES).map(type => ({
+        type,
+        label: ABSORPTION_TYPES[type].label,
+        points: type === selectedType ? selected.lungs : calculateLungRetention({ ...options, absorption: type }).lungs
+    }));
+    if (!ABSORPTION_TYPES[selectedType]) {
+        curves.push({ type: 'custom', label: 'Custom parameters', points: selected.lungs });
+    }
+
+    const at = (points, day) => points.find(point => point[0] === day)[1];
+    const thoracic = deposition.BB + deposition.bb + deposition.AI;
+    resultElement.innerHTML = `
+        <div class="bg-purple-50 p-3 rounded border border-purple-200">
+            <p class="text-sm text-purple-900">Lung (thoracic) retention, as a fraction of the intake: ${[1, 30, 365].map(day => `day ${day}: <strong>${formatSignificant(at(selected.lungs, day))}</strong>`).join(', ')}</p>
+            <p class="text-sm text-purple-900">Whole body at 365 days: <strong>${formatSignificant(at(selected.wholeBody, 365))}</strong> of the intake (${formatSignificant(thoracic)} was deposited in the thoracic airways and alveoli).</p>
+        </div>
+    `;
+
+    drawLungRetentionChart(curves, selectedType);
+}
+
+/**
+ * Plot lung retention for each absorption type on a log scale
+ * @param {Array|null} curves - [{ type, label, points }]
+ * @param {string} selectedType - Absorption type key drawn with a heavier line
+ */
+function drawLungRetentionChart(curves, selectedType) {
+    const canvas = document.getElementById('lung-chart');
+    if (!canvas || typeof Chart === 'undefined') return;
+    if (lungRetentionChart) {
+        lungRetentionChart.destroy();
+        lungRetentionChart = null;
+    }
+    if (!curves) return;
+
+    lungRetentionChart = new Chart(canvas, {
+        type: 'line',
+        data: {
+            datasets: curves.map(curve => ({
+                label: curve.label,
+                // Zero cannot be drawn on a log axis
+                data: curve.points.filter(([, value]) => value > 0).map(([x, y]) => ({ x, y })),
+                borderColor: LUNG_TYPE_COLORS[curve.type],
+                pointRadius: 0,
+                borderWidth: curve.type === selectedType ? 3 : 1.5
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { mode: 'nearest', intersect: false },
+            scales: {
+                x: { type: 'linear', max: LUNG_RETENTION_DAYS, title: { display: true, text: 'Days after intake' } },
+                y: { type: 'logarithmic', min: 1e-4, title: { display: true, text: 'Lung retention (fraction of intake)' } }
+            }
+        }
+    });
+}
+
+/**
+ * Fill worked-example placeholders with computed deposition and lung retention
+ * Placeholders carry data-lung-example (nuclide), data-lung-amad and data-lung-type
+ */
+function renderLungRetentionExamples() {
+    document.querySelectorAll('[data-lung-example]').forEach(element => {
+        const nuclide = element.dataset.lungExample;
+        const amad = parseFloat(element.dataset.lungAmad);
+        const type = element.dataset.lungType;
+        const fA = getIntakeModelNuclides().find(item => item.nuclide === nuclide).fA;
+        const result = calculateLungRetention({ nuclide, amad, fA, absorption: type });
+        const fast = calculateLungRetention({ nuclide, amad, fA, absorption: 'F' });
+        if (result.error || fast.error) return;
+
+        const deposition = result.model.deposition;
+        const yearEnd = points => points[points.length - 1][1];
+        element.innerHTML = `<strong>Model Check (HRTM):</strong> A ${amad} μm AMAD aerosol deposits ${(deposition.BB + deposition.bb + deposition.AI).toFixed(3)} of the inhaled activity in the lungs (${deposition.AI.toFixed(3)} alveolar). `
+            + `As Type ${type} material, ${formatSignificant(yearEnd(result.lungs))} of the intake is still in the lungs after a year; as Type F it would be ${formatSignificant(yearEnd(fast.lungs))}.`;
+    });
+}
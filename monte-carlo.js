@@ -0,0 +1,457 @@
+/**
+ * Monte Carlo Uncertainty Engine for Internal Dosimetry Learning Platform
+ * Propagates measurement, intake timing, IRF and dose coefficient distributions through
+ * Intake = M / IRF(t) and CED = Intake × e(50) with a seeded, reproducible random number generator
+ * Last Updated: October 19, 2026
+ */
+
+const MC_MAX_SAMPLES = 100000;
+const MC_HISTOGRAM_BINS = 30;
+
+// Supported distributions and the parameters each one needs
+const MC_DISTRIBUTIONS = {
+    normal: { label: 'Normal', params: [{ key: 'mean', label: 'Mean' }, { key: 'sd', label: 'SD' }] },
+    lognormal: { label: 'Lognormal', params: [{ key: 'median', label: 'Median' }, { key: 'gsd', label: 'GSD' }] },
+    uniform: { label: 'Uniform', params: [{ key: 'min', label: 'Min' }, { key: 'max', label: 'Max' }] },
+    triangular: { label: 'Triangular', params: [{ key: 'min', label: 'Min' }, { key: 'mode', label: 'Mode' }, { key: 'max', label: 'Max' }] }
+};
+
+// Model inputs with their default distributions (Cs-137 whole-body count, ICRP 68 Type F 5 μm coefficient)
+const MC_INPUTS = [
+    { key: 'measurement', label: 'Measured activity', unit: 'measurement', distribution: { type: 'normal', mean: 1000, sd: 100 } },
+    { key: 'timing', label: 'Time since intake (days)', unit: 'd', distribution: { type: 'uniform', min: 5, max: 30 } },
+    { key: 'irfFactor', label: 'IRF model factor (× tabulated IRF)', unit: '×', distribution: { type: 'lognormal', median: 1, gsd: 1.3 } },
+    { key: 'doseCoefficient', label: 'Dose coefficient e(50)', unit: 'Sv/Bq', distribution: { type: 'lognormal', median: 6.7e-9, gsd: 2 } }
+];
+
+let monteCarloHistogramChart = null;
+let monteCarloTornadoChart = null;
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} - Function returning uniform numbers in [0, 1)
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Draw a standard normal deviate (Box-Muller)
+ * @param {Function} random - Uniform generator from createSeededRandom()
+ * @returns {number} - Standard normal value
+ */
+function sampleStandardNormal(random) {
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Check a distribution's parameters
+ * @param {object} distribution - { type, ...params }
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateDistribution(distribution) {
+    const spec = MC_DISTRIBUTIONS[distribution.type];
+    if (!spec) return 'Unknown distribution type.';
+    if (spec.params.some(param => !Number.isFinite(distribution[param.key]))) {
+        return `Enter ${spec.params.map(param => param.label).join(', ')}.`;
+    }
+    switch (distribution.type) {
+        case 'normal':
+            return distribution.sd >= 0 ? null : 'SD must be zero or more.';
+        case 'lognormal':
+            return distribution.median > 0 && distribution.gsd >= 1 ? null : 'Median must be positive and GSD at least 1.';
+        case 'uniform':
+            return distribution.max >= distribution.min ? null : 'Max must be at least Min.';
+        case 'triangular':
+            return distribution.min <= distribution.mode && distribution.mode <= distribution.max ? null : 'Need Min ≤ Mode ≤ Max.';
+    }
+    return null;
+}
+
+/**
+ * Draw one value from a distribution
+ * @param {object} distribution - { type, ...params }
+ * @param {Function} random - Uniform generator
+ * @returns {number} - Sampled value
+ */
+function sampleDistribution(distribution, random) {
+    switch (distribution.type) {
+        case 'normal':
+            return distribution.mean + distribution.sd * sampleStandardNormal(random);
+        case 'lognormal':
+            return distribution.median * Math.exp(Math.log(distribution.gsd) * sampleStandardNormal(random));
+        case 'uniform':
+            return distribution.min + (distribution.max - distribution.min) * random();
+        case 'triangular': {
+            const { min, mode, max } = distribution;
+            const u = random();
+            const split = max === min ? 0 : (mode - min) / (max - min);
+            return u < split
+                ? min + Math.sqrt(u * (max - min) * (mode - min))
+                : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+        }
+    }
+    return NaN;
+}
+
+/**
+ * Value at a given percentile of a sorted array (linear interpolation)
+ * @param {Array} sorted - Ascending values
+ * @param {number} p - Percentile as a fraction (0-1)
+ * @returns {number} - Interpolated value
+ */
+function percentile(sorted, p) {
+    const position = (sorted.length - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Evaluate the intake-to-dose chain for one set of input values
+ * Intake times outside the IRF table are clamped to its range
+ * @param {object} values - { measurement, timing, irfFactor, doseCoefficient }
+ * @param {object} table - IRF table from getIrfTable()
+ * @param {string} nuclide - Radionuclide key
+ * @param {string} measurementType - Measurement type key
+ * @returns {object} - { intake, doseMSv, clamped }
+ */
+function evaluateDoseChain(values, table, nuclide, measurementType) {
+    const minDays = table.points[0][0];
+    const maxDays = table.points[table.points.length - 1][0];
+    const days = Math.min(Math.max(values.timing, minDays), maxDays);
+    const irf = getIrfValue(nuclide, measurementType, days).value * values.irfFactor;
+    const intake = values.measurement / irf;
+    return { intake, doseMSv: intake * values.doseCoefficient * 1000, clamped: days !== values.timing };
+}
+
+/**
+ * Run the Monte Carlo simulation
+ * @param {object} config - { nuclide, measurementType, distributions: { key: distribution }, samples, seed }
+ * @returns {object} - { doses, median, p5, p95, mean, clamped, rejected, sensitivity } or { error }
+ */
+function runMonteCarlo(config) {
+    const table = getIrfTable(config.nuclide, config.measurementType);
+    if (!table) {
+        return { error: 'No IRF data is available for this radionuclide and measurement type.' };
+    }
+    if (!(Number.isInteger(config.samples) && config.samples >= 100 && config.samples <= MC_MAX_SAMPLES)) {
+        return { error: `Number of samples must be a whole number from 100 to ${MC_MAX_SAMPLES.toLocaleString()}.` };
+    }
+    if (!Number.isInteger(config.seed)) {
+        return { error: 'Seed must be a whole number.' };
+    }
+    for (const input of MC_INPUTS) {
+        const problem = validateDistribution(config.distributions[input.key]);
+        if (problem) return { error: `${input.label}: ${problem}` };
+    }
+
+    const random = createSeededRandom(config.seed);
+    const samples = Object.fromEntries(MC_INPUTS.map(input => [input.key, []]));
+    const doses = [];
+    let clamped = 0;
+    let rejected = 0;
+
+    for (let i = 0; i < config.samples; i++) {
+        const values = {};
+        MC_INPUTS.forEach(input => {
+            values[input.key] = sampleDistribution(config.distributions[input.key], random);
+        });
+        // Non-physical draws (e.g. negative measurement from a wide normal) are dropped and counted
+        if (!(values.measurement > 0 && values.irfFactor > 0 && values.doseCoefficient > 0 && values.timing > 0)) {
+            rejected++;
+            continue;
+        }
+        const result = evaluateDoseChain(values, table, config.nuclide, config.measurementType);
+        if (result.clamped) clamped++;
+        MC_INPUTS.forEach(input => samples[input.key].push(values[input.key]));
+        doses.push(result.doseMSv);
+    }
+
+    if (doses.length < 100) {
+        return { error: 'Too many samples were non-physical (zero or negative). Narrow the input distributions.' };
+    }
+
+    const sorted = doses.slice().sort((a, b) => a - b);
+    return {
+        doses: sorted,
+        median: percentile(sorted, 0.5),
+        p5: percentile(sorted, 0.05),
+        p95: percentile(sorted, 0.95),
+        mean: doses.reduce((sum, dose) => sum + dose, 0) / doses.length,
+        clamped,
+        rejected,
+        sensitivity: calculateTornadoSensitivity(samples, table, config)
+    };
+}
+
+/**
+ * One-at-a-time sensitivity: move each input to its 5th and 95th percentile with the others at their medians
+ * @param {object} samples - Accepted draws per input key
+ * @param {object} table - IRF table
+ * @param {object} config - Simulation config
+ * @returns {Array} - [{ key, label, low, high, swing }] sorted by swing, largest first
+ */
+function calculateTornadoSensitivity(samples, table, config) {
+    const quantiles = {};
+    MC_INPUTS.forEach(input => {
+        const sorted = samples[input.key].slice().sort((a, b) => a - b);
+        quantiles[input.key] = { p5: percentile(sorted, 0.05), p50: percentile(sorted, 0.5), p95: percentile(sorted, 0.95) };
+    });
+    const baseValues = Object.fromEntries(MC_INPUTS.map(input => [input.key, quantiles[input.key].p50]));
+    const doseWith = (key, value) =>
+        evaluateDoseChain({ ...baseValues, [key]: value }, table, config.nuclide, config.measurementType).doseMSv;
+
+    return MC_INPUTS.map(input => {
+        const atLow = doseWith(input.key, quantiles[input.key].p5);
+        const atHigh = doseWith(input.key, quantiles[input.key].p95);
+        return {
+            key: input.key,
+            label: input.label,
+            low: Math.min(atLow, atHigh),
+            high: Math.max(atLow, atHigh),
+            swing: Math.abs(atHigh - atLow)
+        };
+    }).sort((a, b) => b.swing - a.swing);
+}
+
+/**
+ * Initialize the Monte Carlo controls on the page
+ * Expects the simulator markup (ids prefixed with "mc-") to be present
+ */
+function initializeMonteCarlo() {
+    const nuclideSelect = document.getElementById('mc-nuclide');
+    if (!nuclideSelect) return;
+
+    nuclideSelect.innerHTML = Object.entries(IRF_DATA)
+        .map(([key, entry]) => `<option value="${key}">${key} (${entry.name})</option>`)
+        .join('');
+    nuclideSelect.value = 'Cs-137';
+    nuclideSelect.addEventListener('change', populateMonteCarloMeasurementTypes);
+    document.getElementById('mc-type').addEventListener('change', updateMonteCarloUnits);
+
+    document.getElementById('mc-inputs').innerHTML = MC_INPUTS.map(input => `
+        <div class="border border-stone-200 rounded p-3" data-mc-input="${input.key}">
+            <div class="flex flex-wrap items-center justify-between gap-2 mb-2">
+                <span class="text-sm font-medium text-stone-700">${input.label} <span class="text-xs text-stone-500" data-mc-unit></span></span>
+                <select class="mc-distribution px-2 py-1 border border-stone-300 rounded text-sm">
+                    ${Object.entries(MC_DISTRIBUTIONS).map(([key, spec]) => `<option value="${key}">${spec.label}</option>`).join('')}
+                </select>
+            </div>
+            <div class="mc-params grid grid-cols-3 gap-2"></div>
+        </div>
+    `).join('');
+
+    MC_INPUTS.forEach(input => {
+        const container = document.querySelector(`[data-mc-input="${input.key}"]`);
+        const select = container.querySelector('.mc-distribution');
+        select.value = input.distribution.type;
+        select.addEventListener('change', () => renderMonteCarloParams(input.key, {}));
+        renderMonteCarloParams(input.key, input.distribution);
+    });
+
+    document.getElementById('mc-run').addEventListener('click', updateMonteCarlo);
+    document.getElementById('mc-use-calculator').addEventListener('click', useDoseCalculatorCoefficient);
+
+    populateMonteCarloMeasurementTypes();
+    updateMonteCarlo();
+}
+
+/**
+ * Fill the measurement type dropdown for the selected radionuclide
+ */
+function populateMonteCarloMeasurementTypes() {
+    const nuclide = document.getElementById('mc-nuclide').value;
+    const typeSelect = document.getElementById('mc-type');
+    const previous = typeSelect.value;
+    const types = getAvailableMeasurementTypes(nuclide);
+
+    typeSelect.innerHTML = types
+        .map(type => `<option value="${type}">${MEASUREMENT_TYPES[type].label}</option>`)
+        .join('');
+    if (types.includes(previous)) {
+        typeSelect.value = previous;
+    }
+    updateMonteCarloUnits();
+}
+
+/**
+ * Show the measurement unit and the valid timing range for the selected IRF table
+ */
+function updateMonteCarloUnits() {
+    const table = getIrfTable(document.getElementById('mc-nuclide').value, document.getElementById('mc-type').value);
+    if (!table) return;
+    const range = `${table.points[0][0]}–${table.points[table.points.length - 1][0]} d tabulated`;
+    MC_INPUTS.forEach(input => {
+        const unit = input.unit === 'measurement' ? table.unit : input.unit;
+        document.querySelector(`[data-mc-input="${input.key}"] [data-mc-unit]`).textContent =
+            input.key === 'timing' ? `(${range})` : `(${unit})`;
+    });
+}
+
+/**
+ * Render the parameter fields for one input's selected distribution
+ * @param {string} key - Input key
+ * @param {object} values - Parameter values to fill in
+ */
+function renderMonteCarloParams(key, values) {
+    const container = document.querySelector(`[data-mc-input="${key}"]`);
+    const type = container.querySelector('.mc-distribution').value;
+    container.querySelector('.mc-params').innerHTML = MC_DISTRIBUTIONS[type].params.map(param => `
+        <label class="text-xs text-stone-600">${param.label}
+            <input type="number" step="any" data-param="${param.key}" value="${values[param.key] ?? ''}" class="w-full px-2 py-1 border border-stone-300 rounded text-sm">
+        </label>
+    `).join('');
+}
+
+/**
+ * Read every input's distribution from the page
+ * @returns {object} - Map of input key to distribution
+ */
+function readMonteCarloDistributions() {
+    const distributions = {};
+    MC_INPUTS.forEach(input => {
+        const container = document.querySelector(`[data-mc-input="${input.key}"]`);
+        const distribution = { type: container.querySelector('.mc-distribution').value };
+        container.querySelectorAll('[data-param]').forEach(field => {
+            distribution[field.dataset.param] = parseFloat(field.value);
+        });
+        distributions[input.key] = distribution;
+    });
+    return distributions;
+}
+
+/**
+ * Set the dose coefficient distribution's median from the committed dose calculator selection
+ */
+function useDoseCalculatorCoefficient() {
+    if (typeof getDoseCoefficient !== 'function') return;
+    const coefficient = getDoseCoefficient(readDoseCalcCriteria());
+    if (!coefficient) {
+        alert('Select a complete coefficient in the dose calculator first.');
+        return;
+    }
+    const container = document.querySelector('[data-mc-input="doseCoefficient"]');
+    const gsdField = container.querySelector('[data-param="gsd"]');
+    const gsd = gsdField ? parseFloat(gsdField.value) || 2 : 2;
+    container.querySelector('.mc-distribution').value = 'lognormal';
+    renderMonteCarloParams('doseCoefficient', { median: coefficient.value, gsd });
+    updateMonteCarlo();
+}
+
+/**
+ * Run the simulation with the page inputs and display the results
+ */
+function updateMonteCarlo() {
+    const resultElement = document.getElementById('mc-result');
+    const result = runMonteCarlo({
+        nuclide: document.getElementById('mc-nuclide').value,
+        measurementType: document.getElementById('mc-type').value,
+        distributions: readMonteCarloDistributions(),
+        samples: parseInt(document.getElementById('mc-samples').value, 10),
+        seed: parseInt(document.getElementById('mc-seed').value, 10)
+    });
+
+    if (result.error) {
+        resultElement.innerHTML = `<p class="text-red-700 text-sm">${result.error}</p>`;
+        drawMonteCarloCharts(null);
+        return;
+    }
+
+    const notes = [];
+    if (result.rejected > 0) notes.push(`${result.rejected.toLocaleString()} non-physical draws were discarded.`);
+    if (result.clamped > 0) notes.push(`${result.clamped.toLocaleString()} intake times fell outside the IRF table and were clamped to its range.`);
+
+    resultElement.innerHTML = `
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <div class="bg-purple-50 p-3 rounded border border-purple-200">
+                <h5 class="font-semibold text-purple-800 text-sm">Median CED</h5>
+                <p class="text-xl font-bold text-purple-900">${formatSignificant(result.median)} mSv</p>
+                <p class="text-xs text-purple-700">Mean ${formatSignificant(result.mean)} mSv</p>
+            </div>
+            <div class="bg-blue-50 p-3 rounded border border-blue-200">
+                <h5 class="font-semibold text-blue-800 text-sm">5th Percentile</h5>
+                <p class="text-xl font-bold text-blue-900">${formatSignificant(result.p5)} mSv</p>
+            </div>
+            <div class="bg-orange-50 p-3 rounded border border-orange-200">
+                <h5 class="font-semibold text-orange-800 text-sm">95th Percentile</h5>
+                <p class="text-xl font-bold text-orange-900">${formatSignificant(result.p95)} mSv</p>
+            </div>
+        </div>
+        <p class="text-xs text-stone-600 mt-2">${result.doses.length.toLocaleString()} accepted samples. ${notes.join(' ')} The same seed always reproduces the same result.</p>
+        <p class="text-sm text-stone-700 mt-2"><strong>Largest contributor:</strong> ${result.sensitivity[0].label} (swing ${formatSignificant(result.sensitivity[0].low)}–${formatSignificant(result.sensitivity[0].high)} mSv).</p>
+    `;
+
+    drawMonteCarloCharts(result);
+}
+
+/**
+ * Draw the dose histogram (log-spaced bins) and the tornado sensitivity chart
+ * @param {object|null} result - Output of runMonteCarlo()
+ */
+function drawMonteCarloCharts(result) {
+    const histogramCanvas = document.getElementById('mc-histogram');
+    const tornadoCanvas = document.getElementById('mc-tornado');
+    if (!histogramCanvas || typeof Chart === 'undefined') return;
+    if (monteCarloHistogramChart) {
+        monteCarloHistogramChart.destroy();
+        monteCarloHistogramChart = null;
+    }
+    if (monteCarloTornadoChart) {
+        monteCarloTornadoChart.destroy();
+        monteCarloTornadoChart = null;
+    }
+    if (!result) return;
+
+    const logMin = Math.log10(result.doses[0]);
+    const logMax = Math.log10(result.doses[result.doses.length - 1]);
+    const width = (logMax - logMin) / MC_HISTOGRAM_BINS || 1;
+    const counts = new Array(MC_HISTOGRAM_BINS).fill(0);
+    result.doses.forEach(dose => {
+        counts[Math.min(MC_HISTOGRAM_BINS - 1, Math.floor((Math.log10(dose) - logMin) / width))]++;
+    });
+    const labels = counts.map((_, i) => Number(Math.pow(10, logMin + (i + 0.5) * width).toPrecision(2)).toString());
+
+    monteCarloHistogramChart = new Chart(histogramCanvas, {
+        type: 'bar',
+        data: {
+            labels,
+            datasets: [{ label: 'Samples', data: counts, backgroundColor: '#a78bfa', barPercentage: 1, categoryPercentage: 1 }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: { legend: { display: false } },
+            scales: {
+                x: { title: { display: true, text: 'Committed effective dose (mSv, log-spaced bins)' }, ticks: { maxTicksLimit: 10 } },
+                y: { title: { display: true, text: 'Samples' } }
+            }
+        }
+    });
+
+    monteCarloTornadoChart = new Chart(tornadoCanvas, {
+        type: 'bar',
+        data: {
+            labels: result.sensitivity.map(item => item.label),
+            datasets: [{ label: 'CED range (inputs at 5th–95th percentile)', data: result.sensitivity.map(item => [item.low, item.high]), backgroundColor: '#fb923c' }]
+        },
+        options: {
+            indexAxis: 'y',
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: { title: { display: true, text: 'Committed effective dose (mSv)' } }
+            }
+        }
+    });
+}
@@ -0,0 +1,344 @@
+/**
+ * Learner Progress Store for Internal Dosimetry Learning Platform
+ * One versioned localStorage record for section completion, time spent, quiz history and the last
+ * visited section of each module, plus the saved state of the quiz, review, exam and tool features.
+ * Older per-page keys are migrated into it the first time any page loads it.
+ * Last Updated: October 19, 2026
+ */
+
+const PROGRESS_STORAGE_KEY = 'dosimetry-learner-profile';
+const PROGRESS_SCHEMA_VERSION = 2;
+
+// Sections tracked on each module page (the keys of the page's sectionProgress object)
+const PROGRESS_MODULES = {
+    'foundations': { title: 'Foundations', page: 'foundations.html', sections: ['section-1', 'section-2', 'section-3', 'section-4'] },
+    'bioassay': { title: 'Bioassay', page: 'bioassay.html', sections: ['section-1', 'section-2', 'section-3', 'section-4', 'quiz'] },
+    'intake-assessment': { title: 'Intake Assessment', page: 'intake-assessment.html', sections: ['section-1', 'section-2', 'section-3', 'section-4', 'quiz'] },
+    'dose-calculation': { title: 'Dose Calculation', page: 'dose-calculation.html', sections: ['section-1', 'section-2', 'section-3', 'section-4'] }
+};
+
+// Keys written directly to localStorage before this store existed, now kept in profile.data under the same name
+const PROGRESS_LEGACY_DATA_KEYS = [
+    'foundations-quiz',
+    'bioassay-quiz',
+    'intake-assessment-quiz',
+    'dose-calculation-quiz',
+    'review-schedule',
+    'exam-attempt',
+    'exam-history',
+    'dose-coefficients-imported',
+    'compliance-site-profile'
+];
+
+// Quiz results kept per module
+const PROGRESS_QUIZ_HISTORY_LIMIT = 50;
+
+// Visible time is added to the profile at this interval (ms) and when the page is hidden
+const PROGRESS_TIME_FLUSH_MS = 15000;
+
+/**
+ * Schema migrations, applied in order to profiles older than their version
+ * Each migrate(profile) changes the profile in place and returns the legacy localStorage keys it consumed
+ */
+const PROGRESS_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Collect the per-page localStorage keys into the profile',
+        migrate(profile) {
+            const consumed = [];
+            const readLegacy = key => {
+                const raw = localStorage.getItem(key);
+                if (raw === null) return undefined;
+                consumed.push(key);
+                try {
+                    return JSON.parse(raw);
+                } catch (error) {
+                    console.warn(`Discarding unreadable saved data "${key}":`, error.message);
+                    return undefined;
+                }
+            };
+
+            Object.keys(PROGRESS_MODULES).forEach(moduleId => {
+                const sections = readLegacy(`${moduleId}-progress`);
+                if (sections && typeof sections === 'object') {
+                    Object.entries(sections).forEach(([sectionId, complete]) => {
+                        profile.modules[moduleId].sections[sectionId] = complete === true;
+                    });
+                }
+            });
+            PROGRESS_LEGACY_DATA_KEYS.forEach(key => {
+                const value = readLegacy(key);
+                if (value !== undefined) profile.data[key] = value;
+            });
+
+            // Quiz answers saved by the intake page before the question banks; no longer readable
+            if (localStorage.getItem('intake-quiz') !== null) consumed.push('intake-quiz');
+            return consumed;
+        }
+    },
+    {
+        version: 2,
+        description: 'Date module completion; modules already complete are dated by the last save',
+        migrate(profile) {
+            Object.keys(PROGRESS_MODULES).forEach(moduleId => {
+                const record = profile.modules[moduleId];
+                if (!record.completedAt && isModuleComplete(record, moduleId)) record.completedAt = profile.updatedAt;
+            });
+            return [];
+        }
+    }
+];
+
+function createModuleRecord() {
+    return { sections: {}, completedAt: null, timeSpent: 0, lastVisited: null, quizHistory: [] };
+}
+
+function isModuleComplete(record, moduleId) {
+    return PROGRESS_MODULES[moduleId].sections.every(sectionId => record.sections[sectionId]);
+}
+
+/**
+ * An empty profile at schema version 0, ready for the migrations
+ * @returns {object} - { version, createdAt, updatedAt, modules: { [module]: { sections, completedAt, timeSpent, lastVisited, quizHistory } }, data }
+ */
+function createLearnerProfile() {
+    const now = new Date().toISOString();
+    const modules = {};
+    Object.keys(PROGRESS_MODULES).forEach(moduleId => { modules[moduleId] = createModuleRecord(); });
+    return { version: 0, createdAt: now, updatedAt: now, modules, data: {} };
+}
+
+/**
+ * Bring a profile up to the current schema version
+ * @param {object} profile - Saved profile (or a new one at version 0)
+ * @returns {object} - { profile, consumed } where consumed lists legacy keys that can now be removed
+ */
+function migrateLearnerProfile(profile) {
+    const consumed = [];
+    PROGRESS_MIGRATIONS
+        .filter(migration => migration.version > profile.version)
+        .forEach(migration => {
+            consumed.push(...migration.migrate(profile));
+            profile.version = migration.version;
+        });
+    return { profile, consumed };
+}
+
+/**
+ * Load the learner profile, migrating older data first if needed
+ * @returns {object} - Learner profile
+ */
+function loadLearnerProfile() {
+    let profile = null;
+    try {
+        profile = JSON.parse(localStorage.getItem(PROGRESS_STORAGE_KEY));
+    } catch (error) {
+        console.warn('Saved learner profile could not be read and will be rebuilt:', error.message);
+    }
+    if (!profile || typeof profile !== 'object' || !profile.modules || !profile.data) profile = createLearnerProfile();
+
+    // Modules added since the profile was saved start empty
+    Object.keys(PROGRESS_MODULES).forEach(moduleId => {
+        profile.modules[moduleId] = { ...createModuleRecord(), ...profile.modules[moduleId] };
+    });
+
+    if (profile.version < PROGRESS_SCHEMA_VERSION) {
+        const migrated = migrateLearnerProfile(profile);
+        saveLearnerProfile(migrated.profile);
+        migrated.consumed.forEach(key => localStorage.removeItem(key));
+    }
+    return profile;
+}
+
+function saveLearnerProfile(profile) {
+    profile.updatedAt = new Date().toISOString();
+    localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(profile));
+}
+
+/**
+ * Load, change and save the profile in one step, so each change starts from what other tabs last saved
+ * @param {function} change - Called with the profile to modify in place
+ * @returns {object} - The saved profile
+ */
+function updateLearnerProfile(change) {
+    const profile = loadLearnerProfile();
+    change(profile);
+    saveLearnerProfile(profile);
+    return profile;
+}
+
+/**
+ * Read a feature's saved state (quiz attempts, review schedule, exams, imported tool data)
+ * @param {string} key - Data key, e.g. 'review-schedule'
+ * @returns {*} - Saved value, or null if there is none
+ */
+function readProgressData(key) {
+    const value = loadLearnerProfile().data[key];
+    return value === undefined ? null : value;
+}
+
+function writeProgressData(key, value) {
+    updateLearnerProfile(profile => { profile.data[key] = value; });
+}
+
+function removeProgressData(key) {
+    updateLearnerProfile(profile => { delete profile.data[key]; });
+}
+
+/**
+ * Get one module's progress record
+ * @param {string} moduleId - Key of PROGRESS_MODULES
+ * @returns {object} - { sections, completedAt, timeSpent (s), lastVisited: { section, at } | null, quizHistory }
+ */
+function getModuleProgress(moduleId) {
+    return loadLearnerProfile().modules[moduleId];
+}
+
+/**
+ * Save which sections of a module are complete, dating the module when its last section is completed
+ * @param {string} moduleId - Key of PROGRESS_MODULES
+ * @param {object} sections - { [section id]: boolean }
+ */
+function saveSectionProgress(moduleId, sections) {
+    updateLearnerProfile(profile => {
+        const record = profile.modules[moduleId];
+        record.sections = { ...sections };
+        record.completedAt = isModuleComplete(record, moduleId) ? record.completedAt || new Date().toISOString() : null;
+    });
+}
+
+/**
+ * Clear a module's section completion and last visited section
+ * Time spent and quiz history are kept as the learner's record
+ * @param {string} moduleId - Key of PROGRESS_MODULES
+ */
+function resetModuleProgress(moduleId) {
+    updateLearnerProfile(profile => {
+        profile.modules[moduleId].sections = {};
+        profile.modules[moduleId].completedAt = null;
+        profile.modules[moduleId].lastVisited = null;
+    });
+}
+
+/**
+ * Add a finished quiz attempt to the module's history (called by the quiz engine)
+ * @param {string} moduleId - Key of PROGRESS_MODULES
+ * @param {object} result - Output of scoreQuizAttempt()
+ */
+function recordQuizResult(moduleId, result) {
+    if (!PROGRESS_MODULES[moduleId]) return;
+    updateLearnerProfile(profile => {
+        const history = profile.modules[moduleId].quizHistory;
+        history.push({ at: new Date().toISOString(), correct: result.correct, total: result.total, score: result.score, passed: result.passed });
+        if (history.length > PROGRESS_QUIZ_HISTORY_LIMIT) history.splice(0, history.length - PROGRESS_QUIZ_HISTORY_LIMIT);
+    });
+}
+
+/**
+ * Completion of a module from its tracked sections
+ * @param {object} profile - Learner profile
+ * @param {string} moduleId - Key of PROGRESS_MODULES
+ * @returns {object} - { completed, total, percent }
+ */
+function getModuleCompletion(profile, moduleId) {
+    const sections = PROGRESS_MODULES[moduleId].sections;
+    const completed = sections.filter(sectionId => profile.modules[moduleId].sections[sectionId]).length;
+    return { completed, total: sections.length, percent: Math.round(100 * completed / sections.length) };
+}
+
+/**
+ * Format seconds as "1 h 5 min" or "12 min"
+ * @param {number} seconds - Duration
+ * @returns {string} - Readable duration
+ */
+function formatTimeSpent(seconds) {
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+/**
+ * Track time on a module page and the section being read
+ * Time only counts while the page is visible; the last visited section is the last one whose top
+ * has scrolled past the middle of the window
+ * @param {string} moduleId - Key of PROGRESS_MODULES
+ */
+function initializeModuleProgress(moduleId) {
+    if (!PROGRESS_MODULES[moduleId]) return;
+
+    let visibleSince = document.visibilityState === 'hidden' ? null : Date.now();
+    const flushTime = () => {
+        if (visibleSince === null) return;
+        const seconds = (Date.now() - visibleSince) / 1000;
+        visibleSince = document.visibilityState === 'hidden' ? null : Date.now();
+        if (seconds > 0) updateLearnerProfile(profile => { profile.modules[moduleId].timeSpent += seconds; });
+    };
+    setInterval(flushTime, PROGRESS_TIME_FLUSH_MS);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushTime();
+        else visibleSince = Date.now();
+    });
+    window.addEventListener('pagehide', flushTime);
+
+    const sections = PROGRESS_MODULES[moduleId].sections
+        .map(sectionId => document.getElementById(sectionId))
+        .filter(Boolean);
+    let pending = null;
+    window.addEventListener('scroll', () => {
+        if (pending) return;
+        pending = setTimeout(() => {
+            pending = null;
+            const current = sections.filter(section => section.getBoundingClientRect().top < window.innerHeight / 2).pop();
+            if (!current) return;
+            const last = getModuleProgress(moduleId).lastVisited;
+            if (last && last.section === current.id) return;
+            updateLearnerProfile(profile => {
+                profile.modules[moduleId].lastVisited = { section: current.id, at: new Date().toISOString() };
+            });
+        }, 500);
+    }, { passive: true });
+}
+
+/**
+ * Show real completion on the landing page
+ * Fills elements marked data-progress-module with each module's completion, #unit-1-status with the
+ * unit's overall state and #progress-continue with a link back to the last section visited
+ */
+function initializeProgressOverview() {
+    const profile = loadLearnerProfile();
+    const moduleIds = Object.keys(PROGRESS_MODULES);
+
+    document.querySelectorAll('[data-progress-module]').forEach(element => {
+        const moduleId = element.dataset.progressModule;
+        if (!PROGRESS_MODULES[moduleId]) return;
+        const completion = getModuleCompletion(profile, moduleId);
+        const record = profile.modules[moduleId];
+        element.innerHTML = `
+            <div class="h-1.5 bg-stone-200 rounded-full mt-3"><div class="h-1.5 rounded-full bg-current" style="width: ${completion.percent}%"></div></div>
+            <div class="mt-1 text-xs">${completion.completed}/${completion.total} sections${record.timeSpent >= 60 ? ` · ${formatTimeSpent(record.timeSpent)}` : ''}</div>
+        `;
+    });
+
+    const status = document.getElementById('unit-1-status');
+    if (status) {
+        const totals = moduleIds.map(moduleId => getModuleCompletion(profile, moduleId));
+        const completed = totals.reduce((sum, item) => sum + item.completed, 0);
+        const total = totals.reduce((sum, item) => sum + item.total, 0);
+        const percent = Math.round(100 * completed / total);
+        status.textContent = percent === 100 ? '✓ Complete' : completed ? `${percent}% Complete` : 'Not Started';
+        status.className = `inline-flex items-center px-3 py-1 rounded-full text-sm font-semibold mb-2 ${percent === 100 ? 'bg-green-100 text-green-800' : completed ? 'bg-amber-100 text-amber-800' : 'bg-stone-100 text-stone-700'}`;
+    }
+
+    const resume = document.getElementById('progress-continue');
+    if (resume) {
+        const recent = moduleIds
+            .filter(moduleId => profile.modules[moduleId].lastVisited)
+            .sort((a, b) => profile.modules[b].lastVisited.at.localeCompare(profile.modules[a].lastVisited.at))[0];
+        if (recent) {
+            const { section } = profile.modules[recent].lastVisited;
+            resume.href = `${PROGRESS_MODULES[recent].page}#${section}`;
+            resume.textContent = `↩ Continue ${PROGRESS_MODULES[recent].title}, ${section === 'quiz' ? 'knowledge check' : section.replace('-', ' ')} →`;
+            resume.classList.remove('hidden');
+        }
+    }
+}
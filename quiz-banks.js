@@ -0,0 +1,516 @@
+/**
+ * Knowledge Check Question Banks for Internal Dosimetry Learning Platform
+ * One bank per module, written in plain JSON syntax so a bank can be exchanged as a .json file
+ * Last Updated: October 19, 2026
+ *
+ * Bank: { id, title, module, draw, passScore, objectives, questions: [...] }
+ *   draw       - number of questions drawn at random for each attempt
+ *   passScore  - fraction correct needed to pass
+ *   objectives - learning objectives { id: description }, used to break down exam scores
+ * Question types (every question has id, type, objective, prompt and explanation):
+ *   single   - options [{ id, text }], answer: option id
+ *   multiple - options [{ id, text }], answer: [option ids]
+ *   numeric  - answer (in units[0]), tolerance { relative | absolute }, units [{ label, factor }]
+ *              where factor converts the unit to units[0]
+ *   ordering - items [{ id, text }], answer: [item ids in order]
+ *   calculation - calculation (key of QUIZ_CALCULATIONS in quiz-calculations.js), parameters, tolerance { relative }
+ *              parameters maps each input to a constant, a list to pick from, or a range
+ *              { min, max, step | significant }; fresh inputs are drawn for every attempt and
+ *              {name} placeholders in the prompt show them. Answers are typed with a unit.
+ * Options and items are shuffled for each attempt unless the question sets "shuffle": false.
+ */
+
+const QUIZ_BANKS = {
+    "foundations": {
+        "id": "foundations",
+        "title": "Module 1: Foundations",
+        "module": "foundations",
+        "draw": 4,
+        "passScore": 0.75,
+        "objectives": {
+            "inferred": "Explain why internal dose is inferred and how the body content is measured",
+            "process": "Describe the three-step internal dose assessment process",
+            "quantities": "Distinguish absorbed, equivalent, effective and committed dose",
+            "intake": "Estimate an intake from a measurement and an IRF"
+        },
+        "questions": [
+            {
+                "id": "f-inferred-dose",
+                "type": "single",
+                "objective": "inferred",
+                "prompt": "Why is internal dose \"inferred\" rather than directly measured?",
+                "options": [
+                    { "id": "a", "text": "Because alpha and beta radiation have limited range and organs are inaccessible for direct measurement" },
+                    { "id": "b", "text": "Because radiation detectors are too expensive to place inside the body" },
+                    { "id": "c", "text": "Because internal radiation levels are too low to detect" },
+                    { "id": "d", "text": "Because regulations prohibit internal measurement devices" }
+                ],
+                "answer": "a",
+                "explanation": "Alpha and beta radiation deposit energy locally with limited range. We can't place dosimeters inside organs, and the dose accumulates over 50 years, requiring mathematical models to predict future dose patterns."
+            },
+            {
+                "id": "f-irf-link",
+                "type": "single",
+                "objective": "process",
+                "prompt": "In the three-step internal dosimetry process, what mathematical tool connects bioassay measurements to intake estimates?",
+                "options": [
+                    { "id": "a", "text": "Dose coefficients" },
+                    { "id": "b", "text": "Intake Retention Functions (IRFs) from biokinetic models" },
+                    { "id": "c", "text": "Statistical detection limits" },
+                    { "id": "d", "text": "Tissue weighting factors" }
+                ],
+                "answer": "b",
+                "explanation": "IRFs predict what the bioassay measurement should be at different times after intake. The equation is: Intake = Measurement ÷ IRF(t). Dose coefficients are used in Step 3 to convert intake to dose."
+            },
+            {
+                "id": "f-effective-dose",
+                "type": "single",
+                "objective": "quantities",
+                "prompt": "Which dose quantity accounts for BOTH radiation type effectiveness AND tissue sensitivity differences?",
+                "options": [
+                    { "id": "a", "text": "Absorbed dose (Gy)" },
+                    { "id": "b", "text": "Equivalent dose (Sv)" },
+                    { "id": "c", "text": "Effective dose (Sv)" },
+                    { "id": "d", "text": "Activity (Bq)" }
+                ],
+                "answer": "c",
+                "explanation": "Effective dose includes both radiation weighting factors (for radiation type) and tissue weighting factors (for tissue sensitivity). Equivalent dose only accounts for radiation type, and absorbed dose is the raw energy deposition."
+            },
+            {
+                "id": "f-bioassay-methods",
+                "type": "multiple",
+                "objective": "inferred",
+                "prompt": "Which of these are bioassay measurements? Select all that apply.",
+                "options": [
+                    { "id": "a", "text": "Whole-body counting" },
+                    { "id": "b", "text": "Urine analysis" },
+                    { "id": "c", "text": "Fecal analysis" },
+                    { "id": "d", "text": "Reading an external TLD badge" },
+                    { "id": "e", "text": "Workplace air sampling" }
+                ],
+                "answer": ["a", "b", "c"],
+                "explanation": "Bioassay measures radioactive material in the body (in vivo counting) or in material excreted from it (in vitro urine and fecal samples). TLD badges measure external dose, and air sampling describes the workplace rather than the worker."
+            },
+            {
+                "id": "f-intake-from-measurement",
+                "type": "numeric",
+                "objective": "intake",
+                "prompt": "A urine sample contains 200 Bq. The IRF for that sample time is 0.02. What is the estimated intake?",
+                "answer": 10000,
+                "tolerance": { "relative": 0.02 },
+                "units": [
+                    { "label": "Bq", "factor": 1 },
+                    { "label": "kBq", "factor": 1000 }
+                ],
+                "explanation": "Intake = Measurement ÷ IRF(t) = 200 Bq ÷ 0.02 = 10,000 Bq (10 kBq)."
+            },
+            {
+                "id": "f-three-steps",
+                "type": "ordering",
+                "objective": "process",
+                "prompt": "Put the steps of an internal dose assessment in order.",
+                "items": [
+                    { "id": "measure", "text": "Measure activity in the body or in excreta" },
+                    { "id": "intake", "text": "Divide by the IRF to estimate the intake" },
+                    { "id": "dose", "text": "Multiply the intake by the dose coefficient" },
+                    { "id": "compare", "text": "Compare the committed dose with limits and investigation levels" }
+                ],
+                "answer": ["measure", "intake", "dose", "compare"],
+                "explanation": "Bioassay data come first, the IRF turns them into an intake, the dose coefficient turns the intake into committed effective dose, and only then can the result be judged against limits."
+            },
+            {
+                "id": "f-calc-intake",
+                "type": "calculation",
+                "objective": "intake",
+                "calculation": "intake-from-irf",
+                "prompt": "A bioassay measurement finds {measurement} Bq. The IRF for the day of the measurement is {irf}. Estimate the intake.",
+                "parameters": {
+                    "measurement": { "min": 50, "max": 5000, "significant": 2 },
+                    "irf": [0.005, 0.01, 0.02, 0.05, 0.1, 0.2]
+                },
+                "tolerance": { "relative": 0.02 },
+                "explanation": "Intake = Measurement ÷ IRF(t). The IRF is the fraction of the intake expected in the measurement, so dividing by it scales the measurement back up to the intake."
+            }
+        ]
+    },
+    "bioassay": {
+        "id": "bioassay",
+        "title": "Module 2: Bioassay",
+        "module": "bioassay",
+        "draw": 4,
+        "passScore": 0.75,
+        "objectives": {
+            "methods": "Choose bioassay methods and sample types for a radionuclide",
+            "detection": "Calculate and interpret decision levels, detection limits and MDAs",
+            "quality": "Explain laboratory precision, accuracy and accreditation"
+        },
+        "questions": [
+            {
+                "id": "b-pu-method",
+                "type": "single",
+                "objective": "methods",
+                "prompt": "A worker potentially exposed to Pu-239 needs bioassay. Which approach would be MOST appropriate and why?",
+                "options": [
+                    { "id": "a", "text": "In vitro urine bioassay because Pu-239 is an alpha emitter that cannot be detected by external counting" },
+                    { "id": "b", "text": "In vivo bioassay because it gives immediate results" },
+                    { "id": "c", "text": "Either method would work equally well" },
+                    { "id": "d", "text": "In vivo bioassay because it's more accurate" }
+                ],
+                "answer": "a",
+                "explanation": "Pu-239 is an alpha emitter with very short range. Alpha particles cannot penetrate tissue to reach external detectors, making in vivo counting ineffective. In vitro urine analysis is the standard approach for alpha-emitting transuranics."
+            },
+            {
+                "id": "b-dl-mda",
+                "type": "single",
+                "objective": "detection",
+                "prompt": "A bioassay measurement shows 15 ± 3 dpm above background. The decision level (DL) is 10 dpm and the MDA is 20 dpm. How should this result be interpreted?",
+                "options": [
+                    { "id": "a", "text": "Contamination is detected and can be reliably quantified" },
+                    { "id": "b", "text": "Contamination is detected but cannot be reliably quantified" },
+                    { "id": "c", "text": "No contamination detected" },
+                    { "id": "d", "text": "Result is inconclusive due to high uncertainty" }
+                ],
+                "answer": "b",
+                "explanation": "The measurement (15 dpm) exceeds the decision level (10 dpm), so contamination is \"detected.\" However, it's below the MDA (20 dpm), meaning while we can say contamination is present, we cannot reliably quantify the amount with acceptable precision."
+            },
+            {
+                "id": "b-precision-accuracy",
+                "type": "single",
+                "objective": "quality",
+                "prompt": "Two laboratories analyze identical samples. Lab A consistently reports results within 5% of each other but 20% higher than the true value. Lab B's results vary by 25% but average to the true value. Which statement is correct?",
+                "options": [
+                    { "id": "a", "text": "Lab A is more accurate and more precise" },
+                    { "id": "b", "text": "Lab A is more precise but less accurate; Lab B is more accurate but less precise" },
+                    { "id": "c", "text": "Lab B is both more accurate and more precise" },
+                    { "id": "d", "text": "Both labs have equal accuracy and precision" }
+                ],
+                "answer": "b",
+                "explanation": "Lab A is precise (consistent results) but inaccurate (systematic 20% bias). Lab B is accurate (average equals true value) but imprecise (high variability). This illustrates that precision and accuracy are independent concepts."
+            },
+            {
+                "id": "b-accreditation",
+                "type": "single",
+                "objective": "quality",
+                "prompt": "Why is laboratory accreditation (DOELAP/NVLAP) required for bioassay laboratories rather than just being \"recommended\"?",
+                "options": [
+                    { "id": "a", "text": "Because bioassay results directly impact regulatory compliance and worker health decisions" },
+                    { "id": "b", "text": "It ensures laboratories use the most advanced equipment" },
+                    { "id": "c", "text": "To reduce costs by standardizing procedures" },
+                    { "id": "d", "text": "It's only required for government facilities" }
+                ],
+                "answer": "a",
+                "explanation": "Bioassay results form the basis for critical decisions about worker dose limits, medical intervention, work restrictions, and regulatory compliance. Errors can have serious health and legal consequences, making accredited quality assurance essential, not optional."
+            },
+            {
+                "id": "b-in-vitro-samples",
+                "type": "multiple",
+                "objective": "methods",
+                "prompt": "Which of these are in vitro bioassay measurements? Select all that apply.",
+                "options": [
+                    { "id": "a", "text": "24-hour urine sample" },
+                    { "id": "b", "text": "Fecal sample" },
+                    { "id": "c", "text": "Blood sample" },
+                    { "id": "d", "text": "Thyroid count" },
+                    { "id": "e", "text": "Lung (chest) count" }
+                ],
+                "answer": ["a", "b", "c"],
+                "explanation": "In vitro methods analyze samples taken from the body in the laboratory. Thyroid and lung counts detect photons leaving the body, so they are in vivo measurements."
+            },
+            {
+                "id": "b-detection-limit",
+                "type": "numeric",
+                "objective": "detection",
+                "prompt": "A paired blank gives 400 background counts. Using Currie's L_D = 2.71 + 4.65 × √B, what is the detection limit?",
+                "answer": 95.71,
+                "tolerance": { "relative": 0.01 },
+                "units": [
+                    { "label": "counts", "factor": 1 }
+                ],
+                "explanation": "√400 = 20, so L_D = 2.71 + 4.65 × 20 = 95.7 counts."
+            },
+            {
+                "id": "b-currie-order",
+                "type": "ordering",
+                "objective": "detection",
+                "prompt": "For the same blank, order these from smallest to largest.",
+                "items": [
+                    { "id": "sigma", "text": "Standard deviation of the background (σ_B)" },
+                    { "id": "lc", "text": "Decision level (L_C)" },
+                    { "id": "ld", "text": "Detection limit (L_D)" }
+                ],
+                "answer": ["sigma", "lc", "ld"],
+                "explanation": "For paired blanks L_C = 1.645 × √2 × σ_B ≈ 2.33 σ_B, and L_D = 2.71 + 2 × L_C, so σ_B < L_C < L_D."
+            },
+            {
+                "id": "b-calc-mda",
+                "type": "calculation",
+                "objective": "detection",
+                "calculation": "urine-mda",
+                "prompt": "A {volume} L urine sample and its paired reagent blank are each counted for {countTime} minutes. The blank gives {backgroundCounts} counts. Counting efficiency is {efficiency} and chemical yield is {chemicalYield}. What is the MDA as an activity concentration?",
+                "parameters": {
+                    "backgroundCounts": { "min": 20, "max": 400, "step": 1 },
+                    "countTime": [60, 120, 240],
+                    "efficiency": [0.25, 0.3, 0.35, 0.4],
+                    "chemicalYield": [0.6, 0.7, 0.8, 0.9],
+                    "volume": { "min": 0.5, "max": 2, "step": 0.5 }
+                },
+                "tolerance": { "relative": 0.03 },
+                "explanation": "With a paired blank and equal count times L_D = 2.71 + 3.29√(2B) counts. Dividing by efficiency, chemical yield, count time in seconds and sample volume converts counts to Bq/L."
+            }
+        ]
+    },
+    "intake-assessment": {
+        "id": "intake-assessment",
+        "title": "Module 3: Intake Assessment",
+        "module": "intake-assessment",
+        "draw": 4,
+        "passScore": 0.75,
+        "objectives": {
+            "irf": "Estimate intakes from bioassay results with IRFs",
+            "timing": "Handle unknown intake timing conservatively",
+            "models": "Explain the role of biokinetic models, absorption types and software"
+        },
+        "questions": [
+            {
+                "id": "i-pu-urine",
+                "type": "single",
+                "objective": "irf",
+                "prompt": "You have a urine measurement of 50 Bq of Pu-239 taken 7 days after a suspected intake. The IRF for Pu-239 urine excretion at 7 days is 0.001 (meaning 0.1% of intake is excreted by day 7). What is the estimated intake?",
+                "options": [
+                    { "id": "a", "text": "0.05 Bq" },
+                    { "id": "b", "text": "500 Bq" },
+                    { "id": "c", "text": "5,000 Bq" },
+                    { "id": "d", "text": "50,000 Bq" }
+                ],
+                "answer": "d",
+                "explanation": "Using the fundamental equation: Intake = Measurement / IRF(t) = 50 Bq / 0.001 = 50,000 Bq. This demonstrates how a small measurement can indicate a large intake for poorly-excreted materials like plutonium."
+            },
+            {
+                "id": "i-conservative-timing",
+                "type": "single",
+                "objective": "timing",
+                "prompt": "A worker's routine bioassay shows positive results, but the intake timing is unknown. The sample was taken on January 30th, and the previous negative sample was on January 1st. Which approach would likely give the most conservative (highest) intake estimate?",
+                "options": [
+                    { "id": "a", "text": "Assume intake occurred on January 1st (earliest possible time)" },
+                    { "id": "b", "text": "Assume intake occurred on January 15th (midpoint)" },
+                    { "id": "c", "text": "Assume intake occurred on January 29th (just before sampling)" },
+                    { "id": "d", "text": "It doesn't matter - the intake estimate will be the same" }
+                ],
+                "answer": "a",
+                "explanation": "Assuming intake occurred at the earliest possible time (January 1st) gives the most conservative estimate. More time means more material has been excreted, so IRF(t) is lower. Since Intake = Measurement / IRF(t), a smaller IRF results in a larger calculated intake."
+            },
+            {
+                "id": "i-why-models",
+                "type": "single",
+                "objective": "models",
+                "prompt": "Why are biokinetic models and IRFs essential for intake assessment rather than simply using simple ratios or rules of thumb?",
+                "options": [
+                    { "id": "a", "text": "They make calculations more complex and impressive" },
+                    { "id": "b", "text": "Because human physiology varies dramatically between individuals" },
+                    { "id": "c", "text": "Because retention and excretion patterns are radionuclide-specific and time-dependent" },
+                    { "id": "d", "text": "They are required by regulation but not scientifically necessary" }
+                ],
+                "answer": "c",
+                "explanation": "Each radionuclide has unique chemical and physical properties that determine how it behaves in the body. Iodine goes to the thyroid, plutonium deposits in bone and liver, cesium distributes throughout soft tissue. These patterns change over time due to biological and radioactive decay. IRFs capture this complexity."
+            },
+            {
+                "id": "i-software",
+                "type": "single",
+                "objective": "models",
+                "prompt": "What is the primary advantage of using professional software like IMBA over manual calculations for intake assessment?",
+                "options": [
+                    { "id": "a", "text": "It's faster to get results" },
+                    { "id": "b", "text": "It can handle multiple measurements and use statistical fitting to find the best intake scenario" },
+                    { "id": "c", "text": "It eliminates all uncertainty in the results" },
+                    { "id": "d", "text": "It's required by all regulatory agencies" }
+                ],
+                "answer": "b",
+                "explanation": "IMBA can analyze multiple bioassay measurements over time and use statistical methods like Maximum Likelihood Estimation to find the intake pattern that best fits all the data. This is far more sophisticated than single-measurement manual calculations and provides better estimates when multiple data points are available."
+            },
+            {
+                "id": "i-irf-factors",
+                "type": "multiple",
+                "objective": "irf",
+                "prompt": "Which of these change the IRF value you divide by? Select all that apply.",
+                "options": [
+                    { "id": "a", "text": "Time between the intake and the measurement" },
+                    { "id": "b", "text": "The type of measurement (urine, feces, whole body)" },
+                    { "id": "c", "text": "The radionuclide and its chemical form" },
+                    { "id": "d", "text": "The worker's annual dose limit" }
+                ],
+                "answer": ["a", "b", "c"],
+                "explanation": "An IRF is the fraction of the intake expected in a given measurement at a given time, so it depends on time, measurement type and the biokinetics of the material. Dose limits are used only when judging the final dose."
+            },
+            {
+                "id": "i-whole-body-intake",
+                "type": "numeric",
+                "objective": "irf",
+                "prompt": "A whole-body count finds 1,600 Bq of Cs-137. The whole-body IRF on that day is 0.80. What is the estimated intake?",
+                "answer": 2000,
+                "tolerance": { "relative": 0.02 },
+                "units": [
+                    { "label": "Bq", "factor": 1 },
+                    { "label": "kBq", "factor": 1000 }
+                ],
+                "explanation": "Intake = 1,600 Bq ÷ 0.80 = 2,000 Bq (2 kBq)."
+            },
+            {
+                "id": "i-absorption-order",
+                "type": "ordering",
+                "objective": "models",
+                "prompt": "Order the lung absorption types from fastest to slowest absorption into blood.",
+                "items": [
+                    { "id": "F", "text": "Type F" },
+                    { "id": "M", "text": "Type M" },
+                    { "id": "S", "text": "Type S" }
+                ],
+                "answer": ["F", "M", "S"],
+                "explanation": "Type F (fast) material dissolves within hours to days, Type M (moderate) over weeks to months, and Type S (slow) can stay in the lung for years."
+            },
+            {
+                "id": "i-calc-thyroid",
+                "type": "calculation",
+                "objective": "irf",
+                "calculation": "intake-from-measurement",
+                "prompt": "A worker's thyroid is counted {days} days after an acute ingestion of {nuclide} and shows {measurement} Bq. The thyroid IRF for that day is {irf}. What was the intake?",
+                "parameters": {
+                    "nuclide": "I-131",
+                    "measurementType": "thyroid",
+                    "days": { "min": 1, "max": 30, "step": 1 },
+                    "measurement": { "min": 200, "max": 20000, "significant": 2 }
+                },
+                "tolerance": { "relative": 0.02 },
+                "explanation": "Intake = Measurement ÷ IRF(t). The I-131 thyroid IRF falls with both radioactive decay (8-day half-life) and biological clearance, so the same count later after intake implies a larger intake."
+            }
+        ]
+    },
+    "dose-calculation": {
+        "id": "dose-calculation",
+        "title": "Module 4: Dose Calculation",
+        "module": "dose-calculation",
+        "draw": 4,
+        "passScore": 0.75,
+        "objectives": {
+            "calculation": "Calculate committed effective dose from an intake",
+            "quantities": "Explain dose quantities and weighting factors",
+            "interpretation": "Interpret dose results against constraints, chemical form and uncertainty"
+        },
+        "questions": [
+            {
+                "id": "d-co60-ced",
+                "type": "single",
+                "objective": "calculation",
+                "prompt": "A worker inhaled 50 Bq of Co-60 as oxide particles (Type M, AMAD 1 μm). The dose coefficient for inhalation is 3.1 × 10⁻⁵ Sv/Bq. What is the committed effective dose, and what immediate actions are required?",
+                "options": [
+                    { "id": "a", "text": "Cannot determine without knowing the intake timing" },
+                    { "id": "b", "text": "1.6 mSv - investigate and document, implement additional bioassay" },
+                    { "id": "c", "text": "0.0016 mSv - no action required, below investigation level" },
+                    { "id": "d", "text": "16 mSv - work restrictions required, medical evaluation needed" }
+                ],
+                "answer": "b",
+                "explanation": "CED = 50 Bq × 3.1 × 10⁻⁵ Sv/Bq = 1.6 mSv. This exceeds typical investigation levels (0.5-1 mSv) and requires documentation, investigation of the exposure circumstances, and likely increased bioassay frequency to verify no additional intake occurred."
+            },
+            {
+                "id": "d-type-f-vs-s",
+                "type": "single",
+                "objective": "interpretation",
+                "prompt": "Two workers have identical bioassay results 30 days post-exposure, but different assumed chemical forms: Worker A (Type F), Worker B (Type S). How will their calculated doses compare?",
+                "options": [
+                    { "id": "a", "text": "Worker A (Type F) will have higher calculated dose due to faster clearance" },
+                    { "id": "b", "text": "Identical doses - bioassay results are the same" },
+                    { "id": "c", "text": "Worker B (Type S) will have higher calculated dose due to longer retention" },
+                    { "id": "d", "text": "Cannot determine without knowing the specific radionuclide" }
+                ],
+                "answer": "a",
+                "explanation": "If both workers show the same bioassay result at 30 days, Worker A (Type F) must have had a larger initial intake since Type F material clears faster. The larger intake leads to higher calculated dose despite faster clearance. This illustrates why chemical form determination is critical for accurate dose assessment."
+            },
+            {
+                "id": "d-admin-constraint",
+                "type": "single",
+                "objective": "interpretation",
+                "prompt": "A facility sets an administrative dose constraint of 2 mSv/year internal dose (10% of regulatory limit). What is the primary purpose of this constraint in ALARA implementation?",
+                "options": [
+                    { "id": "a", "text": "To trigger preventive actions before doses approach regulatory limits" },
+                    { "id": "b", "text": "To satisfy regulatory requirements for dose limits" },
+                    { "id": "c", "text": "To reduce the facility's liability in case of regulatory inspection" },
+                    { "id": "d", "text": "To account for uncertainty in dose calculations" }
+                ],
+                "answer": "a",
+                "explanation": "Administrative constraints are ALARA tools designed to trigger investigation and corrective action before doses approach regulatory limits. This allows time to identify and correct problems, implement additional controls, or restrict work activities while maintaining regulatory compliance margins."
+            },
+            {
+                "id": "d-uncertainty-source",
+                "type": "single",
+                "objective": "interpretation",
+                "prompt": "In a Monte Carlo uncertainty analysis of internal dose, which factor typically contributes the MOST uncertainty to the final dose estimate?",
+                "options": [
+                    { "id": "a", "text": "Chemical form and particle size assumptions" },
+                    { "id": "b", "text": "Bioassay measurement precision (counting statistics)" },
+                    { "id": "c", "text": "Individual biological variability in clearance rates" },
+                    { "id": "d", "text": "Uncertainty in dose coefficients from ICRP models" }
+                ],
+                "answer": "a",
+                "explanation": "Chemical form assumptions typically dominate uncertainty because they can change dose estimates by factors of 10 or more (e.g., Type F vs. Type S). While other factors contribute, the biokinetic behavior differences between chemical forms usually represent the largest source of uncertainty in internal dose assessments."
+            },
+            {
+                "id": "d-weighting-factors",
+                "type": "multiple",
+                "objective": "quantities",
+                "prompt": "Which factors are applied when converting absorbed dose to effective dose? Select all that apply.",
+                "options": [
+                    { "id": "a", "text": "Radiation weighting factors (w_R)" },
+                    { "id": "b", "text": "Tissue weighting factors (w_T)" },
+                    { "id": "c", "text": "The MDA of the bioassay method" },
+                    { "id": "d", "text": "The worker's body mass" }
+                ],
+                "answer": ["a", "b"],
+                "explanation": "Equivalent dose applies w_R to the absorbed dose in each tissue, and effective dose sums the equivalent doses weighted by w_T. The reference phantom already fixes body mass, and the MDA only affects whether an intake is detected."
+            },
+            {
+                "id": "d-cs137-ced",
+                "type": "numeric",
+                "objective": "calculation",
+                "prompt": "A worker ingested 2,000 Bq of Cs-137. The ingestion dose coefficient is 1.3 × 10⁻⁸ Sv/Bq. What is the committed effective dose?",
+                "answer": 0.026,
+                "tolerance": { "relative": 0.02 },
+                "units": [
+                    { "label": "mSv", "factor": 1 },
+                    { "label": "μSv", "factor": 0.001 }
+                ],
+                "explanation": "CED = 2,000 Bq × 1.3 × 10⁻⁸ Sv/Bq = 2.6 × 10⁻⁵ Sv = 0.026 mSv (26 μSv)."
+            },
+            {
+                "id": "d-dose-quantities",
+                "type": "ordering",
+                "objective": "quantities",
+                "prompt": "Order these quantities as they are built up in a dose calculation, first to last.",
+                "items": [
+                    { "id": "absorbed", "text": "Absorbed dose in each tissue (Gy)" },
+                    { "id": "equivalent", "text": "Equivalent dose in each tissue (Sv)" },
+                    { "id": "effective", "text": "Effective dose (Sv)" },
+                    { "id": "committed", "text": "Committed effective dose over 50 years (Sv)" }
+                ],
+                "answer": ["absorbed", "equivalent", "effective", "committed"],
+                "explanation": "w_R turns absorbed dose into equivalent dose, w_T combines tissues into effective dose, and integrating over 50 years after the intake gives the committed effective dose."
+            },
+            {
+                "id": "d-calc-dose",
+                "type": "calculation",
+                "objective": "calculation",
+                "calculation": "committed-dose",
+                "prompt": "A worker's intake is estimated at {intake} Bq of {nuclide} by {route}. The {publication} dose coefficient is {coefficient} Sv/Bq. What is the committed effective dose?",
+                "parameters": {
+                    "intake": { "min": 1000, "max": 200000, "significant": 2 },
+                    "coefficient": [
+                        { "nuclide": "I-131", "source": "icrp-68", "route": "ingestion", "f1": 1, "age": "adult" },
+                        { "nuclide": "Cs-137", "source": "icrp-68", "route": "ingestion", "f1": 1, "age": "adult" },
+                        { "nuclide": "I-131", "source": "icrp-68", "route": "inhalation", "type": "F", "amad": 5, "age": "adult" },
+                        { "nuclide": "Cs-137", "source": "icrp-68", "route": "inhalation", "type": "F", "amad": 5, "age": "adult" }
+                    ]
+                },
+                "tolerance": { "relative": 0.02 },
+                "explanation": "E(50) = Intake × e(50). The result comes out in Sv; multiply by 1,000 for mSv."
+            }
+        ]
+    }
+};
@@ -0,0 +1,159 @@
+/**
+ * Calculation Questions for Internal Dosimetry Learning Platform
+ * Solvers for knowledge check questions with randomized inputs; each one reuses the calculator
+ * functions from its module so the expected answer matches what the page's tools produce
+ * Last Updated: October 19, 2026
+ */
+
+// Units a typed answer may use, grouped by the quantity they measure
+const QUIZ_UNITS = {
+    'Bq': { dimension: 'activity', factor: 1 },
+    'kBq': { dimension: 'activity', factor: 1e3 },
+    'MBq': { dimension: 'activity', factor: 1e6 },
+    'Bq/L': { dimension: 'activity concentration', factor: 1 },
+    'mBq/L': { dimension: 'activity concentration', factor: 1e-3 },
+    'Sv': { dimension: 'dose', factor: 1 },
+    'mSv': { dimension: 'dose', factor: 1e-3 },
+    'μSv': { dimension: 'dose', factor: 1e-6 }
+};
+
+// Spellings accepted for units that are awkward to type
+const QUIZ_UNIT_ALIASES = { 'uSv': 'μSv', 'µSv': 'μSv', 'bq': 'Bq', 'kbq': 'kBq', 'mbq/l': 'mBq/L', 'bq/l': 'Bq/L' };
+
+/**
+ * Solvers keyed by the "calculation" field of a question.
+ * requires - global functions that must be loaded on the page
+ * solve(values) - { answer (in unit), unit (key of QUIZ_UNITS), values (extra prompt values), steps (HTML lines of the worked solution) } or { error }
+ */
+const QUIZ_CALCULATIONS = {
+    'intake-from-irf': {
+        requires: [],
+        solve(values) {
+            const intake = values.measurement / values.irf;
+            return {
+                answer: intake,
+                unit: 'Bq',
+                values: {},
+                steps: [
+                    `Intake = Measurement ÷ IRF(t)`,
+                    `Intake = ${formatSignificant(values.measurement)} Bq ÷ ${formatSignificant(values.irf)} = <strong>${formatSignificant(intake)} Bq</strong>`
+                ]
+            };
+        }
+    },
+    'intake-from-measurement': {
+        requires: ['calculateIntake'],
+        solve(values) {
+            const result = calculateIntake(values.nuclide, values.measurementType, values.measurement, values.days);
+            if (result.error) return result;
+            return {
+                answer: result.intake,
+                unit: 'Bq',
+                values: { irf: result.irf.value },
+                steps: [
+                    `IRF for a ${escapeHtml(MEASUREMENT_TYPES[values.measurementType].label.toLowerCase())} ${values.days} days after an acute intake of ${escapeHtml(values.nuclide)}: ${formatSignificant(result.irf.value)}${result.irf.interpolated ? ` (interpolated between days ${result.irf.lower[0]} and ${result.irf.upper[0]})` : ''}`,
+                    `Intake = Measurement ÷ IRF(t) = ${formatSignificant(values.measurement)} ${escapeHtml(result.unit)} ÷ ${formatSignificant(result.irf.value)}`,
+                    `Intake = <strong>${formatSignificant(result.intake)} Bq</strong>`
+                ]
+            };
+        }
+    },
+    'committed-dose': {
+        requires: ['getDoseCoefficient', 'calculateCommittedDose'],
+        solve(values) {
+            const coefficient = getDoseCoefficient(values.coefficient);
+            const result = calculateCommittedDose(values.intake, coefficient);
+            if (result.error) return result;
+            const route = coefficient.route === 'inhalation'
+                ? `inhalation (Type ${coefficient.type}, ${coefficient.amad} μm AMAD)`
+                : 'ingestion';
+            return {
+                answer: result.doseMSv,
+                unit: 'mSv',
+                values: { nuclide: coefficient.nuclide, route, coefficient: coefficient.value, publication: coefficient.provenance.label },
+                steps: [
+                    `Dose coefficient e(50) for ${escapeHtml(coefficient.nuclide)} ${escapeHtml(route)}: ${formatSignificant(coefficient.value)} Sv/Bq (${escapeHtml(coefficient.provenance.label)})`,
+                    `E(50) = Intake × e(50) = ${formatSignificant(values.intake)} Bq × ${formatSignificant(coefficient.value)} Sv/Bq = ${formatSignificant(result.doseSv)} Sv`,
+                    `E(50) = <strong>${formatSignificant(result.doseMSv)} mSv</strong>`
+                ]
+            };
+        }
+    },
+    'urine-mda': {
+        requires: ['calculateDetectionLimits'],
+        solve(values) {
+            const inputs = {
+                backgroundCounts: values.backgroundCounts,
+                backgroundTime: values.countTime,
+                sampleTime: values.countTime,
+                efficiency: values.efficiency,
+                chemicalYield: values.chemicalYield,
+                volume: values.volume
+            };
+            const result = calculateDetectionLimits(inputs, 'paired');
+            if (result.error) return result;
+            return {
+                answer: result.mda,
+                unit: 'Bq/L',
+                values: {},
+                steps: [
+                    `Equal count times, paired blank: L_C = 1.645 × √(2B) = 1.645 × √(2 × ${values.backgroundCounts}) = ${formatSignificant(result.criticalCounts)} counts`,
+                    `L_D = 1.645² + 2 L_C = 2.71 + 2 × ${formatSignificant(result.criticalCounts)} = ${formatSignificant(result.detectionCounts)} counts`,
+                    `MDA = L_D ÷ (ε × Y × t × V) = ${formatSignificant(result.detectionCounts)} ÷ (${values.efficiency} × ${values.chemicalYield} × ${values.countTime * 60} s × ${values.volume} L)`,
+                    `MDA = <strong>${formatSignificant(result.mda)} Bq/L</strong>`
+                ]
+            };
+        }
+    }
+};
+
+/**
+ * Check whether a calculation's solver can run on this page
+ * @param {string} key - Key of QUIZ_CALCULATIONS
+ * @returns {boolean} - True if every required function is loaded
+ */
+function isQuizCalculationAvailable(key) {
+    const calculation = QUIZ_CALCULATIONS[key];
+    return Boolean(calculation) && calculation.requires.every(name => typeof window[name] === 'function');
+}
+
+/**
+ * Draw the inputs for a calculation question
+ * A parameter is a constant, a list to pick from, or a range { min, max, step | significant }
+ * @param {object} parameters - Parameter specifications from the question
+ * @param {function} random - Uniform random number generator on [0, 1)
+ * @returns {object} - Drawn values keyed by parameter name
+ */
+function drawQuizParameters(parameters, random = Math.random) {
+    const values = {};
+    Object.entries(parameters).forEach(([name, spec]) => {
+        if (Array.isArray(spec)) {
+            values[name] = spec[Math.floor(random() * spec.length)];
+        } else if (spec && typeof spec === 'object' && 'min' in spec) {
+            const raw = spec.min + random() * (spec.max - spec.min);
+            // toPrecision(12) clears the floating point noise left by stepping in decimal increments
+            values[name] = spec.step
+                ? Number((Math.round(raw / spec.step) * spec.step).toPrecision(12))
+                : Number(raw.toPrecision(spec.significant || 2));
+        } else {
+            values[name] = spec;
+        }
+    });
+    return values;
+}
+
+/**
+ * Parse a typed answer such as "1.2e4 Bq" or "26 μSv"
+ * @param {string} text - Typed answer
+ * @returns {object} - { value, unit } with unit null when none was typed, or { error }
+ */
+function parseQuizQuantity(text) {
+    const match = String(text).trim().match(/^([-+]?(?:\d[\d,]*\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)\s*(.*)$/);
+    if (!match) return { error: 'Enter a number followed by its unit, for example 1.2e4 Bq.' };
+    const value = parseFloat(match[1].replace(/,/g, ''));
+    const typed = match[2].trim();
+    if (!typed) return { value, unit: null };
+    const unit = QUIZ_UNITS[typed] ? typed : QUIZ_UNIT_ALIASES[typed] || QUIZ_UNIT_ALIASES[typed.toLowerCase()];
+    if (!unit) return { error: `"${typed}" is not a unit this quiz recognizes (${Object.keys(QUIZ_UNITS).join(', ')}).` };
+    return { value, unit };
+}
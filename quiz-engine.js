@@ -0,0 +1,678 @@
+/**
+ * Knowledge Check Quiz Engine for Internal Dosimetry Learning Platform
+ * Draws questions from a bank in quiz-banks.js and renders single choice, multiple select,
+ * numeric, ordering and calculation questions into a module's #quiz-container
+ * Calculation questions get fresh inputs each attempt; their solvers live in quiz-calculations.js
+ * Last Updated: October 19, 2026
+ */
+
+const QUIZ_TYPES = ['single', 'multiple', 'numeric', 'ordering', 'calculation'];
+
+// Settings passed to initializeQuiz() for the quiz on this page
+let quizConfig = null;
+
+// Current attempt: { bankId, questionIds, order, parameters, current, responses, checked, recorded, finished, completedAt }
+let quizState = null;
+
+/**
+ * Check that a question bank has the shape described in quiz-banks.js
+ * @param {object} bank - Question bank
+ * @returns {string|null} - Error message, or null if the bank is usable
+ */
+function validateQuizBank(bank) {
+    if (!bank || typeof bank !== 'object') return 'The question bank is not an object.';
+    if (typeof bank.id !== 'string' || !bank.id) return 'The question bank needs an id.';
+    if (!Array.isArray(bank.questions) || bank.questions.length === 0) return `Bank "${bank.id}" has no questions.`;
+    if (!Number.isInteger(bank.draw) || bank.draw < 1 || bank.draw > bank.questions.length) {
+        return `Bank "${bank.id}": draw must be between 1 and the number of questions.`;
+    }
+
+    const ids = new Set();
+    for (const question of bank.questions) {
+        const where = `Bank "${bank.id}", question "${question.id}"`;
+        if (typeof question.id !== 'string' || ids.has(question.id)) return `${where}: ids must be unique strings.`;
+        ids.add(question.id);
+        if (!QUIZ_TYPES.includes(question.type)) return `${where}: unknown type "${question.type}".`;
+        if (typeof question.prompt !== 'string' || typeof question.explanation !== 'string') {
+            return `${where}: prompt and explanation are required.`;
+        }
+        if (bank.objectives && !bank.objectives[question.objective]) return `${where}: objective must name one of the bank's objectives.`;
+
+        if (question.type === 'single' || question.type === 'multiple') {
+            const optionIds = (question.options || []).map(option => option.id);
+            const answers = question.type === 'single' ? [question.answer] : question.answer;
+            if (optionIds.length < 2) return `${where}: at least two options are required.`;
+            if (!Array.isArray(answers) || answers.length === 0 || !answers.every(id => optionIds.includes(id))) {
+                return `${where}: the answer must name existing options.`;
+            }
+        } else if (question.type === 'numeric') {
+            const tolerance = question.tolerance || {};
+            if (typeof question.answer !== 'number' || !Number.isFinite(question.answer)) return `${where}: answer must be a number.`;
+            if (!(tolerance.relative > 0) && !(tolerance.absolute > 0)) return `${where}: a relative or absolute tolerance is required.`;
+            if (!Array.isArray(question.units) || question.units.length === 0 || !question.units.every(unit => unit.factor > 0)) {
+                return `${where}: units need a label and a positive factor.`;
+            }
+        } else if (question.type === 'calculation') {
+            const tolerance = question.tolerance || {};
+            if (typeof QUIZ_CALCULATIONS === 'undefined' || !QUIZ_CALCULATIONS[question.calculation]) {
+                return `${where}: unknown calculation "${question.calculation}".`;
+            }
+            if (!question.parameters || typeof question.parameters !== 'object') return `${where}: parameters are required.`;
+            if (!(tolerance.relative > 0)) return `${where}: a relative tolerance is required.`;
+        } else {
+            const itemIds = (question.items || []).map(item => item.id);
+            if (itemIds.length < 2) return `${where}: at least two items are required.`;
+            if (!Array.isArray(question.answer) || question.answer.length !== itemIds.length
+                || !itemIds.every(id => question.answer.includes(id))) {
+                return `${where}: the answer must list every item once.`;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Register a question bank from JSON so it can be used by initializeQuiz()
+ * @param {string|object} source - JSON text or an already parsed bank
+ * @returns {object} - The bank, or { error }
+ */
+function loadQuizBank(source) {
+    let bank;
+    try {
+        bank = typeof source === 'string' ? JSON.parse(source) : source;
+    } catch (error) {
+        return { error: `The question bank is not valid JSON: ${error.message}` };
+    }
+    const error = validateQuizBank(bank);
+    if (error) return { error };
+    QUIZ_BANKS[bank.id] = bank;
+    return bank;
+}
+
+/**
+ * Return a shuffled copy of an array (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @param {function} random - Uniform random number generator on [0, 1)
+ * @returns {Array} - Shuffled copy
+ */
+function shuffleArray(items, random = Math.random) {
+    const result = items.slice();
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+/**
+ * Draw the questions for a new attempt, fix the order their options are shown in
+ * and draw the inputs for calculation questions
+ * Calculation questions whose solver needs a calculator that this page does not load are left out
+ * @param {object} bank - Question bank
+ * @param {function} random - Uniform random number generator on [0, 1)
+ * @returns {object} - { questionIds, order, parameters } keyed by question id
+ */
+function drawQuizAttempt(bank, random = Math.random) {
+    return prepareQuizQuestions(shuffleArray(getUsableQuizQuestions(bank), random).slice(0, bank.draw), random);
+}
+
+/**
+ * Questions from a bank that can be shown on this page
+ * @param {object} bank - Question bank
+ * @returns {Array} - Questions, leaving out calculations whose calculator is not loaded
+ */
+function getUsableQuizQuestions(bank) {
+    return bank.questions.filter(question =>
+        question.type !== 'calculation' || isQuizCalculationAvailable(question.calculation)
+    );
+}
+
+/**
+ * Fix the option order and draw calculation inputs for a set of questions
+ * @param {Array} questions - Questions from a bank
+ * @param {function} random - Uniform random number generator on [0, 1)
+ * @returns {object} - { questionIds, order, parameters } keyed by question id
+ */
+function prepareQuizQuestions(questions, random = Math.random) {
+    const order = {};
+    const parameters = {};
+    questions.forEach(question => {
+        const choices = (question.options || question.items || []).map(choice => choice.id);
+        order[question.id] = question.shuffle === false ? choices : shuffleArray(choices, random);
+        if (question.type === 'calculation') parameters[question.id] = drawQuizParameters(question.parameters, random);
+    });
+    return { questionIds: questions.map(question => question.id), order, parameters };
+}
+
+/**
+ * Work out a calculation question for the inputs drawn in this attempt
+ * @param {object} question - Calculation question from the bank
+ * @param {object} parameters - Drawn inputs
+ * @returns {object} - Output of the solver's solve(), or { error }
+ */
+function solveQuizCalculation(question, parameters) {
+    try {
+        return QUIZ_CALCULATIONS[question.calculation].solve(parameters);
+    } catch (error) {
+        return { error: `This question could not be worked out: ${error.message}` };
+    }
+}
+
+/**
+ * Check a typed quantity against the worked answer, including its unit
+ * @param {object} question - Calculation question from the bank
+ * @param {object} response - { text } as typed, or undefined if unanswered
+ * @param {object} parameters - Drawn inputs
+ * @returns {object} - { correct, reason } where reason explains a unit or format problem
+ */
+function checkQuizQuantity(question, response, parameters) {
+    const solution = solveQuizCalculation(question, parameters);
+    if (solution.error) return { correct: false, reason: solution.error };
+    if (!response) return { correct: false, reason: 'No answer was given.' };
+    const parsed = parseQuizQuantity(response.text);
+    if (parsed.error) return { correct: false, reason: parsed.error };
+
+    const expected = QUIZ_UNITS[solution.unit];
+    if (!parsed.unit) return { correct: false, reason: `Include a unit of ${expected.dimension} with your answer.` };
+    const typed = QUIZ_UNITS[parsed.unit];
+    if (typed.dimension !== expected.dimension) {
+        return { correct: false, reason: `${parsed.unit} is a unit of ${typed.dimension}, but this answer needs a unit of ${expected.dimension}.` };
+    }
+
+    const value = parsed.value * typed.factor / expected.factor;
+    return { correct: Math.abs(value - solution.answer) <= Math.abs(solution.answer) * question.tolerance.relative, reason: null };
+}
+
+/**
+ * Fill a question's prompt with the inputs drawn for this attempt
+ * Placeholders such as {measurement} take drawn inputs or values reported by the solver
+ * @param {object} question - Question from the bank
+ * @param {object} parameters - Drawn inputs (calculation questions only)
+ * @returns {string} - Prompt as HTML
+ */
+function renderQuizPrompt(question, parameters) {
+    const prompt = escapeHtml(question.prompt);
+    if (question.type !== 'calculation') return prompt;
+    const solution = solveQuizCalculation(question, parameters);
+    const values = { ...parameters, ...(solution.values || {}) };
+    return prompt.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        const value = values[name];
+        if (value === undefined) return placeholder;
+        return typeof value === 'number' ? formatSignificant(value) : escapeHtml(value);
+    });
+}
+
+/**
+ * Grade one response
+ * @param {object} question - Question from the bank
+ * @param {*} response - Option id, array of ids, { value, unit } for numeric questions or { text } for calculations
+ * @param {object} parameters - Drawn inputs (calculation questions only)
+ * @returns {boolean} - True if the response is correct
+ */
+function gradeQuizResponse(question, response, parameters) {
+    if (response === undefined || response === null) return false;
+    switch (question.type) {
+        case 'single':
+            return response === question.answer;
+        case 'multiple':
+            return Array.isArray(response) && response.length === question.answer.length
+                && question.answer.every(id => response.includes(id));
+        case 'numeric': {
+            const unit = question.units.find(item => item.label === response.unit);
+            if (!unit || !Number.isFinite(response.value)) return false;
+            const value = response.value * unit.factor;
+            const allowed = question.tolerance.absolute !== undefined
+                ? question.tolerance.absolute
+                : Math.abs(question.answer) * question.tolerance.relative;
+            return Math.abs(value - question.answer) <= allowed;
+        }
+        case 'ordering':
+            return Array.isArray(response) && response.every((id, index) => id === question.answer[index]);
+        case 'calculation':
+            return checkQuizQuantity(question, response, parameters).correct;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Describe the correct answer in words, for feedback after a wrong response
+ * @param {object} question - Question from the bank
+ * @param {object} parameters - Drawn inputs (calculation questions only)
+ * @returns {string} - Plain text answer
+ */
+function describeQuizAnswer(question, parameters) {
+    const textOf = (list, id) => list.find(choice => choice.id === id).text;
+    switch (question.type) {
+        case 'single':
+            return textOf(question.options, question.answer);
+        case 'multiple':
+            return question.answer.map(id => textOf(question.options, id)).join('; ');
+        case 'numeric':
+            return `${question.answer.toLocaleString(undefined, { maximumSignificantDigits: 4 })} ${question.units[0].label}`;
+        case 'calculation': {
+            const solution = solveQuizCalculation(question, parameters);
+            return solution.error ? solution.error : `${solution.answer.toLocaleString(undefined, { maximumSignificantDigits: 3 })} ${solution.unit}`;
+        }
+        default:
+            return question.answer.map(id => textOf(question.items, id)).join(' → ');
+    }
+}
+
+/**
+ * Score an attempt
+ * @param {object} bank - Question bank
+ * @param {object} state - Attempt state
+ * @returns {object} - { correct, total, score, passed, results: [{ question, correct }] }
+ */
+function scoreQuizAttempt(bank, state) {
+    const results = state.questionIds.map(id => {
+        const question = bank.questions.find(item => item.id === id);
+        return { question, correct: gradeQuizResponse(question, state.responses[id], (state.parameters || {})[id]) };
+    });
+    const correct = results.filter(result => result.correct).length;
+    const score = correct / results.length;
+    return { correct, total: results.length, score, passed: score >= (bank.passScore ?? 0.75), results };
+}
+
+/**
+ * Initialize the knowledge check on a module page
+ * Expects #quiz-container plus the #prev-question, #next-question and #question-indicator controls
+ * @param {object} config - { bank: bank id, storageKey, onComplete(result), onCheck(question, correct), onSave(state), heading(question),
+ *                          deferFeedback (store answers as they are entered without checking them), readOnly (show answers and feedback only) }
+ */
+function initializeQuiz(config) {
+    const container = document.getElementById('quiz-container');
+    if (!container) return;
+
+    const bank = QUIZ_BANKS[config.bank];
+    const error = validateQuizBank(bank);
+    if (error) {
+        container.innerHTML = `<p class="text-red-700 text-sm">${escapeHtml(error)}</p>`;
+        return;
+    }
+
+    quizConfig = { storageKey: `${config.bank}-quiz`, ...config };
+    quizState = loadQuizState(bank);
+
+    document.getElementById('prev-question').addEventListener('click', previousQuestion);
+    document.getElementById('next-question').addEventListener('click', nextQuestion);
+    renderQuiz();
+}
+
+/**
+ * Load the saved attempt, or draw a new one if nothing usable is saved
+ * Attempts saved before the question banks existed have no questionIds and are replaced,
+ * as are attempts missing the drawn inputs of a calculation question
+ * @param {object} bank - Question bank
+ * @returns {object} - Attempt state
+ */
+function loadQuizState(bank) {
+    const saved = readProgressData(quizConfig.storageKey);
+    const usable = saved && saved.bankId === bank.id && Array.isArray(saved.questionIds)
+        && saved.questionIds.every(id => {
+            const question = bank.questions.find(item => item.id === id);
+            return question && (question.type !== 'calculation' || (saved.parameters && saved.parameters[id]));
+        });
+    return usable ? { parameters: {}, ...saved } : createQuizState(bank);
+}
+
+/**
+ * Start a new attempt
+ * @param {object} bank - Question bank
+ * @returns {object} - Attempt state
+ */
+function createQuizState(bank) {
+    return { bankId: bank.id, ...drawQuizAttempt(bank), current: 0, responses: {}, checked: {}, recorded: {}, finished: false, completedAt: null };
+}
+
+// A null storageKey keeps the attempt in memory only, for pages that save it through onSave
+function saveQuizState() {
+    if (quizConfig.storageKey) writeProgressData(quizConfig.storageKey, quizState);
+    if (quizConfig.onSave) quizConfig.onSave(quizState);
+}
+
+function getQuizBank() {
+    return QUIZ_BANKS[quizState.bankId];
+}
+
+function getCurrentQuizQuestion() {
+    return getQuizBank().questions.find(question => question.id === quizState.questionIds[quizState.current]);
+}
+
+/**
+ * Draw the current question (or the results) and update the navigation controls
+ */
+function renderQuiz() {
+    const total = quizState.questionIds.length;
+    const prevBtn = document.getElementById('prev-question');
+    const nextBtn = document.getElementById('next-question');
+    const indicator = document.getElementById('question-indicator');
+    const completePanel = document.getElementById('quiz-complete');
+
+    if (quizState.finished) {
+        const result = scoreQuizAttempt(getQuizBank(), quizState);
+        renderQuizResults(result);
+        indicator.textContent = 'Results';
+        prevBtn.disabled = false;
+        nextBtn.disabled = true;
+        if (completePanel) completePanel.classList.toggle('hidden', !result.passed);
+        return;
+    }
+
+    if (completePanel) completePanel.classList.add('hidden');
+    indicator.textContent = `Question ${quizState.current + 1} of ${total}`;
+    prevBtn.disabled = quizState.current === 0;
+    nextBtn.disabled = false;
+    nextBtn.textContent = quizState.current === total - 1 ? 'Finish Quiz' : 'Next Question';
+    renderQuizQuestion(getCurrentQuizQuestion());
+}
+
+/**
+ * Render one question with the input for its type
+ * @param {object} question - Question from the bank
+ */
+function renderQuizQuestion(question) {
+    const container = document.getElementById('quiz-container');
+    const response = quizState.responses[question.id];
+    const instruction = {
+        single: '',
+        multiple: 'Select every correct answer',
+        numeric: 'Enter a number and choose its unit',
+        ordering: 'Use the arrows to put the items in order',
+        calculation: 'Type the number and its unit (for example 1.2e4 Bq)'
+    }[question.type];
+    const hint = instruction && !quizConfig.readOnly ? `${instruction}${quizConfig.deferFeedback ? '.' : ', then check.'}` : '';
+    const showCheck = question.type !== 'single' && !quizConfig.deferFeedback && !quizConfig.readOnly;
+
+    container.innerHTML = `
+        <h3 class="text-lg font-semibold mb-4 text-stone-800">${escapeHtml(quizConfig.heading ? quizConfig.heading(question) : `Question ${quizState.current + 1} of ${quizState.questionIds.length}`)}</h3>
+        <p class="text-stone-700 mb-2">${renderQuizPrompt(question, quizState.parameters[question.id])}</p>
+        ${hint ? `<p class="text-xs text-stone-500 mb-4">${hint}</p>` : '<div class="mb-4"></div>'}
+        <div id="quiz-input" class="space-y-2"></div>
+        ${!showCheck ? '' : '<button id="quiz-check" class="mt-4 px-4 py-2 bg-stone-700 text-white rounded hover:bg-stone-800 transition-colors text-sm">Check Answer</button>'}
+        <div id="quiz-feedback"></div>
+    `;
+
+    const input = document.getElementById('quiz-input');
+    const choices = quizState.order[question.id];
+    if (question.type === 'single' || question.type === 'multiple') {
+        choices.forEach((id, index) => {
+            const option = question.options.find(item => item.id === id);
+            const selected = question.type === 'single' ? response === id : Array.isArray(response) && response.includes(id);
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'quiz-option w-full text-left p-3 border border-stone-300 rounded cursor-pointer';
+            button.dataset.option = id;
+            button.setAttribute('aria-pressed', String(selected));
+            button.innerHTML = `${question.type === 'multiple' ? `<span class="mr-2">${selected ? '☑' : '☐'}</span>` : ''}<span class="font-semibold">${String.fromCharCode(65 + index)})</span> ${escapeHtml(option.text)}`;
+            button.addEventListener('click', () => selectQuizOption(question, id));
+            input.appendChild(button);
+        });
+    } else if (question.type === 'numeric') {
+        input.innerHTML = `
+            <div class="flex items-center gap-2">
+                <label for="quiz-numeric-value" class="sr-only">Answer</label>
+                <input type="number" step="any" id="quiz-numeric-value" class="w-48 px-3 py-2 border border-stone-300 rounded-md focus:outline-none focus:ring-2 focus:ring-stone-500">
+                <label for="quiz-numeric-unit" class="sr-only">Unit</label>
+                <select id="quiz-numeric-unit" class="px-3 py-2 border border-stone-300 rounded-md"></select>
+            </div>
+        `;
+        const unitSelect = document.getElementById('quiz-numeric-unit');
+        question.units.forEach(unit => unitSelect.appendChild(new Option(unit.label, unit.label)));
+        if (response) {
+            document.getElementById('quiz-numeric-value').value = response.value;
+            unitSelect.value = response.unit;
+        }
+        if (quizConfig.deferFeedback) {
+            input.addEventListener('input', () => storeQuizTypedResponse(question));
+            input.addEventListener('change', () => storeQuizTypedResponse(question));
+        }
+    } else if (question.type === 'calculation') {
+        input.innerHTML = `
+            <label for="quiz-quantity" class="sr-only">Answer with unit</label>
+            <input type="text" id="quiz-quantity" autocomplete="off" placeholder="e.g. 1.2e4 Bq" class="w-64 px-3 py-2 border border-stone-300 rounded-md focus:outline-none focus:ring-2 focus:ring-stone-500">
+        `;
+        if (response) document.getElementById('quiz-quantity').value = response.text;
+        if (quizConfig.deferFeedback) input.addEventListener('input', () => storeQuizTypedResponse(question));
+    } else {
+        const order = Array.isArray(response) ? response : choices;
+        // Any arrangement is an answer, so with deferred feedback the order as first shown counts until it is changed
+        if (quizConfig.deferFeedback && !quizConfig.readOnly && !Array.isArray(response)) quizState.responses[question.id] = order;
+        order.forEach((id, index) => {
+            const item = question.items.find(entry => entry.id === id);
+            const row = document.createElement('div');
+            row.className = 'flex items-center justify-between p-3 border border-stone-300 rounded bg-white';
+            row.dataset.item = id;
+            row.innerHTML = `
+                <span><span class="font-semibold mr-2">${index + 1}.</span>${escapeHtml(item.text)}</span>
+                <span class="flex gap-1">
+                    <button type="button" data-move="-1" class="px-2 py-1 border border-stone-300 rounded text-sm hover:bg-stone-100 disabled:opacity-40" aria-label="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button type="button" data-move="1" class="px-2 py-1 border border-stone-300 rounded text-sm hover:bg-stone-100 disabled:opacity-40" aria-label="Move down" ${index === order.length - 1 ? 'disabled' : ''}>↓</button>
+                </span>
+            `;
+            row.querySelectorAll('[data-move]').forEach(button => {
+                button.addEventListener('click', () => moveQuizItem(question, order, index, parseInt(button.dataset.move, 10)));
+            });
+            input.appendChild(row);
+        });
+    }
+
+    if (quizConfig.readOnly) input.querySelectorAll('button, input, select').forEach(element => { element.disabled = true; });
+
+    const checkButton = document.getElementById('quiz-check');
+    if (checkButton) checkButton.addEventListener('click', () => checkQuizAnswer(question));
+    if (quizState.checked[question.id]) showQuizFeedback(question);
+}
+
+/**
+ * Record a choice; single choice questions are checked straight away
+ * @param {object} question - Question from the bank
+ * @param {string} optionId - Chosen option
+ */
+function selectQuizOption(question, optionId) {
+    if (question.type === 'single') {
+        quizState.responses[question.id] = optionId;
+        if (!quizConfig.deferFeedback) {
+            quizState.checked[question.id] = true;
+            recordQuizCheck(question);
+        }
+    } else {
+        const selected = new Set(quizState.responses[question.id] || []);
+        if (selected.has(optionId)) selected.delete(optionId);
+        else selected.add(optionId);
+        quizState.responses[question.id] = Array.from(selected);
+        quizState.checked[question.id] = false;
+    }
+    saveQuizState();
+    renderQuizQuestion(question);
+}
+
+/**
+ * Move an item one place up or down in an ordering question
+ * @param {object} question - Question from the bank
+ * @param {Array} order - Current item order
+ * @param {number} index - Position of the item to move
+ * @param {number} step - -1 to move up, 1 to move down
+ */
+function moveQuizItem(question, order, index, step) {
+    const next = order.slice();
+    [next[index], next[index + step]] = [next[index + step], next[index]];
+    quizState.responses[question.id] = next;
+    quizState.checked[question.id] = false;
+    saveQuizState();
+    renderQuizQuestion(question);
+}
+
+/**
+ * Read a numeric or calculation answer from its inputs into the attempt
+ * @param {object} question - Question from the bank
+ */
+function readQuizTypedResponse(question) {
+    if (question.type === 'numeric') {
+        quizState.responses[question.id] = {
+            value: parseFloat(document.getElementById('quiz-numeric-value').value),
+            unit: document.getElementById('quiz-numeric-unit').value
+        };
+    } else if (question.type === 'calculation') {
+        quizState.responses[question.id] = { text: document.getElementById('quiz-quantity').value };
+    }
+}
+
+// With deferred feedback typed answers are saved as they are entered, without re-rendering the inputs
+function storeQuizTypedResponse(question) {
+    readQuizTypedResponse(question);
+    saveQuizState();
+}
+
+/**
+ * Read the numeric input if needed and show whether the response is correct
+ * @param {object} question - Question from the bank
+ */
+function checkQuizAnswer(question) {
+    if (question.type === 'numeric' || question.type === 'calculation') {
+        readQuizTypedResponse(question);
+    } else if (question.type === 'ordering' && !quizState.responses[question.id]) {
+        quizState.responses[question.id] = quizState.order[question.id];
+    }
+    quizState.checked[question.id] = true;
+    recordQuizCheck(question);
+    saveQuizState();
+    renderQuizQuestion(question);
+}
+
+/**
+ * Pass the first checked answer to each question in an attempt to the review scheduler and the page
+ * Later re-checks of the same question are feedback only and are not recorded again
+ * @param {object} question - Question from the bank
+ */
+function recordQuizCheck(question) {
+    quizState.recorded = quizState.recorded || {};
+    if (quizState.recorded[question.id]) return;
+    quizState.recorded[question.id] = true;
+
+    const correct = gradeQuizResponse(question, quizState.responses[question.id], quizState.parameters[question.id]);
+    if (typeof recordQuizReview === 'function') recordQuizReview(quizState.bankId, question.id, correct);
+    if (quizConfig.onCheck) quizConfig.onCheck(question, correct);
+}
+
+/**
+ * Colour the chosen options and show the explanation, with the worked solution for a missed calculation
+ * @param {object} question - Question from the bank
+ */
+function showQuizFeedback(question) {
+    const response = quizState.responses[question.id];
+    const parameters = quizState.parameters[question.id];
+    const correct = gradeQuizResponse(question, response, parameters);
+
+    if (question.type === 'single' || question.type === 'multiple') {
+        const chosen = question.type === 'single' ? [response] : response || [];
+        document.querySelectorAll('#quiz-input [data-option]').forEach(button => {
+            if (!chosen.includes(button.dataset.option)) return;
+            const right = question.type === 'single' ? correct : question.answer.includes(button.dataset.option);
+            button.classList.remove('border-stone-300');
+            button.classList.add(right ? 'border-green-500' : 'border-red-500', right ? 'bg-green-50' : 'bg-red-50');
+        });
+    }
+
+    let worked = '';
+    if (!correct && question.type === 'calculation') {
+        const { reason } = checkQuizQuantity(question, response, parameters);
+        const solution = solveQuizCalculation(question, parameters);
+        worked = `
+            ${reason ? `<p class="text-red-800 text-sm mt-2">${escapeHtml(reason)}</p>` : ''}
+            ${solution.steps ? `<p class="text-red-800 text-sm font-semibold mt-2">Worked solution</p>
+            <ol class="list-decimal list-inside text-sm text-stone-700 space-y-1 mt-1">${solution.steps.map(step => `<li>${step}</li>`).join('')}</ol>` : ''}
+        `;
+    }
+
+    document.getElementById('quiz-feedback').innerHTML = correct
+        ? `<div class="mt-4 p-3 bg-green-50 border border-green-200 rounded"><p class="text-green-800 text-sm"><strong>Correct!</strong> ${escapeHtml(question.explanation)}</p></div>`
+        : `<div class="mt-4 p-3 bg-red-50 border border-red-200 rounded"><p class="text-red-800 text-sm"><strong>Incorrect.</strong> The correct answer is <strong>${escapeHtml(describeQuizAnswer(question, parameters))}</strong>. ${escapeHtml(question.explanation)}</p>${worked}</div>`;
+}
+
+/**
+ * Show the score and a line per question after the last question
+ * @param {object} result - Output of scoreQuizAttempt()
+ */
+function renderQuizResults(result) {
+    const percent = Math.round(result.score * 100);
+    const passPercent = Math.round((getQuizBank().passScore ?? 0.75) * 100);
+    const rows = result.results.map((item, index) => `
+        <li class="flex items-start gap-2 text-sm">
+            <span class="${item.correct ? 'text-green-600' : 'text-red-600'}">${item.correct ? '✓' : '✗'}</span>
+            <button type="button" data-review="${index}" class="text-left text-stone-700 hover:underline">${renderQuizPrompt(item.question, quizState.parameters[item.question.id])}</button>
+        </li>
+    `).join('');
+
+    const container = document.getElementById('quiz-container');
+    container.innerHTML = `
+        <div class="p-4 bg-white rounded border ${result.passed ? 'border-green-300' : 'border-stone-300'}">
+            <h3 class="text-lg font-semibold text-stone-800 mb-1">Score: ${result.correct}/${result.total} (${percent}%)</h3>
+            <p class="text-sm ${result.passed ? 'text-green-700' : 'text-stone-600'} mb-3">${result.passed
+                ? 'Passed. You have shown a solid understanding of this module.'
+                : `You need ${passPercent}% to pass. Review the questions below, then reset the quiz for a new set of questions.`}</p>
+            <ul class="space-y-1">${rows}</ul>
+        </div>
+    `;
+    container.querySelectorAll('[data-review]').forEach(button => {
+        button.addEventListener('click', () => {
+            quizState.finished = false;
+            quizState.current = parseInt(button.dataset.review, 10);
+            saveQuizState();
+            renderQuiz();
+        });
+    });
+}
+
+function nextQuestion() {
+    if (quizState.current < quizState.questionIds.length - 1) {
+        quizState.current++;
+        saveQuizState();
+        renderQuiz();
+    } else {
+        finishQuiz();
+    }
+}
+
+function previousQuestion() {
+    if (quizState.finished) {
+        quizState.finished = false;
+    } else if (quizState.current > 0) {
+        quizState.current--;
+    }
+    saveQuizState();
+    renderQuiz();
+}
+
+/**
+ * Score the attempt, show the results and notify the page
+ */
+function finishQuiz() {
+    const result = scoreQuizAttempt(getQuizBank(), quizState);
+    // Only the first finish of a module attempt goes into the learner's quiz history, not a finish after reviewing answers
+    if (quizConfig.storageKey && !quizState.completedAt) {
+        quizState.completedAt = new Date().toISOString();
+        recordQuizResult(quizState.bankId, result);
+    }
+    quizState.finished = true;
+    saveQuizState();
+    renderQuiz();
+    if (quizConfig.onComplete) quizConfig.onComplete(result);
+}
+
+/**
+ * Discard the current attempt and draw a new set of questions
+ */
+function restartQuiz() {
+    if (!quizState) return;
+    quizState = createQuizState(getQuizBank());
+    saveQuizState();
+    renderQuiz();
+}
+
+function resetQuiz() {
+    if (confirm('Are you sure you want to reset the quiz? This will clear all your answers and draw a new set of questions.')) {
+        restartQuiz();
+    }
+}
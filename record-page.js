@@ -0,0 +1,235 @@
+/**
+ * Learning Record and Certificate Pages for Internal Dosimetry Learning Platform
+ * record.html: progress summary, signed export and import, and printable Unit 1 certificates
+ * verify.html: offline check of a certificate against an exported learning record
+ * Last Updated: October 19, 2026
+ */
+
+/**
+ * Initialize the learning record page
+ * Expects #record-summary, #record-export, #record-import and #certificate-form; does nothing if they are absent
+ */
+function initializeRecordPage() {
+    const summary = document.getElementById('record-summary');
+    if (!summary) return;
+
+    renderRecordSummary();
+    const certificates = readProgressData(RECORD_CERTIFICATES_KEY) || [];
+    if (certificates.length) renderCertificate(certificates[certificates.length - 1]);
+
+    document.getElementById('record-export').addEventListener('click', downloadLearnerRecord);
+    document.getElementById('record-import').addEventListener('change', handleRecordImport);
+    document.getElementById('certificate-form').addEventListener('submit', event => {
+        event.preventDefault();
+        const error = document.getElementById('certificate-error');
+        error.textContent = '';
+        issueCertificate(document.getElementById('certificate-name').value)
+            .then(renderCertificate)
+            .catch(issueError => { error.textContent = issueError.message; });
+    });
+    document.getElementById('certificate-print').addEventListener('click', () => window.print());
+}
+
+function formatRecordDate(iso) {
+    return iso ? new Date(iso).toLocaleDateString() : '—';
+}
+
+function formatRecordScore(score) {
+    return score === null ? '—' : `${Math.round(score * 100)}%`;
+}
+
+/**
+ * Show each module's completion, time spent and best knowledge check score
+ */
+function renderRecordSummary() {
+    const profile = loadLearnerProfile();
+    const rows = Object.entries(PROGRESS_MODULES).map(([moduleId, module]) => {
+        const record = profile.modules[moduleId];
+        const completion = getModuleCompletion(profile, moduleId);
+        return `
+            <tr class="border-t border-stone-200">
+                <td class="px-4 py-2"><a href="${module.page}" class="text-orange-600 hover:text-orange-700">${escapeHtml(module.title)}</a></td>
+                <td class="px-4 py-2 text-right">${completion.completed}/${completion.total}</td>
+                <td class="px-4 py-2 text-right">${formatRecordDate(record.completedAt)}</td>
+                <td class="px-4 py-2 text-right">${formatTimeSpent(record.timeSpent)}</td>
+                <td class="px-4 py-2 text-right">${formatRecordScore(getBestQuizScore(record))}${record.quizHistory.length ? ` <span class="text-stone-400">(${record.quizHistory.length} attempt${record.quizHistory.length === 1 ? '' : 's'})</span>` : ''}</td>
+            </tr>
+        `;
+    }).join('');
+
+    document.getElementById('record-summary').innerHTML = `
+        <table class="w-full text-sm bg-white rounded-lg shadow overflow-hidden">
+            <thead class="bg-stone-100 text-stone-600">
+                <tr>
+                    <th class="text-left px-4 py-2">Module</th>
+                    <th class="text-right px-4 py-2">Sections</th>
+                    <th class="text-right px-4 py-2">Completed</th>
+                    <th class="text-right px-4 py-2">Time spent</th>
+                    <th class="text-right px-4 py-2">Best knowledge check</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <p class="text-xs text-stone-500 mt-2">Record started ${escapeHtml(formatRecordDate(profile.createdAt))} · last saved ${escapeHtml(new Date(profile.updatedAt).toLocaleString())}</p>
+    `;
+}
+
+/**
+ * Download the signed learning record as JSON
+ */
+function downloadLearnerRecord() {
+    const status = document.getElementById('record-status');
+    exportLearnerRecord()
+        .then(record => {
+            const blob = new Blob([JSON.stringify(record, null, 2)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `learning-record-${record.exportDate.slice(0, 10)}.json`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+            status.className = 'text-xs text-green-700 mt-2';
+            status.textContent = `Exported and signed on ${new Date(record.exportDate).toLocaleString()}.`;
+        })
+        .catch(error => {
+            status.className = 'text-xs text-red-700 mt-2';
+            status.textContent = `Export failed: ${error.message}`;
+        });
+}
+
+/**
+ * Handle a learning record chosen for import
+ * @param {Event} event - Change event from the file input
+ */
+function handleRecordImport(event) {
+    const file = event.target.files[0];
+    const status = document.getElementById('record-status');
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        let data;
+        try {
+            data = JSON.parse(reader.result);
+        } catch (error) {
+            status.className = 'text-xs text-red-700 mt-2';
+            status.textContent = 'Import failed: the file is not valid JSON.';
+            event.target.value = '';
+            return;
+        }
+        if (!confirm('Importing replaces all progress saved in this browser with the record from the file. Continue?')) {
+            event.target.value = '';
+            return;
+        }
+        importLearnerRecord(data)
+            .then(() => {
+                status.className = 'text-xs text-green-700 mt-2';
+                status.textContent = `Imported the record exported on ${new Date(data.exportDate).toLocaleString()}. Its signature is valid.`;
+                renderRecordSummary();
+                const certificates = readProgressData(RECORD_CERTIFICATES_KEY) || [];
+                if (certificates.length) renderCertificate(certificates[certificates.length - 1]);
+            })
+            .catch(error => {
+                status.className = 'text-xs text-red-700 mt-2';
+                status.textContent = `Import failed: ${error.message}`;
+            });
+        event.target.value = '';
+    };
+    reader.readAsText(file);
+}
+
+// Hashes are printed in groups of eight digits so they can be read out and typed back
+function formatCertificateHash(hash) {
+    return hash.match(/.{1,8}/g).join(' ');
+}
+
+/**
+ * Show a certificate ready to print
+ * @param {object} certificate - Output of issueCertificate()
+ */
+function renderCertificate(certificate) {
+    const rows = certificate.modules.map(module => `
+        <tr class="border-t border-amber-200">
+            <td class="py-2">${escapeHtml(module.title)}</td>
+            <td class="py-2 text-right">${escapeHtml(formatRecordDate(module.completedAt))}</td>
+            <td class="py-2 text-right">${formatRecordScore(module.bestScore)}</td>
+        </tr>
+    `).join('');
+
+    document.getElementById('certificate').innerHTML = `
+        <div class="border-4 border-double border-amber-600 rounded-lg p-10 bg-white text-center">
+            <p class="text-sm uppercase tracking-widest text-amber-700 mb-4">Certificate of Completion</p>
+            <p class="text-stone-600">This certifies that</p>
+            <p class="text-3xl font-bold text-stone-900 my-3">${escapeHtml(certificate.learner)}</p>
+            <p class="text-stone-600 mb-6">has completed <strong>${escapeHtml(certificate.unitTitle)}</strong> of the Internal Dosimetry Learning Platform</p>
+            <table class="w-full max-w-lg mx-auto text-sm text-left mb-6">
+                <thead class="text-stone-500">
+                    <tr><th class="py-2">Module</th><th class="py-2 text-right">Completed</th><th class="py-2 text-right">Best knowledge check</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p class="text-sm text-stone-600">Issued ${escapeHtml(formatRecordDate(certificate.issuedAt))}</p>
+            <p class="text-xs text-stone-500 mt-6">Verification hash</p>
+            <p class="font-mono text-sm text-stone-800 break-all">${escapeHtml(formatCertificateHash(certificate.hash))}</p>
+            <p class="text-xs text-stone-500 mt-4">To verify, open verify.html from this site with the learner's exported learning record and enter the hash above.</p>
+        </div>
+    `;
+    document.getElementById('certificate-print').classList.remove('hidden');
+}
+
+/**
+ * Initialize the certificate verifier page
+ * Expects #verify-form with #verify-file, #verify-hash and #verify-result; does nothing if they are absent
+ */
+function initializeRecordVerifier() {
+    const form = document.getElementById('verify-form');
+    if (!form) return;
+
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        const result = document.getElementById('verify-result');
+        const file = document.getElementById('verify-file').files[0];
+        const hash = document.getElementById('verify-hash').value;
+        if (!file) {
+            result.innerHTML = '<p class="text-red-700 text-sm">Choose the learner\'s exported learning record.</p>';
+            return;
+        }
+        if (normalizeCertificateHash(hash).length !== 64) {
+            result.innerHTML = '<p class="text-red-700 text-sm">Enter the 64-digit verification hash printed on the certificate.</p>';
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            Promise.resolve()
+                .then(() => verifyCertificate(JSON.parse(reader.result), hash))
+                .then(renderVerification)
+                .catch(error => {
+                    const message = error instanceof SyntaxError ? 'The file is not valid JSON.' : error.message;
+                    result.innerHTML = `<p class="text-red-700 text-sm">✗ Not verified: ${escapeHtml(message)}</p>`;
+                });
+        };
+        reader.readAsText(file);
+    });
+}
+
+/**
+ * Show the outcome of each verification check
+ * @param {object} verification - Output of verifyCertificate()
+ */
+function renderVerification(verification) {
+    const { certificate } = verification;
+    document.getElementById('verify-result').innerHTML = `
+        <div class="p-4 rounded border ${verification.valid ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'}">
+            <p class="font-semibold ${verification.valid ? 'text-green-800' : 'text-red-800'}">
+                ${verification.valid ? '✓ Verified' : '✗ Not verified'}: ${escapeHtml(certificate.learner)}, ${escapeHtml(certificate.unitTitle)}, issued ${escapeHtml(formatRecordDate(certificate.issuedAt))}
+            </p>
+            <ul class="mt-3 space-y-1 text-sm">
+                ${verification.checks.map(check => `
+                <li class="flex items-start gap-2">
+                    <span class="${check.ok ? 'text-green-600' : 'text-red-600'}">${check.ok ? '✓' : '✗'}</span>
+                    <span class="text-stone-700">${escapeHtml(check.label)}</span>
+                </li>`).join('')}
+            </ul>
+        </div>
+    `;
+}
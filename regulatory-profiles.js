@@ -0,0 +1,71 @@
+/**
+ * Regulatory Profiles for Internal Dosimetry Learning Platform
+ * Annual dose limits, monitoring/recording thresholds, investigation levels and ALIs used by the compliance checker
+ * Last Updated: October 19, 2026
+ */
+
+// Rule levels from least to most severe; the most severe triggered rule sets the overall status
+const COMPLIANCE_LEVELS = {
+    recording: { rank: 1, name: 'Monitoring / recording', label: 'Monitor and record', color: 'blue' },
+    investigation: { rank: 2, name: 'Investigation level', label: 'Investigation required', color: 'yellow' },
+    administrative: { rank: 3, name: 'Administrative control level', label: 'Exceeds administrative control level', color: 'orange' },
+    limit: { rank: 4, name: 'Regulatory limit', label: 'Exceeds regulatory limit', color: 'red' }
+};
+
+// Dose quantities a rule can test, all in mSv except the ALI sum of fractions
+const COMPLIANCE_QUANTITIES = {
+    total: 'Total effective dose (external deep dose + committed effective dose)',
+    internal: 'Committed effective dose from intakes',
+    external: 'External deep dose',
+    lens: 'Lens of the eye dose',
+    shallow: 'Shallow dose to skin or extremities',
+    aliFraction: 'Sum of intake / ALI fractions'
+};
+
+const MICROCURIE_IN_BQ = 3.7e4;
+
+// Built-in profiles; rules apply to every worker category unless `categories` narrows them
+const REGULATORY_PROFILES = {
+    '10cfr20': {
+        name: '10 CFR 20 (NRC licensees)',
+        version: '1.0',
+        categories: { adult: 'Adult occupational worker', minor: 'Minor (under 18)' },
+        rules: [
+            { id: 'tede-limit', label: 'Annual TEDE limit', citation: '10 CFR 20.1201(a)(1)(i)', quantity: 'total', threshold: 50, level: 'limit', categories: ['adult'] },
+            { id: 'lens-limit', label: 'Lens dose equivalent limit', citation: '10 CFR 20.1201(a)(2)(i)', quantity: 'lens', threshold: 150, level: 'limit', categories: ['adult'] },
+            { id: 'shallow-limit', label: 'Shallow dose equivalent limit', citation: '10 CFR 20.1201(a)(2)(ii)', quantity: 'shallow', threshold: 500, level: 'limit', categories: ['adult'] },
+            { id: 'ali-limit', label: 'Sum of ALI fractions may not exceed 1', citation: '10 CFR 20.1202(b) and Appendix B', quantity: 'aliFraction', threshold: 1, level: 'limit', categories: ['adult'] },
+            { id: 'minor-tede-limit', label: 'Minor TEDE limit (10% of adult)', citation: '10 CFR 20.1207', quantity: 'total', threshold: 5, level: 'limit', categories: ['minor'] },
+            { id: 'minor-lens-limit', label: 'Minor lens limit (10% of adult)', citation: '10 CFR 20.1207', quantity: 'lens', threshold: 15, level: 'limit', categories: ['minor'] },
+            { id: 'minor-shallow-limit', label: 'Minor shallow dose limit (10% of adult)', citation: '10 CFR 20.1207', quantity: 'shallow', threshold: 50, level: 'limit', categories: ['minor'] },
+            { id: 'investigation-10pct', label: 'Investigation at 10% of the TEDE limit', citation: 'Module convention (Section 3 action levels)', quantity: 'total', threshold: 5, level: 'investigation', categories: ['adult'] },
+            { id: 'internal-monitoring', label: 'Internal monitoring and records required above 10% of the ALI', citation: '10 CFR 20.1502(b) and 20.2106', quantity: 'aliFraction', threshold: 0.1, level: 'recording', categories: ['adult'] },
+            { id: 'external-monitoring', label: 'External monitoring and records required above 10% of the limit', citation: '10 CFR 20.1502(a) and 20.2106', quantity: 'external', threshold: 5, level: 'recording', categories: ['adult'] }
+        ],
+        // Appendix B, Table 1 ALIs in μCi (most restrictive of stochastic and non-stochastic); keys are routes or inhalation classes
+        alis: {
+            'H-3': { ingestion: 8e4, 'inhalation (water)': 8e4 },
+            'Sr-90': { ingestion: 3e1, 'inhalation class D': 2e1, 'inhalation class Y': 4 },
+            'I-131': { ingestion: 3e1, 'inhalation class D': 5e1 },
+            'Cs-137': { ingestion: 1e2, 'inhalation class D': 2e2 },
+            'Pu-239': { ingestion: 8e-1, 'inhalation class W': 6e-3, 'inhalation class Y': 2e-2 },
+            'Am-241': { ingestion: 8e-1, 'inhalation class W': 6e-3 }
+        }
+    },
+    '10cfr835': {
+        name: '10 CFR 835 (DOE facilities)',
+        version: '1.0',
+        categories: { adult: 'Adult general employee', minor: 'Minor (under 18)' },
+        rules: [
+            { id: 'ted-limit', label: 'Annual total effective dose limit', citation: '10 CFR 835.202(a)(1)', quantity: 'total', threshold: 50, level: 'limit', categories: ['adult'] },
+            { id: 'lens-limit', label: 'Lens of the eye limit', citation: '10 CFR 835.202(a)(3)', quantity: 'lens', threshold: 150, level: 'limit', categories: ['adult'] },
+            { id: 'shallow-limit', label: 'Skin or extremity limit', citation: '10 CFR 835.202(a)(4)', quantity: 'shallow', threshold: 500, level: 'limit', categories: ['adult'] },
+            { id: 'minor-ted-limit', label: 'Minor total effective dose limit', citation: '10 CFR 835.207', quantity: 'total', threshold: 1, level: 'limit', categories: ['minor'] },
+            { id: 'doe-acl', label: 'DOE administrative control level', citation: 'DOE-STD-1098 (Radiological Control), Article 211', quantity: 'total', threshold: 20, level: 'administrative', categories: ['adult'] },
+            { id: 'investigation-10pct', label: 'Investigation at 10% of the total effective dose limit', citation: 'Module convention (Section 3 action levels)', quantity: 'total', threshold: 5, level: 'investigation', categories: ['adult'] },
+            { id: 'internal-monitoring', label: 'Internal dosimetry program required at 1 mSv committed effective dose', citation: '10 CFR 835.402(c)', quantity: 'internal', threshold: 1, level: 'recording' },
+            { id: 'external-monitoring', label: 'External dosimetry required at 1 mSv effective dose', citation: '10 CFR 835.402(a)', quantity: 'external', threshold: 1, level: 'recording' }
+        ],
+        alis: {}
+    }
+};
@@ -0,0 +1,216 @@
+/**
+ * Spaced Repetition Review Scheduler for Internal Dosimetry Learning Platform
+ * Records every knowledge check answer and glossary review with a timestamp, and schedules
+ * missed questions and chosen glossary terms for review with the SM-2 algorithm
+ * Last Updated: October 19, 2026
+ */
+
+const REVIEW_STORAGE_KEY = 'review-schedule';
+
+// Oldest attempts are dropped beyond this many so the learner profile stays within localStorage limits
+const REVIEW_ATTEMPT_LIMIT = 5000;
+
+// SM-2 answer quality (0-5); 3 and above counts as remembered
+const REVIEW_QUALITY = {
+    again: 1,
+    hard: 3,
+    good: 4,
+    easy: 5
+};
+
+/**
+ * Load the review log and schedule
+ * @returns {object} - { attempts: [{ item, at, quality }], items: { [item id]: { easiness, interval, repetitions, due, added } } }
+ */
+function loadReviewData() {
+    const saved = readProgressData(REVIEW_STORAGE_KEY);
+    if (saved && Array.isArray(saved.attempts) && saved.items && typeof saved.items === 'object') return saved;
+    return { attempts: [], items: {} };
+}
+
+function saveReviewData(data) {
+    writeProgressData(REVIEW_STORAGE_KEY, data);
+}
+
+function quizReviewId(bankId, questionId) {
+    return `quiz:${bankId}:${questionId}`;
+}
+
+function glossaryReviewId(termKey) {
+    return `glossary:${termKey}`;
+}
+
+/**
+ * Local calendar date as YYYY-MM-DD, used for due dates so items fall due at the start of a day
+ * @param {Date} date - Date to convert
+ * @param {number} offsetDays - Days to add first
+ * @returns {string} - Date key
+ */
+function reviewDateKey(date, offsetDays = 0) {
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offsetDays);
+    return `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Apply one SM-2 step: a lapse restarts the repetitions, a recall lengthens the interval by the easiness factor
+ * @param {object} entry - { easiness, interval, repetitions }
+ * @param {number} quality - Answer quality 0-5
+ * @returns {object} - Updated { easiness, interval, repetitions }
+ */
+function applySm2(entry, quality) {
+    const easiness = Math.max(1.3, entry.easiness + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+    if (quality < 3) return { easiness, interval: 1, repetitions: 0 };
+
+    const repetitions = entry.repetitions + 1;
+    const interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(entry.interval * entry.easiness);
+    return { easiness, interval, repetitions };
+}
+
+/**
+ * Log an answer and reschedule the item
+ * Items not yet scheduled are added when the answer was a lapse; remembered answers are only logged
+ * @param {string} itemId - Review item id
+ * @param {number} quality - Answer quality 0-5
+ * @param {Date} now - Time of the answer
+ * @returns {object|null} - The item's schedule entry, or null if it is not scheduled
+ */
+function recordReviewAttempt(itemId, quality, now = new Date()) {
+    const data = loadReviewData();
+    data.attempts.push({ item: itemId, at: now.toISOString(), quality });
+    if (data.attempts.length > REVIEW_ATTEMPT_LIMIT) data.attempts.splice(0, data.attempts.length - REVIEW_ATTEMPT_LIMIT);
+
+    let entry = data.items[itemId];
+    if (entry || quality < 3) {
+        const base = entry || { easiness: 2.5, interval: 0, repetitions: 0, added: now.toISOString() };
+        const next = applySm2(base, quality);
+        entry = { ...base, ...next, due: reviewDateKey(now, next.interval) };
+        data.items[itemId] = entry;
+    }
+
+    saveReviewData(data);
+    return entry || null;
+}
+
+/**
+ * Record a checked knowledge check answer (called by the quiz engine)
+ * @param {string} bankId - Question bank id
+ * @param {string} questionId - Question id
+ * @param {boolean} correct - Whether the answer was correct
+ */
+function recordQuizReview(bankId, questionId, correct) {
+    recordReviewAttempt(quizReviewId(bankId, questionId), correct ? REVIEW_QUALITY.good : REVIEW_QUALITY.again);
+}
+
+/**
+ * Add a glossary term to the review deck, due today
+ * @param {string} termKey - Key in GLOSSARY_DEFINITIONS
+ */
+function addGlossaryTermToReview(termKey) {
+    const data = loadReviewData();
+    const id = glossaryReviewId(termKey);
+    if (!data.items[id]) {
+        const now = new Date();
+        data.items[id] = { easiness: 2.5, interval: 0, repetitions: 0, added: now.toISOString(), due: reviewDateKey(now) };
+        saveReviewData(data);
+    }
+}
+
+function isScheduledForReview(itemId) {
+    return Boolean(loadReviewData().items[itemId]);
+}
+
+function removeFromReview(itemId) {
+    const data = loadReviewData();
+    delete data.items[itemId];
+    saveReviewData(data);
+}
+
+/**
+ * Look up the question or glossary term behind a review item id
+ * @param {string} itemId - Review item id
+ * @returns {object|null} - { id, kind, module, label, bankId, question } or { id, kind, module, label, termKey, term }, or null if it no longer exists
+ */
+function resolveReviewItem(itemId) {
+    const [kind, ...rest] = itemId.split(':');
+    if (kind === 'quiz' && typeof QUIZ_BANKS !== 'undefined') {
+        const [bankId, questionId] = rest;
+        const bank = QUIZ_BANKS[bankId];
+        const question = bank && bank.questions.find(item => item.id === questionId);
+        return question ? { id: itemId, kind, module: bankId, label: bank.title, bankId, question } : null;
+    }
+    if (kind === 'glossary' && typeof GLOSSARY_DEFINITIONS !== 'undefined') {
+        const termKey = resolveGlossaryKey(rest.join(':'));
+        const term = termKey && GLOSSARY_DEFINITIONS[termKey];
+        return term ? { id: itemId, kind, module: 'glossary', label: 'Glossary', termKey, term } : null;
+    }
+    return null;
+}
+
+/**
+ * Items due for review, most overdue first
+ * @param {Date} now - Current time
+ * @returns {Array} - Resolved items (see resolveReviewItem) with their schedule entry
+ */
+function getDueReviewItems(now = new Date()) {
+    const today = reviewDateKey(now);
+    return Object.entries(loadReviewData().items)
+        .filter(([, entry]) => entry.due <= today)
+        .sort(([, a], [, b]) => a.due.localeCompare(b.due))
+        .map(([id, entry]) => {
+            const item = resolveReviewItem(id);
+            return item && { ...item, entry };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Count due items without resolving them, for pages that do not load the question banks
+ * @param {Date} now - Current time
+ * @returns {number} - Number of items due today or earlier
+ */
+function countDueReviewItems(now = new Date()) {
+    const today = reviewDateKey(now);
+    return Object.values(loadReviewData().items).filter(entry => entry.due <= today).length;
+}
+
+/**
+ * Summarize the schedule and recent activity
+ * @param {Date} now - Current time
+ * @returns {object} - { modules: { [module]: { label, due, scheduled } }, scheduled, due, nextDue, recent: { attempts, remembered } }
+ */
+function summarizeReviewSchedule(now = new Date()) {
+    const data = loadReviewData();
+    const today = reviewDateKey(now);
+    const modules = {};
+    let nextDue = null;
+
+    Object.entries(data.items).forEach(([id, entry]) => {
+        const item = resolveReviewItem(id);
+        if (!item) return;
+        const summary = modules[item.module] || (modules[item.module] = { label: item.label, due: 0, scheduled: 0 });
+        summary.scheduled++;
+        if (entry.due <= today) summary.due++;
+        else if (!nextDue || entry.due < nextDue) nextDue = entry.due;
+    });
+
+    const weekAgo = now.getTime() - 7 * 24 * 60 * 60 * 1000;
+    const recent = data.attempts.filter(attempt => new Date(attempt.at).getTime() >= weekAgo);
+    return {
+        modules,
+        scheduled: Object.values(modules).reduce((sum, module) => sum + module.scheduled, 0),
+        due: Object.values(modules).reduce((sum, module) => sum + module.due, 0),
+        nextDue,
+        recent: { attempts: recent.length, remembered: recent.filter(attempt => attempt.quality >= 3).length }
+    };
+}
+
+/**
+ * Show the number of due items on a "Review today" link
+ * Expects an element with id "review-due-count"; does nothing if it is absent
+ */
+function initializeReviewLink() {
+    const badge = document.getElementById('review-due-count');
+    if (!badge) return;
+    const due = countDueReviewItems();
+    badge.textContent = due === 1 ? '1 item due' : `${due} items due`;
+}
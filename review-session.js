@@ -0,0 +1,215 @@
+/**
+ * Review Today Page for Internal Dosimetry Learning Platform
+ * Works through the knowledge check questions and glossary terms due in review-scheduler.js,
+ * rendering questions with the quiz engine and glossary terms as self-graded cards
+ * Last Updated: October 19, 2026
+ */
+
+// Items for the current session and the position in it
+let reviewQueue = [];
+let reviewPosition = 0;
+
+/**
+ * Initialize the review page
+ * Expects #review-summary, #review-activity and #review-session; does nothing if they are absent
+ */
+function initializeReviewSession() {
+    const session = document.getElementById('review-session');
+    if (!session) return;
+
+    renderReviewSummary();
+    renderReviewActivity();
+    renderReviewStart();
+}
+
+/**
+ * Show due and scheduled counts overall and per module
+ */
+function renderReviewSummary() {
+    const summary = summarizeReviewSchedule();
+    const modules = Object.values(summary.modules);
+    const accuracy = summary.recent.attempts
+        ? `${Math.round(100 * summary.recent.remembered / summary.recent.attempts)}% remembered`
+        : 'No answers yet';
+
+    document.getElementById('review-summary').innerHTML = `
+        <div class="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
+            <div class="bg-white rounded-lg shadow p-4 border-l-4 border-orange-500">
+                <div class="text-sm text-stone-500">Due today</div>
+                <div class="text-3xl font-bold text-stone-900">${summary.due}</div>
+            </div>
+            <div class="bg-white rounded-lg shadow p-4 border-l-4 border-stone-400">
+                <div class="text-sm text-stone-500">In your review deck</div>
+                <div class="text-3xl font-bold text-stone-900">${summary.scheduled}</div>
+                <div class="text-xs text-stone-500">${summary.nextDue ? `Next after today: ${escapeHtml(summary.nextDue)}` : ''}</div>
+            </div>
+            <div class="bg-white rounded-lg shadow p-4 border-l-4 border-green-500">
+                <div class="text-sm text-stone-500">Answers in the last 7 days</div>
+                <div class="text-3xl font-bold text-stone-900">${summary.recent.attempts}</div>
+                <div class="text-xs text-stone-500">${accuracy}</div>
+            </div>
+        </div>
+        ${modules.length ? `
+        <table class="w-full text-sm bg-white rounded-lg shadow overflow-hidden">
+            <thead class="bg-stone-100 text-stone-600">
+                <tr><th class="text-left px-4 py-2">Source</th><th class="text-right px-4 py-2">Due</th><th class="text-right px-4 py-2">Scheduled</th></tr>
+            </thead>
+            <tbody>
+                ${modules.map(module => `
+                <tr class="border-t border-stone-200">
+                    <td class="px-4 py-2">${escapeHtml(module.label)}</td>
+                    <td class="px-4 py-2 text-right font-semibold">${module.due}</td>
+                    <td class="px-4 py-2 text-right">${module.scheduled}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>` : '<p class="text-sm text-stone-500">Your review deck is empty. Questions you miss in the module knowledge checks, and glossary terms you add from a definition popup, will appear here.</p>'}
+    `;
+}
+
+/**
+ * List the most recent answers from the review log
+ */
+function renderReviewActivity() {
+    const attempts = loadReviewData().attempts.slice(-10).reverse();
+    const list = document.getElementById('review-activity');
+    if (attempts.length === 0) {
+        list.innerHTML = '<li class="text-stone-500">No answers recorded yet.</li>';
+        return;
+    }
+    list.innerHTML = attempts.map(attempt => {
+        const item = resolveReviewItem(attempt.item);
+        const label = !item ? attempt.item
+            : item.kind === 'glossary' ? item.term.term
+            : item.question.prompt.replace(/\{\w+\}/g, '…');
+        const remembered = attempt.quality >= 3;
+        return `
+            <li class="flex items-start gap-2">
+                <span class="${remembered ? 'text-green-600' : 'text-red-600'}">${remembered ? '✓' : '✗'}</span>
+                <span class="flex-1 text-stone-700">${escapeHtml(label)}</span>
+                <span class="text-stone-400 whitespace-nowrap">${escapeHtml(new Date(attempt.at).toLocaleString())}</span>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Offer to start a session, or report that nothing is due
+ */
+function renderReviewStart() {
+    const due = getReviewableItems().length;
+    document.getElementById('review-progress').textContent = '';
+    document.getElementById('review-session').innerHTML = due
+        ? `<p class="text-stone-700 mb-4">You have <strong>${due}</strong> item${due === 1 ? '' : 's'} to review today.</p>
+           <button id="review-start" class="bg-orange-600 text-white px-5 py-2 rounded hover:bg-orange-700 transition-colors">Start Review</button>`
+        : '<p class="text-stone-700">🎉 All caught up. Nothing is due for review today.</p>';
+    const start = document.getElementById('review-start');
+    if (start) start.addEventListener('click', startReviewSession);
+}
+
+/**
+ * Due items that can be shown on this page (calculation questions need their calculator loaded)
+ * @returns {Array} - Resolved review items
+ */
+function getReviewableItems() {
+    return getDueReviewItems().filter(item =>
+        item.kind !== 'quiz' || item.question.type !== 'calculation' || isQuizCalculationAvailable(item.question.calculation)
+    );
+}
+
+function startReviewSession() {
+    reviewQueue = getReviewableItems();
+    reviewPosition = 0;
+    showReviewItem();
+}
+
+/**
+ * Show the current item, or the end of the session
+ */
+function showReviewItem() {
+    const session = document.getElementById('review-session');
+    const progress = document.getElementById('review-progress');
+
+    if (reviewPosition >= reviewQueue.length) {
+        progress.textContent = '';
+        session.innerHTML = `
+            <p class="text-stone-700 mb-4">Session complete: you reviewed ${reviewQueue.length} item${reviewQueue.length === 1 ? '' : 's'}.</p>
+            <button id="review-again" class="text-orange-600 hover:text-orange-700 font-semibold text-sm">Check for more due items →</button>
+        `;
+        document.getElementById('review-again').addEventListener('click', renderReviewStart);
+        renderReviewSummary();
+        renderReviewActivity();
+        return;
+    }
+
+    const item = reviewQueue[reviewPosition];
+    progress.textContent = `Item ${reviewPosition + 1} of ${reviewQueue.length}`;
+    session.innerHTML = `
+        <div id="review-card"></div>
+        <button id="review-next" class="hidden mt-4 bg-orange-600 text-white px-5 py-2 rounded hover:bg-orange-700 transition-colors">Next Item →</button>
+    `;
+    document.getElementById('review-next').addEventListener('click', () => {
+        reviewPosition++;
+        showReviewItem();
+    });
+
+    if (item.kind === 'quiz') showReviewQuestion(item);
+    else showReviewTerm(item);
+}
+
+/**
+ * Render a knowledge check question with the quiz engine; its answer is recorded by the engine
+ * @param {object} item - Resolved quiz review item
+ */
+function showReviewQuestion(item) {
+    document.getElementById('review-card').innerHTML = '<div id="quiz-container"></div>';
+    quizConfig = {
+        storageKey: null,
+        heading: () => item.label,
+        onCheck: () => document.getElementById('review-next').classList.remove('hidden')
+    };
+    quizState = {
+        bankId: item.bankId,
+        ...prepareQuizQuestions([item.question]),
+        current: 0,
+        responses: {},
+        checked: {},
+        recorded: {},
+        finished: false
+    };
+    renderQuizQuestion(item.question);
+}
+
+/**
+ * Render a glossary term as a card: recall the definition, reveal it, then grade how well it was remembered
+ * @param {object} item - Resolved glossary review item
+ */
+function showReviewTerm(item) {
+    const card = document.getElementById('review-card');
+    card.innerHTML = `
+        <h3 class="text-lg font-semibold text-stone-800">${escapeHtml(item.term.term)}</h3>
+        <p class="text-xs uppercase tracking-wide text-stone-500 mb-4">Glossary · ${escapeHtml(item.term.category.replace(/-/g, ' '))}</p>
+        <p class="text-sm text-stone-600 mb-4">Recall the definition, then reveal it and grade yourself.</p>
+        <button id="review-reveal" class="bg-stone-700 text-white px-4 py-2 rounded hover:bg-stone-800 transition-colors text-sm">Show Definition</button>
+    `;
+    document.getElementById('review-reveal').addEventListener('click', () => {
+        const grades = Object.entries(REVIEW_QUALITY).map(([name, quality]) => {
+            const days = applySm2(item.entry, quality).interval;
+            return `<button data-quality="${name}" class="px-4 py-2 border border-stone-300 rounded hover:bg-stone-100 text-sm">
+                <span class="font-semibold capitalize">${name}</span>
+                <span class="block text-xs text-stone-500">${days === 1 ? '1 day' : `${days} days`}</span>
+            </button>`;
+        }).join('');
+        card.innerHTML = `
+            <h3 class="text-lg font-semibold text-stone-800">${escapeHtml(item.term.term)}</h3>
+            <p class="text-stone-700 my-4">${escapeHtml(item.term.definition)}</p>
+            <div class="flex flex-wrap gap-2">${grades}</div>
+        `;
+        card.querySelectorAll('[data-quality]').forEach(button => {
+            button.addEventListener('click', () => {
+                recordReviewAttempt(item.id, REVIEW_QUALITY[button.dataset.quality]);
+                reviewPosition++;
+                showReviewItem();
+            });
+        });
+    });
+}
@@ -0,0 +1,225 @@
+/**
+ * Text Anchors for Internal Dosimetry Learning Platform
+ * Describes a selected passage by its quote and the text around it, finds it again after the page
+ * has been edited, and wraps it in highlight marks. Also shows the toolbar offered next to a text
+ * selection. Used by anchored feedback and learner notes
+ * Last Updated: October 19, 2026
+ */
+
+// Characters of surrounding text stored on each side of the quote
+const TEXT_ANCHOR_CONTEXT_LENGTH = 32;
+
+// Controls the platform adds to sections are not part of the content being quoted
+const TEXT_ANCHOR_IGNORE_SELECTOR = 'script, style, svg, button, select, textarea, .feedback-controls, [data-anchor-ignore]';
+
+// Sections whose text can be selected, anchored and highlighted
+const TEXT_ANCHOR_SECTION_SELECTOR = 'section.progress-section[id^="section-"]';
+
+/**
+ * The rendered text of an element with whitespace collapsed, and where each character came from
+ * @param {Element} root - Element whose text is indexed
+ * @returns {object} - { text, positions: [{ node, offset }] } with one position per character of text
+ */
+function buildAnchorText(root) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => node.parentElement.closest(TEXT_ANCHOR_IGNORE_SELECTOR) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+    });
+    let text = '';
+    const positions = [];
+    let node;
+    while ((node = walker.nextNode())) {
+        for (let offset = 0; offset < node.data.length; offset++) {
+            const isSpace = /\s/.test(node.data[offset]);
+            if (isSpace && (text === '' || text.endsWith(' '))) continue;
+            text += isSpace ? ' ' : node.data[offset];
+            positions.push({ node, offset });
+        }
+    }
+    return { text, positions };
+}
+
+/**
+ * Describe a range of text inside an element
+ * @param {Range} range - Selected range; must lie inside root
+ * @param {Element} root - Element the anchor is relative to, such as a progress-section
+ * @returns {object|null} - { exact, prefix, suffix }, or null if the range holds no text
+ */
+function createTextAnchor(range, root) {
+    const { text, positions } = buildAnchorText(root);
+    let start = -1;
+    let end = -1;
+    positions.forEach(({ node, offset }, index) => {
+        if (range.comparePoint(node, offset) >= 0 && range.comparePoint(node, offset + 1) <= 0) {
+            if (start === -1) start = index;
+            end = index + 1;
+        }
+    });
+    if (start === -1) return null;
+
+    // Leading and trailing spaces belong to the context, not the quote
+    while (start < end && text[start] === ' ') start++;
+    while (end > start && text[end - 1] === ' ') end--;
+    if (start === end) return null;
+
+    return {
+        exact: text.slice(start, end),
+        prefix: text.slice(Math.max(0, start - TEXT_ANCHOR_CONTEXT_LENGTH), start),
+        suffix: text.slice(end, end + TEXT_ANCHOR_CONTEXT_LENGTH)
+    };
+}
+
+// Length of the common ending of two strings, and of their common beginning
+function commonSuffixLength(a, b) {
+    let length = 0;
+    while (length < a.length && length < b.length && a[a.length - 1 - length] === b[b.length - 1 - length]) length++;
+    return length;
+}
+
+function commonPrefixLength(a, b) {
+    let length = 0;
+    while (length < a.length && length < b.length && a[length] === b[length]) length++;
+    return length;
+}
+
+/**
+ * Find an anchor's text again
+ * Among several copies of the quote, the one whose surroundings best match the stored context wins.
+ * If the quote itself was edited, the text now between the stored prefix and suffix is used instead
+ * @param {object} anchor - { exact, prefix, suffix } from createTextAnchor()
+ * @param {Element} root - Element to search
+ * @returns {object|null} - { range, exact } where exact is false if the quote changed, or null if not found
+ */
+function findTextAnchor(anchor, root) {
+    const { text, positions } = buildAnchorText(root);
+    const toRange = (start, end) => {
+        const range = document.createRange();
+        range.setStart(positions[start].node, positions[start].offset);
+        range.setEnd(positions[end - 1].node, positions[end - 1].offset + 1);
+        return range;
+    };
+
+    let best = null;
+    for (let index = text.indexOf(anchor.exact); index !== -1 && anchor.exact; index = text.indexOf(anchor.exact, index + 1)) {
+        const score = commonSuffixLength(text.slice(0, index), anchor.prefix) +
+            commonPrefixLength(text.slice(index + anchor.exact.length), anchor.suffix);
+        if (!best || score > best.score) best = { index, score };
+    }
+    if (best) return { range: toRange(best.index, best.index + anchor.exact.length), exact: true };
+
+    // The quote was rewritten: fall back to the text between its unchanged surroundings
+    if (!anchor.prefix || !anchor.suffix) return null;
+    for (let index = text.indexOf(anchor.prefix); index !== -1; index = text.indexOf(anchor.prefix, index + 1)) {
+        const start = index + anchor.prefix.length;
+        const end = text.indexOf(anchor.suffix, start);
+        if (end > start && end - start <= anchor.exact.length * 2 + TEXT_ANCHOR_CONTEXT_LENGTH) {
+            return { range: toRange(start, end), exact: false };
+        }
+    }
+    return null;
+}
+
+/**
+ * Wrap the text of a range in <mark> elements
+ * @param {Range} range - Text to highlight
+ * @param {string} className - Classes for each mark
+ * @param {object} attributes - Attributes set on each mark
+ * @returns {Array<Element>} - The marks, in document order (a range across elements needs several)
+ */
+function highlightTextRange(range, className, attributes = {}) {
+    const root = range.commonAncestorContainer.nodeType === Node.TEXT_NODE
+        ? range.commonAncestorContainer.parentNode
+        : range.commonAncestorContainer;
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    let node;
+    while ((node = walker.nextNode())) {
+        if (range.intersectsNode(node) && node.data.trim()) nodes.push(node);
+    }
+
+    return nodes.map(textNode => {
+        const start = textNode === range.startContainer ? range.startOffset : 0;
+        const end = textNode === range.endContainer ? range.endOffset : textNode.data.length;
+        if (start >= end) return null;
+        const target = textNode.splitText(start);
+        target.splitText(end - start);
+        const mark = document.createElement('mark');
+        mark.className = className;
+        Object.entries(attributes).forEach(([name, value]) => mark.setAttribute(name, value));
+        target.parentNode.insertBefore(mark, target);
+        mark.appendChild(target);
+        return mark;
+    }).filter(Boolean);
+}
+
+/**
+ * Remove highlight marks, putting their text back in place
+ * @param {NodeList|Array<Element>} marks - Marks from highlightTextRange()
+ */
+function removeTextHighlights(marks) {
+    marks.forEach(mark => {
+        const parent = mark.parentNode;
+        while (mark.firstChild) parent.insertBefore(mark.firstChild, mark);
+        mark.remove();
+        parent.normalize();
+    });
+}
+
+/**
+ * The current selection if it lies within one content section
+ * @returns {object|null} - { range, section }
+ */
+function getSectionSelection() {
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed || selection.rangeCount === 0 || !selection.toString().trim()) return null;
+    const range = selection.getRangeAt(0);
+    const start = range.startContainer.nodeType === Node.ELEMENT_NODE ? range.startContainer : range.startContainer.parentElement;
+    const section = start.closest(TEXT_ANCHOR_SECTION_SELECTOR);
+    if (!section || !section.contains(range.endContainer) || start.closest(TEXT_ANCHOR_IGNORE_SELECTOR)) return null;
+    return { range, section };
+}
+
+/**
+ * Offer a button in the toolbar shown next to text selected inside a content section
+ * @param {string} label - Button text
+ * @param {Function} handler - Called with (range, section) when the button is clicked
+ */
+function addTextSelectionAction(label, handler) {
+    const toolbar = document.getElementById('text-selection-toolbar') || createTextSelectionToolbar();
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'px-3 py-1 text-xs bg-stone-800 hover:bg-stone-900 text-white rounded shadow-lg';
+    button.textContent = label;
+    button.addEventListener('click', () => {
+        const selection = getSectionSelection();
+        toolbar.classList.add('hidden');
+        if (selection) handler(selection.range, selection.section);
+    });
+    toolbar.appendChild(button);
+}
+
+function createTextSelectionToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.id = 'text-selection-toolbar';
+    toolbar.className = 'fixed z-40 hidden flex gap-1';
+    toolbar.setAttribute('data-anchor-ignore', '');
+    document.body.appendChild(toolbar);
+
+    const update = () => {
+        const selection = getSectionSelection();
+        toolbar.classList.toggle('hidden', !selection);
+        if (!selection) return;
+        const rect = selection.range.getBoundingClientRect();
+        toolbar.style.top = `${Math.max(8, rect.top - 36)}px`;
+        toolbar.style.left = `${Math.max(8, rect.left)}px`;
+    };
+
+    // Keyboard selections (shift + arrows) count as well as the mouse
+    document.addEventListener('mouseup', () => setTimeout(update, 0));
+    document.addEventListener('keyup', event => {
+        if (event.key.startsWith('Arrow') || event.key === 'Shift') update();
+    });
+    window.addEventListener('scroll', () => toolbar.classList.add('hidden'), { passive: true });
+    // Keep the selection when a toolbar button is pressed
+    toolbar.addEventListener('mousedown', event => event.preventDefault());
+    return toolbar;
+}
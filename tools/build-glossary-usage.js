@@ -0,0 +1,20 @@
+/**
+ * Glossary Usage Builder for Internal Dosimetry Learning Platform
+ * Writes glossary-usage.js, the list of module sections each glossary term appears in.
+ * The site runs from file:// without a server, so the index is generated ahead of time and checked in
+ *
+ * Run: node tools/build-glossary-usage.js
+ * validate-glossary.js reports the file as stale when module text or terms change without a rebuild
+ * Last Updated: October 19, 2026
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, USAGE_FILE, loadGlossary, collectGlossaryUsage, formatGlossaryUsageFile } = require('./glossary-source');
+
+if (require.main === module) {
+    const usage = collectGlossaryUsage(loadGlossary());
+    fs.writeFileSync(path.join(ROOT, USAGE_FILE), formatGlossaryUsageFile(usage));
+    const count = Object.values(usage).reduce((sum, places) => sum + places.length, 0);
+    console.log(`Wrote ${USAGE_FILE}: ${Object.keys(usage).length} terms, ${count} section links.`);
+}
@@ -0,0 +1,163 @@
+/**
+ * Reference Feedback Server for Internal Dosimetry Learning Platform
+ * A small local queue for the HTTP feedback transport in feedback-transports.js. It stores every
+ * submission in a JSON file and uses only Node's standard library.
+ *
+ * Run: node tools/feedback-server.js
+ * Environment: FEEDBACK_HOST (default 127.0.0.1; set 0.0.0.0 to accept other machines),
+ *              FEEDBACK_PORT (default 8787), FEEDBACK_FILE (default tools/feedback-queue.json),
+ *              FEEDBACK_ALLOWED_ORIGIN (default http://localhost:8000, the one origin whose pages may submit)
+ *
+ * POST /feedback  { feedback: [items] }  -> 201 { received, total }; items may carry an anchor { exact, prefix, suffix }
+ *
+ * The queue holds learners' email addresses, so the server never sends it back: reviewers import the
+ * queue file into feedback-admin.html. For local testing and as a template only: it has no authentication
+ * Last Updated: October 19, 2026
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const HOST = process.env.FEEDBACK_HOST || '127.0.0.1';
+const PORT = Number(process.env.FEEDBACK_PORT) || 8787;
+const QUEUE_FILE = process.env.FEEDBACK_FILE || path.join(__dirname, 'feedback-queue.json');
+const ALLOWED_ORIGIN = process.env.FEEDBACK_ALLOWED_ORIGIN || 'http://localhost:8000';
+
+// Requests larger than this are refused before they are parsed
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const FEEDBACK_TEXT_FIELDS = ['module', 'section', 'category', 'message'];
+
+function loadQueue() {
+    if (!fs.existsSync(QUEUE_FILE)) return [];
+    return JSON.parse(fs.readFileSync(QUEUE_FILE, 'utf8'));
+}
+
+// Write to a temporary file first so a crash mid-write never leaves a truncated queue
+function saveQueue(queue) {
+    const temporary = `${QUEUE_FILE}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(queue, null, 2));
+    fs.renameSync(temporary, QUEUE_FILE);
+}
+
+// Keep a text anchor ({ exact, prefix, suffix } strings) from feedback on selected text, or null
+function validateAnchor(anchor) {
+    if (!anchor || typeof anchor.exact !== 'string' || !anchor.exact.trim()) return null;
+    return {
+        exact: anchor.exact,
+        prefix: typeof anchor.prefix === 'string' ? anchor.prefix : '',
+        suffix: typeof anchor.suffix === 'string' ? anchor.suffix : ''
+    };
+}
+
+/**
+ * Check a submission and keep only the known fields of each item
+ * @param {object} body - Parsed request body
+ * @returns {object} - { items } or { error }
+ */
+function validateSubmission(body) {
+    if (!body || !Array.isArray(body.feedback) || body.feedback.length === 0) {
+        return { error: 'The request needs a non-empty "feedback" array.' };
+    }
+    const items = [];
+    for (const [index, item] of body.feedback.entries()) {
+        const missing = FEEDBACK_TEXT_FIELDS.filter(field => typeof (item && item[field]) !== 'string' || !item[field].trim());
+        if (missing.length) return { error: `Feedback item ${index + 1} is missing ${missing.join(', ')}.` };
+        items.push({
+            clientId: item.id === undefined ? null : item.id,
+            timestamp: typeof item.timestamp === 'string' ? item.timestamp : null,
+            module: item.module,
+            section: item.section,
+            category: item.category,
+            message: item.message,
+            userEmail: typeof item.userEmail === 'string' ? item.userEmail : '',
+            anchor: validateAnchor(item.anchor),
+            page: typeof body.page === 'string' ? body.page : null,
+            status: 'pending'
+        });
+    }
+    return { items };
+}
+
+function sendJson(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('The request body is too large.'), { status: 413 }));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+function handleSubmit(request, response) {
+    return readBody(request).then(text => {
+        let body;
+        try {
+            body = JSON.parse(text);
+        } catch (error) {
+            sendJson(response, 400, { error: 'The request body is not valid JSON.' });
+            return;
+        }
+        const submission = validateSubmission(body);
+        if (submission.error) {
+            sendJson(response, 400, { error: submission.error });
+            return;
+        }
+
+        const queue = loadQueue();
+        const receivedAt = new Date().toISOString();
+        const first = queue.length;
+        submission.items.forEach((item, index) => {
+            queue.push({ id: `${Date.now().toString(36)}-${first + index}`, receivedAt, ...item });
+        });
+        saveQueue(queue);
+        console.log(`${receivedAt} received ${submission.items.length} item(s); ${queue.length} in queue`);
+        sendJson(response, 201, { received: submission.items.length, total: queue.length });
+    });
+}
+
+function handleRequest(request, response) {
+    const { pathname } = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+    // Browsers always send Origin; pages from any other site are refused, not just unable to read the reply
+    if (request.headers.origin && request.headers.origin !== ALLOWED_ORIGIN) {
+        return sendJson(response, 403, { error: 'This origin may not submit feedback.' });
+    }
+    if (request.method === 'OPTIONS') return sendJson(response, 204);
+    if (pathname !== '/feedback') return sendJson(response, 404, { error: 'Not found. Use /feedback.' });
+
+    if (request.method === 'POST') {
+        return handleSubmit(request, response).catch(error => {
+            console.error(error);
+            if (!response.headersSent) sendJson(response, error.status || 500, { error: error.status ? error.message : 'The feedback could not be stored.' });
+        });
+    }
+    return sendJson(response, 405, { error: 'Use POST. Import the queue file into the feedback dashboard to review it.' });
+}
+
+if (require.main === module) {
+    http.createServer(handleRequest).listen(PORT, HOST, () => {
+        console.log(`Feedback server listening on http://${HOST}:${PORT}/feedback for pages from ${ALLOWED_ORIGIN}`);
+        console.log(`Storing submissions in ${QUEUE_FILE}; import it into feedback-admin.html to review them`);
+    });
+}
+
+module.exports = { handleRequest, validateSubmission };
@@ -0,0 +1,132 @@
+/**
+ * Glossary Source Helpers for Internal Dosimetry Learning Platform
+ * Loads the glossary scripts the way a page does and finds where each term appears in the module pages.
+ * Shared by validate-glossary.js and build-glossary-usage.js; uses only Node's standard library
+ * Last Updated: October 19, 2026
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const DEFINITIONS_FILE = 'glossary-definitions.js';
+const USAGE_FILE = 'glossary-usage.js';
+
+// Markup whose text is not module prose
+const NON_PROSE_PATTERN = /<(script|style|svg|button|select|textarea)\b[\s\S]*?<\/\1>/gi;
+
+/**
+ * Run the glossary scripts in a sandbox
+ * @returns {object} - { definitions, redirects, getNames, patterns, modules }
+ */
+function loadGlossary() {
+    const context = vm.createContext({});
+    [DEFINITIONS_FILE, 'glossary-autolink.js', 'progress-store.js'].forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return vm.runInContext(`({
+        definitions: GLOSSARY_DEFINITIONS,
+        redirects: GLOSSARY_TERM_REDIRECTS,
+        getNames: getGlossaryTermNames,
+        patterns: buildGlossaryPatterns(),
+        modules: PROGRESS_MODULES
+    })`, context);
+}
+
+// 1-based line number of a character offset
+function lineAt(text, offset) {
+    return text.slice(0, offset).split('\n').length;
+}
+
+// Page text with tags and entities removed
+function stripHtml(html) {
+    return html
+        .replace(NON_PROSE_PATTERN, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&[a-z]+;/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * The content sections of a module page (section.progress-section with a section-N id)
+ * @param {string} html - Page source
+ * @returns {Array} - [{ id, title, html }]
+ */
+function getModuleSections(html) {
+    const sections = [];
+    for (const match of html.matchAll(/<section\b[^>]*\bid="(section-[^"]+)"[^>]*>([\s\S]*?)<\/section>/g)) {
+        if (!/class="[^"]*\bprogress-section\b/.test(match[0].slice(0, match[0].indexOf('>')))) continue;
+        const heading = match[2].match(/<h2\b[^>]*>([\s\S]*?)<\/h2>/);
+        sections.push({ id: match[1], title: heading ? stripHtml(heading[1]) : match[1], html: match[2] });
+    }
+    return sections;
+}
+
+/**
+ * Every module section that links a term (data-term) or mentions one of its names
+ * @param {object} glossary - Result of loadGlossary()
+ * @returns {object} - { termKey: [{ module, moduleTitle, page, section, title }] } in module and section order
+ */
+function collectGlossaryUsage(glossary) {
+    const { definitions, redirects, patterns, modules } = glossary;
+    const usage = Object.fromEntries(Object.keys(definitions).sort().map(key => [key, []]));
+
+    Object.entries(modules).forEach(([moduleId, module]) => {
+        const html = fs.readFileSync(path.join(ROOT, module.page), 'utf8');
+        getModuleSections(html).forEach(section => {
+            const keys = new Set();
+            for (const match of section.html.matchAll(/data-term="([^"]*)"/g)) {
+                const key = definitions[match[1]] ? match[1] : redirects[match[1]];
+                if (definitions[key]) keys.add(key);
+            }
+            // Longest names first; a match is blanked so "effective dose" isn't found inside "committed effective dose"
+            let text = stripHtml(section.html);
+            patterns.forEach(pattern => {
+                const regex = new RegExp(pattern.regex.source, `${pattern.regex.flags}g`);
+                if (regex.test(text)) {
+                    keys.add(pattern.key);
+                    text = text.replace(regex, ' ');
+                }
+            });
+            keys.forEach(key => usage[key].push({ module: moduleId, moduleTitle: module.title, page: module.page, section: section.id, title: section.title }));
+        });
+    });
+    return usage;
+}
+
+/**
+ * Source of glossary-usage.js; the same pages always give the same file
+ * @param {object} usage - Result of collectGlossaryUsage()
+ * @returns {string} - File contents
+ */
+function formatGlossaryUsageFile(usage) {
+    const quote = value => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+    const entries = Object.entries(usage).map(([key, places]) => {
+        const lines = places.map(place => `        { module: ${quote(place.module)}, moduleTitle: ${quote(place.moduleTitle)}, page: ${quote(place.page)}, section: ${quote(place.section)}, title: ${quote(place.title)} }`);
+        return places.length ? `    ${quote(key)}: [\n${lines.join(',\n')}\n    ]` : `    ${quote(key)}: []`;
+    });
+    return `/**
+ * Glossary Usage Index for Internal Dosimetry Learning Platform
+ * The module sections where each glossary term is linked or mentioned, shown as backlinks in the glossary.
+ * Generated by tools/build-glossary-usage.js; do not edit by hand. Rebuild after changing module text or terms
+ */
+
+const GLOSSARY_USAGE = {
+${entries.join(',\n')}
+};
+`;
+}
+
+module.exports = {
+    ROOT,
+    DEFINITIONS_FILE,
+    USAGE_FILE,
+    loadGlossary,
+    lineAt,
+    stripHtml,
+    getModuleSections,
+    collectGlossaryUsage,
+    formatGlossaryUsageFile
+};
@@ -0,0 +1,210 @@
+/**
+ * Glossary Integrity Validator for Internal Dosimetry Learning Platform
+ * Loads glossary-definitions.js and glossary-autolink.js the way a page does and checks them against
+ * every HTML page. Uses only Node's standard library.
+ *
+ * Run: node tools/validate-glossary.js
+ * Exits with status 1 if any problem is found, so it can gate changes
+ *
+ * Checks: duplicate keys, duplicate or near-duplicate terms (names, abbreviations and aliases that
+ * match after ignoring case and plurals), relatedTerms that don't resolve, terms related to themselves,
+ * relations that aren't listed in both directions, data-term attributes naming unknown or renamed
+ * terms, definitions no page links to or mentions, optional fields (formulas, units, typicalValues,
+ * references, figures) that don't follow the schema in glossary-definitions.js, and a glossary-usage.js
+ * that no longer matches the module pages
+ * Last Updated: October 19, 2026
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    ROOT, DEFINITIONS_FILE, USAGE_FILE, loadGlossary, lineAt, collectGlossaryUsage, formatGlossaryUsageFile
+} = require('./glossary-source');
+
+// "Biokinetic Models" and "biokinetic model" compare equal
+function normalizeGlossaryName(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().replace(/(\w{3,})s\b/g, '$1');
+}
+
+/**
+ * Keys defined more than once; the object literal keeps only the last, so read the source
+ * @returns {Array} - Problems
+ */
+function checkDuplicateKeys() {
+    const source = fs.readFileSync(path.join(ROOT, DEFINITIONS_FILE), 'utf8');
+    const seen = {};
+    const problems = [];
+    for (const match of source.matchAll(/^\s*'([^']+)':\s*\{/gm)) {
+        const line = lineAt(source, match.index);
+        if (seen[match[1]]) {
+            problems.push({ file: DEFINITIONS_FILE, line, message: `"${match[1]}" is defined again (first on line ${seen[match[1]]}); only the last definition is used` });
+        } else {
+            seen[match[1]] = line;
+        }
+    }
+    return problems;
+}
+
+function checkDuplicateTerms(glossary) {
+    const owners = {};
+    const reported = new Set();
+    const problems = [];
+    Object.keys(glossary.definitions).forEach(key => {
+        [key.replace(/-/g, ' '), ...glossary.getNames(key)].forEach(name => {
+            const normalized = normalizeGlossaryName(name);
+            const owner = owners[normalized];
+            if (owner && owner.key !== key && !reported.has(`${owner.key} ${key}`)) {
+                reported.add(`${owner.key} ${key}`);
+                problems.push({ file: DEFINITIONS_FILE, message: `"${key}" (${name}) duplicates "${owner.key}" (${owner.name})` });
+            } else if (!owner) {
+                owners[normalized] = { key, name };
+            }
+        });
+    });
+    return problems;
+}
+
+function checkRelatedTerms(glossary) {
+    const { definitions, redirects } = glossary;
+    const problems = { dangling: [], self: [], asymmetric: [] };
+    Object.entries(definitions).forEach(([key, definition]) => {
+        (definition.relatedTerms || []).forEach(related => {
+            if (related === key) {
+                problems.self.push({ file: DEFINITIONS_FILE, message: `"${key}" lists itself as a related term` });
+            } else if (!definitions[related]) {
+                const hint = redirects[related] ? `; it was renamed to "${redirects[related]}"` : '';
+                problems.dangling.push({ file: DEFINITIONS_FILE, message: `"${key}" lists "${related}", which is not defined${hint}` });
+            } else if (!(definitions[related].relatedTerms || []).includes(key)) {
+                problems.asymmetric.push({ file: DEFINITIONS_FILE, message: `"${key}" lists "${related}", but "${related}" does not list "${key}"` });
+            }
+        });
+    });
+    Object.entries(redirects).forEach(([from, to]) => {
+        if (definitions[from]) problems.dangling.push({ file: DEFINITIONS_FILE, message: `"${from}" is both defined and redirected to "${to}"` });
+        if (!definitions[to]) problems.dangling.push({ file: DEFINITIONS_FILE, message: `"${from}" redirects to "${to}", which is not defined` });
+    });
+    return problems;
+}
+
+/**
+ * data-term references in the HTML pages, and which terms each page links or mentions
+ * @returns {object} - { unknown: problems, used: Set of keys }
+ */
+function checkPages(glossary) {
+    const { definitions, redirects, patterns } = glossary;
+    const unknown = [];
+    const used = new Set();
+    fs.readdirSync(ROOT).filter(file => file.endsWith('.html')).sort().forEach(file => {
+        const html = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        for (const match of html.matchAll(/data-term="([^"]*)"/g)) {
+            const key = match[1];
+            const line = lineAt(html, match.index);
+            if (definitions[key]) {
+                used.add(key);
+            } else if (redirects[key]) {
+                unknown.push({ file, line, message: `data-term="${key}" was renamed; use "${redirects[key]}"` });
+            } else {
+                unknown.push({ file, line, message: `data-term="${key}" is not in GLOSSARY_DEFINITIONS` });
+            }
+        }
+
+        // Terms the auto-linker finds in the page text count as used
+        const text = html
+            .replace(/<(script|style|svg)[\s\S]*?<\/\1>/gi, ' ')
+            .replace(/<[^>]+>/g, ' ')
+            .replace(/&[a-z]+;/g, ' ');
+        patterns.forEach(pattern => {
+            if (pattern.regex.test(text)) used.add(pattern.key);
+        });
+    });
+    return { unknown, used };
+}
+
+// Fields each item of an optional list must have as non-empty strings (year is a number)
+const GLOSSARY_SCHEMA = {
+    formulas: ['label', 'text'],
+    typicalValues: ['value', 'context'],
+    references: ['source', 'title'],
+    figures: ['src', 'alt']
+};
+
+/**
+ * Optional rich fields that a renderer can't show as intended
+ * @returns {Array} - Problems
+ */
+function checkSchema(glossary) {
+    const problems = [];
+    const isText = value => typeof value === 'string' && value.trim() !== '';
+    Object.entries(glossary.definitions).forEach(([key, definition]) => {
+        Object.entries(GLOSSARY_SCHEMA).forEach(([field, required]) => {
+            if (definition[field] === undefined) return;
+            if (!Array.isArray(definition[field])) {
+                problems.push({ file: DEFINITIONS_FILE, message: `"${key}" ${field} must be a list` });
+                return;
+            }
+            definition[field].forEach((item, index) => {
+                const missing = required.filter(name => !isText(item && item[name]));
+                if (missing.length) problems.push({ file: DEFINITIONS_FILE, message: `"${key}" ${field}[${index}] has no ${missing.join(' or ')}` });
+            });
+        });
+        (definition.references || []).forEach((reference, index) => {
+            if (reference && !Number.isInteger(reference.year)) problems.push({ file: DEFINITIONS_FILE, message: `"${key}" references[${index}] has no year` });
+        });
+        (definition.figures || []).forEach((figure, index) => {
+            if (figure && isText(figure.src) && !/^https?:/.test(figure.src) && !fs.existsSync(path.join(ROOT, figure.src))) {
+                problems.push({ file: DEFINITIONS_FILE, message: `"${key}" figures[${index}] image ${figure.src} does not exist` });
+            }
+        });
+        if (definition.units !== undefined && !(definition.units && isText(definition.units.symbol) && isText(definition.units.name))) {
+            problems.push({ file: DEFINITIONS_FILE, message: `"${key}" units needs a symbol and a name` });
+        }
+    });
+    return problems;
+}
+
+// glossary-usage.js must be what build-glossary-usage.js would write now
+function checkUsageFile(glossary) {
+    const file = path.join(ROOT, USAGE_FILE);
+    const expected = formatGlossaryUsageFile(collectGlossaryUsage(glossary));
+    if (!fs.existsSync(file)) return [{ file: USAGE_FILE, message: 'is missing; run node tools/build-glossary-usage.js' }];
+    if (fs.readFileSync(file, 'utf8') !== expected) return [{ file: USAGE_FILE, message: 'is out of date; run node tools/build-glossary-usage.js' }];
+    return [];
+}
+
+function validateGlossary() {
+    const glossary = loadGlossary();
+    const related = checkRelatedTerms(glossary);
+    const pages = checkPages(glossary);
+    return [
+        { title: 'Duplicate keys', problems: checkDuplicateKeys() },
+        { title: 'Duplicate terms', problems: checkDuplicateTerms(glossary) },
+        { title: 'Dangling relatedTerms', problems: related.dangling },
+        { title: 'Self-referencing relatedTerms', problems: related.self },
+        { title: 'Asymmetric relations', problems: related.asymmetric },
+        { title: 'Unknown data-term references', problems: pages.unknown },
+        {
+            title: 'Unused definitions',
+            problems: Object.keys(glossary.definitions)
+                .filter(key => !pages.used.has(key))
+                .map(key => ({ file: DEFINITIONS_FILE, message: `"${key}" is not linked or mentioned on any page` }))
+        },
+        { title: 'Schema', problems: checkSchema(glossary) },
+        { title: 'Usage index', problems: checkUsageFile(glossary) }
+    ];
+}
+
+if (require.main === module) {
+    const results = validateGlossary();
+    let total = 0;
+    results.forEach(({ title, problems }) => {
+        total += problems.length;
+        console.log(`${problems.length ? '✗' : '✓'} ${title}${problems.length ? ` (${problems.length})` : ''}`);
+        problems.forEach(problem => {
+            console.log(`    ${problem.file}${problem.line ? `:${problem.line}` : ''}  ${problem.message}`);
+        });
+    });
+    console.log(total ? `\n${total} glossary problem${total === 1 ? '' : 's'} found.` : '\nGlossary OK.');
+    process.exitCode = total ? 1 : 0;
+}
+
+module.exports = { validateGlossary, normalizeGlossaryName };